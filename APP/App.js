@@ -4,6 +4,7 @@ import React from 'react';
 import AppNavigator from './src/navigation/AppNavigator'; // Import your navigation setup
 // import 'nativewind/tailwind.css'; // Import the Tailwind styles
 import { CartProvider } from './src/contexts/CartContext';
+import { CurrencyProvider } from './src/contexts/CurrencyContext';
 import { FavouritesProvider } from './src/contexts/FavouritesContext';
 import { StripeProvider } from '@stripe/stripe-react-native';
 import { UserProvider as UserContextProvider } from './src/contexts/UserContext';
@@ -17,7 +18,9 @@ console.log(PUBLISH_STRIPE_KEY);
      <UserContextProvider>
       <FavouritesProvider>
           <CartProvider>
+            <CurrencyProvider>
               <AppNavigator />
+            </CurrencyProvider>
           </CartProvider>
         </FavouritesProvider>
       </UserContextProvider>
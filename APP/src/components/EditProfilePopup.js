@@ -26,6 +26,11 @@ const EditProfilePopup = ({ visible, onClose, userData, onSave }) => {
   const [email, setEmail] = useState(userData.email || '');
   const [phone, setPhone] = useState(userData.phone || '');
   const [address, setAddress] = useState(userData.address || '');
+  // Billing location; decides the tax added at checkout
+  const [country, setCountry] = useState(userData.country || '');
+  const [region, setRegion] = useState(userData.region || '');
+  // Asked for only when the email changes
+  const [currentPassword, setCurrentPassword] = useState('');
 
   // State variables for image URLs
   const [profileImageUrl, setProfileImageUrl] = useState(userData.profileImage || '');
@@ -51,10 +56,15 @@ const EditProfilePopup = ({ visible, onClose, userData, onSave }) => {
     setEmail(userData.email || '');
     setPhone(userData.phone || '');
     setAddress(userData.address || '');
+    setCountry(userData.country || '');
+    setRegion(userData.region || '');
+    setCurrentPassword('');
     setProfileImageUrl(userData.profileImage || '');
     setCoverImageUrl(userData.coverImage || '');
   }, [userData]);
 
+  const emailChanged = email.trim().toLowerCase() !== (userData.email || '').toLowerCase();
+
   // Validate image URLs
   const isValidImageUrl = (url) => {
     const regex = /(http(s?):)([/|.|\w|\s|-])*\.(?:jpg|gif|png|jpeg)$/i;
@@ -96,10 +106,26 @@ const EditProfilePopup = ({ visible, onClose, userData, onSave }) => {
       showAlert('Invalid Email', 'Please enter a valid email address.', 'alert-circle');
       return;
     }
+    if (emailChanged && !currentPassword) {
+      showAlert(
+        'Password Required',
+        'Please enter your current password to change your email.',
+        'alert-circle'
+      );
+      return;
+    }
     if (phone && !isValidPhoneNumber(phone)) {
       showAlert('Invalid Phone Number', 'Please enter a valid phone number.', 'alert-circle');
       return;
     }
+    if (country && !/^[A-Za-z]{2}$/.test(country.trim())) {
+      showAlert(
+        'Invalid Country',
+        'Please enter a two-letter country code, e.g. US or DE.',
+        'alert-circle'
+      );
+      return;
+    }
     if (profileImageUrl && !isValidImageUrl(profileImageUrl)) {
       showAlert(
         'Invalid URL',
@@ -123,8 +149,11 @@ const EditProfilePopup = ({ visible, onClose, userData, onSave }) => {
       email: email.trim(),
       phone: phone.trim(),
       address: address.trim(),
+      country: country.trim().toUpperCase(),
+      region: region.trim().toUpperCase(),
       profileImage: profileImageUrl.trim(),
       coverImage: coverImageUrl.trim(),
+      ...(emailChanged && { currentPassword }),
     };
 
     onSave(updatedData);
@@ -301,6 +330,31 @@ const EditProfilePopup = ({ visible, onClose, userData, onSave }) => {
               />
             </View>
 
+            {emailChanged && (
+              <View style={styles.inputContainer}>
+                <Text style={[styles.label, { color: currentTheme.textColor }]}>
+                  Current Password
+                </Text>
+                <TextInput
+                  style={[
+                    styles.input,
+                    {
+                      backgroundColor: currentTheme.backgroundColor,
+                      color: currentTheme.textColor,
+                      borderColor: currentTheme.borderColor,
+                    },
+                  ]}
+                  value={currentPassword}
+                  onChangeText={setCurrentPassword}
+                  placeholder="Confirm with your current password"
+                  secureTextEntry
+                  autoCapitalize="none"
+                  placeholderTextColor={currentTheme.placeholderTextColor}
+                  accessibilityLabel="Current Password Input"
+                />
+              </View>
+            )}
+
             <View style={styles.inputContainer}>
               <Text style={[styles.label, { color: currentTheme.textColor }]}>Phone Number</Text>
               <TextInput
@@ -343,6 +397,51 @@ const EditProfilePopup = ({ visible, onClose, userData, onSave }) => {
               />
             </View>
 
+            <View style={[styles.inputContainer, styles.row]}>
+              <View style={styles.rowItem}>
+                <Text style={[styles.label, { color: currentTheme.textColor }]}>Country</Text>
+                <TextInput
+                  style={[
+                    styles.input,
+                    {
+                      backgroundColor: currentTheme.backgroundColor,
+                      color: currentTheme.textColor,
+                      borderColor: currentTheme.borderColor,
+                    },
+                  ]}
+                  value={country}
+                  onChangeText={setCountry}
+                  placeholder="e.g. US"
+                  autoCapitalize="characters"
+                  maxLength={2}
+                  placeholderTextColor={currentTheme.placeholderTextColor}
+                  accessibilityLabel="Country Input"
+                />
+              </View>
+              <View style={styles.rowItem}>
+                <Text style={[styles.label, { color: currentTheme.textColor }]}>
+                  State / Region
+                </Text>
+                <TextInput
+                  style={[
+                    styles.input,
+                    {
+                      backgroundColor: currentTheme.backgroundColor,
+                      color: currentTheme.textColor,
+                      borderColor: currentTheme.borderColor,
+                    },
+                  ]}
+                  value={region}
+                  onChangeText={setRegion}
+                  placeholder="e.g. CA"
+                  autoCapitalize="characters"
+                  maxLength={10}
+                  placeholderTextColor={currentTheme.placeholderTextColor}
+                  accessibilityLabel="Region Input"
+                />
+              </View>
+            </View>
+
             {/* Save Button */}
             <TouchableOpacity
               style={[styles.saveButton, { backgroundColor: currentTheme.primaryColor }]}
@@ -461,6 +560,13 @@ const styles = StyleSheet.create({
   inputContainer: {
     marginTop: 10,
   },
+  row: {
+    flexDirection: 'row',
+  },
+  rowItem: {
+    flex: 1,
+    marginRight: 10,
+  },
   label: {
     fontSize: 14,
     marginBottom: 5,
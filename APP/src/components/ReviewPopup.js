@@ -1,6 +1,6 @@
 // components/ReviewPopup.js
 
-import React, { useContext, useState, useEffect } from 'react';
+import React, { useContext, useState } from 'react';
 import {
   View,
   Text,
@@ -17,16 +17,19 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
+import * as ImagePicker from 'expo-image-picker';
 
 import { ThemeContext } from '../../ThemeContext';
 import { lightTheme, darkTheme } from '../../themes';
 import api from '../services/api';
 import { UserContext } from '../contexts/UserContext';
 import CustomAlert from './CustomAlert';
+import ReviewSection from './ReviewSection';
 
 const { width, height } = Dimensions.get('window');
-const placeholderAvatar =
-  'https://www.gravatar.com/avatar/00000000000000000000000000000000?d=mp&f=y';
+
+// Matches the server's MAX_REVIEW_IMAGES default
+const MAX_REVIEW_IMAGES = 4;
 
 const ReviewPopup = ({ closePopup, productId }) => {
   // Theming
@@ -36,15 +39,15 @@ const ReviewPopup = ({ closePopup, productId }) => {
   // Navigation
   const navigation = useNavigation();
 
-  // Review Data
-  const [reviews, setReviews] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  // Bumped after a submit so the list reloads
+  const [listKey, setListKey] = useState(0);
 
   // Add Review Form
   const [showAddReviewForm, setShowAddReviewForm] = useState(false);
   const [rating, setRating] = useState(0);
   const [comment, setComment] = useState('');
+  const [images, setImages] = useState([]); // Uploaded photo assets
+  const [uploading, setUploading] = useState(false);
   const [submitting, setSubmitting] = useState(false);
 
   // Alert
@@ -57,60 +60,71 @@ const ReviewPopup = ({ closePopup, productId }) => {
   // Authentication
   const { isAuthenticated } = useContext(UserContext);
 
-  // Fetch reviews on component mount or productId change
-  useEffect(() => {
-    fetchReviews();
-  }, [productId]);
-
-  const fetchReviews = async () => {
-    try {
-      setLoading(true);
-      const response = await api.getProductReviewsAPI(productId);
-      console.log(response.data);
-      
-
-      if (response.data) {
-        setReviews(response.data);
-      } else {
-        throw new Error(response.message || 'Failed to fetch reviews.');
-      }
-      setLoading(false);
-    } catch (err) {
-      console.error(err);
-      setError(err.message || 'An error occurred while fetching reviews.');
-      setLoading(false);
-    }
+  const showLoginAlert = (message) => {
+    setAlertTitle('Authentication Required');
+    setAlertMessage(message);
+    setAlertIcon('warning');
+    setAlertButtons([
+      {
+        text: 'Cancel',
+        style: 'cancel',
+        onPress: () => setAlertVisible(false),
+      },
+      {
+        text: 'Login',
+        onPress: () => {
+          setShowAddReviewForm(false);
+          closePopup();
+          navigation.navigate('Login');
+          setAlertVisible(false);
+        },
+      },
+    ]);
+    setAlertVisible(true);
   };
 
   // Handle Add Review button
   const handleAddReviewClick = () => {
     if (!isAuthenticated) {
-      // Show alert requiring login
-      setAlertTitle('Authentication Required');
-      setAlertMessage('You need to be logged in to add a review.');
-      setAlertIcon('warning');
-      setAlertButtons([
-        {
-          text: 'Cancel',
-          style: 'cancel',
-          onPress: () => setAlertVisible(false),
-        },
-        {
-          text: 'Login',
-          onPress: () => {
-            setShowAddReviewForm(false);
-            closePopup();
-            navigation.navigate('Login');
-            setAlertVisible(false);
-          },
-        },
-      ]);
-      setAlertVisible(true);
+      showLoginAlert('You need to be logged in to add a review.');
       return;
     }
     setShowAddReviewForm(true);
   };
 
+  const showErrorAlert = (message) => {
+    setAlertTitle('Error');
+    setAlertMessage(message);
+    setAlertIcon('close-circle');
+    setAlertButtons([{ text: 'OK', onPress: () => setAlertVisible(false) }]);
+    setAlertVisible(true);
+  };
+
+  // Pick a photo and upload it straight away, so submitting only sends ids
+  const handleAddPhoto = async () => {
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      quality: 0.8,
+    });
+    if (result.canceled) return;
+
+    setUploading(true);
+    const response = await api.uploadReviewImageAPI(result.assets[0]);
+    setUploading(false);
+    if (response.success) {
+      setImages((prev) => [...prev, response.data]);
+    } else {
+      showErrorAlert(response.message);
+    }
+  };
+
+  const resetForm = () => {
+    setShowAddReviewForm(false);
+    setRating(0);
+    setComment('');
+    setImages([]);
+  };
+
   // Handle submitting the new review
   const handleSubmitReview = async () => {
     if (rating < 1 || rating > 5) {
@@ -132,18 +146,24 @@ const ReviewPopup = ({ closePopup, productId }) => {
 
     try {
       setSubmitting(true);
-      const response = await api.addOrUpdateReview(productId, rating, comment);
+      const response = await api.addOrUpdateReview(
+        productId,
+        rating,
+        comment,
+        images.map((image) => image._id)
+      );
 
       if (response.success) {
         // Refresh list
-        await fetchReviews();
-        // Reset form
-        setRating(0);
-        setComment('');
-        setShowAddReviewForm(false);
+        setListKey((key) => key + 1);
+        resetForm();
 
         setAlertTitle('Success');
-        setAlertMessage('Your review has been submitted.');
+        setAlertMessage(
+          response.data.status === 'pending'
+            ? 'Your review has been submitted and will appear once it has been approved.'
+            : 'Your review has been submitted.'
+        );
         setAlertIcon('checkmark-circle');
         setAlertButtons([
           {
@@ -156,11 +176,7 @@ const ReviewPopup = ({ closePopup, productId }) => {
         ]);
         setAlertVisible(true);
       } else {
-        setAlertTitle('Error');
-        setAlertMessage(response.message || 'Failed to submit review.');
-        setAlertIcon('close-circle');
-        setAlertButtons([{ text: 'OK', onPress: () => setAlertVisible(false) }]);
-        setAlertVisible(true);
+        showErrorAlert(response.message || 'Failed to submit review.');
       }
     } catch (err) {
       console.error('Review submission error:', err);
@@ -169,39 +185,6 @@ const ReviewPopup = ({ closePopup, productId }) => {
     }
   };
 
-  // Render a single review item
-  const renderReview = (review) => (
-    <View
-      key={review._id}
-      style={[styles.reviewItem, { backgroundColor: currentTheme.cardBackground }]}
-    >
-      <View style={styles.reviewHeader}>
-        <Image source={{ uri: review.user?.profileImage || placeholderAvatar }} style={styles.avatar} />
-        <View style={styles.userInfo}>
-          <Text style={[styles.userName, { color: currentTheme.textColor }]}>
-            {review.user?.name || 'Anonymous'}
-          </Text>
-          <View style={styles.ratingContainer}>
-            {Array.from({ length: 5 }, (_, index) => (
-              <Ionicons
-                key={index}
-                name={index < Math.floor(review.rating) ? 'star' : 'star-outline'}
-                size={16}
-                color="#FFD700"
-              />
-            ))}
-          </View>
-        </View>
-      </View>
-      <Text style={[styles.reviewDate, { color: currentTheme.placeholderTextColor }]}>
-        {new Date(review.createdAt).toLocaleDateString()}
-      </Text>
-      <Text style={[styles.reviewComment, { color: currentTheme.textColor }]}>
-        {review.comment}
-      </Text>
-    </View>
-  );
-
   // Render the form for adding a new review
   const renderAddReviewForm = () => (
     <KeyboardAvoidingView
@@ -250,12 +233,49 @@ const ReviewPopup = ({ closePopup, productId }) => {
         />
       </View>
 
+      {/* Photos */}
+      <View style={styles.commentInputContainer}>
+        <Text style={[styles.label, { color: currentTheme.textColor }]}>
+          Photos ({images.length}/{MAX_REVIEW_IMAGES}):
+        </Text>
+        <View style={styles.photoRow}>
+          {images.map((image) => (
+            <View key={image._id} style={styles.photoWrapper}>
+              <Image source={{ uri: image.thumbnailUrl || image.url }} style={styles.photo} />
+              <TouchableOpacity
+                style={styles.removePhotoButton}
+                onPress={() => setImages((prev) => prev.filter((item) => item._id !== image._id))}
+                accessibilityLabel="Remove photo"
+                accessibilityRole="button"
+              >
+                <Ionicons name="close" size={14} color="#FFFFFF" />
+              </TouchableOpacity>
+            </View>
+          ))}
+          {images.length < MAX_REVIEW_IMAGES && (
+            <TouchableOpacity
+              style={[styles.addPhotoButton, { borderColor: currentTheme.borderColor }]}
+              onPress={handleAddPhoto}
+              disabled={uploading}
+              accessibilityLabel="Add a photo"
+              accessibilityRole="button"
+            >
+              {uploading ? (
+                <ActivityIndicator color={currentTheme.primaryColor} />
+              ) : (
+                <Ionicons name="camera-outline" size={28} color={currentTheme.placeholderTextColor} />
+              )}
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+
       {/* Buttons */}
       <View style={styles.formButtonsContainer}>
         <TouchableOpacity
           style={[styles.submitButton, { backgroundColor: currentTheme.primaryColor }]}
           onPress={handleSubmitReview}
-          disabled={submitting}
+          disabled={submitting || uploading}
         >
           {submitting ? (
             <ActivityIndicator color="#FFFFFF" />
@@ -265,11 +285,7 @@ const ReviewPopup = ({ closePopup, productId }) => {
         </TouchableOpacity>
         <TouchableOpacity
           style={[styles.cancelButton, { backgroundColor: currentTheme.cancelButtonColor || '#888' }]}
-          onPress={() => {
-            setShowAddReviewForm(false);
-            setRating(0);
-            setComment('');
-          }}
+          onPress={resetForm}
         >
           <Text style={styles.cancelButtonText}>Cancel</Text>
         </TouchableOpacity>
@@ -292,44 +308,25 @@ const ReviewPopup = ({ closePopup, productId }) => {
           </TouchableOpacity>
 
           {/* Main ScrollView for both reviews & form */}
-          {loading ? (
-            <ActivityIndicator
-              size="large"
-              color={currentTheme.primaryColor}
-              style={{ flex: 1, justifyContent: 'center' }}
-            />
-          ) : error ? (
-            <View style={styles.errorContainer}>
-              <Text style={[styles.errorText, { color: currentTheme.errorColor }]}>{error}</Text>
-            </View>
-          ) : (
-            <ScrollView
-              style={styles.modalScroll}
-              showsVerticalScrollIndicator={false}
-              contentContainerStyle={{ paddingBottom: 20 }}
-            >
-              {/* Toggle: If showAddReviewForm = true, show form, else show reviews */}
-              {showAddReviewForm ? (
-                renderAddReviewForm()
-              ) : (
-                <>
-                  <Text style={[styles.sectionTitle, { color: currentTheme.textColor }]}>
-                    Reviews
-                  </Text>
-                  {reviews.length > 0 ? (
-                    reviews.map(renderReview)
-                  ) : (
-                    <Text style={[styles.noReviewsText, { color: currentTheme.textColor }]}>
-                      No reviews yet. Be the first to share your feedback!
-                    </Text>
-                  )}
-                </>
-              )}
-            </ScrollView>
-          )}
+          <ScrollView
+            style={styles.modalScroll}
+            showsVerticalScrollIndicator={false}
+            contentContainerStyle={{ paddingBottom: 20 }}
+          >
+            {/* Toggle: If showAddReviewForm = true, show form, else show reviews */}
+            {showAddReviewForm ? (
+              renderAddReviewForm()
+            ) : (
+              <ReviewSection
+                key={listKey}
+                productId={productId}
+                onLoginRequired={showLoginAlert}
+              />
+            )}
+          </ScrollView>
 
           {/* Add Review button if not currently showing the form */}
-          {!showAddReviewForm && !loading && !error && (
+          {!showAddReviewForm && (
             <TouchableOpacity
               style={[styles.addReviewButton, { backgroundColor: currentTheme.primaryColor }]}
               onPress={handleAddReviewClick}
@@ -398,53 +395,6 @@ const styles = StyleSheet.create({
     marginBottom: 20,
     textAlign: 'center',
   },
-  reviewItem: {
-    borderRadius: 15,
-    padding: 15,
-    marginBottom: 15,
-    // iOS shadow
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 1 },
-    shadowOpacity: 0.08,
-    shadowRadius: 2.22,
-    // Android elevation
-    elevation: 2,
-  },
-  reviewHeader: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    marginBottom: 10,
-  },
-  avatar: {
-    width: 50,
-    height: 50,
-    borderRadius: 25,
-  },
-  userInfo: {
-    marginLeft: 15,
-    flex: 1,
-  },
-  userName: {
-    fontSize: 16,
-    fontWeight: '600',
-  },
-  ratingContainer: {
-    flexDirection: 'row',
-    marginTop: 3,
-  },
-  reviewDate: {
-    fontSize: 12,
-    marginBottom: 6,
-  },
-  reviewComment: {
-    fontSize: 14,
-    lineHeight: 20,
-  },
-  noReviewsText: {
-    fontSize: 16,
-    textAlign: 'center',
-    marginTop: 30,
-  },
   addReviewButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -465,16 +415,6 @@ const styles = StyleSheet.create({
     fontSize: 18,
     fontWeight: '600',
   },
-  errorContainer: {
-    flex: 1,
-    justifyContent: 'center',
-    alignItems: 'center',
-  },
-  errorText: {
-    fontSize: 16,
-    marginHorizontal: 10,
-    textAlign: 'center',
-  },
   // Add Review Form
   formContainer: {
     paddingBottom: 20,
@@ -504,6 +444,39 @@ const styles = StyleSheet.create({
     textAlignVertical: 'top',
     fontSize: 16,
   },
+  photoRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  photoWrapper: {
+    marginRight: 10,
+    marginBottom: 10,
+  },
+  photo: {
+    width: 64,
+    height: 64,
+    borderRadius: 8,
+  },
+  removePhotoButton: {
+    position: 'absolute',
+    top: -6,
+    right: -6,
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: '#E53935',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  addPhotoButton: {
+    width: 64,
+    height: 64,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
   formButtonsContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1,73 +1,435 @@
 // components/ReviewSection.js
 
-import React, { useContext } from 'react';
-import { View, Text, FlatList, StyleSheet } from 'react-native';
+import React, { useContext, useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Modal,
+  StyleSheet,
+} from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { ThemeContext } from '../../ThemeContext';
 import { lightTheme, darkTheme } from '../../themes';
+import api from '../services/api';
+import { UserContext } from '../contexts/UserContext';
+import CustomAlert from './CustomAlert';
 
-const ReviewSection = ({ productId }) => {
+const placeholderAvatar =
+  'https://www.gravatar.com/avatar/00000000000000000000000000000000?d=mp&f=y';
+
+const PAGE_SIZE = 10;
+
+const SORT_CHIPS = [
+  { key: 'helpful', label: 'Most helpful' },
+  { key: 'newest', label: 'Newest' },
+  { key: 'rating_desc', label: 'Highest' },
+  { key: 'rating_asc', label: 'Lowest' },
+];
+
+const REPORT_REASONS = [
+  { key: 'spam', label: 'Spam' },
+  { key: 'offensive', label: 'Offensive' },
+  { key: 'off-topic', label: 'Off-topic' },
+  { key: 'fake', label: 'Fake' },
+  { key: 'other', label: 'Other' },
+];
+
+// Rendered with map rather than a FlatList, since it sits inside the popup's ScrollView
+const ReviewSection = ({ productId, onLoginRequired }) => {
   const { theme } = useContext(ThemeContext);
   const currentTheme = theme === 'light' ? lightTheme : darkTheme;
+  const { user, isAuthenticated } = useContext(UserContext);
+  const userId = user?.data?._id;
+
+  const [reviews, setReviews] = useState([]);
+  const [sort, setSort] = useState('helpful');
+  const [page, setPage] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Report form, open under one review at a time
+  const [reportingId, setReportingId] = useState(null);
+  const [reportReason, setReportReason] = useState(null);
+  const [reportDetails, setReportDetails] = useState('');
+  const [reported, setReported] = useState([]);
 
-  // Sample reviews data
-  const reviews = [
-    {
-      id: '1',
-      userName: 'Alice Johnson',
-      rating: 5,
-      comment: 'This course was extremely helpful and well-structured.',
-      date: 'September 20, 2023',
+  // Full-size photo being viewed
+  const [viewingImage, setViewingImage] = useState(null);
+
+  // Alert
+  const [alertVisible, setAlertVisible] = useState(false);
+  const [alertTitle, setAlertTitle] = useState('');
+  const [alertMessage, setAlertMessage] = useState('');
+  const [alertIcon, setAlertIcon] = useState('');
+
+  const showAlert = (title, message, icon) => {
+    setAlertTitle(title);
+    setAlertMessage(message);
+    setAlertIcon(icon);
+    setAlertVisible(true);
+  };
+
+  const loadReviews = useCallback(
+    async (sortKey, pageNumber) => {
+      const response = await api.getProductReviewsAPI(productId, {
+        sort: sortKey,
+        page: pageNumber,
+        limit: PAGE_SIZE,
+      });
+      if (!response.success) {
+        throw new Error(response.message);
+      }
+      setReviews((prev) => (pageNumber === 1 ? response.data : [...prev, ...response.data]));
+      setPage(pageNumber);
+      setTotal(response.total);
+      setHasMore(response.hasMore);
     },
-    // Add more reviews as needed
-  ];
-
-  const renderReviewItem = ({ item }) => (
-    <View
-      style={[
-        styles.reviewItem,
-        { backgroundColor: currentTheme.cardBackground },
-      ]}
-    >
-      <View style={styles.reviewHeader}>
-        <Text style={[styles.userName, { color: currentTheme.textColor }]}>
-          {item.userName}
+    [productId]
+  );
+
+  // First page again whenever the product or the sort order changes
+  useEffect(() => {
+    setLoading(true);
+    setError(null);
+    loadReviews(sort, 1)
+      .catch((err) => setError(err.message || 'An error occurred while fetching reviews.'))
+      .finally(() => setLoading(false));
+  }, [loadReviews, sort]);
+
+  const handleLoadMore = async () => {
+    setLoadingMore(true);
+    try {
+      await loadReviews(sort, page + 1);
+    } catch (err) {
+      showAlert('Error', err.message || 'Failed to load more reviews.', 'close-circle');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleVote = async (review, helpful) => {
+    if (!isAuthenticated) {
+      onLoginRequired?.('You need to be logged in to vote on reviews.');
+      return;
+    }
+
+    // Tapping the same vote again takes it back
+    const vote = review.myVote === helpful ? null : helpful;
+    const response = await api.voteReviewAPI(review._id, vote);
+    if (response.success) {
+      setReviews((prev) =>
+        prev.map((item) => (item._id === review._id ? { ...item, ...response.data } : item))
+      );
+    } else {
+      showAlert('Error', response.message, 'close-circle');
+    }
+  };
+
+  const openReportForm = (review) => {
+    if (!isAuthenticated) {
+      onLoginRequired?.('You need to be logged in to report a review.');
+      return;
+    }
+    setReportingId(review._id);
+    setReportReason(null);
+    setReportDetails('');
+  };
+
+  const closeReportForm = () => {
+    setReportingId(null);
+    setReportReason(null);
+    setReportDetails('');
+  };
+
+  const handleReport = async () => {
+    const response = await api.reportReviewAPI(reportingId, reportReason, reportDetails.trim());
+    if (response.success) {
+      setReported((prev) => [...prev, reportingId]);
+      closeReportForm();
+      showAlert('Review Reported', response.message, 'flag');
+    } else {
+      showAlert('Error', response.message, 'close-circle');
+    }
+  };
+
+  const renderVoteButton = (review, helpful) => {
+    const active = review.myVote === helpful;
+    const count = helpful ? review.helpfulCount : review.unhelpfulCount;
+    return (
+      <TouchableOpacity
+        style={[
+          styles.voteButton,
+          { borderColor: active ? currentTheme.primaryColor : currentTheme.borderColor },
+        ]}
+        onPress={() => handleVote(review, helpful)}
+        accessibilityLabel={helpful ? 'Mark review as helpful' : 'Mark review as not helpful'}
+        accessibilityRole="button"
+      >
+        <Ionicons
+          name={
+            helpful
+              ? active ? 'thumbs-up' : 'thumbs-up-outline'
+              : active ? 'thumbs-down' : 'thumbs-down-outline'
+          }
+          size={14}
+          color={active ? currentTheme.primaryColor : currentTheme.placeholderTextColor}
+        />
+        <Text
+          style={[
+            styles.voteCount,
+            { color: active ? currentTheme.primaryColor : currentTheme.placeholderTextColor },
+          ]}
+        >
+          {count || 0}
         </Text>
-        <View style={styles.ratingContainer}>
-          {Array.from({ length: 5 }, (_, index) => (
-            <Ionicons
-              key={index}
-              name={index < Math.floor(item.rating) ? 'star' : 'star-outline'}
-              size={16}
-              color="#FFD700"
-            />
-          ))}
-        </View>
-      </View>
-      <Text style={[styles.reviewDate, { color: currentTheme.textColor }]}>
-        {item.date}
-      </Text>
-      <Text style={[styles.reviewComment, { color: currentTheme.textColor }]}>
-        {item.comment}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderReportForm = () => (
+    <View style={[styles.reportForm, { borderColor: currentTheme.borderColor }]}>
+      <Text style={[styles.reportTitle, { color: currentTheme.textColor }]}>
+        Why are you reporting this review?
       </Text>
+      <View style={styles.chipRow}>
+        {REPORT_REASONS.map((reason) => (
+          <TouchableOpacity
+            key={reason.key}
+            style={[
+              styles.chip,
+              { borderColor: currentTheme.primaryColor },
+              reportReason === reason.key && { backgroundColor: currentTheme.primaryColor },
+            ]}
+            onPress={() => setReportReason(reason.key)}
+          >
+            <Text
+              style={[
+                styles.chipText,
+                { color: reportReason === reason.key ? '#FFFFFF' : currentTheme.primaryColor },
+              ]}
+            >
+              {reason.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <TextInput
+        style={[
+          styles.reportInput,
+          { borderColor: currentTheme.borderColor, color: currentTheme.textColor },
+        ]}
+        placeholder="Anything else the moderators should know? (optional)"
+        placeholderTextColor={currentTheme.placeholderTextColor}
+        value={reportDetails}
+        onChangeText={setReportDetails}
+        maxLength={500}
+        multiline
+      />
+      <View style={styles.reportButtons}>
+        <TouchableOpacity onPress={closeReportForm} style={styles.reportButton}>
+          <Text style={[styles.linkText, { color: currentTheme.placeholderTextColor }]}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={handleReport}
+          disabled={!reportReason}
+          style={[styles.reportButton, !reportReason && { opacity: 0.5 }]}
+        >
+          <Text style={[styles.linkText, { color: currentTheme.errorColor || '#E53935' }]}>
+            Send Report
+          </Text>
+        </TouchableOpacity>
+      </View>
     </View>
   );
 
+  const renderReview = (review) => {
+    const isOwn = userId && review.user?._id === userId;
+    return (
+      <View
+        key={review._id}
+        style={[styles.reviewItem, { backgroundColor: currentTheme.cardBackground }]}
+      >
+        <View style={styles.reviewHeader}>
+          <Image source={{ uri: review.user?.profileImage || placeholderAvatar }} style={styles.avatar} />
+          <View style={styles.userInfo}>
+            <Text style={[styles.userName, { color: currentTheme.textColor }]}>
+              {review.user?.name || 'Anonymous'}
+            </Text>
+            {review.verifiedPurchase && (
+              <View style={styles.verifiedBadge}>
+                <Ionicons name="checkmark-circle" size={14} color="#4CAF50" />
+                <Text style={styles.verifiedText}>Verified purchase</Text>
+              </View>
+            )}
+            <View style={styles.ratingContainer}>
+              {Array.from({ length: 5 }, (_, index) => (
+                <Ionicons
+                  key={index}
+                  name={index < Math.floor(review.rating) ? 'star' : 'star-outline'}
+                  size={16}
+                  color="#FFD700"
+                />
+              ))}
+            </View>
+          </View>
+        </View>
+        <Text style={[styles.reviewDate, { color: currentTheme.placeholderTextColor }]}>
+          {new Date(review.createdAt).toLocaleDateString()}
+        </Text>
+        <Text style={[styles.reviewComment, { color: currentTheme.textColor }]}>
+          {review.comment}
+        </Text>
+
+        {review.images?.length > 0 && (
+          <View style={styles.photoRow}>
+            {review.images.map((image) => (
+              <TouchableOpacity
+                key={image.asset}
+                onPress={() => setViewingImage(image.url)}
+                accessibilityLabel="View photo"
+                accessibilityRole="imagebutton"
+              >
+                <Image source={{ uri: image.thumbnailUrl || image.url }} style={styles.photo} />
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {review.reply?.comment && (
+          <View style={[styles.reply, { borderLeftColor: currentTheme.primaryColor }]}>
+            <Text style={[styles.replyTitle, { color: currentTheme.primaryColor }]}>
+              Response from the store
+            </Text>
+            <Text style={[styles.reviewComment, { color: currentTheme.textColor }]}>
+              {review.reply.comment}
+            </Text>
+          </View>
+        )}
+
+        {/* Votes and reports are for other people's reviews */}
+        {!isOwn && (
+          <View style={styles.actionsRow}>
+            <Text style={[styles.helpfulLabel, { color: currentTheme.placeholderTextColor }]}>
+              Helpful?
+            </Text>
+            {renderVoteButton(review, true)}
+            {renderVoteButton(review, false)}
+            <View style={{ flex: 1 }} />
+            {reported.includes(review._id) ? (
+              <Text style={[styles.linkText, { color: currentTheme.placeholderTextColor }]}>
+                Reported
+              </Text>
+            ) : (
+              reportingId !== review._id && (
+                <TouchableOpacity
+                  onPress={() => openReportForm(review)}
+                  accessibilityLabel="Report review"
+                  accessibilityRole="button"
+                >
+                  <Text style={[styles.linkText, { color: currentTheme.placeholderTextColor }]}>
+                    Report
+                  </Text>
+                </TouchableOpacity>
+              )
+            )}
+          </View>
+        )}
+        {reportingId === review._id && renderReportForm()}
+      </View>
+    );
+  };
+
   return (
     <View style={styles.reviewSection}>
       <Text style={[styles.sectionTitle, { color: currentTheme.textColor }]}>
-        Reviews
+        Reviews{total > 0 ? ` (${total})` : ''}
       </Text>
-      <FlatList
-        data={reviews}
-        keyExtractor={(item) => item.id}
-        renderItem={renderReviewItem}
-        contentContainerStyle={styles.reviewList}
-        ListEmptyComponent={
-          <Text style={[styles.noReviewsText, { color: currentTheme.textColor }]}>
-            No reviews yet. Be the first to review!
-          </Text>
-        }
+
+      <View style={styles.chipRow}>
+        {SORT_CHIPS.map((chip) => (
+          <TouchableOpacity
+            key={chip.key}
+            style={[
+              styles.chip,
+              { borderColor: currentTheme.primaryColor },
+              sort === chip.key && { backgroundColor: currentTheme.primaryColor },
+            ]}
+            onPress={() => setSort(chip.key)}
+            disabled={loading}
+          >
+            <Text
+              style={[
+                styles.chipText,
+                { color: sort === chip.key ? '#FFFFFF' : currentTheme.primaryColor },
+              ]}
+            >
+              {chip.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {loading ? (
+        <ActivityIndicator size="large" color={currentTheme.primaryColor} style={styles.loader} />
+      ) : error ? (
+        <Text style={[styles.errorText, { color: currentTheme.errorColor }]}>{error}</Text>
+      ) : reviews.length > 0 ? (
+        <>
+          {reviews.map(renderReview)}
+          {hasMore && (
+            <TouchableOpacity
+              style={[styles.loadMoreButton, { borderColor: currentTheme.primaryColor }]}
+              onPress={handleLoadMore}
+              disabled={loadingMore}
+            >
+              {loadingMore ? (
+                <ActivityIndicator color={currentTheme.primaryColor} />
+              ) : (
+                <Text style={[styles.loadMoreText, { color: currentTheme.primaryColor }]}>
+                  Load more reviews
+                </Text>
+              )}
+            </TouchableOpacity>
+          )}
+        </>
+      ) : (
+        <Text style={[styles.noReviewsText, { color: currentTheme.textColor }]}>
+          No reviews yet. Be the first to share your feedback!
+        </Text>
+      )}
+
+      <Modal
+        visible={Boolean(viewingImage)}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setViewingImage(null)}
+      >
+        <TouchableOpacity
+          style={styles.photoViewer}
+          activeOpacity={1}
+          onPress={() => setViewingImage(null)}
+          accessibilityLabel="Close photo"
+        >
+          {viewingImage && (
+            <Image source={{ uri: viewingImage }} style={styles.fullPhoto} resizeMode="contain" />
+          )}
+        </TouchableOpacity>
+      </Modal>
+
+      <CustomAlert
+        visible={alertVisible}
+        title={alertTitle}
+        message={alertMessage}
+        icon={alertIcon}
+        onClose={() => setAlertVisible(false)}
+        buttons={[{ text: 'OK', onPress: () => setAlertVisible(false) }]}
       />
     </View>
   );
@@ -75,46 +437,191 @@ const ReviewSection = ({ productId }) => {
 
 const styles = StyleSheet.create({
   reviewSection: {
-    marginTop: 30,
+    paddingBottom: 10,
   },
   sectionTitle: {
     fontSize: 22,
-    fontWeight: 'bold',
+    fontWeight: '700',
     marginBottom: 15,
+    textAlign: 'center',
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 10,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 15,
+    paddingVertical: 5,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
   },
-  reviewList: {
-    paddingBottom: 20,
+  loader: {
+    marginVertical: 30,
   },
   reviewItem: {
-    borderRadius: 10,
+    borderRadius: 15,
     padding: 15,
     marginBottom: 15,
+    // iOS shadow
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.08,
+    shadowRadius: 2.22,
+    // Android elevation
     elevation: 2,
   },
   reviewHeader: {
     flexDirection: 'row',
-    justifyContent: 'space-between',
     alignItems: 'center',
+    marginBottom: 10,
+  },
+  avatar: {
+    width: 50,
+    height: 50,
+    borderRadius: 25,
+  },
+  userInfo: {
+    marginLeft: 15,
+    flex: 1,
   },
   userName: {
     fontSize: 16,
-    fontWeight: 'bold',
+    fontWeight: '600',
+  },
+  verifiedBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+  },
+  verifiedText: {
+    fontSize: 12,
+    color: '#4CAF50',
+    marginLeft: 4,
   },
   ratingContainer: {
     flexDirection: 'row',
+    marginTop: 3,
   },
   reviewDate: {
     fontSize: 12,
-    marginVertical: 5,
+    marginBottom: 6,
   },
   reviewComment: {
     fontSize: 14,
     lineHeight: 20,
   },
+  photoRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 10,
+  },
+  photo: {
+    width: 64,
+    height: 64,
+    borderRadius: 8,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  photoViewer: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.9)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  fullPhoto: {
+    width: '100%',
+    height: '80%',
+  },
+  reply: {
+    marginTop: 10,
+    paddingLeft: 10,
+    borderLeftWidth: 3,
+  },
+  replyTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  actionsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  helpfulLabel: {
+    fontSize: 13,
+    marginRight: 8,
+  },
+  voteButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+    marginRight: 6,
+  },
+  voteCount: {
+    fontSize: 13,
+    marginLeft: 4,
+  },
+  linkText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  reportForm: {
+    marginTop: 10,
+    paddingTop: 10,
+    borderTopWidth: StyleSheet.hairlineWidth,
+  },
+  reportTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginBottom: 8,
+  },
+  reportInput: {
+    borderWidth: 1,
+    borderRadius: 10,
+    padding: 8,
+    minHeight: 60,
+    textAlignVertical: 'top',
+    fontSize: 14,
+  },
+  reportButtons: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 8,
+  },
+  reportButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+  },
+  loadMoreButton: {
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderWidth: 1,
+    borderRadius: 20,
+    marginBottom: 10,
+  },
+  loadMoreText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  errorText: {
+    fontSize: 16,
+    textAlign: 'center',
+    marginVertical: 20,
+  },
   noReviewsText: {
     fontSize: 16,
     textAlign: 'center',
-    marginTop: 20,
+    marginTop: 30,
   },
 });
 
@@ -1,25 +1,78 @@
 // src/contexts/CartContext.js
 
-import React, { createContext, useState, useEffect } from 'react';
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { UserContext } from './UserContext';
+import { getCart, saveCart, clearSavedCart } from '../services/api';
 
 // Create the Cart Context
 export const CartContext = createContext();
 
+// Bundles from the server use their first product's image when they have none
+const toCartItems = (items) =>
+  items.map((item) =>
+    item.itemType === 'bundle' ? { ...item, image: item.image || item.products[0]?.image } : item
+  );
+
+// What the server dropped or repriced since the buyer last looked; each
+// notice has a `reason` of 'unavailable', 'overlap' or 'priceChanged'
+const toNotices = ({ items, removed }) => [
+  ...removed,
+  ...items
+    .filter((item) => item.priceChanged)
+    .map(({ _id, name, price, previousPrice }) => ({
+      _id,
+      name,
+      price,
+      previousPrice,
+      reason: 'priceChanged',
+    })),
+];
+
 // Create a Provider Component
 export const CartProvider = ({ children }) => {
+  const { user, isAuthenticated } = useContext(UserContext);
+  const userId = isAuthenticated ? user?.data?._id : null;
+
   const [cartItems, setCartItems] = useState([]);
+  const [cartNotices, setCartNotices] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  // Latest items for callbacks kept across renders, e.g. screen focus handlers
+  const cartItemsRef = useRef(cartItems);
+  cartItemsRef.current = cartItems;
+
+  // Whose cart the local copy is (null for a guest) and whether it has
+  // changes the server has not seen yet, e.g. made while offline
+  const syncState = useRef({ owner: null, unsynced: false });
+
+  const saveSyncState = async (changes) => {
+    syncState.current = { ...syncState.current, ...changes };
+    try {
+      await AsyncStorage.setItem('@cart_sync', JSON.stringify(syncState.current));
+    } catch (error) {
+      console.error('Failed to save cart sync state to storage', error);
+    }
+  };
 
   // Load cart items from AsyncStorage on mount
   useEffect(() => {
     const loadCart = async () => {
       try {
-        const storedCart = await AsyncStorage.getItem('@cart_items');
+        const [storedCart, storedSync] = await Promise.all([
+          AsyncStorage.getItem('@cart_items'),
+          AsyncStorage.getItem('@cart_sync'),
+        ]);
         if (storedCart !== null) {
           setCartItems(JSON.parse(storedCart));
         }
+        if (storedSync !== null) {
+          syncState.current = JSON.parse(storedSync);
+        }
       } catch (error) {
         console.error('Failed to load cart items from storage', error);
+      } finally {
+        setLoaded(true);
       }
     };
     loadCart();
@@ -27,43 +80,155 @@ export const CartProvider = ({ children }) => {
 
   // Save cart items to AsyncStorage whenever they change
   useEffect(() => {
-    const saveCart = async () => {
+    if (!loaded) {
+      return;
+    }
+    const saveCartLocally = async () => {
       try {
         await AsyncStorage.setItem('@cart_items', JSON.stringify(cartItems));
       } catch (error) {
         console.error('Failed to save cart items to storage', error);
       }
     };
-    saveCart();
-  }, [cartItems]);
+    saveCartLocally();
+  }, [cartItems, loaded]);
 
-  // Function to add item to cart
+  // Take the server's checked cart and tell the buyer what changed
+  const applyServerCart = (data) => {
+    setCartItems(toCartItems(data.items));
+    setCartNotices(toNotices(data));
+  };
+
+  // Send the cart to the server; kept as unsynced and retried later if offline
+  const pushCart = async (items) => {
+    if (!userId) {
+      return;
+    }
+    const response = items.length > 0 ? await saveCart(items) : await clearSavedCart();
+    await saveSyncState({ unsynced: !response.success });
+  };
+
+  // Bring the local and saved carts together once a user is known
+  useEffect(() => {
+    if (!loaded) {
+      return;
+    }
+
+    const syncCart = async () => {
+      const { owner, unsynced } = syncState.current;
+
+      if (!userId) {
+        // Logged out: the saved cart stays on the server for next time
+        if (owner) {
+          setCartItems([]);
+          setCartNotices([]);
+          await saveSyncState({ owner: null, unsynced: false });
+        }
+        return;
+      }
+
+      let response;
+      if (!owner && cartItems.length > 0) {
+        // Guest cart on login: add it to the saved one
+        response = await saveCart(cartItems, true);
+      } else if (owner === userId && unsynced) {
+        // Changes made offline win over the saved cart
+        response = await saveCart(cartItems);
+      } else {
+        response = await getCart();
+      }
+
+      if (response.success) {
+        applyServerCart(response.data);
+        await saveSyncState({ owner: userId, unsynced: false });
+      } else if (owner !== userId) {
+        // Offline at login: keep a guest cart to merge later, but never
+        // hand another user's cart to this one
+        if (owner) {
+          setCartItems([]);
+        }
+        await saveSyncState({ owner: null, unsynced: false });
+      }
+    };
+    syncCart();
+    // Only re-run when the user or the loaded state changes
+  }, [userId, loaded]);
+
+  // Re-check prices and availability with the server, e.g. when the cart is opened
+  const refreshCart = async () => {
+    if (!userId) {
+      return;
+    }
+    const response = syncState.current.unsynced
+      ? await saveCart(cartItemsRef.current)
+      : await getCart();
+    if (response.success) {
+      applyServerCart(response.data);
+      await saveSyncState({ unsynced: false });
+    }
+  };
+
+  // Replace the cart locally and on the server
+  const updateCartItems = (items) => {
+    setCartItems(items);
+    setCartNotices([]);
+    pushCart(items);
+  };
+
+  // Ids of products already covered by bundles in the cart
+  const getBundledProductIds = () =>
+    new Set(
+      cartItems
+        .filter((cartItem) => cartItem.itemType === 'bundle')
+        .flatMap((bundle) => bundle.products.map((product) => product._id))
+    );
+
+  // Function to add item to cart (a product or a bundle)
   const addToCart = (item) => {
     const exists = cartItems.some((cartItem) => cartItem._id === item._id);
-    if (!exists) {
-      setCartItems([...cartItems, item]);
-      return true; // Indicates item was added
+    if (exists) {
+      return false; // Indicates item was already in cart
+    }
+
+    const bundledIds = getBundledProductIds();
+    if (item.itemType === 'bundle') {
+      // Two bundles may not share a product
+      if (item.products.some((product) => bundledIds.has(product._id))) {
+        return false;
+      }
+      // The bundle replaces any of its products already in the cart
+      const included = new Set(item.products.map((product) => product._id));
+      updateCartItems([...cartItems.filter((cartItem) => !included.has(cartItem._id)), item]);
+      return true;
+    }
+
+    if (bundledIds.has(item._id)) {
+      return false; // Already in the cart as part of a bundle
     }
-    return false; // Indicates item was already in cart
+    updateCartItems([...cartItems, item]);
+    return true; // Indicates item was added
   };
 
   // Function to remove item from cart
   const removeFromCart = (itemId) => {
-    setCartItems(cartItems.filter((cartItem) => cartItem._id !== itemId));
+    updateCartItems(cartItems.filter((cartItem) => cartItem._id !== itemId));
   };
 
   // Function to clear the cart
   const clearCart = () => {
-    setCartItems([]);
+    updateCartItems([]);
   };
 
   return (
     <CartContext.Provider
       value={{
         cartItems,
+        cartNotices,
         addToCart,
         removeFromCart,
         clearCart,
+        refreshCart,
+        dismissCartNotices: () => setCartNotices([]),
       }}
     >
       {children}
@@ -0,0 +1,95 @@
+// src/contexts/CurrencyContext.js
+
+import React, { createContext, useState, useEffect, useCallback } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { fetchCurrencies } from '../services/api';
+
+// Stripe's zero-decimal currencies; must match the backend's list
+const ZERO_DECIMAL = [
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF',
+];
+
+const unitFactor = (code) => (ZERO_DECIMAL.includes(code) ? 1 : 100);
+
+// Create the Currency Context
+export const CurrencyContext = createContext();
+
+// Create a Provider Component
+export const CurrencyProvider = ({ children }) => {
+  const [base, setBase] = useState('USD');
+  const [currencies, setCurrencies] = useState([]);
+  const [currency, setCurrencyState] = useState('USD');
+
+  // Load the saved choice and the current rates on mount
+  useEffect(() => {
+    const loadCurrencies = async () => {
+      try {
+        const storedCurrency = await AsyncStorage.getItem('@currency');
+        const response = await fetchCurrencies();
+        if (!response.success) {
+          return;
+        }
+        setBase(response.base);
+        setCurrencies(response.data);
+        // Fall back to the base currency if the saved one was switched off
+        if (storedCurrency && response.data.some((item) => item.code === storedCurrency)) {
+          setCurrencyState(storedCurrency);
+        } else {
+          setCurrencyState(response.base);
+        }
+      } catch (error) {
+        console.error('Failed to load currencies', error);
+      }
+    };
+    loadCurrencies();
+  }, []);
+
+  // Function to change the display and payment currency
+  const setCurrency = async (code) => {
+    setCurrencyState(code);
+    try {
+      await AsyncStorage.setItem('@currency', code);
+    } catch (error) {
+      console.error('Failed to save currency to storage', error);
+    }
+  };
+
+  const rate = currencies.find((item) => item.code === currency)?.rate || 1;
+
+  // Convert a base price the same way the backend does, so shown prices
+  // add up to what is charged
+  const convertPrice = useCallback(
+    (price) => Math.round(price * rate * unitFactor(currency)) / unitFactor(currency),
+    [rate, currency]
+  );
+
+  // Format an amount that is already in the given currency
+  const formatAmount = useCallback(
+    (amount, code = currency) =>
+      new Intl.NumberFormat(undefined, { style: 'currency', currency: code }).format(amount),
+    [currency]
+  );
+
+  // Format a base price in the selected currency
+  const formatPrice = useCallback(
+    (price) => formatAmount(convertPrice(price)),
+    [formatAmount, convertPrice]
+  );
+
+  return (
+    <CurrencyContext.Provider
+      value={{
+        base,
+        currencies: [{ code: base, name: 'Default', rate: 1 }, ...currencies],
+        currency,
+        setCurrency,
+        convertPrice,
+        formatAmount,
+        formatPrice,
+      }}
+    >
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
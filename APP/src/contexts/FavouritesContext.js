@@ -1,25 +1,62 @@
 // src/contexts/FavouritesContext.js
 
-import React, { createContext, useState, useEffect } from 'react';
+import React, { createContext, useState, useEffect, useContext, useRef, useCallback } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { UserContext } from './UserContext';
+import {
+  getWishlist,
+  saveWishlist,
+  clearSavedWishlist,
+  getNotifications,
+  markNotificationsRead,
+} from '../services/api';
 
 // Create the Favourites Context
 export const FavouritesContext = createContext();
 
 // Create a Provider Component
 export const FavouritesProvider = ({ children }) => {
+  const { user, isAuthenticated } = useContext(UserContext);
+  const userId = isAuthenticated ? user?.data?._id : null;
+
   const [favouriteItems, setFavouriteItems] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+
+  // Wishlist alerts (price drops, coupons) from the server
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  // Whose favourites the local copy is (null for a guest) and whether it has
+  // changes the server has not seen yet, e.g. made while offline
+  const syncState = useRef({ owner: null, unsynced: false });
+
+  const saveSyncState = async (changes) => {
+    syncState.current = { ...syncState.current, ...changes };
+    try {
+      await AsyncStorage.setItem('@favourite_sync', JSON.stringify(syncState.current));
+    } catch (error) {
+      console.error('Failed to save favourites sync state to storage', error);
+    }
+  };
 
   // Load favourite items from AsyncStorage on mount
   useEffect(() => {
     const loadFavourites = async () => {
       try {
-        const storedFavourites = await AsyncStorage.getItem('@favourite_items');
+        const [storedFavourites, storedSync] = await Promise.all([
+          AsyncStorage.getItem('@favourite_items'),
+          AsyncStorage.getItem('@favourite_sync'),
+        ]);
         if (storedFavourites !== null) {
           setFavouriteItems(JSON.parse(storedFavourites));
         }
+        if (storedSync !== null) {
+          syncState.current = JSON.parse(storedSync);
+        }
       } catch (error) {
         console.error('Failed to load favourite items from storage', error);
+      } finally {
+        setLoaded(true);
       }
     };
     loadFavourites();
@@ -27,6 +64,9 @@ export const FavouritesProvider = ({ children }) => {
 
   // Save favourite items to AsyncStorage whenever they change
   useEffect(() => {
+    if (!loaded) {
+      return;
+    }
     const saveFavourites = async () => {
       try {
         await AsyncStorage.setItem('@favourite_items', JSON.stringify(favouriteItems));
@@ -35,13 +75,102 @@ export const FavouritesProvider = ({ children }) => {
       }
     };
     saveFavourites();
-  }, [favouriteItems]);
+  }, [favouriteItems, loaded]);
+
+  // Fetch the latest wishlist alerts
+  const refreshNotifications = useCallback(async () => {
+    if (!userId) {
+      return;
+    }
+    const response = await getNotifications();
+    if (response.success) {
+      setNotifications(response.data);
+      setUnreadCount(response.unreadCount);
+    }
+  }, [userId]);
+
+  // Mark alerts as read (all of them when no ids are given)
+  const markAlertsRead = async (ids) => {
+    const response = await markNotificationsRead(ids);
+    if (response.success) {
+      const readAt = new Date().toISOString();
+      setNotifications((current) =>
+        current.map((notification) =>
+          !ids || ids.includes(notification._id) ? { ...notification, readAt } : notification
+        )
+      );
+      setUnreadCount((count) => (ids ? Math.max(count - ids.length, 0) : 0));
+    }
+  };
+
+  // Send the favourites to the server; kept as unsynced and retried later if offline
+  const pushFavourites = async (items) => {
+    if (!userId) {
+      return;
+    }
+    const response = items.length > 0 ? await saveWishlist(items) : await clearSavedWishlist();
+    await saveSyncState({ unsynced: !response.success });
+  };
+
+  // Bring the local and saved wishlists together once a user is known
+  useEffect(() => {
+    if (!loaded) {
+      return;
+    }
+
+    const syncFavourites = async () => {
+      const { owner, unsynced } = syncState.current;
+
+      if (!userId) {
+        // Logged out: the saved wishlist stays on the server for next time
+        setNotifications([]);
+        setUnreadCount(0);
+        if (owner) {
+          setFavouriteItems([]);
+          await saveSyncState({ owner: null, unsynced: false });
+        }
+        return;
+      }
+
+      let response;
+      if (!owner && favouriteItems.length > 0) {
+        // Guest favourites on login: add them to the saved wishlist
+        response = await saveWishlist(favouriteItems, true);
+      } else if (owner === userId && unsynced) {
+        // Changes made offline win over the saved wishlist
+        response = await saveWishlist(favouriteItems);
+      } else {
+        response = await getWishlist();
+      }
+
+      if (response.success) {
+        setFavouriteItems(response.data);
+        await saveSyncState({ owner: userId, unsynced: false });
+      } else if (owner !== userId) {
+        // Offline at login: keep guest favourites to merge later, but never
+        // hand another user's favourites to this one
+        if (owner) {
+          setFavouriteItems([]);
+        }
+        await saveSyncState({ owner: null, unsynced: false });
+      }
+      refreshNotifications();
+    };
+    syncFavourites();
+    // Only re-run when the user or the loaded state changes
+  }, [userId, loaded]);
+
+  // Replace the favourites locally and on the server
+  const updateFavouriteItems = (items) => {
+    setFavouriteItems(items);
+    pushFavourites(items);
+  };
 
   // Function to add item to favourites
   const addToFavourites = (item) => {
     const exists = favouriteItems.some((favItem) => favItem._id === item._id);
     if (!exists) {
-      setFavouriteItems([...favouriteItems, item]);
+      updateFavouriteItems([...favouriteItems, item]);
       return true; // Indicates item was added
     }
     return false; // Indicates item was already in favourites
@@ -49,12 +178,12 @@ export const FavouritesProvider = ({ children }) => {
 
   // Function to remove item from favourites
   const removeFromFavourites = (itemId) => {
-    setFavouriteItems(favouriteItems.filter((favItem) => favItem._id !== itemId));
+    updateFavouriteItems(favouriteItems.filter((favItem) => favItem._id !== itemId));
   };
 
   // Function to clear the favourites
   const clearFavourites = () => {
-    setFavouriteItems([]);
+    updateFavouriteItems([]);
   };
 
   return (
@@ -64,6 +193,10 @@ export const FavouritesProvider = ({ children }) => {
         addToFavourites,
         removeFromFavourites,
         clearFavourites,
+        notifications,
+        unreadCount,
+        refreshNotifications,
+        markAlertsRead,
       }}
     >
       {children}
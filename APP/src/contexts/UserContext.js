@@ -72,30 +72,53 @@ export const UserProvider = ({ children }) => {
 
   /**
    * Register Function
+   * The user is not logged in until the email is verified (see verifyEmail).
    * @param {object} userData
-   * @returns {Promise<object>} Success status and message
+   * @returns {Promise<object>} Success status, message and the email to verify
    */
   const register = async (userData) => {
     try {
       const response = await api.registerUser(userData);
-      if (response.success && response.data.token) {
-        const profileResponse = await api.getUserProfile();
-        if (profileResponse.success && profileResponse.data) {
-          setUser(profileResponse.data);
-          setIsAuthenticated(true);
-          return { success: true };
-        } else {
-          throw new Error(profileResponse.message || 'Failed to fetch user profile.');
-        }
-      } else {
-        return { success: false, message: response.message || 'Registration failed.' };
+      if (response.success) {
+        return {
+          success: true,
+          email: response.data.email,
+          message: response.data.message,
+        };
       }
+      return { success: false, message: response.message || 'Registration failed.' };
     } catch (error) {
       console.error('Registration Error:', error);
       return { success: false, message: error.message || 'Registration failed.' };
     }
   };
 
+  /**
+   * Verify Email Function
+   * Logs the user in (or refreshes their profile if already logged in).
+   * @param {string} email
+   * @param {string} otp
+   * @returns {Promise<object>} Success status and message
+   */
+  const verifyEmail = async (email, otp) => {
+    try {
+      const response = await api.verifyEmail(email, otp);
+      if (!response.success) {
+        return { success: false, message: response.message };
+      }
+      const profileResponse = await api.getUserProfile();
+      if (profileResponse.success && profileResponse.data) {
+        setUser(profileResponse.data);
+        setIsAuthenticated(true);
+        return { success: true };
+      }
+      throw new Error(profileResponse.message || 'Failed to fetch user profile.');
+    } catch (error) {
+      console.error('Verify Email Error:', error);
+      return { success: false, message: error.message || 'Email verification failed.' };
+    }
+  };
+
   /**
    * Logout Function
    * @returns {Promise<void>}
@@ -118,7 +141,7 @@ export const UserProvider = ({ children }) => {
   };
 
   return (
-    <UserContext.Provider value={{ user, setUser, login, register, logout, loading, isAuthenticated }}>
+    <UserContext.Provider value={{ user, setUser, login, register, verifyEmail, logout, loading, isAuthenticated }}>
       {children}
     </UserContext.Provider>
   );
@@ -155,6 +155,8 @@ const AuthStackScreen = () => (
 const AppStackScreen = () => (
   <Stack.Navigator screenOptions={{ headerShown: false }}>
     <Stack.Screen name="Main" component={MainTabNavigator} />
+    {/* Lets signed-in users verify their email, e.g. before checkout */}
+    <Stack.Screen name="Otp" component={OtpScreen} />
   </Stack.Navigator>
 );
 
@@ -1,6 +1,6 @@
 // src/screens/CartPage.js
 
-import React, { useContext, useEffect, useState } from 'react';
+import React, { useCallback, useContext, useEffect, useState } from 'react';
 import {
   View,
   Text,
@@ -11,17 +11,24 @@ import {
   Dimensions,
   StatusBar,
   SafeAreaView,
+  TextInput,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { useNavigation } from '@react-navigation/native';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { useStripe } from '@stripe/stripe-react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
-import api, { fetchPaymentIntent } from '../services/api';
+import api, {
+  fetchPaymentIntent,
+  resendVerificationEmail,
+  validateCoupon,
+} from '../services/api';
 import { ThemeContext } from '../../ThemeContext';
 import { lightTheme, darkTheme } from '../../themes';
 import { CartContext } from '../contexts/CartContext';
+import { UserContext } from '../contexts/UserContext';
+import { CurrencyContext } from '../contexts/CurrencyContext';
 import CustomAlert from '../components/CustomAlert';
 
 const { width } = Dimensions.get('window');
@@ -34,16 +41,48 @@ const CartPage = () => {
   const currentTheme = theme === 'light' ? lightTheme : darkTheme;
 
   // Cart
-  const { cartItems, removeFromCart, clearCart } = useContext(CartContext);
+  const { cartItems, cartNotices, removeFromCart, clearCart, refreshCart, dismissCartNotices } =
+    useContext(CartContext);
+  const { user } = useContext(UserContext);
+  const { currency, convertPrice, formatPrice, formatAmount } = useContext(CurrencyContext);
 
   // Stripe
   const { initPaymentSheet, presentPaymentSheet } = useStripe();
   const [loading, setLoading] = useState(false);
 
-  // Calculate total
-  const totalPrice = cartItems
-    .reduce((sum, item) => sum + parseFloat(item.price), 0)
-    .toFixed(2);
+  // Coupon
+  const [couponCode, setCouponCode] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [couponError, setCouponError] = useState('');
+  const [couponLoading, setCouponLoading] = useState(false);
+
+  // Calculate total (each line is converted on its own, as the backend does)
+  const subtotal = cartItems.reduce((sum, item) => sum + convertPrice(parseFloat(item.price)), 0);
+  const totalPrice = appliedCoupon ? appliedCoupon.totalPrice : subtotal;
+
+  // The discount was worked out for the old cart and currency, so drop it when either changes
+  useEffect(() => {
+    setAppliedCoupon(null);
+  }, [cartItems, currency]);
+
+  // Re-check prices and availability whenever the cart is opened
+  useFocusEffect(
+    useCallback(() => {
+      refreshCart();
+    }, [user])
+  );
+
+  // Explain what changed in the saved cart
+  const noticeText = (notice) => {
+    switch (notice.reason) {
+      case 'priceChanged':
+        return `${notice.name} changed price from ${formatPrice(notice.previousPrice)} to ${formatPrice(notice.price)}.`;
+      case 'overlap':
+        return `${notice.name} was removed because it shares items with another bundle in your cart.`;
+      default:
+        return `${notice.name || 'An item'} is no longer available and was removed.`;
+    }
+  };
 
   // Hide header
   useEffect(() => {
@@ -65,14 +104,16 @@ const CartPage = () => {
       <Image source={{ uri: item.image }} style={styles.cartItemImage} />
       <View style={styles.cartItemDetails}>
         <Text style={[styles.cartItemName, { color: currentTheme.cardTextColor }]}>
-          {item.examName}
+          {item.itemType === 'bundle' ? item.name : item.examName}
         </Text>
         <Text style={[styles.cartItemSubtitle, { color: currentTheme.textColor }]}>
-          {item.subjectName} ({item.subjectCode})
+          {item.itemType === 'bundle'
+            ? `Bundle of ${item.products.length} items`
+            : `${item.subjectName} (${item.subjectCode})`}
         </Text>
         <View style={styles.cartItemFooter}>
           <Text style={[styles.cartItemPrice, { color: currentTheme.priceColor }]}>
-            ${item.price}
+            {formatPrice(item.price)}
           </Text>
         </View>
       </View>
@@ -85,6 +126,29 @@ const CartPage = () => {
     </View>
   );
 
+  // Apply coupon (the server checks the code and prices the discount)
+  const handleApplyCoupon = async () => {
+    const code = couponCode.trim();
+    if (!code) return;
+
+    setCouponLoading(true);
+    setCouponError('');
+    const response = await validateCoupon(code, cartItems, currency);
+    if (response.success) {
+      setAppliedCoupon(response.data);
+    } else {
+      setAppliedCoupon(null);
+      setCouponError(response.message);
+    }
+    setCouponLoading(false);
+  };
+
+  const handleRemoveCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponCode('');
+    setCouponError('');
+  };
+
   // Checkout
   const handleCheckout = async () => {
     setLoading(true);
@@ -98,12 +162,39 @@ const CartPage = () => {
       return;
     }
 
+    // Purchases need a verified email; offer to send a code and verify now
+    if (user && user.isEmailVerified === false) {
+      setAlertTitle('Verify Your Email');
+      setAlertMessage('Please verify your email address before making a purchase.');
+      setAlertIcon('mail');
+      setAlertButtons([
+        { text: 'Later', onPress: () => setAlertVisible(false) },
+        {
+          text: 'Verify Now',
+          onPress: async () => {
+            setAlertVisible(false);
+            await resendVerificationEmail(user.email);
+            navigation.navigate('Otp', { email: user.email, purpose: 'verify-email' });
+          },
+        },
+      ]);
+      setAlertVisible(true);
+      setLoading(false);
+      return;
+    }
+
     // Get Payment Intent
-    const clientSecret = await fetchPaymentIntent(totalPrice);
-    if (!clientSecret) {
+    const paymentIntent = await fetchPaymentIntent(cartItems, appliedCoupon?.code, currency);
+    if (!paymentIntent) {
+      setAlertTitle('Payment Failed');
+      setAlertMessage('Could not start the payment. Please try again.');
+      setAlertIcon('cart-outline');
+      setAlertButtons([{ text: 'OK', onPress: () => setAlertVisible(false) }]);
+      setAlertVisible(true);
       setLoading(false);
       return;
     }
+    const { clientSecret, paymentIntentId } = paymentIntent;
 
     // Initialize Payment Sheet
     const { error: initError } = await initPaymentSheet({
@@ -136,31 +227,11 @@ const CartPage = () => {
 
     // If payment success, create order
     try {
-      const orderData = {
-        orderItems: cartItems.map((item) => ({
-          product: item._id,
-          examName: item.examName,
-          subjectName: item.subjectName,
-          subjectCode: item.subjectCode,
-          price: item.price,
-          image: item.image,
-          quantity: 1,
-        })),
-        totalPrice: parseFloat(totalPrice),
-        paymentMethod: 'Card',
-        isPaid: true,
-        paidAt: new Date(),
-        paymentResult: { clientSecret },
-      };
+      // The backend verifies the payment with Stripe and completes the order
+      const orderData = { paymentIntentId };
 
       const response = await api.createOrder(orderData);
       if (response.success && response.data) {
-        // Access pdf links if needed
-        const createdOrder = response.data;
-        createdOrder.orderItems.forEach((orderItem) => {
-          console.log(`PDF Link for ${orderItem.examName}: ${orderItem.product.pdfLink}`);
-        });
-
         setAlertTitle('Order Placed');
         setAlertMessage(
           'You have successfully purchased the products in your cart. Check your purchase history for details.'
@@ -181,11 +252,23 @@ const CartPage = () => {
         throw new Error(response.message || 'Failed to place order.');
       }
     } catch (error) {
+      // Payment went through, so Stripe's webhook will still complete the order
       console.error('Checkout Error:', error);
-      setAlertTitle('Checkout Failed');
-      setAlertMessage(error.message || 'An error occurred during checkout.');
-      setAlertIcon('close-circle');
-      setAlertButtons([{ text: 'OK', onPress: () => setAlertVisible(false) }]);
+      setAlertTitle('Payment Received');
+      setAlertMessage(
+        'Your payment was successful. Your order is being processed and will appear in your purchase history shortly.'
+      );
+      setAlertIcon('time-outline');
+      setAlertButtons([
+        {
+          text: 'OK',
+          onPress: () => {
+            setAlertVisible(false);
+            clearCart();
+            navigation.navigate('PurchaseHistory');
+          },
+        },
+      ]);
       setAlertVisible(true);
     }
     setLoading(false);
@@ -223,6 +306,26 @@ const CartPage = () => {
         </View>
       </LinearGradient>
 
+      {/* Cart changes since last visit */}
+      {cartNotices.length > 0 && (
+        <View style={[styles.noticeBanner, { backgroundColor: currentTheme.cardBackground }]}>
+          <Ionicons name="information-circle" size={22} color={currentTheme.primaryColor} />
+          <View style={styles.noticeContent}>
+            {cartNotices.map((notice) => (
+              <Text
+                key={`${notice.reason}-${notice._id}`}
+                style={[styles.noticeText, { color: currentTheme.textColor }]}
+              >
+                {noticeText(notice)}
+              </Text>
+            ))}
+          </View>
+          <TouchableOpacity onPress={dismissCartNotices} accessibilityLabel="Dismiss cart changes">
+            <Ionicons name="close" size={20} color={currentTheme.textColor} />
+          </TouchableOpacity>
+        </View>
+      )}
+
       {/* Cart Items */}
       <FlatList
         data={cartItems}
@@ -246,23 +349,85 @@ const CartPage = () => {
       {/* Footer (Total + Checkout) */}
       {cartItems.length > 0 && (
         <View style={[styles.footer, { borderTopColor: currentTheme.borderColor, backgroundColor: currentTheme.cardBackground }]}>
-          <Text style={[styles.totalText, { color: currentTheme.textColor }]}>
-            Total:{' '}
-            <Text style={{ color: currentTheme.priceColor }}>${totalPrice}</Text>
-          </Text>
-          <TouchableOpacity
-            style={[
-              styles.checkoutButton,
-              { backgroundColor: currentTheme.primaryColor },
-              loading && styles.disabledButton,
-            ]}
-            onPress={handleCheckout}
-            disabled={loading}
-          >
-            <Text style={styles.checkoutButtonText}>
-              {loading ? 'Processing...' : 'Checkout'}
-            </Text>
-          </TouchableOpacity>
+          {/* Coupon */}
+          {appliedCoupon ? (
+            <View style={styles.couponRow}>
+              <Ionicons name="pricetag" size={18} color={currentTheme.primaryColor} />
+              <Text style={[styles.couponApplied, { color: currentTheme.textColor }]}>
+                {appliedCoupon.code}: -{formatAmount(appliedCoupon.discount, appliedCoupon.currency)}
+              </Text>
+              <TouchableOpacity
+                onPress={handleRemoveCoupon}
+                accessibilityLabel="Remove coupon"
+              >
+                <Ionicons name="close-circle" size={22} color="#E53935" />
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <View style={styles.couponRow}>
+              <TextInput
+                style={[
+                  styles.couponInput,
+                  { borderColor: currentTheme.borderColor, color: currentTheme.textColor },
+                ]}
+                placeholder="Coupon code"
+                placeholderTextColor={currentTheme.placeholderTextColor}
+                value={couponCode}
+                onChangeText={(text) => {
+                  setCouponCode(text);
+                  setCouponError('');
+                }}
+                autoCapitalize="characters"
+                autoCorrect={false}
+              />
+              <TouchableOpacity
+                style={[
+                  styles.couponButton,
+                  { backgroundColor: currentTheme.primaryColor },
+                  (couponLoading || !couponCode.trim()) && styles.disabledButton,
+                ]}
+                onPress={handleApplyCoupon}
+                disabled={couponLoading || !couponCode.trim()}
+              >
+                <Text style={styles.checkoutButtonText}>
+                  {couponLoading ? '...' : 'Apply'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
+          {couponError ? <Text style={styles.couponError}>{couponError}</Text> : null}
+
+          <View style={styles.summaryRow}>
+            <View>
+              {appliedCoupon && (
+                <Text style={[styles.subtotalText, { color: currentTheme.textColor }]}>
+                  Subtotal: {formatAmount(subtotal)}
+                </Text>
+              )}
+              {appliedCoupon?.tax > 0 && (
+                <Text style={[styles.taxText, { color: currentTheme.textColor }]}>
+                  {appliedCoupon.taxRate.name}: {formatAmount(appliedCoupon.tax)}
+                </Text>
+              )}
+              <Text style={[styles.totalText, { color: currentTheme.textColor }]}>
+                Total:{' '}
+                <Text style={{ color: currentTheme.priceColor }}>{formatAmount(totalPrice)}</Text>
+              </Text>
+            </View>
+            <TouchableOpacity
+              style={[
+                styles.checkoutButton,
+                { backgroundColor: currentTheme.primaryColor },
+                loading && styles.disabledButton,
+              ]}
+              onPress={handleCheckout}
+              disabled={loading}
+            >
+              <Text style={styles.checkoutButtonText}>
+                {loading ? 'Processing...' : 'Checkout'}
+              </Text>
+            </TouchableOpacity>
+          </View>
         </View>
       )}
 
@@ -317,7 +482,7 @@ const styles = StyleSheet.create({
   },
   listContent: {
     padding: 20,
-    paddingBottom: 80,
+    paddingBottom: 160,
   },
   cartItem: {
     flexDirection: 'row',
@@ -364,10 +529,49 @@ const styles = StyleSheet.create({
     width: '100%',
     padding: 15,
     borderTopWidth: 1,
+  },
+  couponRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 10,
+  },
+  couponInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderRadius: 20,
+    paddingVertical: 6,
+    paddingHorizontal: 15,
+    marginRight: 10,
+  },
+  couponButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 20,
+  },
+  couponApplied: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    marginLeft: 8,
+  },
+  couponError: {
+    color: '#E53935',
+    fontSize: 13,
+    marginTop: -5,
+    marginBottom: 10,
+  },
+  summaryRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
     alignItems: 'center',
   },
+  subtotalText: {
+    fontSize: 13,
+    textDecorationLine: 'line-through',
+  },
+  taxText: {
+    fontSize: 13,
+  },
   totalText: {
     fontSize: 16,
     fontWeight: 'bold',
@@ -389,6 +593,23 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginTop: 50,
   },
+  noticeBanner: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    marginHorizontal: 15,
+    marginTop: 10,
+    padding: 12,
+    borderRadius: 10,
+    elevation: 2,
+  },
+  noticeContent: {
+    flex: 1,
+    marginHorizontal: 10,
+  },
+  noticeText: {
+    fontSize: 14,
+    marginBottom: 2,
+  },
   emptyText: {
     fontSize: 16,
     marginTop: 15,
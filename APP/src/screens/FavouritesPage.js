@@ -1,6 +1,6 @@
 // src/screens/FavouritesPage.js
 
-import React, { useContext, useEffect, useState } from 'react';
+import React, { useCallback, useContext, useEffect, useState } from 'react';
 import {
   View,
   Text,
@@ -13,12 +13,13 @@ import {
   SafeAreaView,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { useNavigation } from '@react-navigation/native';
+import { useFocusEffect, useNavigation } from '@react-navigation/native';
 import { LinearGradient } from 'expo-linear-gradient';
 
 import { ThemeContext } from '../../ThemeContext';
 import { lightTheme, darkTheme } from '../../themes';
 import { FavouritesContext } from '../contexts/FavouritesContext';
+import { CurrencyContext } from '../contexts/CurrencyContext';
 import CustomAlert from '../components/CustomAlert';
 
 const { width } = Dimensions.get('window');
@@ -31,8 +32,16 @@ const FavouritesPage = () => {
   const currentTheme = theme === 'light' ? lightTheme : darkTheme;
 
   // Favourites
-  const { favouriteItems, removeFromFavourites, clearFavourites } =
-    useContext(FavouritesContext);
+  const {
+    favouriteItems,
+    removeFromFavourites,
+    clearFavourites,
+    notifications,
+    unreadCount,
+    refreshNotifications,
+    markAlertsRead,
+  } = useContext(FavouritesContext);
+  const { formatPrice } = useContext(CurrencyContext);
 
   // CustomAlert
   const [alertVisible, setAlertVisible] = useState(false);
@@ -46,6 +55,63 @@ const FavouritesPage = () => {
     navigation.setOptions({ headerShown: false });
   }, [navigation]);
 
+  // Check for new price drops and coupons whenever the screen is opened
+  useFocusEffect(
+    useCallback(() => {
+      refreshNotifications();
+    }, [refreshNotifications])
+  );
+
+  // Latest wishlist alerts above the list
+  const renderAlerts = () =>
+    notifications.length > 0 && (
+      <View style={[styles.alertsContainer, { backgroundColor: currentTheme.cardBackground }]}>
+        <View style={styles.alertsHeader}>
+          <Text style={[styles.alertsTitle, { color: currentTheme.cardTextColor }]}>
+            Wishlist Alerts
+          </Text>
+          {unreadCount > 0 && (
+            <TouchableOpacity
+              onPress={() => markAlertsRead()}
+              accessibilityLabel="Mark all alerts as read"
+            >
+              <Text style={[styles.markReadText, { color: currentTheme.primaryColor }]}>
+                Mark all as read
+              </Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        {notifications.slice(0, 5).map((notification) => (
+          <TouchableOpacity
+            key={notification._id}
+            style={styles.alertRow}
+            onPress={() => !notification.readAt && markAlertsRead([notification._id])}
+            accessibilityLabel={notification.message}
+          >
+            <Ionicons
+              name={notification.type === 'coupon' ? 'pricetag' : 'trending-down'}
+              size={20}
+              color={notification.readAt ? currentTheme.placeholderTextColor : currentTheme.primaryColor}
+            />
+            <View style={styles.alertContent}>
+              <Text
+                style={[
+                  styles.alertTitle,
+                  { color: currentTheme.cardTextColor },
+                  !notification.readAt && styles.unreadText,
+                ]}
+              >
+                {notification.title}
+              </Text>
+              <Text style={[styles.alertMessage, { color: currentTheme.textColor }]}>
+                {notification.message}
+              </Text>
+            </View>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+
   // Render single favourite item
   const renderItem = ({ item }) => (
     <View
@@ -59,6 +125,9 @@ const FavouritesPage = () => {
         <Text style={[styles.itemSubtitle, { color: currentTheme.textColor }]}>
           {item.subjectName} ({item.subjectCode})
         </Text>
+        <Text style={[styles.itemPrice, { color: currentTheme.priceColor }]}>
+          {formatPrice(item.price)}
+        </Text>
       </View>
       <TouchableOpacity
         onPress={() => removeFromFavourites(item._id)}
@@ -122,6 +191,7 @@ const FavouritesPage = () => {
         keyExtractor={(item) => item._id.toString()}
         renderItem={renderItem}
         contentContainerStyle={styles.listContent}
+        ListHeaderComponent={renderAlerts()}
         ListEmptyComponent={
           <View style={styles.emptyContainer}>
             <Ionicons name="heart-outline" size={80} color={currentTheme.placeholderTextColor} />
@@ -221,6 +291,51 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginTop: 2,
   },
+  itemPrice: {
+    fontSize: 14,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  alertsContainer: {
+    padding: 12,
+    marginBottom: 15,
+    borderRadius: 10,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  alertsHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  alertsTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  markReadText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  alertRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 6,
+  },
+  alertContent: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  alertTitle: {
+    fontSize: 14,
+  },
+  unreadText: {
+    fontWeight: 'bold',
+  },
+  alertMessage: {
+    fontSize: 13,
+    marginTop: 2,
+  },
   footer: {
     position: 'absolute',
     bottom: 0,
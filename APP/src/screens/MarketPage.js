@@ -1,6 +1,6 @@
 // src/screens/MarketPage.js
 
-import React, { useState, useContext, useEffect, useCallback } from 'react';
+import React, { useState, useContext, useEffect, useCallback, useRef } from 'react';
 import {
   View,
   Text,
@@ -26,10 +26,22 @@ import { ThemeContext } from '../../ThemeContext';
 import { lightTheme, darkTheme } from '../../themes';
 import { CartContext } from '../contexts/CartContext';
 import { FavouritesContext } from '../contexts/FavouritesContext';
+import { CurrencyContext } from '../contexts/CurrencyContext';
 import CustomHeader from '../components/CustomHeader';
 import CustomAlert from '../components/CustomAlert';
 
-import { fetchProducts } from '../services/api';
+import { fetchProducts, fetchBundles } from '../services/api';
+
+const PAGE_SIZE = 20;
+
+// Sort menu labels -> catalog API `sort` values (Default lets the server choose)
+const SORT_PARAMS = {
+  Default: undefined,
+  'Name (A-Z)': 'name_asc',
+  'Name (Z-A)': 'name_desc',
+  'Price (Low to High)': 'price_asc',
+  'Price (High to Low)': 'price_desc',
+};
 
 const MarketPage = () => {
   const navigation = useNavigation();
@@ -42,10 +54,16 @@ const MarketPage = () => {
   const { addToCart } = useContext(CartContext);
   const { favouriteItems, addToFavourites, removeFromFavourites } =
     useContext(FavouritesContext);
+  const { formatPrice } = useContext(CurrencyContext);
 
-  // Product Data
+  // Product Data (loaded page by page from the server)
   const [products, setProducts] = useState([]);
-  const [filteredData, setFilteredData] = useState([]);
+  const [bundles, setBundles] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Ignore responses from superseded searches
+  const requestIdRef = useRef(0);
 
   // States
   const [searchQuery, setSearchQuery] = useState('');
@@ -67,29 +85,43 @@ const MarketPage = () => {
   // For responsive columns
   const { width } = useWindowDimensions();
 
-  // Fetch All Products
-  const fetchAllProducts = async (isRefreshing = false) => {
+  // Fetch a page of products for the current search and sort
+  const loadProducts = async ({
+    reset = false,
+    isRefreshing = false,
+    query = searchQuery,
+    option = sortOption,
+  } = {}) => {
+    const requestId = ++requestIdRef.current;
+    const nextPage = reset ? 1 : page + 1;
+
     try {
       if (isRefreshing) setRefreshing(true);
-      else setLoading(true);
+      else if (reset) setLoading(true);
+      else setLoadingMore(true);
 
-      const response = await fetchProducts();
+      const response = await fetchProducts({
+        q: query.trim() || undefined,
+        sort: SORT_PARAMS[option],
+        page: nextPage,
+        limit: PAGE_SIZE,
+      });
 
-      if (isRefreshing) setRefreshing(false);
-      else setLoading(false);
+      if (requestId !== requestIdRef.current) return;
 
       if (response.success) {
-        setProducts(response.data.data);
-        setFilteredData(sortData(response.data.data, sortOption));
+        const { data, hasMore: more } = response.data;
+        setProducts((prev) => (reset ? data : [...prev, ...data]));
+        setPage(nextPage);
+        setHasMore(more);
         setError(null);
       } else {
         throw new Error(response.message);
       }
     } catch (err) {
+      if (requestId !== requestIdRef.current) return;
       console.error('Fetch error:', err);
       setError(err.message);
-      setLoading(false);
-      setRefreshing(false);
 
       // Show error alert with retry
       setAlertTitle('Error');
@@ -100,18 +132,59 @@ const MarketPage = () => {
           text: 'Retry',
           onPress: () => {
             setAlertVisible(false);
-            fetchAllProducts(isRefreshing);
+            loadProducts({ reset, isRefreshing, query, option });
           },
         },
       ]);
       setAlertVisible(true);
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setRefreshing(false);
+        setLoadingMore(false);
+      }
     }
   };
 
+  // Bundles are few, so they are loaded once and filtered on the device
+  const loadBundles = async () => {
+    const response = await fetchBundles();
+    if (response.success) {
+      setBundles(
+        response.data.data.map((bundle) => ({
+          ...bundle,
+          itemType: 'bundle',
+          image: bundle.image || bundle.products[0]?.image,
+        }))
+      );
+    }
+  };
+
+  const fetchAllProducts = (isRefreshing = false) => {
+    loadBundles();
+    return loadProducts({ reset: true, isRefreshing });
+  };
+
+  // Bundles matching the search are listed ahead of the products
+  const matchingBundles = bundles.filter((bundle) => {
+    const query = searchQuery.trim().toLowerCase();
+    if (!query) return true;
+    return [bundle.name, bundle.subjectCode, ...bundle.products.map((p) => p.subjectName)]
+      .filter(Boolean)
+      .some((text) => text.toLowerCase().includes(query));
+  });
+
   useEffect(() => {
     fetchAllProducts();
   }, []);
 
+  // Infinite scroll
+  const handleEndReached = () => {
+    if (hasMore && !loading && !loadingMore && !refreshing) {
+      loadProducts();
+    }
+  };
+
   // Responsive Columns
   const getNumberOfColumns = () => {
     if (width <= 375) return 1; // Small screens
@@ -122,46 +195,22 @@ const MarketPage = () => {
 
   const numColumns = getNumberOfColumns();
 
-  // Sorting
-  const sortData = (dataToSort, option) => {
-    let sortedData = [...dataToSort];
-    if (option === 'Name (A-Z)') {
-      sortedData.sort((a, b) => a.name.localeCompare(b.name));
-    } else if (option === 'Name (Z-A)') {
-      sortedData.sort((a, b) => b.name.localeCompare(a.name));
-    } else if (option === 'Price (Low to High)') {
-      sortedData.sort((a, b) => parseFloat(a.price) - parseFloat(b.price));
-    } else if (option === 'Price (High to Low)') {
-      sortedData.sort((a, b) => parseFloat(b.price) - parseFloat(a.price));
-    }
-    return sortedData;
-  };
-
+  // Sorting (server-side)
   const handleSortOption = (option) => {
     setSortOption(option);
-    setFilteredData(sortData(filteredData, option));
     setSortModalVisible(false);
+    loadProducts({ reset: true, option });
   };
 
-  // Debounced Search
-  const filterData = (text) => {
-    const newData = products.filter((item) => {
-      const itemData = `
-        ${item.subjectName.toUpperCase()}
-        ${item.subjectCode.toUpperCase()}
-        ${item.name.toUpperCase()}
-      `;
-      const textData = text.toUpperCase();
-      return itemData.indexOf(textData) > -1;
-    });
-    setFilteredData(sortData(newData, sortOption));
-  };
-
-  const debouncedFilter = useCallback(debounce(filterData, 300), [products, sortOption]);
+  // Debounced server-side search
+  const debouncedSearch = useCallback(
+    debounce((text, option) => loadProducts({ reset: true, query: text, option }), 300),
+    []
+  );
 
   const handleSearch = (text) => {
     setSearchQuery(text);
-    debouncedFilter(text);
+    debouncedSearch(text, sortOption);
   };
 
   // Add to Cart
@@ -173,7 +222,11 @@ const MarketPage = () => {
       setAlertIcon('cart');
     } else {
       setAlertTitle('Info');
-      setAlertMessage(`${item.name} is already in your cart.`);
+      setAlertMessage(
+        item.itemType === 'bundle'
+          ? `${item.name} or some of its products are already in your cart.`
+          : `${item.name} is already in your cart.`
+      );
       setAlertIcon('information-circle');
     }
     setAlertButtons([
@@ -208,8 +261,69 @@ const MarketPage = () => {
     setAlertVisible(true);
   };
 
+  // Render a bundle card: its products, the bundle price and the saving
+  const renderBundle = (item) => {
+    const fullPrice = item.products.reduce((sum, product) => sum + product.price, 0);
+
+    return (
+      <View style={[styles.card, { backgroundColor: currentTheme.cardBackground, width: getCardWidth() }]}>
+        <View style={styles.cardTouchable}>
+          <Image source={{ uri: item.image }} style={styles.cardImage} resizeMode="cover" />
+
+          <View style={[styles.bundleBadge, { backgroundColor: currentTheme.primaryColor }]}>
+            <Ionicons name="layers" size={14} color="#FFFFFF" />
+            <Text style={styles.bundleBadgeText}>Bundle</Text>
+          </View>
+
+          <View style={styles.cardContent}>
+            <Text style={[styles.cardTitle, { color: currentTheme.cardTextColor }]}>
+              {item.name}
+            </Text>
+            <Text style={[styles.cardSubtitle, { color: currentTheme.textColor }]}>
+              {item.products.length} items{item.subjectCode ? ` (${item.subjectCode})` : ''}
+            </Text>
+            {item.products.slice(0, 3).map((product) => (
+              <Text
+                key={product._id}
+                style={[styles.bundleProduct, { color: currentTheme.textColor }]}
+                numberOfLines={1}
+              >
+                • {product.name}
+              </Text>
+            ))}
+            {item.products.length > 3 && (
+              <Text style={[styles.bundleProduct, { color: currentTheme.textColor }]}>
+                + {item.products.length - 3} more
+              </Text>
+            )}
+
+            <Text style={[styles.cardPrice, { color: currentTheme.cardTextColor }]}>
+              {formatPrice(item.price)}
+              {fullPrice > item.price && (
+                <Text style={[styles.bundleFullPrice, { color: currentTheme.textColor }]}>
+                  {'  '}{formatPrice(fullPrice)}
+                </Text>
+              )}
+            </Text>
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.cartIcon, { backgroundColor: currentTheme.primaryColor }]}
+          onPress={() => handleAddToCart(item)}
+        >
+          <Ionicons name="cart-outline" size={24} color="#FFFFFF" />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
   // Render a single product card
   const renderItem = ({ item }) => {
+    if (item.itemType === 'bundle') {
+      return renderBundle(item);
+    }
+
     const isFavorite = favouriteItems.some((favItem) => favItem._id === item._id);
 
     return (
@@ -260,7 +374,7 @@ const MarketPage = () => {
 
             {/* Price */}
             <Text style={[styles.cardPrice, { color: currentTheme.cardTextColor }]}>
-              ${item.price}
+              {formatPrice(item.price)}
             </Text>
           </View>
         </TouchableOpacity>
@@ -284,13 +398,11 @@ const MarketPage = () => {
   };
 
   useEffect(() => {
-    // Sort initially based on default
-    setFilteredData(sortData(products, sortOption));
     // Cleanup
     return () => {
-      debouncedFilter.cancel();
+      debouncedSearch.cancel();
     };
-  }, [products]);
+  }, []);
 
   return (
     <View style={[styles.container, { backgroundColor: currentTheme.backgroundColor }]}>
@@ -417,7 +529,7 @@ const MarketPage = () => {
       {/* Product List */}
       {!error && (
         <FlatList
-          data={filteredData}
+          data={[...matchingBundles, ...products]}
           keyExtractor={(item) => item._id}
           renderItem={renderItem}
           contentContainerStyle={[
@@ -438,6 +550,16 @@ const MarketPage = () => {
               </View>
             )
           }
+          onEndReached={handleEndReached}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={
+            loadingMore ? (
+              <ActivityIndicator
+                style={styles.listFooter}
+                color={currentTheme.primaryColor}
+              />
+            ) : null
+          }
           numColumns={numColumns}
           showsVerticalScrollIndicator={false}
           keyboardShouldPersistTaps="handled"
@@ -633,6 +755,31 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginTop: 6,
   },
+  bundleBadge: {
+    position: 'absolute',
+    top: 10,
+    left: 10,
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+  },
+  bundleBadgeText: {
+    color: '#FFFFFF',
+    fontSize: 12,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  bundleProduct: {
+    fontSize: 12,
+    marginBottom: 2,
+  },
+  bundleFullPrice: {
+    fontSize: 13,
+    fontWeight: 'normal',
+    textDecorationLine: 'line-through',
+  },
   cartIcon: {
     position: 'absolute',
     bottom: 10,
@@ -684,4 +831,7 @@ const styles = StyleSheet.create({
     fontSize: 18,
     marginTop: 15,
   },
+  listFooter: {
+    marginVertical: 20,
+  },
 });
@@ -28,7 +28,7 @@ const NewPasswordScreen = () => {
   const [newPassword, setNewPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
   const route = useRoute();
-  const { email } = route.params;
+  const { resetToken } = route.params;
 
   // Password visibility states
   const [secureEntry, setSecureEntry] = useState(true);
@@ -138,12 +138,10 @@ const NewPasswordScreen = () => {
     setError('');
 
     try {
-      console.log(email, newPassword);
-
-      const response = await resetPassword(email, newPassword);
+      const response = await resetPassword(resetToken, newPassword);
       setLoading(false);
 
-      if (response) {
+      if (response.success) {
         // Use CustomAlert instead of Alert.alert
         setAlertTitle('Success');
         setAlertMessage('Your password has been updated successfully!');
@@ -159,7 +157,7 @@ const NewPasswordScreen = () => {
         ]);
         setAlertVisible(true);
       } else {
-        setError('Failed to update password. Please try again later.');
+        setError(response.message || 'Failed to update password. Please try again later.');
       }
     } catch (err) {
       setLoading(false);
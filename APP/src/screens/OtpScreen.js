@@ -15,7 +15,7 @@ import {
   Vibration,
   useWindowDimensions,
 } from 'react-native';
-import { verifyOtp, forgotPassword } from '../services/api';
+import { verifyOtp, forgotPassword, resendVerificationEmail } from '../services/api';
 import { useNavigation, useRoute } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons'; // Updated Import for Expo
 import { LinearGradient } from 'expo-linear-gradient';
@@ -23,6 +23,7 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { ThemeContext } from '../../ThemeContext';
 import { lightTheme, darkTheme } from '../../themes';
 import CustomAlert from '../components/CustomAlert'; // Import CustomAlert
+import { UserContext } from '../contexts/UserContext';
 
 const OtpScreen = () => {
   const [otp, setOtp] = useState(['', '', '', '', '', '']); // For a 6-digit OTP
@@ -33,7 +34,10 @@ const OtpScreen = () => {
   const navigation = useNavigation();
   const route = useRoute();
 
-  const { email } = route.params;
+  // The same screen verifies password-reset OTPs and new email addresses
+  const { email, purpose = 'reset-password' } = route.params;
+  const isEmailVerification = purpose === 'verify-email';
+  const { verifyEmail, isAuthenticated } = useContext(UserContext);
 
   // Get theme from context
   const { theme } = useContext(ThemeContext);
@@ -129,13 +133,28 @@ const OtpScreen = () => {
     setError('');
 
     try {
+      if (isEmailVerification) {
+        const response = await verifyEmail(email, otpString);
+        setLoading(false);
+
+        if (!response.success) {
+          setError(response.message || 'Invalid code. Please try again.');
+          triggerShake();
+          Vibration.vibrate(500);
+        } else if (isAuthenticated) {
+          // Verified from inside the app (e.g. at checkout): go back there
+          navigation.goBack();
+        }
+        // Otherwise the user is now logged in and the navigator shows the app
+        return;
+      }
+
       const response = await verifyOtp(email, otpString);
       setLoading(false);
-      console.log(response);
-      
 
       if (response.success) {
-        navigation.navigate('NewPassword', { email: email });
+        // The reset token ties the new password to this verified OTP
+        navigation.navigate('NewPassword', { resetToken: response.data.resetToken });
         // Use CustomAlert to display success message
         setAlertTitle('Success');
         setAlertMessage('OTP verified successfully!');
@@ -148,7 +167,7 @@ const OtpScreen = () => {
         ]);
         setAlertVisible(true);
       } else {
-        setError('Invalid OTP. Please try again.');
+        setError(response.message || 'Invalid OTP. Please try again.');
         triggerShake();
         Vibration.vibrate(500);
       }
@@ -170,10 +189,12 @@ const OtpScreen = () => {
     setError('');
 
     try {
-      const response = await forgotPassword(email);
+      const response = isEmailVerification
+        ? await resendVerificationEmail(email)
+        : await forgotPassword(email);
       setLoading(false);
 
-      if (response) {
+      if (response && response.success !== false) {
         // Use CustomAlert to display success message
         setAlertTitle('Success');
         setAlertMessage('A new OTP has been sent to your email.');
@@ -271,11 +292,13 @@ const OtpScreen = () => {
               color={currentTheme.primaryColor}
             />
             <Text style={[styles.title, { color: currentTheme.textColor }]}>
-              Verify OTP
+              {isEmailVerification ? 'Verify Email' : 'Verify OTP'}
             </Text>
           </Animated.View>
           <Text style={[styles.instructions, { color: currentTheme.textColor }]}>
-            Please enter the OTP sent to your email.
+            {isEmailVerification
+              ? `Please enter the verification code sent to ${email}.`
+              : 'Please enter the OTP sent to your email.'}
           </Text>
           <View style={[styles.otpContainer, { gap: getOtpInputGap() }]}>
             {otp.map((digit, index) => (
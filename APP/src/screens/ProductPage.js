@@ -22,6 +22,7 @@ import { ThemeContext } from '../../ThemeContext';
 import { lightTheme, darkTheme } from '../../themes';
 import { CartContext } from '../contexts/CartContext';
 import { FavouritesContext } from '../contexts/FavouritesContext';
+import { CurrencyContext } from '../contexts/CurrencyContext';
 import CustomAlert from '../components/CustomAlert';
 
 const { width } = Dimensions.get('window');
@@ -36,6 +37,7 @@ const ProductPage = () => {
 
   // FavouritesContext
   const { favouriteItems, addToFavourites, removeFromFavourites } = useContext(FavouritesContext);
+  const { formatPrice } = useContext(CurrencyContext);
   const isFavourite = favouriteItems.some((favItem) => favItem._id === item._id);
 
   // Theme
@@ -192,7 +194,7 @@ const ProductPage = () => {
 
           {/* Price */}
           <Text style={[styles.productPrice, { color: currentTheme.priceColor }]}>
-            ${item.price}
+            {formatPrice(item.price)}
           </Text>
 
           {/* Description */}
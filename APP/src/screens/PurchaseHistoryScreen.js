@@ -14,6 +14,7 @@ import {
   Modal,
   ScrollView,
   RefreshControl,
+  Linking,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
@@ -24,6 +25,7 @@ import * as FileSystem from 'expo-file-system';
 
 import api from '../services/api';
 import { ThemeContext } from '../../ThemeContext';
+import { CurrencyContext } from '../contexts/CurrencyContext';
 import { lightTheme, darkTheme } from '../../themes';
 import CustomAlert from '../components/CustomAlert';
 
@@ -34,6 +36,7 @@ const ProductHistoryPage = () => {
 
   // Theme
   const { theme } = useContext(ThemeContext);
+  const { formatAmount } = useContext(CurrencyContext);
   const currentTheme = theme === 'light' ? lightTheme : darkTheme;
 
   // Orders
@@ -118,8 +121,20 @@ const ProductHistoryPage = () => {
 
   // Generate receipt HTML
   const generateReceiptHTML = (order) => {
-    const { _id, createdAt, status, orderItems, totalPrice, paymentMethod } =
-      order;
+    const {
+      _id,
+      createdAt,
+      status,
+      orderItems,
+      subtotal,
+      discountAmount,
+      taxAmount,
+      taxRate,
+      totalPrice,
+      paymentMethod,
+      currency,
+      invoiceNumber,
+    } = order;
     return `
       <html>
         <head>
@@ -137,6 +152,11 @@ const ProductHistoryPage = () => {
         <body>
           <h1>Receipt</h1>
           <div class="section">
+            ${
+              invoiceNumber
+                ? `<div class="item"><span class="label">Invoice:</span><span>${invoiceNumber}</span></div>`
+                : ''
+            }
             <div class="item"><span class="label">Order ID:</span><span>${_id}</span></div>
             <div class="item"><span class="label">Date:</span><span>${new Date(
               createdAt
@@ -152,12 +172,27 @@ const ProductHistoryPage = () => {
                 (item, index) => `
               <div class="item">
                 <span>${index + 1}. ${item.examName} (${item.subjectName})</span>
-                <span>$${item.price.toFixed(2)}</span>
+                <span>${formatAmount(item.price, currency)}</span>
               </div>
             `
               )
               .join('')}
-            <div class="total">Total Price: $${totalPrice.toFixed(2)}</div>
+            ${
+              subtotal !== undefined
+                ? `<div class="item"><span>Subtotal</span><span>${formatAmount(subtotal, currency)}</span></div>`
+                : ''
+            }
+            ${
+              discountAmount > 0
+                ? `<div class="item"><span>Discount</span><span>-${formatAmount(discountAmount, currency)}</span></div>`
+                : ''
+            }
+            ${
+              taxRate && taxRate.name
+                ? `<div class="item"><span>${taxRate.name} (${taxRate.rate}%)</span><span>${formatAmount(taxAmount || 0, currency)}</span></div>`
+                : ''
+            }
+            <div class="total">Total Price: ${formatAmount(totalPrice, currency)}</div>
           </div>
           <div class="section">
             <div class="item"><span class="label">Payment Method:</span><span>${paymentMethod}</span></div>
@@ -191,9 +226,18 @@ const ProductHistoryPage = () => {
     }
   };
 
-  // Generate & download receipt
+  // Download the invoice PDF from the server; orders from before invoicing
+  // fall back to a receipt generated on the device
   const handleDownloadReceipt = async (order) => {
     try {
+      if (order.invoiceNumber) {
+        const response = await api.downloadInvoice(order._id, order.invoiceNumber);
+        if (!response.success) {
+          throw new Error(response.message);
+        }
+        await Sharing.shareAsync(response.data.uri, { UTI: '.pdf', mimeType: 'application/pdf' });
+        return;
+      }
       const html = generateReceiptHTML(order);
       const { uri } = await Print.printToFileAsync({ html });
       await Sharing.shareAsync(uri, { UTI: '.pdf', mimeType: 'application/pdf' });
@@ -224,12 +268,20 @@ const ProductHistoryPage = () => {
     setModalVisible(false);
   };
 
-  // View or download PDF from link
-  const handleViewPDF = async (pdfLink) => {
+  // Request a short-lived signed link for a purchased PDF
+  const fetchDownloadUrl = async (orderId, productId) => {
+    const response = await api.getDownloadLink(orderId, productId);
+    if (!response.success || !response.data?.url) {
+      throw new Error(response.message || 'Failed to get download link.');
+    }
+    return response.data.url;
+  };
+
+  // View or download PDF through a signed link
+  const handleViewPDF = async (orderId, productId) => {
     try {
-      const supported = await Linking.canOpenURL(pdfLink);
-      if (supported) await Linking.openURL(pdfLink);
-      else throw new Error('Cannot open the PDF link.');
+      const url = await fetchDownloadUrl(orderId, productId);
+      await Linking.openURL(`${url}?inline=1`);
     } catch (error) {
       console.error('View PDF Error:', error);
       setAlertTitle('Error');
@@ -240,13 +292,12 @@ const ProductHistoryPage = () => {
     }
   };
 
-  const handleDownloadPDF = async (pdfLink) => {
+  const handleDownloadPDF = async (orderId, productId, fileName) => {
     try {
-      const uri = pdfLink;
-      const fileName = uri.split('/').pop();
+      const uri = await fetchDownloadUrl(orderId, productId);
       const downloadResumable = FileSystem.createDownloadResumable(
         uri,
-        FileSystem.documentDirectory + fileName
+        FileSystem.documentDirectory + `${fileName}.pdf`
       );
       const { uri: localUri } = await downloadResumable.downloadAsync();
       await Sharing.shareAsync(localUri);
@@ -286,20 +337,27 @@ const ProductHistoryPage = () => {
               <Text style={[styles.purchasedItemSubtitle, { color: currentTheme.textColor }]}>
                 {orderItem.subjectName} ({orderItem.subjectCode})
               </Text>
+              {orderItem.bundleName && (
+                <Text style={[styles.purchasedItemSubtitle, { color: currentTheme.textColor }]}>
+                  Part of {orderItem.bundleName}
+                </Text>
+              )}
               <Text style={[styles.purchasedItemPrice, { color: currentTheme.priceColor }]}>
-                ${orderItem.price.toFixed(2)}
+                {formatAmount(orderItem.price, item.currency)}
               </Text>
               <View style={styles.pdfIconsContainer}>
                 {/* View PDF Icon */}
                 <TouchableOpacity
-                  onPress={() => handleViewPDF(orderItem.product.pdfLink)}
+                  onPress={() => handleViewPDF(item._id, orderItem.product._id)}
                   style={styles.pdfIconButton}
                 >
                   <Ionicons name="eye-outline" size={24} color={currentTheme.cardTextColor} />
                 </TouchableOpacity>
                 {/* Download PDF Icon */}
                 <TouchableOpacity
-                  onPress={() => handleDownloadPDF(orderItem.product.pdfLink)}
+                  onPress={() =>
+                    handleDownloadPDF(item._id, orderItem.product._id, orderItem.subjectCode)
+                  }
                   style={styles.pdfIconButton}
                 >
                   <Ionicons
@@ -434,6 +492,16 @@ const ProductHistoryPage = () => {
                 </View>
 
                 <ScrollView contentContainerStyle={styles.modalContent}>
+                  {selectedOrder.invoiceNumber && (
+                    <View style={styles.modalSection}>
+                      <Text style={[styles.modalLabel, { color: currentTheme.secondaryColor }]}>
+                        Invoice:
+                      </Text>
+                      <Text style={[styles.modalText, { color: currentTheme.textColor }]}>
+                        {selectedOrder.invoiceNumber}
+                      </Text>
+                    </View>
+                  )}
                   <View style={styles.modalSection}>
                     <Text style={[styles.modalLabel, { color: currentTheme.secondaryColor }]}>
                       Order ID:
@@ -471,7 +539,7 @@ const ProductHistoryPage = () => {
                           {index + 1}. {item.examName} ({item.subjectName})
                         </Text>
                         <Text style={[styles.itemPrice, { color: currentTheme.textColor }]}>
-                          ${item.price.toFixed(2)}
+                          {formatAmount(item.price, selectedOrder.currency)}
                         </Text>
                       </View>
                     ))}
@@ -480,12 +548,42 @@ const ProductHistoryPage = () => {
                   <View
                     style={[styles.separator, { borderBottomColor: currentTheme.borderColor }]}
                   />
+                  {selectedOrder.subtotal !== undefined && (
+                    <View style={styles.itemRow}>
+                      <Text style={[styles.itemName, { color: currentTheme.textColor }]}>
+                        Subtotal
+                      </Text>
+                      <Text style={[styles.itemPrice, { color: currentTheme.textColor }]}>
+                        {formatAmount(selectedOrder.subtotal, selectedOrder.currency)}
+                      </Text>
+                    </View>
+                  )}
+                  {selectedOrder.discountAmount > 0 && (
+                    <View style={styles.itemRow}>
+                      <Text style={[styles.itemName, { color: currentTheme.textColor }]}>
+                        Discount
+                      </Text>
+                      <Text style={[styles.itemPrice, { color: currentTheme.textColor }]}>
+                        -{formatAmount(selectedOrder.discountAmount, selectedOrder.currency)}
+                      </Text>
+                    </View>
+                  )}
+                  {selectedOrder.taxRate?.name && (
+                    <View style={styles.itemRow}>
+                      <Text style={[styles.itemName, { color: currentTheme.textColor }]}>
+                        {selectedOrder.taxRate.name} ({selectedOrder.taxRate.rate}%)
+                      </Text>
+                      <Text style={[styles.itemPrice, { color: currentTheme.textColor }]}>
+                        {formatAmount(selectedOrder.taxAmount || 0, selectedOrder.currency)}
+                      </Text>
+                    </View>
+                  )}
                   <View style={styles.modalSection}>
                     <Text style={[styles.modalLabel, { color: currentTheme.secondaryColor }]}>
                       Total Price:
                     </Text>
                     <Text style={[styles.modalTotal, { color: currentTheme.priceColor }]}>
-                      ${selectedOrder.totalPrice.toFixed(2)}
+                      {formatAmount(selectedOrder.totalPrice, selectedOrder.currency)}
                     </Text>
                   </View>
                   <View style={styles.modalSection}>
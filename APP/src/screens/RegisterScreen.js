@@ -189,15 +189,15 @@ const RegisterScreen = () => {
     
 
     if (response.success) {
-      setAlertTitle('Success');
-      setAlertMessage('Account created successfully!');
-      setAlertIcon('checkmark-circle');
+      setAlertTitle('Verify Your Email');
+      setAlertMessage(response.message);
+      setAlertIcon('mail');
       setAlertButtons([
         {
           text: 'OK',
           onPress: () => {
             setAlertVisible(false);
-            navigation.navigate('Main');
+            navigation.navigate('Otp', { email: response.email, purpose: 'verify-email' });
           },
         },
       ]);
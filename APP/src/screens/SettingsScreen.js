@@ -21,6 +21,7 @@ import { LinearGradient } from 'expo-linear-gradient';
 import { ThemeContext } from '../../ThemeContext';
 import { lightTheme, darkTheme } from '../../themes';
 import { UserContext } from '../contexts/UserContext';
+import { CurrencyContext } from '../contexts/CurrencyContext';
 
 const { width, height } = Dimensions.get('window');
 
@@ -31,10 +32,12 @@ const SettingsScreen = () => {
   const { theme, toggleTheme } = useContext(ThemeContext);
   const currentTheme = theme === 'light' ? lightTheme : darkTheme;
   const { logout } = useContext(UserContext);
+  const { currency, currencies, setCurrency } = useContext(CurrencyContext);
 
   // State
   const [isNotificationsEnabled, setIsNotificationsEnabled] = React.useState(true);
   const [aboutUsVisible, setAboutUsVisible] = useState(false); // Controls the About Us modal
+  const [currencyVisible, setCurrencyVisible] = useState(false); // Controls the currency picker
 
   // Animations (optional)
   const scaleAnim = useRef(new Animated.Value(1)).current;
@@ -76,6 +79,12 @@ const SettingsScreen = () => {
     setAboutUsVisible(false);
   };
 
+  // Prices are shown and charged in the selected currency
+  const handleSelectCurrency = (code) => {
+    setCurrency(code);
+    setCurrencyVisible(false);
+  };
+
   return (
     <SafeAreaView style={[styles.safeArea, { backgroundColor: currentTheme.backgroundColor }]}>
       <ScrollView contentContainerStyle={{ paddingBottom: 30 }}>
@@ -151,6 +160,35 @@ const SettingsScreen = () => {
           />
         </TouchableOpacity>
 
+        {/* Currency */}
+        <TouchableOpacity
+          style={[styles.settingItem, { borderBottomColor: currentTheme.borderColor }]}
+          onPress={() => setCurrencyVisible(true)}
+          activeOpacity={0.7}
+        >
+          <View style={styles.settingInfo}>
+            <Ionicons
+              name="cash"
+              size={24}
+              color={currentTheme.primaryColor}
+              style={styles.icon}
+            />
+            <Text style={[styles.settingText, { color: currentTheme.textColor }]}>
+              Currency
+            </Text>
+          </View>
+          <View style={styles.settingInfo}>
+            <Text style={[styles.settingValue, { color: currentTheme.placeholderTextColor }]}>
+              {currency}
+            </Text>
+            <Ionicons
+              name="chevron-forward"
+              size={24}
+              color={currentTheme.placeholderTextColor}
+            />
+          </View>
+        </TouchableOpacity>
+
         {/* Change Password */}
         <TouchableOpacity
           style={[styles.settingItem, { borderBottomColor: currentTheme.borderColor }]}
@@ -209,6 +247,49 @@ const SettingsScreen = () => {
         </TouchableOpacity>
       </ScrollView>
 
+      {/* Currency Modal */}
+      <Modal
+        visible={currencyVisible}
+        animationType="fade"
+        transparent={true}
+        onRequestClose={() => setCurrencyVisible(false)}
+      >
+        <View style={styles.modalBackground}>
+          <View style={[styles.modalContainer, { backgroundColor: currentTheme.cardBackground }]}>
+            <View style={styles.modalHeader}>
+              <Text style={[styles.modalTitle, { color: currentTheme.cardTextColor }]}>
+                Currency
+              </Text>
+              <TouchableOpacity
+                onPress={() => setCurrencyVisible(false)}
+                style={styles.modalCloseButton}
+                accessibilityLabel="Close Currency Picker"
+              >
+                <Ionicons name="close" size={24} color={currentTheme.textColor} />
+              </TouchableOpacity>
+            </View>
+            <ScrollView>
+              {currencies.map((item) => (
+                <TouchableOpacity
+                  key={item.code}
+                  style={[styles.settingItem, { borderBottomColor: currentTheme.borderColor }]}
+                  onPress={() => handleSelectCurrency(item.code)}
+                  accessibilityLabel={`Pay in ${item.code}`}
+                >
+                  <Text style={[styles.settingText, { color: currentTheme.textColor }]}>
+                    {item.code}
+                    {item.name ? ` - ${item.name}` : ''}
+                  </Text>
+                  {item.code === currency && (
+                    <Ionicons name="checkmark" size={22} color={currentTheme.primaryColor} />
+                  )}
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+
       {/* About Us Modal */}
       <Modal
         visible={aboutUsVisible}
@@ -349,6 +430,10 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '500',
   },
+  settingValue: {
+    fontSize: 16,
+    marginRight: 5,
+  },
   icon: {
     marginRight: 15,
   },
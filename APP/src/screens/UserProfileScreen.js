@@ -125,6 +125,24 @@ const UserProfileScreen = () => {
         setUser(
           response.data
           );
+        // A changed email has to be verified again; the code is already sent
+        if (response.data.isEmailVerified === false && updatedData.email) {
+          setAlertTitle('Verify Your New Email');
+          setAlertMessage(`We sent a verification code to ${response.data.email}.`);
+          setAlertIcon('mail');
+          setAlertButtons([
+            { text: 'Later', onPress: () => setAlertVisible(false) },
+            {
+              text: 'Verify Now',
+              onPress: () => {
+                setAlertVisible(false);
+                navigation.navigate('Otp', { email: response.data.email, purpose: 'verify-email' });
+              },
+            },
+          ]);
+          setAlertVisible(true);
+          return;
+        }
         setAlertTitle('Success');
         setAlertMessage('Your profile has been updated successfully.');
         setAlertIcon('checkmark-circle');
@@ -304,6 +322,10 @@ const UserProfileScreen = () => {
         </Text>
         {renderInfoItem('call', user?.data?.phone || 'N/A')}
         {renderInfoItem('location', user?.data?.address || 'N/A')}
+        {renderInfoItem(
+          'globe',
+          [user?.data?.region, user?.data?.country].filter(Boolean).join(', ') || 'N/A'
+        )}
       </View>
 
       {/* Account Settings Section */}
@@ -2,6 +2,7 @@
 
 import axios from 'axios';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system';
 
 // Replace with your actual API URL
 // const API_URL = 'http://10.0.0.2:5000/api';
@@ -23,31 +24,98 @@ const getAuthToken = async () => {
 };
 
 /**
- * Store the authentication token in AsyncStorage.
- * @param {string} token - The JWT token to store.
+ * Store the access and refresh tokens in AsyncStorage.
+ * @param {string} token - The short-lived JWT access token.
+ * @param {string} [refreshToken] - The rotating refresh token.
  * @returns {Promise<void>}
  */
-const storeAuthToken = async (token) => {
+const storeAuthToken = async (token, refreshToken) => {
   try {
     await AsyncStorage.setItem('token', token);
+    if (refreshToken) {
+      await AsyncStorage.setItem('refreshToken', refreshToken);
+    }
   } catch (error) {
     console.error('Error storing auth token:', error);
   }
 };
 
 /**
- * Remove the authentication token from AsyncStorage (Logout).
- * @returns {Promise<void>}
+ * End the session on the server and remove both tokens (Logout).
+ * Local logout still happens when the server cannot be reached.
+ * @returns {Promise<boolean>}
  */
 export const logoutUser = async () => {
   try {
-    await AsyncStorage.removeItem('token');
+    const refreshToken = await AsyncStorage.getItem('refreshToken');
+    if (refreshToken) {
+      await axios
+        .post(`${API_URL}/auth/logout`, { refreshToken })
+        .catch((error) => console.error('Server logout error:', error.message));
+    }
+    await AsyncStorage.multiRemove(['token', 'refreshToken']);
     return true;
   } catch (error) {
     console.error('Logout error:', error);
   }
 };
 
+// Shared while a refresh is in flight, so parallel 401s trigger a single
+// refresh; sending the same refresh token twice would look like token theft.
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair.
+ * @returns {Promise<string>} The new access token.
+ */
+const refreshAuthToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = await AsyncStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+      try {
+        const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken });
+        await storeAuthToken(response.data.token, response.data.refreshToken);
+        return response.data.token;
+      } catch (error) {
+        // The session is gone; drop the dead tokens so the user logs in again
+        if (error.response?.status === 401) {
+          await AsyncStorage.multiRemove(['token', 'refreshToken']);
+        }
+        throw error;
+      }
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
+// Retry API calls that failed because the access token expired, once,
+// after refreshing it. Auth endpoints are never retried.
+axios.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const { config, response } = error;
+    const isApiCall = config?.url?.startsWith(API_URL);
+    const isAuthCall = /\/auth\/(login|register|refresh|logout)/.test(config?.url || '');
+
+    if (response?.status === 401 && isApiCall && !isAuthCall && !config._retried) {
+      config._retried = true;
+      try {
+        const token = await refreshAuthToken();
+        config.headers.Authorization = `Bearer ${token}`;
+        return axios(config);
+      } catch (refreshError) {
+        return Promise.reject(error);
+      }
+    }
+    return Promise.reject(error);
+  }
+);
+
 // ----------------------- Authentication Functions ----------------------- //
 
 /**
@@ -61,7 +129,7 @@ export const loginUser = async (email, password) => {
     const response = await axios.post(`${API_URL}/auth/login`, { email, password, role: 'user' });
 
     if (response.data && response.data.token) {
-      await storeAuthToken(response.data.token);
+      await storeAuthToken(response.data.token, response.data.refreshToken);
     }
 
     return { success: true, data: response.data };
@@ -73,21 +141,55 @@ export const loginUser = async (email, password) => {
 
 /**
  * Register User
+ * The account must be verified with the emailed code (see verifyEmail)
+ * before the user is logged in.
  * @param {object} userData - User registration data.
  * @returns {Promise<object>} Response data or error object.
  */
 export const registerUser = async (userData) => {
   try {
     const response = await axios.post(`${API_URL}/auth/register`, userData);
+    return { success: true, data: response.data };
+  } catch (error) {
+    console.error('Registration error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Registration failed.' };
+  }
+};
+
+/**
+ * Verify Email
+ * Confirms the address with the emailed code and logs the user in.
+ * @param {string} email - User's email.
+ * @param {string} otp - Verification code received via email.
+ * @returns {Promise<object>} Response data or error object.
+ */
+export const verifyEmail = async (email, otp) => {
+  try {
+    const response = await axios.post(`${API_URL}/auth/verify-email`, { email, otp });
 
     if (response.data && response.data.token) {
-      await storeAuthToken(response.data.token);
+      await storeAuthToken(response.data.token, response.data.refreshToken);
     }
 
     return { success: true, data: response.data };
   } catch (error) {
-    console.error('Registration error:', error.response?.data?.message || error.message);
-    return { success: false, message: error.response?.data?.message || 'Registration failed.' };
+    console.error('Verify Email error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Email verification failed.' };
+  }
+};
+
+/**
+ * Resend Verification Email
+ * @param {string} email - User's email.
+ * @returns {Promise<object>} Response data or error object.
+ */
+export const resendVerificationEmail = async (email) => {
+  try {
+    const response = await axios.post(`${API_URL}/auth/resend-verification`, { email });
+    return { success: true, data: response.data };
+  } catch (error) {
+    console.error('Resend Verification error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Failed to send a new code.' };
   }
 };
 
@@ -98,7 +200,7 @@ export const registerUser = async (userData) => {
  */
 export const forgotPassword = async (email) => {
   try {
-    const response = await axios.post(`${API_URL}/auth/forgotpassword`, { email, role: 'user' });
+    const response = await axios.post(`${API_URL}/auth/forgotpassword`, { email });
     return response.data;
   } catch (error) {
     console.error('Forgot Password error:', error.response?.data?.message || error.message);
@@ -114,7 +216,7 @@ export const forgotPassword = async (email) => {
  */
 export const verifyOtp = async (email, otp) => {
   try {
-    const response = await axios.post(`${API_URL}/auth/verify-otp`, { email, otp, role: 'user' });
+    const response = await axios.post(`${API_URL}/auth/verify-otp`, { email, otp });
     return { success: true, data: response.data };
   } catch (error) {
     console.error('Verify OTP error:', error.response?.data?.message || error.message);
@@ -124,13 +226,13 @@ export const verifyOtp = async (email, otp) => {
 
 /**
  * Reset Password
- * @param {string} email - User's email.
+ * @param {string} resetToken - Single-use token returned by verifyOtp.
  * @param {string} newPassword - New password to set.
  * @returns {Promise<object>} Response data or error object.
  */
-export const resetPassword = async (email, newPassword) => {
+export const resetPassword = async (resetToken, newPassword) => {
   try {
-    const response = await axios.post(`${API_URL}/auth/reset-password`, { email, newPassword, role: 'user' });
+    const response = await axios.post(`${API_URL}/auth/reset-password`, { resetToken, newPassword });
     return { success: true, data: response.data };
   } catch (error) {
     console.error('Reset Password error:', error.response?.data?.message || error.message);
@@ -194,12 +296,14 @@ export const updateUserProfile = async (updatedData) => {
 // ----------------------- Product Functions ----------------------- //
 
 /**
- * Fetch All Products
- * @returns {Promise<object>} Products data or error object.
+ * Fetch a Page of Products
+ * @param {object} [params] - Catalog query: q, type, subjectCode, minPrice, maxPrice,
+ *   minRating, sort, page, limit.
+ * @returns {Promise<object>} `{ data, page, pages, hasMore, total }` or error object.
  */
-export const fetchProducts = async () => {
+export const fetchProducts = async (params = {}) => {
   try {
-    const response = await axios.get(`${API_URL}/products`);
+    const response = await axios.get(`${API_URL}/products`, { params });
     return { success: true, data: response.data };
   } catch (error) {
     console.error('Fetch Products error:', error.response?.data?.message || error.message);
@@ -236,16 +340,65 @@ export const getTopProducts = async () => {
   }
 };
 
+/**
+ * Fetch Product Bundles (subject packs)
+ * @returns {Promise<object>} Bundles with their products or error object.
+ */
+export const fetchBundles = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/bundles`);
+    return { success: true, data: response.data };
+  } catch (error) {
+    console.error('Fetch Bundles error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Failed to fetch bundles.' };
+  }
+};
+
 // ----------------------- Review Functions ----------------------- //
 
+/**
+ * Upload a Photo for a Review (Authenticated Users)
+ * @param {object} image - Picked image with `uri` and optionally `mimeType` and `fileName`.
+ * @returns {Promise<object>} The stored asset (`_id`, `url`, `thumbnailUrl`) or error object.
+ */
+export const uploadReviewImageAPI = async (image) => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
+
+    const formData = new FormData();
+    formData.append('file', {
+      uri: image.uri,
+      type: image.mimeType || 'image/jpeg',
+      name: image.fileName || 'review-photo.jpg',
+    });
+
+    const config = {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+        Authorization: `Bearer ${token}`,
+      },
+    };
+
+    const response = await axios.post(`${API_URL}/uploads/review-image`, formData, config);
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    console.error('Upload Review Image error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Failed to upload photo.' };
+  }
+};
+
 /**
  * Add or Update a Review (Authenticated Users)
  * @param {string} productId - ID of the product to review.
  * @param {number} rating - Rating between 1 and 5.
  * @param {string} comment - Review comment.
+ * @param {string[]} [images] - Asset ids from uploadReviewImageAPI.
  * @returns {Promise<object>} Response data or error object.
  */
-export const addOrUpdateReview = async (productId, rating, comment) => {
+export const addOrUpdateReview = async (productId, rating, comment, images = []) => {
   try {
     const token = await getAuthToken();
     if (!token) {
@@ -261,7 +414,7 @@ export const addOrUpdateReview = async (productId, rating, comment) => {
 
     const response = await axios.post(
       `${API_URL}/reviews`,
-      { productId, rating, comment },
+      { productId, rating, comment, images },
       config
     );
 
@@ -273,22 +426,90 @@ export const addOrUpdateReview = async (productId, rating, comment) => {
 };
 
 /**
- * Get All Reviews for a Product
+ * Get a Page of Reviews for a Product
+ * Sends the token when signed in so the reply marks the caller's own votes.
  * @param {string} productId - ID of the product.
- * @returns {Promise<object>} Reviews data or error object.
+ * @param {object} [options] - `sort` (helpful, newest, rating_desc, rating_asc), `page`, `limit`.
+ * @returns {Promise<object>} Reviews with `total`, `page` and `hasMore`, or error object.
  */
-export const getProductReviewsAPI = async (productId) => {
+export const getProductReviewsAPI = async (productId, { sort, page, limit } = {}) => {
   try {
-    const response = await axios.get(`${API_URL}/reviews/product/${productId}`);
-    console.log(response);
+    const token = await getAuthToken();
+    const config = {
+      params: { sort, page, limit },
+      ...(token && { headers: { Authorization: `Bearer ${token}` } }),
+    };
 
-    return { success: true, data: response.data };
+    const response = await axios.get(`${API_URL}/reviews/product/${productId}`, config);
+    const { data, total, hasMore } = response.data;
+    return { success: true, data, total, page: response.data.page, hasMore };
   } catch (error) {
     console.error('Get Product Reviews error:', error.response?.data?.message || error.message);
     return { success: false, message: error.response?.data?.message || 'Failed to fetch reviews.' };
   }
 };
 
+/**
+ * Vote on Whether a Review Was Helpful (Authenticated Users)
+ * @param {string} reviewId - ID of the review.
+ * @param {boolean|null} helpful - true or false to vote, null to take the vote back.
+ * @returns {Promise<object>} Updated vote counts and `myVote`, or error object.
+ */
+export const voteReviewAPI = async (reviewId, helpful) => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
+
+    const config = {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+    };
+
+    const response = await axios.put(`${API_URL}/reviews/${reviewId}/vote`, { helpful }, config);
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    console.error('Vote Review error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Failed to save your vote.' };
+  }
+};
+
+/**
+ * Report a Review to the Moderators (Authenticated Users)
+ * @param {string} reviewId - ID of the review.
+ * @param {string} reason - spam, offensive, off-topic, fake or other.
+ * @param {string} [details] - Optional note for the moderators.
+ * @returns {Promise<object>} Success message or error object.
+ */
+export const reportReviewAPI = async (reviewId, reason, details) => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
+
+    const config = {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+    };
+
+    const response = await axios.post(
+      `${API_URL}/reviews/${reviewId}/report`,
+      { reason, ...(details && { details }) },
+      config
+    );
+    return { success: true, message: response.data.message };
+  } catch (error) {
+    console.error('Report Review error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Failed to report review.' };
+  }
+};
+
 /**
  * Delete a Review (Authenticated Users/Admin)
  * @param {string} reviewId - ID of the review to delete.
@@ -319,7 +540,7 @@ export const deleteReviewAPI = async (reviewId) => {
 
 /**
  * Create a New Order
- * @param {object} orderData - Data for the new order.
+ * @param {object} orderData - Product ids and the succeeded `paymentIntentId`.
  * @returns {Promise<object>} Created order data or error object.
  */
 export const createOrder = async (orderData) => {
@@ -370,41 +591,365 @@ export const getMyOrders = async () => {
   }
 };
 
-// ----------------------- Payment Functions ----------------------- //
+/**
+ * Get a Short-Lived Download Link for a Purchased Product
+ * @param {string} orderId - ID of the paid order.
+ * @param {string} productId - ID of the product within the order.
+ * @returns {Promise<object>} `{ url }` data or error object.
+ */
+export const getDownloadLink = async (orderId, productId) => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
+
+    const config = {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    };
+
+    const response = await axios.get(
+      `${API_URL}/orders/${orderId}/items/${productId}/download`,
+      config
+    );
+    return { success: true, data: response.data };
+  } catch (error) {
+    console.error('Get Download Link error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Failed to get download link.' };
+  }
+};
 
 /**
- * Fetch Payment Intent for Orders
- * @param {number} totalPrice - Total price of the order (in dollars).
- * @returns {Promise<string|null>} The client secret for the payment intent or null on error.
+ * Download the Invoice PDF for a Paid Order
+ * @param {string} orderId - ID of the paid order.
+ * @param {string} invoiceNumber - Used as the file name.
+ * @returns {Promise<object>} `{ uri }` of the saved file or error object.
  */
-export const fetchPaymentIntent = async (totalPrice) => {
+export const downloadInvoice = async (orderId, invoiceNumber) => {
   try {
-    console.log("totalPrice",totalPrice);
-    
     const token = await getAuthToken();
     if (!token) {
       throw new Error('No authentication token found.');
     }
 
-    const response = await fetch(`${API_URL}/orders/create-payment-intent`, {
-      method: 'POST',
+    const result = await FileSystem.downloadAsync(
+      `${API_URL}/orders/${orderId}/invoice`,
+      `${FileSystem.documentDirectory}${invoiceNumber}.pdf`,
+      { headers: { Authorization: `Bearer ${token}` } }
+    );
+    if (result.status !== 200) {
+      throw new Error('Failed to download invoice.');
+    }
+    return { success: true, data: { uri: result.uri } };
+  } catch (error) {
+    console.error('Download Invoice error:', error.message);
+    return { success: false, message: error.message || 'Failed to download invoice.' };
+  }
+};
+
+// ----------------------- Cart Functions ----------------------- //
+
+// Cart lines as the backend expects them: product ids, or `{ bundle }` for bundles
+const toOrderItems = (cartItems) =>
+  cartItems.map((item) => (item.itemType === 'bundle' ? { bundle: item._id } : item._id));
+
+/**
+ * Get the Saved Cart (Authenticated Users)
+ * The server re-checks every item, dropping removed ones and flagging price changes.
+ * @returns {Promise<object>} `{ items, removed }` data or error object.
+ */
+export const getCart = async () => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
+
+    const response = await axios.get(`${API_URL}/cart`, {
       headers: {
-        'Content-Type': 'application/json',
         Authorization: `Bearer ${token}`,
       },
-      body: JSON.stringify({
-        totalPrice: parseInt(totalPrice) * 100, // Convert to cents
-      }),
     });
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    console.error('Get Cart error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Failed to fetch cart.' };
+  }
+};
+
+/**
+ * Save the Cart (Authenticated Users)
+ * @param {Array<object>} cartItems - Products and bundles in the cart.
+ * @param {boolean} [merge=false] - Add to the saved cart instead of replacing it.
+ * @returns {Promise<object>} `{ items, removed }` data or error object.
+ */
+export const saveCart = async (cartItems, merge = false) => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
 
-    const { clientSecret } = await response.json();
-    return clientSecret;
+    const response = await axios.put(
+      `${API_URL}/cart`,
+      { items: toOrderItems(cartItems), merge },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      }
+    );
+    return { success: true, data: response.data.data };
   } catch (error) {
-    console.error('Error fetching payment intent:', error);
+    console.error('Save Cart error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Failed to save cart.' };
+  }
+};
+
+/**
+ * Empty the Saved Cart (Authenticated Users)
+ * @returns {Promise<object>} Success status or error object.
+ */
+export const clearSavedCart = async () => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
+
+    await axios.delete(`${API_URL}/cart`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Clear Cart error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Failed to clear cart.' };
+  }
+};
+
+// ----------------------- Wishlist Functions ----------------------- //
+
+/**
+ * Get the Saved Wishlist (Authenticated Users)
+ * @returns {Promise<object>} Wishlisted products or error object.
+ */
+export const getWishlist = async () => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
+
+    const response = await axios.get(`${API_URL}/wishlist`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    console.error('Get Wishlist error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Failed to fetch wishlist.' };
+  }
+};
+
+/**
+ * Save the Wishlist (Authenticated Users)
+ * @param {Array<object>} favouriteItems - Favourite products.
+ * @param {boolean} [merge=false] - Add to the saved wishlist instead of replacing it.
+ * @returns {Promise<object>} Wishlisted products or error object.
+ */
+export const saveWishlist = async (favouriteItems, merge = false) => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
+
+    const response = await axios.put(
+      `${API_URL}/wishlist`,
+      { products: favouriteItems.map((item) => item._id), merge },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      }
+    );
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    console.error('Save Wishlist error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Failed to save wishlist.' };
+  }
+};
+
+/**
+ * Empty the Saved Wishlist (Authenticated Users)
+ * @returns {Promise<object>} Success status or error object.
+ */
+export const clearSavedWishlist = async () => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
+
+    await axios.delete(`${API_URL}/wishlist`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    return { success: true };
+  } catch (error) {
+    console.error('Clear Wishlist error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Failed to clear wishlist.' };
+  }
+};
+
+/**
+ * Get Notifications, e.g. Wishlist Price Drops (Authenticated Users)
+ * @returns {Promise<object>} Notifications and unread count, or error object.
+ */
+export const getNotifications = async () => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
+
+    const response = await axios.get(`${API_URL}/notifications`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+    return { success: true, data: response.data.data, unreadCount: response.data.unreadCount };
+  } catch (error) {
+    console.error('Get Notifications error:', error.response?.data?.message || error.message);
+    return {
+      success: false,
+      message: error.response?.data?.message || 'Failed to fetch notifications.',
+    };
+  }
+};
+
+/**
+ * Mark Notifications as Read (Authenticated Users)
+ * @param {Array<string>} [ids] - Notifications to mark; all of them when omitted.
+ * @returns {Promise<object>} Success status or error object.
+ */
+export const markNotificationsRead = async (ids) => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
+
+    await axios.put(
+      `${API_URL}/notifications/read`,
+      ids ? { ids } : {},
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      }
+    );
+    return { success: true };
+  } catch (error) {
+    console.error('Mark Notifications error:', error.response?.data?.message || error.message);
+    return {
+      success: false,
+      message: error.response?.data?.message || 'Failed to update notifications.',
+    };
+  }
+};
+
+// ----------------------- Payment Functions ----------------------- //
+
+/**
+ * Fetch Payment Intent for Orders
+ * The backend prices the cart itself, so only product and bundle ids are sent.
+ * @param {Array<object>} cartItems - Products in the cart.
+ * @param {string} [couponCode] - Coupon code to apply, if any.
+ * @param {string} [currency] - Currency to charge in; the backend default when omitted.
+ * @returns {Promise<object|null>} `{ clientSecret, paymentIntentId, totalPrice, currency }` or null on error.
+ */
+export const fetchPaymentIntent = async (cartItems, couponCode, currency) => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
+
+    const response = await axios.post(
+      `${API_URL}/orders/create-payment-intent`,
+      {
+        orderItems: toOrderItems(cartItems),
+        ...(couponCode ? { couponCode } : {}),
+        ...(currency ? { currency } : {}),
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      }
+    );
+
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching payment intent:', error.response?.data?.message || error.message);
     return null; // Return null on error
   }
 };
 
+/**
+ * Check a coupon code against the cart
+ * @param {string} code - Coupon code entered by the user.
+ * @param {Array<object>} cartItems - Products in the cart.
+ * @param {string} [currency] - Currency the cart is shown in.
+ * @returns {Promise<object>} `{ success, data }` with the discount preview, or `{ success: false, message }`.
+ */
+export const validateCoupon = async (code, cartItems, currency) => {
+  try {
+    const token = await getAuthToken();
+    if (!token) {
+      throw new Error('No authentication token found.');
+    }
+
+    const response = await axios.post(
+      `${API_URL}/coupons/validate`,
+      { code, orderItems: toOrderItems(cartItems), ...(currency ? { currency } : {}) },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      }
+    );
+    return { success: true, data: response.data.data };
+  } catch (error) {
+    console.error('Validate Coupon error:', error.response?.data?.message || error.message);
+    return {
+      success: false,
+      message: error.response?.data?.message || 'Failed to apply coupon.',
+    };
+  }
+};
+
+/**
+ * Fetch the currencies buyers can pay in
+ * @returns {Promise<object>} `{ success, base, data }` with exchange rates, or error object.
+ */
+export const fetchCurrencies = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/currencies`);
+    return { success: true, base: response.data.base, data: response.data.data };
+  } catch (error) {
+    console.error('Fetch Currencies error:', error.response?.data?.message || error.message);
+    return { success: false, message: error.response?.data?.message || 'Failed to fetch currencies.' };
+  }
+};
+
 // ----------------------- Token Verification Function ----------------------- //
 
 /**
@@ -481,6 +1026,8 @@ export default {
   // Authentication
   loginUser,
   registerUser,
+  verifyEmail,
+  resendVerificationEmail,
   forgotPassword,
   verifyOtp,
   resetPassword,
@@ -492,18 +1039,38 @@ export default {
   fetchProducts,
   getProductDetails,
   getTopProducts,
+  fetchBundles,
 
   // Reviews
+  uploadReviewImageAPI,
   addOrUpdateReview,
   getProductReviewsAPI,
+  voteReviewAPI,
+  reportReviewAPI,
   deleteReviewAPI,
 
   // Orders
   createOrder,
   getMyOrders,
+  getDownloadLink,
+  downloadInvoice,
+
+  // Cart
+  getCart,
+  saveCart,
+  clearSavedCart,
+
+  // Wishlist
+  getWishlist,
+  saveWishlist,
+  clearSavedWishlist,
+  getNotifications,
+  markNotificationsRead,
 
   // Payment
   fetchPaymentIntent,
+  validateCoupon,
+  fetchCurrencies,
 
   // Token Verification
   verifyAuthToken,
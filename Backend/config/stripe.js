@@ -1,6 +1,16 @@
 // config/stripe.js
 
+const dotenv = require('dotenv');
+dotenv.config();
+
 const Stripe = require('stripe');
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+// STRIPE_API_HOST/PORT/PROTOCOL point the client at a local stripe-mock
+// (https://github.com/stripe/stripe-mock) when testing refunds and payments
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY, {
+  host: process.env.STRIPE_API_HOST || undefined,
+  port: process.env.STRIPE_API_PORT || undefined,
+  protocol: process.env.STRIPE_API_PROTOCOL || undefined,
+});
 
 module.exports = stripe;
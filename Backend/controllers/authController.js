@@ -1,20 +1,56 @@
 // controllers/authController.js
 
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const sendEmail = require('../utils/sendEmail');
+const sendVerificationEmail = require('../utils/verificationEmail');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} = require('../utils/session');
+const {
+  throttleKeys,
+  claimAttempt,
+  clearFailures,
+} = require('../utils/authThrottle');
+const logAuthEvent = require('../utils/authEvents');
+const AuthEvent = require('../models/AuthEvent');
+const QRCode = require('qrcode');
+const { generateSecret, keyUri, verifyTotp } = require('../utils/totp');
+const {
+  signChallenge,
+  verifyChallenge,
+  hashBackupCode,
+  generateBackupCodes,
+} = require('../utils/twoFactor');
+
+// Name shown next to the account in authenticator apps
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || process.env.FROM_NAME || 'Admin Panel';
+
+// Reply to a throttled client with how long it has to wait
+const tooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many attempts. Please try again in ${retryAfter} seconds.`,
+    retryAfter,
+  });
+};
 const path = require('path');
 const fs = require('fs');
 
-// @desc    Register a new admin
+// @desc    Register a new user and email them a verification code
 // @route   POST /api/auth/register
 // @access  Public
 const registerUser = async (req, res) => {
-  const { name, email, password, role } = req.body;
-console.log("check1");
-console.log(name, email, password, role);
+  // Any role in the body is ignored; admins are created from the admin panel
+  const { name, email, password } = req.body;
 
+  if (typeof email !== 'string' || !email) {
+    return res.status(400).json({ success: false, message: 'Please provide an email' });
+  }
 
   try {
     // Check if user exists
@@ -25,18 +61,33 @@ console.log(name, email, password, role);
         .status(400)
         .json({ success: false, message: 'User already exists' });
     }
-console.log("check2");
 
     // Create user
     user = await User.create({
       name,
       email,
       password,
-      role
+      role: 'user',
+      isEmailVerified: false,
+    });
+
+    // The account exists either way; a failed send can be retried with resend
+    let emailSent = true;
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error(err);
+      emailSent = false;
+    }
+
+    res.status(201).json({
+      success: true,
+      requiresVerification: true,
+      email: user.email,
+      message: emailSent
+        ? 'Account created. Enter the code we sent to your email to verify it.'
+        : 'Account created, but the verification email could not be sent. Please request a new code.',
     });
-    console.log("check3");
-    
-    sendTokenResponse(user, 200, res);
   } catch (error) {
     console.log(error);
     
@@ -44,42 +95,183 @@ console.log("check2");
   }
 };
 
+// @desc    Verify an email address with the emailed code and log in
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  const { email, otp } = req.body;
+
+  if (typeof email !== 'string' || !email || !otp) {
+    return res.status(400).json({ success: false, message: 'Please provide email and code.' });
+  }
+
+  const keys = throttleKeys('verify-email', req, email);
+
+  try {
+    const retryAfter = await claimAttempt(keys);
+    if (retryAfter) {
+      await logAuthEvent(req, { type: 'verify-email', success: false, reason: 'throttled', email });
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    const user = await User.findOne({ email });
+
+    if (!user) {
+      await logAuthEvent(req, { type: 'verify-email', success: false, reason: 'unknown-email', email });
+      return res.status(400).json({ success: false, message: 'Invalid or expired code.' });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({ success: false, message: 'Email is already verified. Please log in.' });
+    }
+
+    if (!user.emailVerificationOtp || user.emailVerificationExpire < Date.now()) {
+      return res.status(400).json({ success: false, message: 'Code has expired. Please request a new code.' });
+    }
+
+    const hashedOTP = crypto.createHash('sha256').update(String(otp)).digest('hex');
+
+    if (hashedOTP !== user.emailVerificationOtp) {
+      const invalidated = await user.registerFailedEmailVerification();
+      await logAuthEvent(req, {
+        type: 'verify-email',
+        success: false,
+        reason: invalidated ? 'invalid-otp-discarded' : 'invalid-otp',
+        email,
+        user,
+      });
+      return res.status(400).json({
+        success: false,
+        message: invalidated
+          ? 'Too many incorrect codes. Please request a new code.'
+          : 'Invalid code.',
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationOtp = undefined;
+    user.emailVerificationExpire = undefined;
+    user.emailVerificationAttempts = 0;
+    await user.save({ validateBeforeSave: false });
+
+    await clearFailures(keys);
+    await logAuthEvent(req, { type: 'verify-email', success: true, email, user });
+
+    await completeLogin(user, 200, req, res);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Send a new email verification code
+// @route   POST /api/auth/resend-verification
+// @access  Public
+const resendVerification = async (req, res) => {
+  const { email } = req.body;
+
+  if (typeof email !== 'string' || !email) {
+    return res.status(400).json({ success: false, message: 'Please provide an email' });
+  }
+
+  const keys = throttleKeys('resend-verification', req, email);
+
+  try {
+    // Every request stays counted, so the endpoint cannot be used to flood an inbox
+    const retryAfter = await claimAttempt(keys);
+    if (retryAfter) {
+      await logAuthEvent(req, { type: 'resend-verification', success: false, reason: 'throttled', email });
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    const user = await User.findOne({ email });
+
+    if (user && !user.isEmailVerified) {
+      await sendVerificationEmail(user);
+      await logAuthEvent(req, { type: 'resend-verification', success: true, email, user });
+    } else {
+      await logAuthEvent(req, {
+        type: 'resend-verification',
+        success: false,
+        reason: user ? 'already-verified' : 'unknown-email',
+        email,
+      });
+    }
+
+    // Same answer either way, so this cannot be used to discover accounts
+    res.status(200).json({
+      success: true,
+      message: 'If this account still needs verifying, a new code has been sent.',
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Email could not be sent. Please try again later.' });
+  }
+};
+
 // @desc    Login admin
 // @route   POST /api/auth/login
 // @access  Public
 const loginUser = async (req, res) => {
   const { email, password } = req.body;
-  console.log(email);
-  
 
   // Validate email & password
-  if (!email || !password) {
+  if (typeof email !== 'string' || typeof password !== 'string' || !email || !password) {
     return res
       .status(400)
       .json({ success: false, message: 'Please provide email and password' });
   }
 
+  const keys = throttleKeys('login', req, email);
+
   try {
+    const retryAfter = await claimAttempt(keys);
+    if (retryAfter) {
+      await logAuthEvent(req, { type: 'login', success: false, reason: 'throttled', email });
+      return tooManyAttempts(res, retryAfter);
+    }
+
     // Check for user
     const user = await User.findOne({ email }).select('+password');
-console.log(user);
 
     if (!user) {
+      await logAuthEvent(req, { type: 'login', success: false, reason: 'unknown-email', email });
       return res
         .status(400)
         .json({ success: false, message: 'Invalid credentials' });
     }
 
+    if (user.isLocked()) {
+      await logAuthEvent(req, { type: 'login', success: false, reason: 'locked', email, user });
+      const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+      return res.status(423).json({
+        success: false,
+        message: `Account is temporarily locked after too many failed logins. Try again in ${minutes} minute(s).`,
+      });
+    }
+
     // Check if password matches
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      const locked = await user.registerFailedLogin();
+      await logAuthEvent(req, {
+        type: 'login',
+        success: false,
+        reason: locked ? 'invalid-password-locked' : 'invalid-password',
+        email,
+        user,
+      });
       return res
         .status(400)
         .json({ success: false, message: 'Invalid credentials' });
     }
 
-    sendTokenResponse(user, 200, res);
+    await clearFailures(keys);
+    await user.resetLoginAttempts();
+    await logAuthEvent(req, { type: 'login', success: true, email, user });
+
+    await completeLogin(user, 200, req, res);
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server Error' });
   }
@@ -101,116 +293,416 @@ const getMe = async (req, res) => {
   }
 };
 
-// Get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  const payload = {
-    id: user._id,
-  };
+// Start a session and send its short-lived access token and refresh token
+const sendTokenResponse = async (user, statusCode, req, res, extra = {}) => {
+  const { token, refreshToken } = await createSession(user, req);
 
-  const token = jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+  res.status(statusCode).json({
+    success: true,
+    token,
+    refreshToken,
+    ...extra,
   });
+};
+
+// Finish a successful first login step. Admins must also pass two-factor
+// authentication, so they get a challenge token instead of a session.
+const completeLogin = async (user, statusCode, req, res) => {
+  if (user.role !== 'admin') {
+    return sendTokenResponse(user, statusCode, req, res);
+  }
 
+  const purpose = user.twoFactorEnabled ? 'verify' : 'setup';
   res.status(statusCode).json({
     success: true,
-    token,
+    twoFactorRequired: purpose === 'verify',
+    twoFactorSetupRequired: purpose === 'setup',
+    challengeToken: signChallenge(user, purpose),
   });
 };
 
-// @desc    Forgot password
-// @route   POST /api/auth/forgotpassword
-// @access  Public
-// controllers/authController.js
-const forgotPassword = async (req, res) => {
-  const { email, role } = req.body;
+// Reply to a request whose challenge token or TOTP step failed
+const twoFactorError = (res, error) =>
+  res
+    .status(error.statusCode || 500)
+    .json({ success: false, message: error.statusCode ? error.message : 'Server Error' });
+
+// Accept a TOTP code at most once: the step is only recorded if no newer
+// code was accepted in the meantime
+const claimTotpStep = async (userId, step) => {
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [{ twoFactorLastUsedStep: { $lt: step } }, { twoFactorLastUsedStep: null }],
+    },
+    { $set: { twoFactorLastUsedStep: step } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// @desc    Start authenticator setup for an admin without 2FA
+// @route   POST /api/auth/2fa/setup
+// @access  Public (requires a setup challenge token)
+const setupTwoFactor = async (req, res) => {
+  const { challengeToken } = req.body;
+
+  if (typeof challengeToken !== 'string' || !challengeToken) {
+    return res.status(400).json({ success: false, message: 'Please provide a challenge token' });
+  }
 
   try {
-    const user = await User.findOne({ email });
-console.log(user);
+    const user = await User.findById(verifyChallenge(challengeToken, 'setup'));
 
-    if (!user) {
-      return res
-        .status(404)
-        .json({ success: false, message: 'There is no user with that email' });
+    if (!user || user.twoFactorEnabled) {
+      return res.status(401).json({ success: false, message: 'Login step expired, please log in again' });
     }
 
-    if (role === 'admin') {
-      // Generate reset token
-      console.log(user);
-      
-      const resetToken = user.getResetPasswordToken();
+    // Not active until the admin proves the app works with /2fa/enable
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
 
-      await user.save({ validateBeforeSave: false });
+    const otpauthUrl = keyUri(secret, user.email, TWO_FACTOR_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.status(200).json({
+      success: true,
+      data: { secret, otpauthUrl, qrCode },
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error(error);
+    twoFactorError(res, error);
+  }
+};
+
+// @desc    Confirm the authenticator with a first code, enable 2FA and log in
+// @route   POST /api/auth/2fa/enable
+// @access  Public (requires a setup challenge token)
+const enableTwoFactor = async (req, res) => {
+  const { challengeToken, code } = req.body;
 
-      // Create reset URL
-      const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+  if (typeof challengeToken !== 'string' || !challengeToken || !code) {
+    return res.status(400).json({ success: false, message: 'Please provide a challenge token and code' });
+  }
+
+  try {
+    const user = await User.findById(verifyChallenge(challengeToken, 'setup')).select(
+      '+twoFactorPendingSecret'
+    );
 
-      // Read admin reset password HTML template
-      const templatePath = path.join(__dirname, '..', 'emails', 'adminResetPassword.html');
-      let htmlMessage = fs.readFileSync(templatePath, 'utf8');
+    if (!user || user.twoFactorEnabled) {
+      return res.status(401).json({ success: false, message: 'Login step expired, please log in again' });
+    }
 
-      // Replace placeholders with actual values
-      htmlMessage = htmlMessage.replace('{{resetUrl}}', resetUrl);
-      htmlMessage = htmlMessage.replace('{{userName}}', user.name);
-      htmlMessage = htmlMessage.replace('{{currentYear}}', new Date().getFullYear());
+    const keys = throttleKeys('two-factor', req, user.email);
+    const retryAfter = await claimAttempt(keys);
+    if (retryAfter) {
+      await logAuthEvent(req, { type: 'two-factor', success: false, reason: 'throttled', email: user.email, user });
+      return tooManyAttempts(res, retryAfter);
+    }
 
-      try {
-        await sendEmail({
-          email: user.email,
-          subject: 'Admin Password Reset Request',
-          html: htmlMessage,
-        });
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ success: false, message: 'Please start two-factor setup first.' });
+    }
 
-        res.status(200).json({ success: true, message: 'Password reset email sent successfully.' });
-      } catch (err) {
-        console.error(err);
-        user.resetPasswordToken = undefined;
-        user.resetPasswordExpire = undefined;
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
 
-        await user.save({ validateBeforeSave: false });
+    if (step === null) {
+      await logAuthEvent(req, { type: 'two-factor', success: false, reason: 'invalid-setup-code', email: user.email, user });
+      return res.status(400).json({ success: false, message: 'Invalid code.' });
+    }
 
-        res.status(500).json({ success: false, message: 'Email could not be sent. Please try again later.' });
-      }
-    } else if (role === 'user') {
-      // Generate OTP
-      const otp = user.generateOTP();
+    const { codes, hashes } = generateBackupCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorBackupCodes = hashes;
+    await user.save({ validateBeforeSave: false });
 
-      await user.save({ validateBeforeSave: false });
+    await clearFailures(keys);
+    await logAuthEvent(req, { type: 'two-factor', success: true, reason: 'enabled', email: user.email, user });
 
-      // Read user reset password HTML template
-      const templatePath = path.join(__dirname, '..', 'emails', 'userResetPassword.html');
-      let htmlMessage = fs.readFileSync(templatePath, 'utf8');
+    // The recovery codes are only ever shown in this response
+    await sendTokenResponse(user, 200, req, res, { backupCodes: codes });
+  } catch (error) {
+    if (!error.statusCode) console.error(error);
+    twoFactorError(res, error);
+  }
+};
+
+// @desc    Finish an admin login with an authenticator or backup code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires a verify challenge token)
+const verifyTwoFactor = async (req, res) => {
+  const { challengeToken, code } = req.body;
 
-      // Replace placeholders with actual values
-      htmlMessage = htmlMessage.replace('{{otp}}', otp);
-      htmlMessage = htmlMessage.replace('{{userName}}', user.name);
-      htmlMessage = htmlMessage.replace('{{currentYear}}', new Date().getFullYear());
+  if (typeof challengeToken !== 'string' || !challengeToken || typeof code !== 'string' || !code) {
+    return res.status(400).json({ success: false, message: 'Please provide a challenge token and code' });
+  }
 
-      try {
-        await sendEmail({
-          email: user.email,
-          subject: 'Your OTP for Password Reset',
-          html: htmlMessage,
-        });
+  try {
+    const user = await User.findById(verifyChallenge(challengeToken, 'verify')).select(
+      '+twoFactorSecret +twoFactorLastUsedStep'
+    );
 
-        res.status(200).json({ success: true, message: 'OTP sent to your email successfully.' });
-      } catch (err) {
-        console.error(err);
-        user.otp = undefined;
-        user.otpExpire = undefined;
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ success: false, message: 'Login step expired, please log in again' });
+    }
 
-        await user.save({ validateBeforeSave: false });
+    const keys = throttleKeys('two-factor', req, user.email);
+    const retryAfter = await claimAttempt(keys);
+    if (retryAfter) {
+      await logAuthEvent(req, { type: 'two-factor', success: false, reason: 'throttled', email: user.email, user });
+      return tooManyAttempts(res, retryAfter);
+    }
 
-        res.status(500).json({ success: false, message: 'OTP could not be sent. Please try again later.' });
-      }
+    let usedBackupCode = false;
+    let accepted = false;
+
+    const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+    if (step !== null) {
+      accepted = await claimTotpStep(user._id, step);
     } else {
-      res.status(400).json({ success: false, message: 'Invalid role specified.' });
+      // Anything that is not a valid TOTP code may be a recovery code;
+      // pulling it from the list makes it single-use even under races
+      const result = await User.updateOne(
+        { _id: user._id, twoFactorBackupCodes: hashBackupCode(code) },
+        { $pull: { twoFactorBackupCodes: hashBackupCode(code) } }
+      );
+      usedBackupCode = result.modifiedCount > 0;
+      accepted = usedBackupCode;
+    }
+
+    if (!accepted) {
+      await logAuthEvent(req, { type: 'two-factor', success: false, reason: 'invalid-code', email: user.email, user });
+      return res.status(400).json({ success: false, message: 'Invalid code.' });
+    }
+
+    await clearFailures(keys);
+    await logAuthEvent(req, {
+      type: 'two-factor',
+      success: true,
+      reason: usedBackupCode ? 'backup-code' : undefined,
+      email: user.email,
+      user,
+    });
+
+    if (!usedBackupCode) {
+      return sendTokenResponse(user, 200, req, res);
+    }
+
+    const { twoFactorBackupCodes } = await User.findById(user._id).select('+twoFactorBackupCodes');
+    await sendTokenResponse(user, 200, req, res, {
+      backupCodesRemaining: twoFactorBackupCodes.length,
+    });
+  } catch (error) {
+    if (!error.statusCode) console.error(error);
+    twoFactorError(res, error);
+  }
+};
+
+// @desc    Replace the admin's recovery codes (needs a current TOTP code)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private/Admin
+const regenerateBackupCodes = async (req, res) => {
+  const { code } = req.body;
+
+  if (typeof code !== 'string' || !code) {
+    return res.status(400).json({ success: false, message: 'Please provide a code from your authenticator app' });
+  }
+
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled.' });
+    }
+
+    const keys = throttleKeys('two-factor', req, user.email);
+    const retryAfter = await claimAttempt(keys);
+    if (retryAfter) {
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+    if (step === null || !(await claimTotpStep(user._id, step))) {
+      await logAuthEvent(req, { type: 'two-factor', success: false, reason: 'invalid-code', email: user.email, user });
+      return res.status(400).json({ success: false, message: 'Invalid code.' });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorBackupCodes: hashes } });
+
+    await clearFailures(keys);
+    await logAuthEvent(req, {
+      type: 'two-factor',
+      success: true,
+      reason: 'backup-codes-regenerated',
+      email: user.email,
+      user,
+    });
+
+    res.status(200).json({ success: true, data: { backupCodes: codes } });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public (requires a refresh token)
+const refreshSession = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ success: false, message: 'Please provide a refresh token' });
+  }
+
+  try {
+    const tokens = await rotateSession(refreshToken, req);
+    res.status(200).json({ success: true, ...tokens });
+  } catch (error) {
+    res
+      .status(error.statusCode || 500)
+      .json({ success: false, message: error.statusCode ? error.message : 'Server Error' });
+  }
+};
+
+// @desc    Log out of the current device
+// @route   POST /api/auth/logout
+// @access  Public (requires a refresh token)
+const logout = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ success: false, message: 'Please provide a refresh token' });
+  }
+
+  try {
+    // Succeeds even if the session is already gone, so clients can always log out
+    await revokeSession(refreshToken);
+    res.status(200).json({ success: true, message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Log out of every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    const count = await revokeUserSessions(req.user._id, 'logout-all');
+    res.status(200).json({ success: true, message: `Logged out of ${count} session(s)` });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    List auth events (logins, password resets, OTP checks)
+// @route   GET /api/auth/events?page=&limit=&type=&email=&success=
+// @access  Private/Admin
+const getAuthEvents = async (req, res) => {
+  const { type, email, success } = req.query;
+  const page = Math.max(1, Math.floor(Number(req.query.page)) || 1);
+  const limit = Math.min(100, Math.max(1, Math.floor(Number(req.query.limit)) || 25));
+
+  const filter = {};
+  if (typeof type === 'string' && type) filter.type = type;
+  if (typeof email === 'string' && email) filter.email = email.trim().toLowerCase();
+  if (typeof success === 'boolean') filter.success = success;
+
+  try {
+    const [events, total] = await Promise.all([
+      AuthEvent.find(filter)
+        .populate('user', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuthEvent.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: events,
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+};
+
+// @desc    Email a password reset code. Admins and app users share one
+//          flow: verify-otp swaps the code for a reset token, which
+//          reset-password spends.
+// @route   POST /api/auth/forgotpassword
+// @access  Public
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  if (typeof email !== 'string' || !email) {
+    return res.status(400).json({ success: false, message: 'Please provide an email' });
+  }
+
+  const keys = throttleKeys('forgot-password', req, email);
+
+  try {
+    // Every request stays counted, so the endpoint cannot be used to flood an inbox
+    const retryAfter = await claimAttempt(keys);
+    if (retryAfter) {
+      await logAuthEvent(req, { type: 'forgot-password', success: false, reason: 'throttled', email });
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    const user = await User.findOne({ email });
+
+    if (!user) {
+      await logAuthEvent(req, { type: 'forgot-password', success: false, reason: 'unknown-email', email });
+      return res
+        .status(404)
+        .json({ success: false, message: 'There is no user with that email' });
+    }
+
+    const otp = user.generateOTP();
+    await user.save({ validateBeforeSave: false });
+
+    const templatePath = path.join(__dirname, '..', 'emails', 'resetPassword.html');
+    let htmlMessage = fs.readFileSync(templatePath, 'utf8');
+
+    htmlMessage = htmlMessage.replace('{{otp}}', otp);
+    htmlMessage = htmlMessage.replace('{{userName}}', user.name);
+    htmlMessage = htmlMessage.replace('{{currentYear}}', new Date().getFullYear());
+
+    try {
+      await sendEmail({
+        email: user.email,
+        subject: 'Your password reset code',
+        html: htmlMessage,
+      });
+    } catch (err) {
+      console.error(err);
+      await logAuthEvent(req, { type: 'forgot-password', success: false, reason: 'send-failed', email, user });
+      user.otp = undefined;
+      user.otpExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res
+        .status(500)
+        .json({ success: false, message: 'Reset code could not be sent. Please try again later.' });
     }
+
+    await logAuthEvent(req, { type: 'forgot-password', success: true, email, user });
+    res.status(200).json({ success: true, message: 'A reset code has been sent to your email.' });
   } catch (error) {
     console.error(error);
     res.status(500).json({ success: false, message: 'Server Error' });
   }
-}
+};
 
 // const forgotPassword = async (req, res) => {
 //   const { email, role } = req.body;
@@ -340,53 +832,87 @@ console.log(user);
 // };
 
 
-// @desc    Reset password
+// @desc    Reset password with the single-use reset token from verify-otp.
+//          The admin panel sends it in the path, the app in the body.
 // @route   PUT /api/auth/resetpassword/:resetToken
-// @access  Public
-const resetPasswordLink = async (req, res) => {
-  // Get hashed token
-  const resetPasswordToken = crypto
-    .createHash('sha256')
-    .update(req.params.resetToken)
-    .digest('hex');
+// @route   POST /api/auth/reset-password
+// @access  Public (requires a reset token)
+const resetPassword = async (req, res) => {
+  const resetToken = req.params.resetToken || req.body.resetToken;
+  // The link form posts `password`, the app `newPassword`
+  const password = req.body.password || req.body.newPassword;
+
+  if (typeof resetToken !== 'string' || !resetToken) {
+    return res.status(400).json({ success: false, message: 'Please provide a reset token.' });
+  }
+
+  // Checked up front: the token is spent as soon as it is matched
+  if (typeof password !== 'string' || password.length < 6) {
+    return res
+      .status(400)
+      .json({ success: false, message: 'Password must be at least 6 characters.' });
+  }
+
+  const resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
 
   try {
-    const user = await User.findOne({
-      resetPasswordToken,
-      resetPasswordExpire: { $gt: Date.now() },
-    });
+    // Clearing the token in the same query makes it single-use even if the
+    // form is submitted twice
+    const user = await User.findOneAndUpdate(
+      { resetPasswordToken, resetPasswordExpire: { $gt: Date.now() } },
+      { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } },
+      { new: true }
+    );
 
     if (!user) {
+      await logAuthEvent(req, { type: 'reset-password', success: false, reason: 'invalid-token' });
       return res
         .status(400)
-        .json({ success: false, message: 'Invalid token' });
+        .json({ success: false, message: 'Invalid or expired reset token.' });
     }
 
-    // Set new password
-    user.password = req.body.password;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
-
+    user.password = password;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    // The token arrived by email, which proves the address works
+    user.isEmailVerified = true;
     await user.save();
 
-    sendTokenResponse(user, 200, res);
+    // Whoever knew the old password is signed out everywhere
+    await revokeUserSessions(user._id, 'password-reset');
+    await logAuthEvent(req, { type: 'reset-password', success: true, email: user.email, user });
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset successfully. Please log in with your new password.',
+    });
   } catch (error) {
+    console.error(error);
     res.status(500).json({ success: false, message: 'Server Error' });
   }
 };
 const verifyOTP = async (req, res) => {
-  const { email, role, otp } = req.body;
+  const { email, otp } = req.body;
 
   // Validate input
-  if (!email || !role || !otp) {
-    return res.status(400).json({ success: false, message: 'Please provide email, role, and OTP.' });
+  if (typeof email !== 'string' || !email || !otp) {
+    return res.status(400).json({ success: false, message: 'Please provide email and OTP.' });
   }
 
+  const keys = throttleKeys('verify-otp', req, email);
+
   try {
-    const user = await User.findOne({ email, role });
+    const retryAfter = await claimAttempt(keys);
+    if (retryAfter) {
+      await logAuthEvent(req, { type: 'verify-otp', success: false, reason: 'throttled', email });
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    const user = await User.findOne({ email });
 
     if (!user) {
-      return res.status(404).json({ success: false, message: 'Invalid email or role.' });
+      await logAuthEvent(req, { type: 'verify-otp', success: false, reason: 'unknown-email', email });
+      return res.status(404).json({ success: false, message: 'Invalid email.' });
     }
 
     if (!user.otp || !user.otpExpire) {
@@ -398,67 +924,61 @@ const verifyOTP = async (req, res) => {
     }
 
     // Hash the provided OTP to compare with stored hash
-    const hashedOTP = crypto.createHash('sha256').update(otp).digest('hex');
+    const hashedOTP = crypto.createHash('sha256').update(String(otp)).digest('hex');
 
     if (hashedOTP !== user.otp) {
-      return res.status(400).json({ success: false, message: 'Invalid OTP.' });
+      const invalidated = await user.registerFailedOtp();
+      await logAuthEvent(req, {
+        type: 'verify-otp',
+        success: false,
+        reason: invalidated ? 'invalid-otp-discarded' : 'invalid-otp',
+        email,
+        user,
+      });
+      return res.status(400).json({
+        success: false,
+        message: invalidated
+          ? 'Too many incorrect codes. Please request a new OTP.'
+          : 'Invalid OTP.',
+      });
     }
 
+    // Swap the OTP for a single-use reset token that reset-password requires
     user.otp = undefined;
     user.otpExpire = undefined;
-    await user.save();
-
-    // OTP is valid, allow password reset
-    // Optionally, you can generate a reset token here and send it
-    // For simplicity, respond with success and allow password reset
-    res.status(200).json({ success: true, message: 'OTP verified successfully. You can now reset your password.' });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ success: false, message: 'Server Error' });
-  }
-};
+    user.otpAttempts = 0;
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
 
-// @desc    Reset password for user after OTP verification
-// @route   POST /api/auth/reset-password
-// @access  Public
-const resetPasswordOtp = async (req, res) => {
-  const { email, role, newPassword } = req.body;
-  
+    await clearFailures(keys);
+    await logAuthEvent(req, { type: 'verify-otp', success: true, email, user });
 
-  // Validate input
-  if (!email || !role || !newPassword) {
-    console.log("sheheheeh");
-  
-    return res.status(400).json({ success: false, message: 'Please provide email, role, OTP, and new password.' });
-  }
-
-  try {
-    const user = await User.findOne({ email, role });
-
-    if (!user) {
-      console.log("heheheh");
-      return res.status(404).json({ success: false, message: 'Invalid email or role.' });
-    }
-    // OTP is valid, proceed to reset password
-    user.password = newPassword;
-    await user.save();
-
-    res.status(200).json({ success: true, message: 'Password has been reset successfully.' });
+    res.status(200).json({
+      success: true,
+      message: 'OTP verified successfully. You can now reset your password.',
+      resetToken,
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ success: false, message: 'Server Error' });
   }
 };
 
-
-// ... existing sendTokenResponse function ...
-
 module.exports = {
   registerUser,
+  verifyEmail,
+  resendVerification,
   loginUser,
   getMe,
+  refreshSession,
+  logout,
+  logoutAll,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateBackupCodes,
+  getAuthEvents,
   forgotPassword,
-  resetPasswordLink,
+  resetPassword,
   verifyOTP,
-  resetPasswordOtp,
 };
\ No newline at end of file
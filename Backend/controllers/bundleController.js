@@ -0,0 +1,110 @@
+// controllers/bundleController.js
+
+const asyncHandler = require('express-async-handler');
+const Bundle = require('../models/Bundle');
+const Product = require('../models/Product');
+
+// Product fields shown on bundle cards; paid content is never included
+const PRODUCT_FIELDS = 'name subjectName subjectCode type price image';
+
+// Check that every product id in a bundle exists
+const checkProducts = async (res, productIds) => {
+  const count = await Product.countDocuments({ _id: { $in: productIds } });
+  if (count !== productIds.length) {
+    res.status(400);
+    throw new Error('One or more products in the bundle do not exist');
+  }
+};
+
+// @desc    Get bundles (admins also see inactive ones)
+// @route   GET /api/bundles
+// @access  Public
+const getBundles = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (!req.user || req.user.role !== 'admin') {
+    filter.isActive = true;
+  }
+  if (req.query.subjectCode) {
+    filter.subjectCode = req.query.subjectCode;
+  }
+
+  const bundles = await Bundle.find(filter)
+    .select('-__v')
+    .sort({ createdAt: -1 })
+    .populate('products', PRODUCT_FIELDS);
+
+  res.status(200).json({ success: true, count: bundles.length, data: bundles });
+});
+
+// @desc    Get a bundle with its products
+// @route   GET /api/bundles/:id
+// @access  Public
+const getBundle = asyncHandler(async (req, res) => {
+  const bundle = await Bundle.findById(req.params.id)
+    .select('-__v')
+    .populate('products', PRODUCT_FIELDS);
+
+  if (!bundle || (!bundle.isActive && (!req.user || req.user.role !== 'admin'))) {
+    res.status(404);
+    throw new Error('Bundle not found');
+  }
+
+  res.status(200).json({ success: true, data: bundle });
+});
+
+// @desc    Create a bundle
+// @route   POST /api/bundles
+// @access  Private/Admin
+const createBundle = asyncHandler(async (req, res) => {
+  await checkProducts(res, req.body.products);
+
+  const bundle = await Bundle.create(req.body);
+  await bundle.populate('products', PRODUCT_FIELDS);
+
+  res.status(201).json({ success: true, data: bundle });
+});
+
+// @desc    Update a bundle
+// @route   PUT /api/bundles/:id
+// @access  Private/Admin
+const updateBundle = asyncHandler(async (req, res) => {
+  const bundle = await Bundle.findById(req.params.id);
+
+  if (!bundle) {
+    res.status(404);
+    throw new Error('Bundle not found');
+  }
+
+  if (req.body.products) {
+    await checkProducts(res, req.body.products);
+  }
+
+  // The body only holds validated bundle fields
+  bundle.set(req.body);
+  const updatedBundle = await bundle.save();
+  await updatedBundle.populate('products', PRODUCT_FIELDS);
+
+  res.status(200).json({ success: true, data: updatedBundle });
+});
+
+// @desc    Delete a bundle (orders keep their per-product items)
+// @route   DELETE /api/bundles/:id
+// @access  Private/Admin
+const deleteBundle = asyncHandler(async (req, res) => {
+  const bundle = await Bundle.findByIdAndDelete(req.params.id);
+
+  if (!bundle) {
+    res.status(404);
+    throw new Error('Bundle not found');
+  }
+
+  res.status(200).json({ success: true, data: { _id: req.params.id } });
+});
+
+module.exports = {
+  getBundles,
+  getBundle,
+  createBundle,
+  updateBundle,
+  deleteBundle,
+};
@@ -0,0 +1,70 @@
+// controllers/cartController.js
+
+const asyncHandler = require('express-async-handler');
+const Cart = require('../models/Cart');
+const { lineKey, checkCart } = require('../utils/cart');
+
+const MAX_CART_ITEMS = 100;
+
+// `{ product }` / `{ bundle }` line for a validated request item
+const toLine = (item) => {
+  if (item.bundle) {
+    return { bundle: item.bundle };
+  }
+  return { product: item.product || item };
+};
+
+// @desc    Get the logged in user's cart, re-checked against current prices
+// @route   GET /api/cart
+// @access  Private
+const getCart = asyncHandler(async (req, res) => {
+  const cart = await Cart.findOne({ user: req.user._id });
+  if (!cart) {
+    return res.status(200).json({ success: true, data: { items: [], removed: [] } });
+  }
+
+  const { items, removed } = await checkCart(cart);
+  res.status(200).json({ success: true, data: { items, removed } });
+});
+
+// @desc    Replace the cart, or merge items into it (e.g. a guest cart on login)
+// @route   PUT /api/cart
+// @access  Private
+const updateCart = asyncHandler(async (req, res) => {
+  const { items, merge } = req.body;
+
+  const cart = (await Cart.findOne({ user: req.user._id })) || new Cart({ user: req.user._id });
+  const existing = new Map(cart.items.map((line) => [lineKey(line), line]));
+  const incoming = new Map(items.map(toLine).map((line) => [lineKey(line), line]));
+
+  // Lines already in the cart keep the price the buyer was shown, so a
+  // change since then is still flagged
+  const lines = merge
+    ? [...cart.items, ...[...incoming].filter(([key]) => !existing.has(key)).map(([, line]) => line)]
+    : [...incoming].map(([key, line]) => existing.get(key) || line);
+
+  if (lines.length > MAX_CART_ITEMS) {
+    res.status(400);
+    throw new Error(`A cart can hold at most ${MAX_CART_ITEMS} items`);
+  }
+
+  cart.items = lines;
+  await cart.save();
+
+  const { items: checkedItems, removed } = await checkCart(cart);
+  res.status(200).json({ success: true, data: { items: checkedItems, removed } });
+});
+
+// @desc    Empty the cart
+// @route   DELETE /api/cart
+// @access  Private
+const clearCart = asyncHandler(async (req, res) => {
+  await Cart.updateOne({ user: req.user._id }, { $set: { items: [] } });
+  res.status(200).json({ success: true, data: { items: [], removed: [] } });
+});
+
+module.exports = {
+  getCart,
+  updateCart,
+  clearCart,
+};
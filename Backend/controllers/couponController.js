@@ -0,0 +1,109 @@
+// controllers/couponController.js
+
+const asyncHandler = require('express-async-handler');
+const Coupon = require('../models/Coupon');
+const priceOrder = require('../utils/priceOrder');
+const { notifyCoupon } = require('../utils/wishlist');
+
+// The coupon is saved either way; a failed alert is only logged
+const alertWishlists = (coupon) =>
+  notifyCoupon(coupon).catch((error) => console.error('Coupon alerts failed:', error));
+
+// @desc    Check a coupon code against a cart and preview the discount
+// @route   POST /api/coupons/validate
+// @access  Private
+const validateCoupon = asyncHandler(async (req, res) => {
+  const { code, orderItems, currency: currencyCode } = req.body;
+
+  // Same pricing as checkout, so the preview matches the charge
+  const { subtotal, discount, tax, taxRate, totalPrice, coupon, currency } = await priceOrder(
+    orderItems,
+    {
+      couponCode: code,
+      userId: req.user._id,
+      currency: currencyCode,
+      country: req.user.country,
+      region: req.user.region,
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discountType,
+      amount: coupon.amount,
+      subtotal,
+      discount,
+      tax,
+      taxRate,
+      totalPrice,
+      currency,
+    },
+  });
+});
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private/Admin
+const getCoupons = asyncHandler(async (req, res) => {
+  const coupons = await Coupon.find().sort({ createdAt: -1 });
+  res.status(200).json({ success: true, count: coupons.length, data: coupons });
+});
+
+// @desc    Create a coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+const createCoupon = asyncHandler(async (req, res) => {
+  const exists = await Coupon.exists({ code: req.body.code.toUpperCase() });
+  if (exists) {
+    res.status(400);
+    throw new Error('A coupon with this code already exists');
+  }
+
+  const coupon = await Coupon.create(req.body);
+  await alertWishlists(coupon);
+  res.status(201).json({ success: true, data: coupon });
+});
+
+// @desc    Update a coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  // The body only holds validated coupon fields
+  coupon.set(req.body);
+  const updatedCoupon = await coupon.save();
+  await alertWishlists(updatedCoupon);
+
+  res.status(200).json({ success: true, data: updatedCoupon });
+});
+
+// @desc    Delete a coupon (orders keep a copy of its terms)
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+  if (!coupon) {
+    res.status(404);
+    throw new Error('Coupon not found');
+  }
+
+  res.status(200).json({ success: true, data: { _id: req.params.id } });
+});
+
+module.exports = {
+  validateCoupon,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+};
@@ -0,0 +1,77 @@
+// controllers/currencyController.js
+
+const asyncHandler = require('express-async-handler');
+const Currency = require('../models/Currency');
+const { BASE_CURRENCY } = require('../utils/currency');
+
+// @desc    Get the currencies buyers can pay in (admins also see inactive ones)
+// @route   GET /api/currencies
+// @access  Public
+const getCurrencies = asyncHandler(async (req, res) => {
+  const filter = req.user && req.user.role === 'admin' ? {} : { isActive: true };
+  const currencies = await Currency.find(filter).select('-__v').sort({ code: 1 });
+
+  res.status(200).json({
+    success: true,
+    base: BASE_CURRENCY,
+    count: currencies.length,
+    data: currencies,
+  });
+});
+
+// @desc    Add a currency
+// @route   POST /api/currencies
+// @access  Private/Admin
+const createCurrency = asyncHandler(async (req, res) => {
+  if (req.body.code === BASE_CURRENCY) {
+    res.status(400);
+    throw new Error(`${BASE_CURRENCY} is the base currency and is always available`);
+  }
+
+  const exists = await Currency.exists({ code: req.body.code });
+  if (exists) {
+    res.status(400);
+    throw new Error('This currency already exists');
+  }
+
+  const currency = await Currency.create(req.body);
+  res.status(201).json({ success: true, data: currency });
+});
+
+// @desc    Update a currency's rate, name or status
+// @route   PUT /api/currencies/:id
+// @access  Private/Admin
+const updateCurrency = asyncHandler(async (req, res) => {
+  const currency = await Currency.findById(req.params.id);
+
+  if (!currency) {
+    res.status(404);
+    throw new Error('Currency not found');
+  }
+
+  currency.set(req.body);
+  const updatedCurrency = await currency.save();
+
+  res.status(200).json({ success: true, data: updatedCurrency });
+});
+
+// @desc    Delete a currency (past orders keep their currency and rate)
+// @route   DELETE /api/currencies/:id
+// @access  Private/Admin
+const deleteCurrency = asyncHandler(async (req, res) => {
+  const currency = await Currency.findByIdAndDelete(req.params.id);
+
+  if (!currency) {
+    res.status(404);
+    throw new Error('Currency not found');
+  }
+
+  res.status(200).json({ success: true, data: { _id: req.params.id } });
+});
+
+module.exports = {
+  getCurrencies,
+  createCurrency,
+  updateCurrency,
+  deleteCurrency,
+};
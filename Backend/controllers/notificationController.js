@@ -0,0 +1,46 @@
+// controllers/notificationController.js
+
+const asyncHandler = require('express-async-handler');
+const Notification = require('../models/Notification');
+
+// @desc    Get the logged in user's latest notifications
+// @route   GET /api/notifications?limit=
+// @access  Private
+const getNotifications = asyncHandler(async (req, res) => {
+  const limit = req.query.limit || 50;
+
+  const [notifications, unreadCount] = await Promise.all([
+    Notification.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('product', 'name image price'),
+    Notification.countDocuments({ user: req.user._id, readAt: null }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: notifications.length,
+    unreadCount,
+    data: notifications,
+  });
+});
+
+// @desc    Mark notifications as read (all of them when no ids are given)
+// @route   PUT /api/notifications/read
+// @access  Private
+const markNotificationsRead = asyncHandler(async (req, res) => {
+  const { ids } = req.body;
+
+  const filter = { user: req.user._id, readAt: null };
+  if (ids) {
+    filter._id = { $in: ids };
+  }
+  const { modifiedCount } = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+
+  res.status(200).json({ success: true, data: { modifiedCount } });
+});
+
+module.exports = {
+  getNotifications,
+  markNotificationsRead,
+};
@@ -1,108 +1,282 @@
 // controllers/orderController.js
+const { Readable, pipeline } = require('stream');
+const mongoose = require('mongoose');
 const asyncHandler = require('express-async-handler');
 const Order = require('../models/Order');
-const dotenv = require('dotenv');
-dotenv.config();
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Coupon = require('../models/Coupon');
+const stripe = require('../config/stripe');
+const priceOrder = require('../utils/priceOrder');
+const { couponSnapshot } = require('../utils/coupons');
+const {
+  fulfilPaymentIntent,
+  cancelPaymentIntent,
+  recordRefund,
+  refundCharge,
+} = require('../utils/orderFulfilment');
+const {
+  signDownloadToken,
+  verifyDownloadToken,
+} = require('../utils/downloadToken');
+const getStorage = require('../utils/storage');
+const { MIN_CHARGE, convertToMinor, toMinorUnits } = require('../utils/currency');
+const { issueInvoice, renderInvoicePdf } = require('../utils/invoices');
+const { recordSales } = require('../utils/sales');
 
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+// PaymentIntents that have not been paid or started processing yet
+const REUSABLE_INTENT_STATUSES = [
+  'requires_payment_method',
+  'requires_confirmation',
+  'requires_action',
+];
+
+// How long a legacy pdfLink host gets to start answering a download
+const PDF_LINK_TIMEOUT_MS = 15000;
+
+// Run a checkout Stripe request, reporting its failure as a 500
+const checkoutStripeCall = async (res, request) => {
+  try {
+    return await request();
+  } catch (error) {
+    console.error('Stripe Error:', error);
+    res.status(500);
+    throw new Error('Failed to create payment intent');
+  }
+};
 
 /**
- * @desc    Create a Stripe Payment Intent
+ * @desc    Create a Stripe Payment Intent and its pending order
  * @route   POST /api/orders/create-payment-intent
  * @access  Private
  */
 const createPaymentIntent = asyncHandler(async (req, res) => {
-  const { orderItems, totalPrice } = req.body;
+  const { orderItems, couponCode, currency: currencyCode } = req.body;
 
-  // Validate order items
-  // if (!orderItems || orderItems.length === 0) {
-  //   res.status(400);
-  //   throw new Error('No order items');
-  // }
-console.log( totalPrice);
+  // Price the cart on the server; any client-sent total is ignored
+  const {
+    orderItems: pricedItems,
+    subtotal,
+    discount,
+    tax,
+    taxRate,
+    totalPrice,
+    amount,
+    coupon,
+    currency,
+    exchangeRate,
+  } = await priceOrder(orderItems, {
+    couponCode,
+    userId: req.user._id,
+    currency: currencyCode,
+    // Tax follows the billing location on the buyer's profile
+    country: req.user.country,
+    region: req.user.region,
+  });
 
-  try {
-    // Create a PaymentIntent with the order amount and currency
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount:totalPrice, // Amount in cents
-      currency: 'usd', // Change to your currency
-      payment_method_types: ['card'],
-      // automatic_payment_methods: {
-      //   enabled: true,
-      // },
-      metadata: {
-        userId: req.user._id.toString(),
-      },
-    });
+  // Stripe cannot charge less than its minimum, e.g. after a 100% coupon
+  if (amount < convertToMinor(MIN_CHARGE, { code: currency, rate: exchangeRate })) {
+    res.status(400);
+    throw new Error('The order total after discounts is too low to be paid by card');
+  }
+
+  const pricing = {
+    orderItems: pricedItems,
+    coupon: couponSnapshot(coupon),
+    subtotal,
+    discountAmount: discount,
+    taxAmount: tax,
+    taxRate: taxRate || undefined,
+    totalPrice,
+    currency,
+    exchangeRate,
+  };
+  const checkoutKey = [
+    ...new Set(
+      pricedItems.map((item) =>
+        item.bundle ? `bundle:${item.bundle}` : `product:${item.product}`
+      )
+    ),
+  ]
+    .sort()
+    .concat(coupon ? coupon.code : '', currency)
+    .join('|');
+
+  // Starting checkout again for the same cart reuses the open order and its
+  // PaymentIntent, as long as the intent can still be paid
+  let order = await Order.findOne({
+    user: req.user._id,
+    status: 'pending',
+    isPaid: false,
+    checkoutKey,
+  }).sort({ createdAt: -1 });
+
+  let paymentIntent;
+  if (order && order.paymentIntentId) {
+    paymentIntent = await checkoutStripeCall(res, () =>
+      stripe.paymentIntents.retrieve(order.paymentIntentId)
+    );
+    if (!REUSABLE_INTENT_STATUSES.includes(paymentIntent.status)) {
+      order = null;
+      paymentIntent = null;
+    } else if (paymentIntent.amount !== amount) {
+      // Prices, tax or the coupon changed since the last attempt
+      paymentIntent = await checkoutStripeCall(res, () =>
+        stripe.paymentIntents.update(paymentIntent.id, { amount })
+      );
+    }
+  }
 
-    res.send({
-      clientSecret: paymentIntent.client_secret,
+  if (order) {
+    order.set(pricing);
+    await order.save();
+  } else {
+    order = await Order.create({
+      ...pricing,
+      user: req.user._id,
+      checkoutKey,
+      paymentMethod: 'Card',
+      status: 'pending',
+      statusHistory: [{ status: 'pending', actor: req.user._id, note: 'Checkout started' }],
     });
-  } catch (error) {
-    console.error('Stripe Error:', error);
-    res.status(500);
-    throw new Error('Failed to create payment intent');
   }
+
+  if (!paymentIntent) {
+    // The order holds the items, so the intent only needs to point at it
+    // (Stripe caps metadata values at 500 characters)
+    paymentIntent = await checkoutStripeCall(res, () =>
+      stripe.paymentIntents.create(
+        {
+          amount, // Amount in the currency's smallest unit
+          currency: currency.toLowerCase(),
+          payment_method_types: ['card'],
+          metadata: {
+            userId: req.user._id.toString(),
+            orderId: order._id.toString(),
+          },
+        },
+        { idempotencyKey: `checkout-${order._id}-${amount}` }
+      )
+    );
+    order.paymentIntentId = paymentIntent.id;
+    await order.save();
+  }
+
+  res.send({
+    clientSecret: paymentIntent.client_secret,
+    paymentIntentId: paymentIntent.id,
+    subtotal,
+    discount,
+    tax,
+    taxRate,
+    totalPrice,
+    currency,
+  });
 });
 
 /**
- * @desc    Create a new order
+ * @desc    Confirm the order for a succeeded PaymentIntent
+ *          (the Stripe webhook does the same if this call never arrives)
  * @route   POST /api/orders
  * @access  Private
  */
 const addOrderItems = asyncHandler(async (req, res) => {
-  const {
-    orderItems,
-    totalPrice,
-    paymentMethod,
-    isPaid,
-    paidAt,
-    paymentResult,
-  } = req.body;
+  const { paymentIntentId } = req.body;
 
-  console.log('Order Items:', orderItems);
+  if (!paymentIntentId) {
+    res.status(400);
+    throw new Error('Payment intent id is required');
+  }
 
-  if (!orderItems || orderItems.length === 0) {
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  } catch (error) {
+    console.error('Stripe Error:', error);
     res.status(400);
-    throw new Error('No order items');
+    throw new Error('Payment could not be verified');
   }
 
-  // Create new order
-  const order = new Order({
-    user: req.user._id,
-    orderItems,
-    totalPrice,
-    paymentMethod,
-    isPaid,
-    paidAt,
-    paymentResult,
-    status: 'completed', // Set status to 'completed'
-  });
-  if (order) {
-    // Increment the user's purchasesCount
-    await req.user.incrementPurchases();
+  if (paymentIntent.metadata.userId !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error('This payment does not belong to you');
+  }
+
+  if (paymentIntent.status !== 'succeeded') {
+    res.status(402);
+    throw new Error(`Payment has not succeeded (status: ${paymentIntent.status})`);
+  }
+
+  const order = await fulfilPaymentIntent(paymentIntent);
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found for this payment');
+  }
+
+  if (!order.isPaid) {
+    res.status(409);
+    throw new Error('Your payment is being reviewed. We will email you once your order is confirmed.');
   }
-  const createdOrder = await order.save();
 
-  // Populate the 'product' field in orderItems to include 'pdfLink'
-  const populatedOrder = await createdOrder.populate({
+  // Files are fetched through the download endpoint, never via pdfLink
+  const populatedOrder = await order.populate({
     path: 'orderItems.product',
-    select: 'pdfLink', // Select the pdfLink field
+    select: 'name',
   });
 
   res.status(201).json(populatedOrder);
 });
 
+/**
+ * @desc    Handle Stripe webhook events
+ * @route   POST /api/orders/webhook
+ * @access  Public (verified by Stripe signature)
+ */
+const stripeWebhook = asyncHandler(async (req, res) => {
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(
+      req.rawBody,
+      req.headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    console.error('Stripe webhook signature error:', error.message);
+    res.status(400);
+    throw new Error('Invalid Stripe signature');
+  }
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      await fulfilPaymentIntent(event.data.object);
+      break;
+    // A failed attempt can be retried on the same intent, so the order is
+    // only closed once the intent itself is cancelled
+    case 'payment_intent.canceled':
+      await cancelPaymentIntent(event.data.object);
+      break;
+    case 'charge.refunded':
+      await refundCharge(event.data.object);
+      break;
+    default:
+      // Other events are acknowledged so Stripe does not retry them
+      break;
+  }
+
+  res.json({ received: true });
+});
+
 /**
  * @desc    Get logged-in user's orders
  * @route   GET /api/orders/myorders
  * @access  Private
  */
 const getMyOrders = asyncHandler(async (req, res) => {
-  const orders = await Order.find({ user: req.user._id })
+  // Abandoned and failed checkouts are not purchases
+  const orders = await Order.find({ user: req.user._id, isPaid: true })
     .populate({
       path: 'orderItems.product',
-      select: 'pdfLink', // Include pdfLink in each orderItem's product
+      select: 'name',
     })
     .sort({ createdAt: -1 });
   res.json(orders);
@@ -120,12 +294,355 @@ const getAllOrders = asyncHandler(async (req, res) => {
       path: 'orderItems.product',
       select: 'pdfLink', // Include pdfLink in each orderItem's product
     })
+    .populate('statusHistory.actor', 'name email')
     .sort({ createdAt: -1 });
     console.log(orders);
     
   res.json(orders);
 });
 
+/**
+ * @desc    Move an order to a new status and log the change
+ * @route   PUT /api/orders/:id/status
+ * @access  Private/Admin
+ */
+const updateOrderStatus = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!Order.STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`Status must be one of: ${Order.STATUSES.join(', ')}`);
+  }
+
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  if (!Order.canTransition(order.status, status)) {
+    res.status(409);
+    throw new Error(`Cannot change order status from ${order.status} to ${status}`);
+  }
+
+  const update = {
+    $set: { status },
+    $push: {
+      statusHistory: {
+        from: order.status,
+        status,
+        actor: req.user._id,
+        note: typeof note === 'string' ? note : undefined,
+      },
+    },
+  };
+
+  // Completing an order by hand (e.g. an offline payment) unlocks its downloads
+  const markPaid = status === 'completed' && !order.isPaid;
+  if (markPaid) {
+    update.$set.isPaid = true;
+    update.$set.paidAt = new Date();
+    // Completing it is how an admin resolves a flagged payment
+    update.$unset = { paymentIssue: '' };
+  }
+
+  // A refund settled outside Stripe revokes every download, like a Stripe one
+  if (status === 'refunded') {
+    update.$set['orderItems.$[].refunded'] = true;
+  }
+
+  // Only apply the change if nobody else moved the order in the meantime.
+  // A newly paid order gets its invoice number in the same transaction.
+  const updatedOrder = await mongoose.connection.transaction(async (session) => {
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: order.status },
+      update,
+      { new: true, runValidators: true, session }
+    );
+    return updated && markPaid ? issueInvoice(updated, session) : updated;
+  });
+
+  if (!updatedOrder) {
+    res.status(409);
+    throw new Error('Order status was changed by another request, please reload');
+  }
+
+  if (markPaid) {
+    await User.findByIdAndUpdate(updatedOrder.user, { $inc: { purchasesCount: 1 } });
+    if (updatedOrder.coupon && updatedOrder.coupon.coupon) {
+      await Coupon.updateOne({ _id: updatedOrder.coupon.coupon }, { $inc: { usedCount: 1 } });
+    }
+  } else if (status === 'refunded') {
+    await User.updateOne(
+      { _id: updatedOrder.user, purchasesCount: { $gt: 0 } },
+      { $inc: { purchasesCount: -1 } }
+    );
+  }
+
+  // Only completed orders count towards the top products ranking
+  if (status === 'completed') {
+    await recordSales(updatedOrder);
+  } else if (status === 'refunded') {
+    await recordSales(updatedOrder, -1);
+  }
+
+  const populatedOrder = await updatedOrder.populate([
+    { path: 'user' },
+    { path: 'orderItems.product', select: 'pdfLink' },
+    { path: 'statusHistory.actor', select: 'name email' },
+  ]);
+
+  res.json(populatedOrder);
+});
+
+/**
+ * @desc    Refund some or all items of an order through Stripe
+ * @route   POST /api/orders/:id/refund
+ * @access  Private/Admin
+ */
+const refundOrder = asyncHandler(async (req, res) => {
+  const { products, reason } = req.body;
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    res.status(400);
+    throw new Error('A reason is required for refunds');
+  }
+
+  const order = await Order.findById(req.params.id);
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  if (!order.isPaid || order.status !== 'completed' || !order.paymentIntentId) {
+    res.status(409);
+    throw new Error('Only completed Stripe orders can be refunded');
+  }
+
+  // No product list means refund everything that has not been refunded yet
+  const refundable = order.orderItems.filter((item) => !item.refunded);
+  let items = refundable;
+  if (products !== undefined) {
+    if (!Array.isArray(products) || products.length === 0) {
+      res.status(400);
+      throw new Error('Products must be a non-empty array of product ids');
+    }
+    const requested = new Set(products.map(String));
+    items = refundable.filter((item) => requested.has(item.product.toString()));
+    if (items.length !== requested.size) {
+      res.status(400);
+      throw new Error('Some products are not part of this order or were already refunded');
+    }
+  }
+
+  if (items.length === 0) {
+    res.status(409);
+    throw new Error('This order has nothing left to refund');
+  }
+
+  const productIds = items.map((item) => item.product.toString()).sort();
+  // Items are refunded what was paid: list price less coupon discount, plus tax
+  const amount = items.reduce(
+    (sum, item) =>
+      sum +
+      toMinorUnits(item.price - (item.discount || 0) + (item.tax || 0), order.currency) *
+        item.quantity,
+    0
+  );
+
+  let refund;
+  try {
+    refund = await stripe.refunds.create(
+      {
+        payment_intent: order.paymentIntentId,
+        amount,
+        reason: 'requested_by_customer',
+        metadata: {
+          orderId: order._id.toString(),
+          productIds: productIds.join(','),
+          adminReason: reason.trim().slice(0, 500),
+        },
+      },
+      // A retried request for the same items must not refund twice
+      { idempotencyKey: `refund-${order._id}-${productIds.join('-')}` }
+    );
+  } catch (error) {
+    console.error('Stripe Error:', error);
+    res.status(502);
+    throw new Error(error.message || 'Failed to issue refund');
+  }
+
+  const refundedOrder = await recordRefund(order, refund, {
+    products: productIds,
+    reason: reason.trim(),
+    actor: req.user._id,
+  });
+
+  const populatedOrder = await refundedOrder.populate([
+    { path: 'user' },
+    { path: 'orderItems.product', select: 'pdfLink' },
+    { path: 'statusHistory.actor', select: 'name email' },
+  ]);
+
+  res.json(populatedOrder);
+});
+
+/**
+ * @desc    Issue a short-lived download link for a purchased product
+ * @route   GET /api/orders/:orderId/items/:productId/download
+ * @access  Private (order owner)
+ */
+const getDownloadLink = asyncHandler(async (req, res) => {
+  const { orderId, productId } = req.params;
+
+  const order = await Order.findOne({
+    _id: orderId,
+    user: req.user._id,
+    isPaid: true,
+    status: 'completed',
+  });
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  const orderItem = order.orderItems.find(
+    (item) => item.product.toString() === productId
+  );
+  if (!orderItem) {
+    res.status(403);
+    throw new Error('This product is not part of your order');
+  }
+  if (orderItem.refunded) {
+    res.status(403);
+    throw new Error('This product was refunded and can no longer be downloaded');
+  }
+
+  const token = signDownloadToken({
+    user: req.user._id,
+    order: order._id,
+    product: productId,
+  });
+
+  res.json({
+    success: true,
+    url: `${req.protocol}://${req.get('host')}/api/orders/files/${token}`,
+  });
+});
+
+/**
+ * @desc    Stream a purchased PDF for a valid download token
+ * @route   GET /api/orders/files/:token
+ * @access  Public (authorised by the signed token)
+ */
+const streamDownload = asyncHandler(async (req, res) => {
+  let grant;
+  try {
+    grant = verifyDownloadToken(req.params.token);
+  } catch (error) {
+    res.status(401);
+    throw new Error('Download link is invalid or has expired');
+  }
+
+  // Re-check access in case the order changed after the link was issued
+  const stillOwned = await Order.exists({
+    _id: grant.order,
+    user: grant.user,
+    isPaid: true,
+    status: 'completed',
+    orderItems: { $elemMatch: { product: grant.product, refunded: { $ne: true } } },
+  });
+  if (!stillOwned) {
+    res.status(403);
+    throw new Error('You no longer have access to this file');
+  }
+
+  const product = await Product.findById(grant.product)
+    .select('+pdfLink +pdfAsset')
+    .populate('pdfAsset', 'key');
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  // Uploaded PDFs come from private storage; older products use pdfLink
+  let body;
+  if (product.pdfAsset) {
+    try {
+      body = await getStorage().getStream(product.pdfAsset.key);
+    } catch (error) {
+      console.error('Storage Error:', error);
+      res.status(502);
+      throw new Error('File is temporarily unavailable');
+    }
+  } else {
+    // The timeout only covers waiting for the response headers; a slow but
+    // steady download is not cut off
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), PDF_LINK_TIMEOUT_MS);
+    let upstream;
+    try {
+      upstream = await fetch(product.pdfLink, { signal: controller.signal });
+    } catch (error) {
+      console.error('PDF link Error:', error);
+      res.status(error.name === 'AbortError' ? 504 : 502);
+      throw new Error('File is temporarily unavailable');
+    } finally {
+      clearTimeout(timer);
+    }
+    if (!upstream.ok || !upstream.body) {
+      res.status(502);
+      throw new Error('File is temporarily unavailable');
+    }
+    body = Readable.fromWeb(upstream.body);
+  }
+
+  const fileName = `${product.subjectCode}-${product.name}`.replace(/[^\w.-]+/g, '_');
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader(
+    'Content-Disposition',
+    `${req.query.inline ? 'inline' : 'attachment'}; filename="${fileName}.pdf"`
+  );
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  // pipeline destroys both streams if either side fails, so a dropped
+  // client or a broken upstream never leaves the other one open
+  pipeline(body, res, (error) => {
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Download stream Error:', error);
+    }
+  });
+});
+
+/**
+ * @desc    Download the invoice for a paid order as a PDF
+ * @route   GET /api/orders/:id/invoice
+ * @access  Private (order owner or admin)
+ */
+const getInvoice = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .populate('user', 'name email address country region')
+    .populate({ path: 'orderItems.product', select: 'name' });
+
+  const isOwner = order && order.user && order.user._id.equals(req.user._id);
+  if (!order || (!isOwner && req.user.role !== 'admin')) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  if (!order.invoiceNumber) {
+    res.status(409);
+    throw new Error('An invoice is issued once the order has been paid');
+  }
+
+  const pdf = await renderInvoicePdf(order);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${order.invoiceNumber}.pdf"`);
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.send(pdf);
+});
+
 // const deleteOrder = asyncHandler(async (req, res) => {
 //   const orderId = req.params.id;
 //   const deletedOrder = await Order.findByIdAndDelete(orderId);
@@ -141,13 +658,52 @@ const deleteOrder = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error('Order not found');
   }
+  // Paid orders are financial records; they are refunded, never deleted
+  if (order.isPaid) {
+    res.status(409);
+    throw new Error('Paid orders cannot be deleted. Refund the order instead.');
+  }
+
+  // Cancel the checkout's PaymentIntent first, so the buyer cannot pay for an
+  // order that no longer exists
+  if (order.paymentIntentId) {
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.retrieve(order.paymentIntentId);
+      if (REUSABLE_INTENT_STATUSES.includes(paymentIntent.status)) {
+        paymentIntent = await stripe.paymentIntents.cancel(paymentIntent.id);
+      }
+    } catch (error) {
+      // The buyer paid while we were cancelling
+      if (error.code === 'payment_intent_unexpected_state') {
+        res.status(409);
+        throw new Error('This order is being paid. Refresh and try again.');
+      }
+      console.error('Stripe Error:', error);
+      res.status(502);
+      throw new Error('Could not cancel the payment for this order');
+    }
+    if (paymentIntent.status !== 'canceled') {
+      res.status(409);
+      throw new Error(
+        `This order's payment is ${paymentIntent.status} and cannot be cancelled. Refresh and try again.`
+      );
+    }
+  }
+
   await order.deleteOne();
   res.json({ message: 'Order deleted successfully' });
 });
 module.exports = {
   createPaymentIntent,
   addOrderItems,
+  stripeWebhook,
   getMyOrders,
   getAllOrders,
+  updateOrderStatus,
+  refundOrder,
+  getDownloadLink,
+  streamDownload,
+  getInvoice,
   deleteOrder,
 };
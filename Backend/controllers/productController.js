@@ -2,32 +2,231 @@
 
 const asyncHandler = require('express-async-handler');
 const Product = require('../models/Product');
+const Asset = require('../models/Asset');
+const { notifyPriceDrop } = require('../utils/wishlist');
+
+const DEFAULT_LIMIT = 20;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Translate validated catalog query parameters into a Mongo filter, sort and page
+const buildCatalogQuery = ({
+  q,
+  type,
+  subjectCode,
+  minPrice,
+  maxPrice,
+  minRating,
+  sort,
+  page = 1,
+  limit = DEFAULT_LIMIT,
+}) => {
+  const filter = {};
+
+  if (q) {
+    filter.$text = { $search: q };
+  }
+  if (type) {
+    filter.type = type;
+  }
+  if (subjectCode) {
+    filter.subjectCode = new RegExp(`^${escapeRegex(subjectCode)}$`, 'i');
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) filter.price.$gte = minPrice;
+    if (maxPrice !== undefined) filter.price.$lte = maxPrice;
+  }
+  if (minRating !== undefined) {
+    filter.ratings = { $gte: minRating };
+  }
+
+  // Relevance is the default order for searches, newest otherwise
+  const sortKey = sort || (q ? 'relevance' : 'newest');
+  const sortBy =
+    sortKey === 'relevance' ? { score: { $meta: 'textScore' } } : Product.SORT_OPTIONS[sortKey];
 
-// @desc    Fetch all products/exams
-// @route   GET /api/products
-// @access  Public/Admin
+  // Tie-break on _id so pages never overlap
+  return { filter, sortBy: { ...sortBy, _id: 1 }, page, limit };
+};
+
+// @desc    Fetch products/exams with search, filters, sorting and pagination
+// @route   GET /api/products?q=&type=&subjectCode=&minPrice=&maxPrice=&minRating=&sort=&page=&limit=
+// @access  Public (pdfLink for admins only)
 const fetchProducts = asyncHandler(async (req, res) => {
-  const products = await Product.find({}).select('-__v'); // Exclude __v field
-  res.status(200).json({ success: true, count: products.length, data: products });
+  const { filter, sortBy, page, limit } = buildCatalogQuery(req.query);
+
+  const query = Product.find(filter)
+    .select('-__v') // Exclude __v field
+    .sort(sortBy)
+    .skip((page - 1) * limit)
+    .limit(limit);
+
+  if (filter.$text) {
+    query.select({ score: { $meta: 'textScore' } });
+  }
+
+  // Only admins see the paid PDF link; buyers use the download endpoint
+  if (req.user && req.user.role === 'admin') {
+    query.select('+pdfLink +pdfAsset').populate('pdfAsset', 'originalName size');
+  }
+
+  const [products, total] = await Promise.all([query, Product.countDocuments(filter)]);
+  const pages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    success: true,
+    count: products.length,
+    total,
+    page,
+    pages,
+    hasMore: page < pages,
+    data: products,
+  });
 });
 
+const RELATED_LIMIT = 6;
+
+// @desc    Get a product/exam with its rating summary and related products
+// @route   GET /api/products/:id
+// @access  Public
+const getProductDetails = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id).select('-__v');
+
+  if (!product) {
+    res.status(404);
+    throw new Error('Product/Exam not found');
+  }
+
+  // Same subject first, then fill up with products of the same type
+  const related = await Product.find({
+    _id: { $ne: product._id },
+    $or: [{ subjectCode: product.subjectCode }, { subjectName: product.subjectName }],
+  })
+    .select('-__v')
+    .sort(Product.SORT_OPTIONS.rating)
+    .limit(RELATED_LIMIT);
+
+  if (related.length < RELATED_LIMIT) {
+    const sameType = await Product.find({
+      _id: { $nin: [product._id, ...related.map((item) => item._id)] },
+      type: product.type,
+    })
+      .select('-__v')
+      .sort(Product.SORT_OPTIONS.rating)
+      .limit(RELATED_LIMIT - related.length);
+    related.push(...sameType);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...product.toObject(),
+      ratingSummary: {
+        average: product.ratings,
+        count: product.numberOfReviews,
+        weighted: product.weightedRating,
+        histogram: product.ratingHistogram,
+      },
+      related,
+    },
+  });
+});
+
+// Ranking weights for top products: how much the rating and sales count
+const TOP_RATING_WEIGHT = 0.7;
+const TOP_SALES_WEIGHT = 0.3;
+
+// @desc    Get top products ranked by weighted rating and sales
+// @route   GET /api/products/top?limit=
+// @access  Public
+const getTopProducts = asyncHandler(async (req, res) => {
+  const { limit = 10 } = req.query;
+
+  // salesCount is kept by utils/sales, so the best seller is one lookup on
+  // the salesCount index. The score mixes two fields and no index orders it,
+  // so the aggregate reads every product; $sort + $limit only keeps the top N
+  // in memory while it does
+  const bestSeller = await Product.findOne({}).sort({ salesCount: -1 }).select('salesCount').lean();
+  const maxSales = Math.max(1, (bestSeller && bestSeller.salesCount) || 0);
+
+  const ranked = await Product.aggregate([
+    {
+      $addFields: {
+        // Bayesian average kept by utils/ratings; products not yet
+        // backfilled count as having no reviews
+        weightedRating: { $ifNull: ['$weightedRating', Product.RATING_PRIOR.mean] },
+        sales: { $ifNull: ['$salesCount', 0] },
+      },
+    },
+    {
+      $addFields: {
+        score: {
+          $add: [
+            { $multiply: [TOP_RATING_WEIGHT, { $divide: ['$weightedRating', 5] }] },
+            { $multiply: [TOP_SALES_WEIGHT, { $divide: ['$sales', maxSales] }] },
+          ],
+        },
+      },
+    },
+    { $sort: { score: -1, _id: 1 } },
+    { $limit: limit },
+    // Aggregation ignores select: false, so keep the files out by hand
+    { $project: { pdfLink: 0, pdfAsset: 0, __v: 0 } },
+  ]);
+
+  res.status(200).json({ success: true, count: ranked.length, data: ranked });
+});
+
+// Point a product at uploaded assets. Images and PDFs must come from the
+// upload endpoints rather than arbitrary external URLs.
+const attachAssets = async (product, { imageAsset, pdfAsset }) => {
+  if (imageAsset) {
+    const asset = await Asset.findOne({ _id: imageAsset, kind: 'image' });
+    if (!asset) {
+      const error = new Error('Image upload not found');
+      error.statusCode = 400;
+      throw error;
+    }
+    product.imageAsset = asset._id;
+    product.image = asset.url;
+    product.thumbnail = asset.thumbnailUrl;
+  }
+
+  if (pdfAsset) {
+    const asset = await Asset.findOne({ _id: pdfAsset, kind: 'pdf' });
+    if (!asset) {
+      const error = new Error('PDF upload not found');
+      error.statusCode = 400;
+      throw error;
+    }
+    product.pdfAsset = asset._id;
+    product.pdfLink = undefined;
+  }
+};
+
 // @desc    Add a new product/exam
 // @route   POST /api/products
 // @access  Private/Admin
 const addProduct = asyncHandler(async (req, res) => {
-  const { name, subjectName, subjectCode, price, image, description, type, pdfLink } = req.body;
+  const { name, subjectName, subjectCode, price, description, type, imageAsset, pdfAsset } =
+    req.body;
 
-  // Create new product
-  const product = await Product.create({
+  if (!imageAsset || !pdfAsset) {
+    res.status(400);
+    throw new Error('Please upload an image and a PDF for the product/exam.');
+  }
+
+  const product = new Product({
     name,
     subjectName,
     subjectCode,
     price,
-    image,
     description,
     type,
-    pdfLink,
   });
+  await attachAssets(product, { imageAsset, pdfAsset });
+  await product.save();
 
   res.status(201).json({ success: true, data: product });
 });
@@ -37,28 +236,37 @@ const addProduct = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const updateProduct = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, subjectName, subjectCode, price, image, description, type, pdfLink } = req.body;
+  const { name, subjectName, subjectCode, price, description, type, imageAsset, pdfAsset } =
+    req.body;
 
   // Find product by ID
-  const product = await Product.findById(id);
+  const product = await Product.findById(id).select('+pdfLink +pdfAsset');
 
   if (!product) {
     res.status(404);
     throw new Error('Product/Exam not found');
   }
 
+  const previousPrice = product.price;
+
   // Update fields
   product.name = name || product.name;
   product.subjectName = subjectName || product.subjectName;
   product.subjectCode = subjectCode || product.subjectCode;
   product.price = price !== undefined ? price : product.price;
-  product.image = image || product.image;
   product.description = description || product.description;
   product.type = type || product.type;
-  product.pdfLink = pdfLink || product.pdfLink;
+  await attachAssets(product, { imageAsset, pdfAsset });
 
   const updatedProduct = await product.save();
 
+  // The product is saved either way; a failed alert is only logged
+  if (updatedProduct.price < previousPrice) {
+    await notifyPriceDrop(updatedProduct).catch((error) =>
+      console.error('Price drop alerts failed:', error)
+    );
+  }
+
   res.status(200).json({ success: true, data: updatedProduct });
 });
 
@@ -94,6 +302,8 @@ const deleteProduct = asyncHandler(async (req, res) => {
 });
 module.exports = {
   fetchProducts,
+  getProductDetails,
+  getTopProducts,
   addProduct,
   updateProduct,
   deleteProduct,
@@ -3,6 +3,35 @@
 const asyncHandler = require('express-async-handler');
 const Review = require('../models/Review');
 const Product = require('../models/Product');
+const User = require('../models/User');
+const ReviewSettings = require('../models/ReviewSettings');
+const ReviewVote = require('../models/ReviewVote');
+const Asset = require('../models/Asset');
+const { moderateReview } = require('../utils/reviewModeration');
+
+// Turn uploaded asset ids into review photos. Only the reviewer's own
+// review-image uploads that no other review uses are accepted.
+const reviewImages = async (req, res, assetIds, reviewId) => {
+  if (assetIds.length === 0) return [];
+
+  const [assets, taken] = await Promise.all([
+    Asset.find({ _id: { $in: assetIds }, kind: 'review-image', uploadedBy: req.user._id }),
+    Review.exists({
+      'images.asset': { $in: assetIds },
+      ...(reviewId && { _id: { $ne: reviewId } }),
+    }),
+  ]);
+  if (assets.length !== assetIds.length || taken) {
+    res.status(400);
+    throw new Error('Photo upload not found.');
+  }
+
+  const byId = new Map(assets.map((asset) => [asset._id.toString(), asset]));
+  return assetIds.map((id) => {
+    const asset = byId.get(id);
+    return { asset: asset._id, url: asset.url, thumbnailUrl: asset.thumbnailUrl };
+  });
+};
 
 /**
  * @desc    Create a new review
@@ -10,8 +39,7 @@ const Product = require('../models/Product');
  * @access  Private
  */
 const createReview = asyncHandler(async (req, res) => {
-  const { productId, rating, comment } = req.body;
-  console.log(productId, rating, comment);
+  const { productId, rating, comment, images = [] } = req.body;
 
   // Validate required fields
   if (!productId || !rating || !comment) {
@@ -37,47 +65,52 @@ const createReview = asyncHandler(async (req, res) => {
     throw new Error('You have already reviewed this product.');
   }
 
-  // Create a new review
+  // Create a new review; it goes live now or waits for moderation
   const review = new Review({
     user: req.user._id,
     product: productId,
     name: req.user.name,
     rating: Number(rating),
     comment,
+    images: await reviewImages(req, res, images),
+    status: 'pending',
   });
-  if (review) {
-    // Increment the user's reviewsCount
-    await req.user.incrementReviews();
-  }
+  await moderateReview(review, await ReviewSettings.getSettings());
+  // The save hook recalculates the product's ratings
   await review.save();
-
-  // Recalculate product ratings and number of reviews
-  await Product.calculateRatings(productId);
+  // Counted only once the review is stored
+  await req.user.incrementReviews();
 
   res.status(201).json(review);
 });
 
 /**
- * @desc    Get all reviews
- * @route   GET /api/reviews
- * @access  Public
+ * @desc    Get all reviews, including those waiting for moderation
+ * @route   GET /api/reviews?status=
+ * @access  Private/Admin
  */
 const getAllReviews = asyncHandler(async (req, res) => {
-  const reviews = await Review.find()
+  const filter = req.query.status ? { status: req.query.status } : {};
+  const reviews = await Review.find(filter)
+    .sort({ createdAt: -1 })
     .populate('user', 'name email')
-    .populate('product', 'name');
+    .populate('product', 'name')
+    .populate('moderation.moderatedBy', 'name')
+    .populate('reports.user', 'name email');
 
   res.json(reviews);
 });
 
+const DEFAULT_REVIEWS_LIMIT = 10;
+
 /**
- * @desc    Get reviews for a specific product
- * @route   GET /api/reviews/product/:productId
- * @access  Public
+ * @desc    Get reviews for a specific product, sorted and paginated
+ * @route   GET /api/reviews/product/:productId?sort=helpful|newest|rating_desc|rating_asc&page=&limit=
+ * @access  Public (logged in users also get their own votes)
  */
 const getProductReviews = asyncHandler(async (req, res) => {
   const { productId } = req.params;
-  console.log(productId);
+  const { sort = 'helpful', page = 1, limit = DEFAULT_REVIEWS_LIMIT } = req.query;
 
   // Check if product exists
   const product = await Product.findById(productId);
@@ -86,21 +119,47 @@ const getProductReviews = asyncHandler(async (req, res) => {
     throw new Error('Product not found.');
   }
 
-  const reviews = await Review.find({ product: productId })
-    .populate('user', 'name email profileImage')
-    .populate('product', 'name');
-
-  res.json(reviews);
+  const filter = { product: productId, ...Review.VISIBLE };
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .select('-reports')
+      .sort(Review.SORT_OPTIONS[sort])
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('user', 'name email profileImage')
+      .populate('product', 'name'),
+    Review.countDocuments(filter),
+  ]);
+
+  // The caller's own votes, so the app can highlight them
+  const votes = req.user
+    ? await ReviewVote.find({ user: req.user._id, review: { $in: reviews.map((r) => r._id) } })
+    : [];
+  const myVotes = new Map(votes.map((vote) => [vote.review.toString(), vote.helpful]));
+
+  const pages = Math.ceil(total / limit);
+  res.status(200).json({
+    success: true,
+    count: reviews.length,
+    total,
+    page,
+    pages,
+    hasMore: page < pages,
+    data: reviews.map((review) => ({
+      ...review.toObject(),
+      myVote: myVotes.has(review._id.toString()) ? myVotes.get(review._id.toString()) : null,
+    })),
+  });
 });
 
 /**
  * @desc    Update a review
  * @route   PUT /api/reviews/:id
- * @access  Private
+ * @access  Private (owner or admin)
  */
 const updateReview = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { rating, comment } = req.body;
+  const { rating, comment, images } = req.body;
 
   // Find the review
   const review = await Review.findById(id);
@@ -110,20 +169,28 @@ const updateReview = asyncHandler(async (req, res) => {
     throw new Error('Review not found.');
   }
 
-  // Check if the user is the owner of the review
-  // if (review.user.toString() !== req.user._id.toString()) {
-  //   res.status(401);
-  //   throw new Error('Not authorized to update this review.');
-  // }
+  const isOwner = review.user.equals(req.user._id);
 
   // Update the review fields
   if (rating) review.rating = Number(rating);
   if (comment) review.comment = comment;
 
-  await review.save();
+  // Only the reviewer changes their photos; admins remove them one by one
+  let droppedImages = [];
+  if (images && isOwner) {
+    droppedImages = review.images
+      .map((image) => image.asset)
+      .filter((assetId) => !images.includes(assetId.toString()));
+    review.images = await reviewImages(req, res, images, review._id);
+  }
+
+  // An edit by the reviewer is checked again as if it were new
+  if (isOwner) {
+    await moderateReview(review, await ReviewSettings.getSettings());
+  }
 
-  // Recalculate product ratings and number of reviews
-  await Product.calculateRatings(review.product);
+  await review.save();
+  await Asset.removeWithFiles(droppedImages);
 
   res.json(review);
 });
@@ -131,7 +198,7 @@ const updateReview = asyncHandler(async (req, res) => {
 /**
  * @desc    Delete a review
  * @route   DELETE /api/reviews/:id
- * @access  Private/Admin
+ * @access  Private (owner or admin)
  */
 // const deleteReview = asyncHandler(async (req, res) => {
 //   const { id } = req.params;
@@ -172,17 +239,9 @@ const deleteReview = asyncHandler(async (req, res) => {
     res.status(404);
     throw new Error('Review not found.');
   }
-  // Check if the user is the owner of the review or an admin
-  if (
-    review.user.toString() !== req.user._id.toString() &&
-    req.user.role !== 'admin'
-  ) {
-    res.status(401);
-    throw new Error('Not authorized to delete this review.');
-  }
 
-  const productId = review.product;
-  // Use deleteOne() on the document so middleware is triggered
+  // Use deleteOne() on the document so middleware is triggered (this also
+  // recalculates the product's ratings)
   await review.deleteOne();
 
   // Since review.user is stored as an ObjectId, retrieve the user document
@@ -191,16 +250,245 @@ const deleteReview = asyncHandler(async (req, res) => {
     await reviewUser.decrementReviews();
   }
 
-  // Recalculate product ratings and number of reviews
-  await Product.calculateRatings(productId);
   res.json({ message: 'Review deleted successfully.' });
 });
+/**
+ * @desc    Approve or reject a review
+ * @route   PUT /api/reviews/:id/moderate
+ * @access  Private/Admin
+ */
+const moderateReviewStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  const review = await Review.findById(req.params.id);
+  if (!review) {
+    res.status(404);
+    throw new Error('Review not found.');
+  }
+
+  review.status = status;
+  review.moderation = {
+    flags: review.moderation?.flags || [],
+    reason: status === 'rejected' ? reason : undefined,
+    moderatedBy: req.user._id,
+    moderatedAt: new Date(),
+  };
+  // Open reports are settled by the decision
+  review.reports = [];
+  review.reportCount = 0;
+
+  // The post-save hook recalculates the product's ratings
+  await review.save();
+  await review.populate([
+    { path: 'user', select: 'name email' },
+    { path: 'product', select: 'name' },
+    { path: 'moderation.moderatedBy', select: 'name' },
+  ]);
+
+  res.json(review);
+});
+
+/**
+ * @desc    Vote a review helpful or unhelpful, or take the vote back
+ * @route   PUT /api/reviews/:id/vote
+ * @access  Private
+ */
+const voteReview = asyncHandler(async (req, res) => {
+  const { helpful } = req.body;
+
+  const review = await Review.findOne({ _id: req.params.id, ...Review.VISIBLE }).select('user');
+  if (!review) {
+    res.status(404);
+    throw new Error('Review not found.');
+  }
+  if (review.user.equals(req.user._id)) {
+    res.status(400);
+    throw new Error('You cannot vote on your own review.');
+  }
+
+  // The previous vote, if any, comes off the totals
+  const voter = { review: review._id, user: req.user._id };
+  const previous =
+    helpful === null
+      ? await ReviewVote.findOneAndDelete(voter)
+      : await ReviewVote.findOneAndUpdate(voter, { $set: { helpful } }, { upsert: true });
+
+  const inc = { helpfulCount: 0, unhelpfulCount: 0 };
+  if (previous) {
+    inc[previous.helpful ? 'helpfulCount' : 'unhelpfulCount'] -= 1;
+  }
+  if (helpful !== null) {
+    inc[helpful ? 'helpfulCount' : 'unhelpfulCount'] += 1;
+  }
+
+  const updated = await Review.findByIdAndUpdate(review._id, { $inc: inc }, { new: true }).select(
+    'helpfulCount unhelpfulCount'
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      _id: updated._id,
+      helpfulCount: updated.helpfulCount,
+      unhelpfulCount: updated.unhelpfulCount,
+      myVote: helpful,
+    },
+  });
+});
+
+/**
+ * @desc    Report an abusive review to the admins
+ * @route   POST /api/reviews/:id/report
+ * @access  Private
+ */
+const reportReview = asyncHandler(async (req, res) => {
+  const { reason, details } = req.body;
+
+  const review = await Review.findOne({ _id: req.params.id, ...Review.VISIBLE }).select('user');
+  if (!review) {
+    res.status(404);
+    throw new Error('Review not found.');
+  }
+  if (review.user.equals(req.user._id)) {
+    res.status(400);
+    throw new Error('You cannot report your own review.');
+  }
+
+  // One open report per user
+  const { modifiedCount } = await Review.updateOne(
+    { _id: review._id, 'reports.user': { $ne: req.user._id } },
+    {
+      $push: { reports: { user: req.user._id, reason, details } },
+      $inc: { reportCount: 1 },
+    }
+  );
+  if (modifiedCount === 0) {
+    res.status(400);
+    throw new Error('You have already reported this review.');
+  }
+
+  res.status(201).json({ success: true, message: 'Thanks, an admin will look at this review.' });
+});
+
+/**
+ * @desc    Post or edit the store's reply to a review
+ * @route   PUT /api/reviews/:id/reply
+ * @access  Private/Admin
+ */
+const replyToReview = asyncHandler(async (req, res) => {
+  const review = await Review.findById(req.params.id);
+  if (!review) {
+    res.status(404);
+    throw new Error('Review not found.');
+  }
+
+  const now = new Date();
+  const updated = await Review.findByIdAndUpdate(
+    review._id,
+    {
+      $set: {
+        reply: {
+          comment: req.body.comment,
+          user: req.user._id,
+          createdAt: review.reply?.createdAt || now,
+          updatedAt: now,
+        },
+      },
+    },
+    { new: true }
+  )
+    .populate('user', 'name email')
+    .populate('product', 'name')
+    .populate('moderation.moderatedBy', 'name');
+
+  res.json(updated);
+});
+
+/**
+ * @desc    Remove the store's reply from a review
+ * @route   DELETE /api/reviews/:id/reply
+ * @access  Private/Admin
+ */
+const deleteReviewReply = asyncHandler(async (req, res) => {
+  const updated = await Review.findByIdAndUpdate(
+    req.params.id,
+    { $unset: { reply: 1 } },
+    { new: true }
+  )
+    .populate('user', 'name email')
+    .populate('product', 'name')
+    .populate('moderation.moderatedBy', 'name');
+
+  if (!updated) {
+    res.status(404);
+    throw new Error('Review not found.');
+  }
+
+  res.json(updated);
+});
+
+/**
+ * @desc    Remove one photo from a review
+ * @route   DELETE /api/reviews/:id/images/:assetId
+ * @access  Private/Admin
+ */
+const removeReviewImage = asyncHandler(async (req, res) => {
+  const { id, assetId } = req.params;
+
+  const updated = await Review.findOneAndUpdate(
+    { _id: id, 'images.asset': assetId },
+    { $pull: { images: { asset: assetId } } },
+    { new: true }
+  )
+    .populate('user', 'name email')
+    .populate('product', 'name')
+    .populate('moderation.moderatedBy', 'name');
+
+  if (!updated) {
+    res.status(404);
+    throw new Error('Review photo not found.');
+  }
+
+  await Asset.removeWithFiles([assetId]);
+  res.json(updated);
+});
+
+/**
+ * @desc    Get the review moderation rules
+ * @route   GET /api/reviews/settings
+ * @access  Private/Admin
+ */
+const getReviewSettings = asyncHandler(async (req, res) => {
+  const settings = await ReviewSettings.getSettings();
+  res.status(200).json({ success: true, data: settings });
+});
+
+/**
+ * @desc    Update the review moderation rules (applies to new and edited reviews)
+ * @route   PUT /api/reviews/settings
+ * @access  Private/Admin
+ */
+const updateReviewSettings = asyncHandler(async (req, res) => {
+  const settings = await ReviewSettings.getSettings();
+  settings.set(req.body);
+  await settings.save();
+  res.status(200).json({ success: true, data: settings });
+});
+
 module.exports = {
   createReview,
   getAllReviews,
   getProductReviews,
   updateReview,
   deleteReview,
+  moderateReviewStatus,
+  voteReview,
+  reportReview,
+  replyToReview,
+  deleteReviewReply,
+  removeReviewImage,
+  getReviewSettings,
+  updateReviewSettings,
 };
 
 
@@ -0,0 +1,74 @@
+// controllers/taxRateController.js
+
+const asyncHandler = require('express-async-handler');
+const TaxRate = require('../models/TaxRate');
+
+// @desc    Get all tax rates
+// @route   GET /api/tax-rates
+// @access  Private/Admin
+const getTaxRates = asyncHandler(async (req, res) => {
+  const taxRates = await TaxRate.find().select('-__v').sort({ country: 1, region: 1 });
+
+  res.status(200).json({ success: true, count: taxRates.length, data: taxRates });
+});
+
+// @desc    Add a tax rate for a country or one of its regions
+// @route   POST /api/tax-rates
+// @access  Private/Admin
+const createTaxRate = asyncHandler(async (req, res) => {
+  const exists = await TaxRate.exists({ country: req.body.country, region: req.body.region || '' });
+  if (exists) {
+    res.status(400);
+    throw new Error('A tax rate for this country and region already exists');
+  }
+
+  const taxRate = await TaxRate.create(req.body);
+  res.status(201).json({ success: true, data: taxRate });
+});
+
+// @desc    Update a tax rate (paid orders keep the rate they were charged)
+// @route   PUT /api/tax-rates/:id
+// @access  Private/Admin
+const updateTaxRate = asyncHandler(async (req, res) => {
+  const taxRate = await TaxRate.findById(req.params.id);
+
+  if (!taxRate) {
+    res.status(404);
+    throw new Error('Tax rate not found');
+  }
+
+  taxRate.set(req.body);
+  const clash = await TaxRate.exists({
+    _id: { $ne: taxRate._id },
+    country: taxRate.country,
+    region: taxRate.region,
+  });
+  if (clash) {
+    res.status(400);
+    throw new Error('A tax rate for this country and region already exists');
+  }
+
+  const updatedTaxRate = await taxRate.save();
+  res.status(200).json({ success: true, data: updatedTaxRate });
+});
+
+// @desc    Delete a tax rate
+// @route   DELETE /api/tax-rates/:id
+// @access  Private/Admin
+const deleteTaxRate = asyncHandler(async (req, res) => {
+  const taxRate = await TaxRate.findByIdAndDelete(req.params.id);
+
+  if (!taxRate) {
+    res.status(404);
+    throw new Error('Tax rate not found');
+  }
+
+  res.status(200).json({ success: true, data: { _id: req.params.id } });
+});
+
+module.exports = {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+};
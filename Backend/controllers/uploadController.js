@@ -0,0 +1,127 @@
+// controllers/uploadController.js
+
+const crypto = require('crypto');
+const asyncHandler = require('express-async-handler');
+const sharp = require('sharp');
+const Asset = require('../models/Asset');
+const getStorage = require('../utils/storage');
+
+const IMAGE_FORMATS = {
+  jpeg: { ext: 'jpg', mimeType: 'image/jpeg' },
+  png: { ext: 'png', mimeType: 'image/png' },
+  webp: { ext: 'webp', mimeType: 'image/webp' },
+  gif: { ext: 'gif', mimeType: 'image/gif' },
+};
+
+const THUMBNAIL_SIZE = 320;
+
+const baseUrlOf = (req) => `${req.protocol}://${req.get('host')}`;
+
+const newKey = (prefix, ext) =>
+  `${prefix}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${ext}`;
+
+// Check the uploaded image, then store it with a thumbnail as an Asset
+const storeImage = async (req, res, { kind, folder, thumbnailFolder }) => {
+  if (!req.file) {
+    res.status(400);
+    throw new Error('Please attach an image in the "file" field');
+  }
+
+  // Trust the decoded bytes, not the client-declared MIME type
+  let metadata;
+  try {
+    metadata = await sharp(req.file.buffer).metadata();
+  } catch (error) {
+    res.status(415);
+    throw new Error('The uploaded file is not a valid image');
+  }
+  const format = IMAGE_FORMATS[metadata.format];
+  if (!format) {
+    res.status(415);
+    throw new Error(`Unsupported image format '${metadata.format}'`);
+  }
+
+  const thumbnail = await sharp(req.file.buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+  const storage = getStorage();
+  const key = newKey(folder, format.ext);
+  const thumbnailKey = newKey(thumbnailFolder, 'webp');
+
+  await storage.save(key, req.file.buffer, format.mimeType);
+  await storage.save(thumbnailKey, thumbnail, 'image/webp');
+
+  return Asset.create({
+    kind,
+    key,
+    driver: storage.name,
+    mimeType: format.mimeType,
+    size: req.file.size,
+    originalName: req.file.originalname,
+    url: storage.getPublicUrl(key, baseUrlOf(req)),
+    thumbnailKey,
+    thumbnailUrl: storage.getPublicUrl(thumbnailKey, baseUrlOf(req)),
+    uploadedBy: req.user._id,
+  });
+};
+
+// @desc    Upload a product image and generate its thumbnail
+// @route   POST /api/uploads/image
+// @access  Private/Admin
+const uploadImage = asyncHandler(async (req, res) => {
+  const asset = await storeImage(req, res, {
+    kind: 'image',
+    folder: 'public/images',
+    thumbnailFolder: 'public/thumbnails',
+  });
+  res.status(201).json({ success: true, data: asset });
+});
+
+// @desc    Upload a photo to attach to the buyer's own review
+// @route   POST /api/uploads/review-image
+// @access  Private
+const uploadReviewImage = asyncHandler(async (req, res) => {
+  const asset = await storeImage(req, res, {
+    kind: 'review-image',
+    folder: 'public/reviews',
+    thumbnailFolder: 'public/reviews/thumbnails',
+  });
+  res.status(201).json({ success: true, data: asset });
+});
+
+// @desc    Upload a product PDF to private storage
+// @route   POST /api/uploads/pdf
+// @access  Private/Admin
+const uploadPdf = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    res.status(400);
+    throw new Error('Please attach a PDF in the "file" field');
+  }
+
+  if (req.file.buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    res.status(415);
+    throw new Error('The uploaded file is not a valid PDF');
+  }
+
+  const storage = getStorage();
+  const key = newKey('private/pdfs', 'pdf');
+
+  await storage.save(key, req.file.buffer, 'application/pdf');
+
+  const asset = await Asset.create({
+    kind: 'pdf',
+    key,
+    driver: storage.name,
+    mimeType: 'application/pdf',
+    size: req.file.size,
+    originalName: req.file.originalname,
+    uploadedBy: req.user._id,
+  });
+
+  res.status(201).json({ success: true, data: asset });
+});
+
+module.exports = { uploadImage, uploadReviewImage, uploadPdf };
@@ -2,6 +2,41 @@
 
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
+const sendVerificationEmail = require('../utils/verificationEmail');
+
+// A new address must be verified again before it can be used to buy or
+// review. Returns true when the email actually changed.
+const applyEmailChange = (user, email) => {
+  if (!email || email === user.email) {
+    return false;
+  }
+  user.email = email;
+  user.isEmailVerified = false;
+  return true;
+};
+
+// Send the code for a changed address. The change itself is already saved,
+// so a mail failure is logged and the user can ask for the code again.
+const sendNewEmailCode = async (user) => {
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Verification Email Error:', error);
+  }
+};
+
+// Sign-in details only change with the current password, so a stolen access
+// token alone cannot take over the account through a password reset.
+const confirmCurrentPassword = async (res, user, currentPassword) => {
+  if (!currentPassword) {
+    res.status(400);
+    throw new Error('Current password is required to change your email or password');
+  }
+  if (!(await user.matchPassword(currentPassword))) {
+    res.status(401);
+    throw new Error('Current password is incorrect');
+  }
+};
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -13,7 +48,7 @@ const getUsers = asyncHandler(async (req, res) => {
 
 // @desc    Get single user
 // @route   GET /api/users/:id
-// @access  Private/Admin
+// @access  Private (owner or admin)
 const getUser = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id).select('-password');
 
@@ -65,25 +100,38 @@ const createUser = asyncHandler(async (req, res) => {
 
 // @desc    Update user
 // @route   PUT /api/users/:id
-// @access  Private/Admin
+// @access  Private (owner or admin)
 const updateUser = asyncHandler(async (req, res) => {
-  const { name, email, role, password } = req.body;
+  const { name, email, role, password, currentPassword } = req.body;
 
-  let user = await User.findById(req.params.id);
+  let user = await User.findById(req.params.id).select('+password');
 
   if (!user) {
     res.status(404);
     throw new Error('User not found');
   }
 
+  // Owners must prove they know the current password before changing their
+  // sign-in details, as on /changepassword; admins manage any account
+  const changesCredentials = Boolean(password) || (Boolean(email) && email !== user.email);
+  if (req.user.role !== 'admin' && changesCredentials) {
+    await confirmCurrentPassword(res, user, currentPassword);
+  }
+
   user.name = name || user.name;
-  user.email = email || user.email;
-  user.role = role || user.role;
+  const emailChanged = applyEmailChange(user, email);
+  // Only admins can change roles, including their own
+  if (req.user.role === 'admin') {
+    user.role = role || user.role;
+  }
   if (password) {
     user.password = password;
   }
 
   const updatedUser = await user.save();
+  if (emailChanged) {
+    await sendNewEmailCode(updatedUser);
+  }
 
   res.status(200).json({
     success: true,
@@ -92,6 +140,7 @@ const updateUser = asyncHandler(async (req, res) => {
       name: updatedUser.name,
       email: updatedUser.email,
       role: updatedUser.role,
+      isEmailVerified: updatedUser.isEmailVerified,
       createdAt: updatedUser.createdAt,
     },
   });
@@ -144,22 +193,28 @@ const getMe = asyncHandler(async (req, res) => {
 // @route   PUT /api/users/me
 // @access  Private
 const updateMe = asyncHandler(async (req, res) => {
-  const { name, email, role, password,profileImage,coverImage,phone,address } = req.body;
+  const { name, email, role, password,profileImage,coverImage,phone,address,country,region,currentPassword } = req.body;
   console.log(profileImage,coverImage,phone,address);
   
-  let user = await User.findById(req.user._id);
+  let user = await User.findById(req.user._id).select('+password');
 
   if (!user) {
     res.status(404);
     throw new Error('User not found');
   }
 
+  if (email && email !== user.email) {
+    await confirmCurrentPassword(res, user, currentPassword);
+  }
+
   user.name = name || user.name;
-  user.email = email || user.email;
+  const emailChanged = applyEmailChange(user, email);
   user.profileImage = profileImage 
   user.coverImage = coverImage 
   user.phone = phone 
   user.address = address 
+  if (country !== undefined) user.country = country;
+  if (region !== undefined) user.region = region;
 
   // if (password) {
   //   user.password = password;
@@ -167,7 +222,10 @@ const updateMe = asyncHandler(async (req, res) => {
 
   const updatedUser = await user.save();
   console.log(updatedUser);
-  
+  if (emailChanged) {
+    await sendNewEmailCode(updatedUser);
+  }
+
 
   res.status(200).json({
     success: true,
@@ -176,10 +234,13 @@ const updateMe = asyncHandler(async (req, res) => {
       name: updatedUser.name,
       email: updatedUser.email,
       role: updatedUser.role,
+      isEmailVerified: updatedUser.isEmailVerified,
       profileImage:updatedUser.profileImage,
       coverImage:updatedUser.coverImage,
       phone:updatedUser.phone,
       address:updatedUser.address,
+      country: updatedUser.country,
+      region: updatedUser.region,
       createdAt: updatedUser.createdAt,
     },
   });
@@ -0,0 +1,81 @@
+// controllers/wishlistController.js
+
+const asyncHandler = require('express-async-handler');
+const Wishlist = require('../models/Wishlist');
+const Product = require('../models/Product');
+
+const MAX_WISHLIST_ITEMS = 200;
+
+// Wishlisted products, oldest first; products deleted since are left out
+const wishlistProducts = async (wishlist) => {
+  if (!wishlist) {
+    return [];
+  }
+  await wishlist.populate('items.product', '-__v');
+  return wishlist.items
+    .filter((item) => item.product)
+    .map((item) => ({ ...item.product.toObject(), addedAt: item.addedAt }));
+};
+
+// @desc    Get the logged in user's wishlist
+// @route   GET /api/wishlist
+// @access  Private
+const getWishlist = asyncHandler(async (req, res) => {
+  const wishlist = await Wishlist.findOne({ user: req.user._id });
+  const data = await wishlistProducts(wishlist);
+  res.status(200).json({ success: true, count: data.length, data });
+});
+
+// @desc    Replace the wishlist, or merge products into it (e.g. a guest's favourites on login)
+// @route   PUT /api/wishlist
+// @access  Private
+const updateWishlist = asyncHandler(async (req, res) => {
+  const { products, merge } = req.body;
+
+  const wishlist =
+    (await Wishlist.findOne({ user: req.user._id })) || new Wishlist({ user: req.user._id });
+  const existing = new Map(wishlist.items.map((item) => [item.product.toString(), item]));
+
+  // Unknown ids are dropped; new items start from today's price
+  const ids = [...new Set(products)];
+  const found = await Product.find({ _id: { $in: ids } })
+    .select('price')
+    .lean();
+  const prices = new Map(found.map((product) => [product._id.toString(), product.price]));
+  const requested = ids.filter((id) => prices.has(id));
+
+  // Items already on the wishlist keep the price their alerts compare against
+  const items = merge
+    ? [
+        ...wishlist.items,
+        ...requested
+          .filter((id) => !existing.has(id))
+          .map((id) => ({ product: id, price: prices.get(id) })),
+      ]
+    : requested.map((id) => existing.get(id) || { product: id, price: prices.get(id) });
+
+  if (items.length > MAX_WISHLIST_ITEMS) {
+    res.status(400);
+    throw new Error(`A wishlist can hold at most ${MAX_WISHLIST_ITEMS} items`);
+  }
+
+  wishlist.items = items;
+  await wishlist.save();
+
+  const data = await wishlistProducts(wishlist);
+  res.status(200).json({ success: true, count: data.length, data });
+});
+
+// @desc    Empty the wishlist
+// @route   DELETE /api/wishlist
+// @access  Private
+const clearWishlist = asyncHandler(async (req, res) => {
+  await Wishlist.updateOne({ user: req.user._id }, { $set: { items: [] } });
+  res.status(200).json({ success: true, count: 0, data: [] });
+});
+
+module.exports = {
+  getWishlist,
+  updateWishlist,
+  clearWishlist,
+};
@@ -1,5 +1,6 @@
 // server.js
 
+const path = require('path');
 const express = require('express');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
@@ -13,6 +14,15 @@ const userRoutes = require('./routes/userRoutes');
 const productRoutes = require('./routes/productRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 const themeRoutes = require('./routes/themeRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
+const couponRoutes = require('./routes/couponRoutes');
+const bundleRoutes = require('./routes/bundleRoutes');
+const currencyRoutes = require('./routes/currencyRoutes');
+const taxRateRoutes = require('./routes/taxRateRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const wishlistRoutes = require('./routes/wishlistRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const getStorage = require('./utils/storage');
 // const stripe = require('stripe')('sk_test_51OXlAIAZK57wNYnQQluuPOe6YHwpKCs2dZfKLaEe7Ye67OObYR3Hes3i0Vjo1yp450mlVWQ9ufvWWYYymF1mc33R00GwSCgwFi');
 
 // Load environment variables
@@ -23,8 +33,19 @@ connectDB();
 
 const app = express();
 
-// Body parser
-app.use(express.json());
+// Trust the hosting proxy so req.protocol reflects https (used in download links)
+app.set('trust proxy', 1);
+
+// Body parser (keeps the raw body for Stripe webhook signature checks)
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/orders/webhook')) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 
 // Enable CORS
 app.use(cors());
@@ -76,6 +97,23 @@ app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/theme', themeRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/bundles', bundleRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/tax-rates', taxRateRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+// Serve public uploads (images, thumbnails) when files live on local disk
+if (getStorage().name === 'local') {
+  app.use(
+    '/uploads',
+    helmet.crossOriginResourcePolicy({ policy: 'cross-origin' }),
+    express.static(path.join(getStorage().root, 'public'))
+  );
+}
 
 // Error handling middleware (should be last piece of middleware)
 app.use(errorHandler);
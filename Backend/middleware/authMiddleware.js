@@ -1,7 +1,7 @@
 // middleware/authMiddleware.js
 
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyAccessToken, isSessionActive } = require('../utils/session');
 
 const protect = async (req, res, next) => {
   let token;
@@ -15,22 +15,37 @@ const protect = async (req, res, next) => {
 
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
-      console.log(token);
-      
 
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = verifyAccessToken(token);
+
+      // Reject tokens whose session was logged out or revoked
+      if (!(await isSessionActive(decoded))) {
+        return res.status(401).json({ success: false, message: 'Session expired, please log in again' });
+      }
 
       // Get user from the token
       req.user = await User.findById(decoded.id).select('-password');
-      console.log(req.user);
-      
-
-      next();
     } catch (error) {
       console.error(error);
-      res.status(401).json({ success: false, message: 'Not authorized' });
+      return res.status(401).json({ success: false, message: 'Not authorized' });
+    }
+
+    // The account may have been deleted after the token was issued
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Not authorized, user not found' });
+    }
+
+    // Admin sessions from before 2FA was enrolled must log in again
+    if (req.user.role === 'admin' && !req.user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        code: 'TWO_FACTOR_REQUIRED',
+        message: 'Two-factor authentication is required, please log in again',
+      });
     }
+
+    return next();
   }
 
   if (!token) {
@@ -38,6 +53,29 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Attach req.user when a valid token is sent, but never reject the request.
+// Used by public routes that return extra fields to signed-in admins.
+const identify = async (req, res, next) => {
+  const header = req.headers.authorization;
+
+  if (header && header.startsWith('Bearer')) {
+    try {
+      const decoded = verifyAccessToken(header.split(' ')[1]);
+      if (await isSessionActive(decoded)) {
+        const user = await User.findById(decoded.id).select('-password');
+        // Same rule as `protect`: no admin extras without 2FA
+        if (user && !(user.role === 'admin' && !user.twoFactorEnabled)) {
+          req.user = user;
+        }
+      }
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+
+  next();
+};
+
 const authorize = (...allowedRoles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -63,5 +101,48 @@ const authorize = (...allowedRoles) => {
   };
 };
 
+// Owner-or-admin policy for routes that act on a single resource.
+// `resolveOwner(req)` returns the id of the user who owns the resource, or
+// null when it does not exist. Admins always pass; everyone else must own it.
+const authorizeOwner = (resolveOwner) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: 'Not authorized, no user found' });
+  }
+
+  if (req.user.role === 'admin') {
+    return next();
+  }
+
+  try {
+    const ownerId = await resolveOwner(req);
+
+    if (!ownerId) {
+      return res.status(404).json({ success: false, message: 'Resource not found' });
+    }
+
+    if (ownerId.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ success: false, message: 'Not authorized to access this resource' });
+    }
+
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Block actions that need a confirmed email (buying, reviewing) until the
+// user has entered their verification code. Use after `protect`.
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user && req.user.role !== 'admin' && req.user.isEmailVerified === false) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address first.',
+    });
+  }
+  return next();
+};
 
-module.exports = { protect, authorize };
+module.exports = { protect, authorize, authorizeOwner, identify, requireVerifiedEmail };
@@ -3,9 +3,13 @@
 const errorHandler = (err, req, res, next) => {
     console.error(err.stack);
   
-    let statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+    let statusCode =
+      err.statusCode || (res.statusCode === 200 ? 500 : res.statusCode);
     let message = err.message;
   
+    // Field-level details; validateMiddleware already builds them
+    let errors = Array.isArray(err.errors) ? err.errors : [];
+  
     // Mongoose bad ObjectId
     if (err.name === 'CastError') {
       message = `Resource not found with id of ${err.value}`;
@@ -18,15 +22,26 @@ const errorHandler = (err, req, res, next) => {
       statusCode = 400;
     }
   
+    // Multer upload errors (size limits, unexpected fields)
+    if (err.name === 'MulterError') {
+      statusCode = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    }
+  
     // Mongoose validation error
     if (err.name === 'ValidationError') {
-      message = Object.values(err.errors).map((val) => val.message).join(', ');
+      errors = Object.values(err.errors).map((val) => ({
+        location: 'body',
+        field: val.path,
+        message: val.message,
+      }));
+      message = errors.map((val) => val.message).join(', ');
       statusCode = 400;
     }
   
     res.status(statusCode).json({
       success: false,
       message,
+      errors,
       stack: process.env.NODE_ENV === 'production' ? null : err.stack,
     });
   };
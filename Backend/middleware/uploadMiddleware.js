@@ -0,0 +1,44 @@
+// middleware/uploadMiddleware.js
+
+const multer = require('multer');
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const PDF_TYPES = ['application/pdf'];
+
+// Build a single-file multipart parser that keeps the upload in memory
+// and rejects anything outside the allowed MIME types or size.
+const singleFile = (allowedTypes, maxBytes) =>
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes.includes(file.mimetype)) {
+        const error = new Error(
+          `Unsupported file type '${file.mimetype}'. Allowed: ${allowedTypes.join(', ')}`
+        );
+        error.statusCode = 415;
+        return cb(error);
+      }
+      cb(null, true);
+    },
+  }).single('file');
+
+const uploadImage = singleFile(
+  IMAGE_TYPES,
+  Number(process.env.MAX_IMAGE_UPLOAD_MB || 5) * MB
+);
+
+// Buyers' review photos get a tighter limit than admin product images
+const uploadReviewImage = singleFile(
+  IMAGE_TYPES,
+  Number(process.env.MAX_REVIEW_IMAGE_UPLOAD_MB || 3) * MB
+);
+
+const uploadPdf = singleFile(
+  PDF_TYPES,
+  Number(process.env.MAX_PDF_UPLOAD_MB || 50) * MB
+);
+
+module.exports = { uploadImage, uploadReviewImage, uploadPdf };
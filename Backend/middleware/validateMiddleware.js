@@ -0,0 +1,52 @@
+// middleware/validateMiddleware.js
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const OPTIONS = {
+  abortEarly: false,
+  // Unknown fields are dropped rather than rejected, so nothing a schema does
+  // not list (role, purchasesCount, ...) ever reaches a controller
+  stripUnknown: true,
+  errors: { wrap: { label: false } },
+};
+
+/**
+ * Validate and clean a request against Joi schemas before the controller
+ * runs. Each given location is replaced by its validated value (unknown
+ * fields stripped, strings converted to numbers/booleans where declared).
+ * Failures are passed to errorMiddleware as a 400 carrying `errors`.
+ * @param {object} schemas - `{ params, query, body }`, each an optional Joi schema.
+ * @returns {Function} Express middleware.
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  LOCATIONS.forEach((location) => {
+    if (!schemas[location]) return;
+
+    const { value, error } = schemas[location].validate(req[location] || {}, OPTIONS);
+
+    if (error) {
+      error.details.forEach((detail) => {
+        errors.push({
+          location,
+          field: detail.path.join('.'),
+          message: detail.message,
+        });
+      });
+    } else {
+      req[location] = value;
+    }
+  });
+
+  if (errors.length > 0) {
+    const error = new Error(errors.map((item) => item.message).join(', '));
+    error.statusCode = 400;
+    error.errors = errors;
+    return next(error);
+  }
+
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,74 @@
+// models/Asset.js
+const mongoose = require('mongoose');
+const getStorage = require('../utils/storage');
+
+// A file uploaded through the storage layer (see utils/storage)
+const assetSchema = mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      required: true,
+      // review-image: a buyer's photo, only attachable by its uploader
+      enum: ['image', 'review-image', 'pdf'],
+    },
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    driver: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      default: '',
+    },
+    // Public URL; empty for private files such as paid PDFs
+    url: {
+      type: String,
+      default: '',
+    },
+    thumbnailKey: String,
+    thumbnailUrl: {
+      type: String,
+      default: '',
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Delete assets together with their stored files. A file that fails to
+// delete is logged and left behind rather than failing the caller.
+assetSchema.statics.removeWithFiles = async function (ids) {
+  if (!ids.length) return;
+  const assets = await this.find({ _id: { $in: ids } });
+  const storage = getStorage();
+  await Promise.all(
+    assets.flatMap((asset) =>
+      [asset.key, asset.thumbnailKey].filter(Boolean).map((key) =>
+        storage.remove(key).catch((error) =>
+          console.error(`Failed to remove stored file ${key}:`, error.message)
+        )
+      )
+    )
+  );
+  await this.deleteMany({ _id: { $in: assets.map((asset) => asset._id) } });
+};
+
+const Asset = mongoose.model('Asset', assetSchema);
+module.exports = Asset;
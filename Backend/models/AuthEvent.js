@@ -0,0 +1,54 @@
+// models/AuthEvent.js
+const mongoose = require('mongoose');
+
+// Audit log of sign-in related attempts, reviewed by admins
+const authEventSchema = mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      enum: [
+        'login',
+        'forgot-password',
+        'verify-otp',
+        'reset-password',
+        'verify-email',
+        'resend-verification',
+        'two-factor',
+      ],
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    // Why an attempt failed or was blocked, e.g. 'invalid-password', 'locked'
+    reason: {
+      type: String,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+authEventSchema.index({ email: 1, createdAt: -1 });
+// Keep the log for 90 days
+authEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const AuthEvent = mongoose.model('AuthEvent', authEventSchema);
+module.exports = AuthEvent;
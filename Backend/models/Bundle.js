@@ -0,0 +1,57 @@
+// models/Bundle.js
+const mongoose = require('mongoose');
+
+// A set of products sold together at one price (e.g. every exam and the
+// notes for a subject). Bought bundles are expanded into one order item per
+// product, so each PDF is unlocked and refunded on its own.
+const bundleSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a name for the bundle.'],
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Set for subject packs; shown on the card and used by the search
+    subjectCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    // Optional; the app falls back to the first product's image
+    image: {
+      type: String,
+      match: [
+        /^(https?:\/\/.*\.(?:png|jpg|jpeg|gif|svg|webp))$/i,
+        'Please enter a valid image URL.',
+      ],
+    },
+    products: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+      validate: {
+        validator: (products) => products.length >= 2,
+        message: 'A bundle needs at least two products.',
+      },
+    },
+    price: {
+      type: Number,
+      required: [true, 'Please add a price.'],
+      min: [0, 'Price must be a positive number.'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bundleSchema.index({ isActive: 1, subjectCode: 1 });
+
+module.exports = mongoose.model('Bundle', bundleSchema);
@@ -0,0 +1,30 @@
+// models/Cart.js
+const mongoose = require('mongoose');
+
+// A buyer's saved cart, shared by all their devices. Each line is a product
+// or a bundle; price and name are what the buyer was last shown, so a later
+// price change or removal can be pointed out to them.
+const cartSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    items: [
+      {
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        bundle: { type: mongoose.Schema.Types.ObjectId, ref: 'Bundle' },
+        name: { type: String },
+        price: { type: Number },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,16 @@
+// models/Counter.js
+const mongoose = require('mongoose');
+
+// Named sequences incremented atomically, e.g. invoice numbers
+const counterSchema = mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
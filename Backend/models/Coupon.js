@@ -0,0 +1,91 @@
+// models/Coupon.js
+const mongoose = require('mongoose');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// A discount code. Restrictions (products, types, subjects) narrow which
+// cart items the discount applies to; with none set it covers the whole cart.
+const couponSchema = mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Please add a coupon code.'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    discountType: {
+      type: String,
+      required: true,
+      enum: DISCOUNT_TYPES,
+    },
+    // Percent off (0-100) or a fixed amount in dollars
+    amount: {
+      type: Number,
+      required: [true, 'Please add a discount amount.'],
+      min: [0, 'Discount must be a positive number.'],
+      validate: {
+        validator: function (value) {
+          return this.discountType !== 'percentage' || value <= 100;
+        },
+        message: 'A percentage discount cannot exceed 100.',
+      },
+    },
+    expiresAt: {
+      type: Date,
+    },
+    // Subtotal of the whole cart needed before the code applies
+    minOrderValue: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Empty means unlimited
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    perUserLimit: {
+      type: Number,
+      min: 1,
+    },
+    // Paid orders that used the code
+    usedCount: {
+      type: Number,
+      default: 0,
+    },
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    types: [{ type: String, enum: ['certificate', 'notes', 'exam'] }],
+    subjectCodes: [{ type: String, uppercase: true, trim: true }],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Whether a cart item falls under the coupon's product/type/subject rules
+couponSchema.methods.appliesTo = function (product) {
+  const restricted =
+    this.products.length > 0 || this.types.length > 0 || this.subjectCodes.length > 0;
+  if (!restricted) {
+    return true;
+  }
+  return (
+    this.products.some((id) => id.equals(product._id)) ||
+    this.types.includes(product.type) ||
+    this.subjectCodes.includes(String(product.subjectCode).toUpperCase())
+  );
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+Coupon.DISCOUNT_TYPES = DISCOUNT_TYPES;
+module.exports = Coupon;
@@ -0,0 +1,38 @@
+// models/Currency.js
+const mongoose = require('mongoose');
+
+// A currency buyers can pay in. Product prices are kept in the base
+// currency (USD) and converted with the admin-managed rate at checkout.
+const currencySchema = mongoose.Schema(
+  {
+    // ISO 4217 code, e.g. EUR
+    code: {
+      type: String,
+      required: [true, 'Please add a currency code.'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Please enter a three-letter ISO currency code.'],
+    },
+    name: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // Units of this currency per one unit of the base currency
+    rate: {
+      type: Number,
+      required: [true, 'Please add an exchange rate.'],
+      min: [0.000001, 'Exchange rate must be positive.'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Currency', currencySchema);
@@ -0,0 +1,47 @@
+// models/Notification.js
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['price-drop', 'coupon'];
+
+// An in-app message for a user, e.g. a price drop on a wishlisted product
+const notificationSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: NOTIFICATION_TYPES,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+// Each coupon is announced to a user only once
+notificationSchema.index(
+  { user: 1, coupon: 1 },
+  { unique: true, partialFilterExpression: { coupon: { $exists: true } } }
+);
+
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+module.exports = Notification;
@@ -1,6 +1,16 @@
 // models/Order.js
 const mongoose = require('mongoose');
 
+const ORDER_STATUSES = ['pending', 'completed', 'cancelled', 'refunded'];
+
+// Allowed status changes; cancelled and refunded are final
+const ORDER_TRANSITIONS = {
+  pending: ['completed', 'cancelled'],
+  completed: ['refunded'],
+  cancelled: [],
+  refunded: [],
+};
+
 const orderSchema = mongoose.Schema(
   {
     user: {
@@ -18,15 +28,63 @@ const orderSchema = mongoose.Schema(
         subjectName: { type: String, required: true },
         subjectCode: { type: String, required: true },
         price: { type: Number, required: true },
+        // Part of the order's coupon discount that came off this item
+        discount: { type: Number, default: 0 },
+        // Part of the order's tax charged on this item
+        tax: { type: Number, default: 0 },
         image: { type: String, required: true },
         quantity: { type: Number, required: true, default: 1 },
+        // Set when the item was bought as part of a bundle; price is then
+        // the item's share of the bundle price
+        bundle: { type: mongoose.Schema.Types.ObjectId, ref: 'Bundle' },
+        bundleName: { type: String },
+        // Refunded items lose download access
+        refunded: { type: Boolean, default: false },
       },
     ],
+    // Coupon used at checkout; code and terms are copied so the order
+    // still reads correctly if the coupon is edited or deleted
+    coupon: {
+      coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+      code: { type: String },
+      discountType: { type: String },
+      amount: { type: Number },
+    },
+    // Price snapshot: totalPrice = subtotal - discountAmount + taxAmount
+    subtotal: {
+      type: Number,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+    taxAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Rate applied at checkout and the location it was chosen for
+    taxRate: {
+      name: { type: String },
+      rate: { type: Number },
+      country: { type: String },
+      region: { type: String },
+    },
     totalPrice: {
       type: Number,
       required: true,
       default: 0.0,
     },
+    // Currency the order was charged in; every amount on the order is in it
+    currency: {
+      type: String,
+      uppercase: true,
+      default: 'USD',
+    },
+    // Units of `currency` per unit of the base currency at checkout
+    exchangeRate: {
+      type: Number,
+      default: 1,
+    },
     paymentMethod: {
       type: String,
       required: true,
@@ -39,25 +97,86 @@ const orderSchema = mongoose.Schema(
     paidAt: {
       type: Date,
     },
+    // Sequential number issued when the order is paid; never reused or skipped
+    invoiceNumber: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    invoicedAt: {
+      type: Date,
+    },
+    // Stripe PaymentIntent that pays for this order; fulfilment is keyed on it
+    paymentIntentId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // Items, coupon and currency of a pending checkout, so starting checkout
+    // again for the same cart reuses this order instead of adding another
+    checkoutKey: {
+      type: String,
+    },
     paymentResult: {
       id: { type: String },
       status: { type: String },
       update_time: { type: String },
       email_address: { type: String },
     },
+    // Set when Stripe reports a payment the order cannot accept as is (e.g.
+    // the amount charged differs from the total); an admin resolves it
+    paymentIssue: {
+      reason: { type: String },
+      amountReceived: { type: Number },
+      detectedAt: { type: Date },
+    },
     status: {
       type: String,
       required: true,
-      default: 'completed',
-      enum: ['pending', 'completed', 'cancelled'],
+      default: 'pending',
+      enum: ORDER_STATUSES,
+    },
+    // Stripe refunds issued against this order, full or partial
+    refunds: [
+      {
+        stripeRefundId: { type: String, required: true },
+        amount: { type: Number, required: true },
+        products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+        reason: { type: String, trim: true, maxlength: 500 },
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    refundedAmount: {
+      type: Number,
+      default: 0,
     },
+    // Audit log of status changes; actor is empty for system/Stripe updates
+    statusHistory: [
+      {
+        from: { type: String, enum: ORDER_STATUSES },
+        status: { type: String, enum: ORDER_STATUSES, required: true },
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        note: { type: String, trim: true, maxlength: 500 },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
   },
   {
     timestamps: true,
   }
 );
 
+// A buyer's open checkout for a cart
+orderSchema.index({ user: 1, status: 1, checkoutKey: 1 });
+
+// Check whether an order may move from one status to another
+orderSchema.statics.canTransition = function (from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+};
+
 const Order = mongoose.model('Order', orderSchema);
+Order.STATUSES = ORDER_STATUSES;
 module.exports = Order;
 
 
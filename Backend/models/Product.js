@@ -1,6 +1,25 @@
 // models/Product.js
 const mongoose = require('mongoose');
 
+// Every product starts as if it had `weight` reviews averaging `mean`, so a
+// single 5-star review cannot outrank a product with many good ones.
+const RATING_PRIOR = {
+  mean: Number(process.env.RATING_PRIOR_MEAN || 3),
+  weight: Number(process.env.RATING_PRIOR_WEIGHT || 5),
+};
+
+// Catalog orders for GET /api/products; searches also sort by 'relevance'
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  price_asc: { price: 1 },
+  price_desc: { price: -1 },
+  name_asc: { name: 1 },
+  name_desc: { name: -1 },
+  // Bayesian score, so a single 5-star review does not top the list
+  rating: { weightedRating: -1, numberOfReviews: -1 },
+};
+
 const productSchema = mongoose.Schema(
   {
     name: {
@@ -39,10 +58,31 @@ const productSchema = mongoose.Schema(
       lowercase: true,
       trim: true,
     },
+    thumbnail: {
+      type: String,
+      default: '',
+    },
+    imageAsset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Asset',
+    },
+    // Paid content: never returned by default, served via signed download links.
+    // Uploaded PDFs live in private storage (pdfAsset); pdfLink is the legacy URL.
+    pdfAsset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Asset',
+      select: false,
+    },
     pdfLink: {
       type: String,
-      required: [true, 'Please add a PDF link.'],
+      required: [
+        function () {
+          return !this.pdfAsset;
+        },
+        'Please upload a PDF.',
+      ],
       match: [/^(https?:\/\/.*\.(pdf))$/i, 'Please enter a valid PDF URL.'],
+      select: false,
     },
     ratings: {
       type: Number,
@@ -54,57 +94,76 @@ const productSchema = mongoose.Schema(
       required: true,
       default: 0,
     },
+    // Visible reviews per star, kept in step with ratings by utils/ratings
+    ratingHistogram: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 },
+    },
+    // Bayesian average used for ranking; see RATING_PRIOR
+    weightedRating: {
+      type: Number,
+      default: () => RATING_PRIOR.mean,
+    },
+    ratingsUpdatedAt: {
+      type: Date,
+    },
+    // Units sold in completed orders, kept by utils/sales
+    salesCount: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Cascade delete reviews when a product is deleted using deleteOne
+// Full-text search for the catalog (GET /api/products?q=)
+productSchema.index(
+  { name: 'text', subjectName: 'text', subjectCode: 'text', description: 'text' },
+  {
+    name: 'product_text_search',
+    weights: { name: 5, subjectCode: 5, subjectName: 3, description: 1 },
+  }
+);
+
+// Catalog filters
+productSchema.index({ type: 1, price: 1 });
+productSchema.index({ subjectCode: 1 });
+productSchema.index({ weightedRating: -1, numberOfReviews: -1 });
+productSchema.index({ salesCount: -1 });
+
+// Cascade delete reviews (and bundle/wishlist membership) when a product is deleted using deleteOne
 productSchema.pre(
   'deleteOne',
   { document: true, query: false },
   async function (next) {
     console.log(`Cascade delete: Removing reviews for product ${this._id}`);
+    const reviewIds = await this.model('Review').find({ product: this._id }).distinct('_id');
+    await this.model('ReviewVote').deleteMany({ review: { $in: reviewIds } });
+    const imageIds = await this.model('Review')
+      .find({ product: this._id })
+      .distinct('images.asset');
+    await this.model('Asset').removeWithFiles(imageIds);
     await this.model('Review').deleteMany({ product: this._id });
+    await this.model('Bundle').updateMany(
+      { products: this._id },
+      { $pull: { products: this._id } }
+    );
+    await this.model('Wishlist').updateMany(
+      { 'items.product': this._id },
+      { $pull: { items: { product: this._id } } }
+    );
     next();
   }
 );
 
-// Static method to calculate ratings and number of reviews
-productSchema.statics.calculateRatings = async function (productId) {
-  const Review = mongoose.model('Review');
-  const productObjectId = new mongoose.Types.ObjectId(productId);
-
-  console.log('Calculating ratings for product:', productId);
-
-  const result = await Review.aggregate([
-    { $match: { product: productObjectId } },
-    {
-      $group: {
-        _id: '$product',
-        averageRating: { $avg: '$rating' },
-        totalReviews: { $sum: 1 },
-      },
-    },
-  ]);
-
-  console.log('Aggregation result:', result);
-
-  if (result.length > 0) {
-    await this.findByIdAndUpdate(productId, {
-      ratings: result[0].averageRating,
-      numberOfReviews: result[0].totalReviews,
-    });
-  } else {
-    await this.findByIdAndUpdate(productId, {
-      ratings: 0,
-      numberOfReviews: 0,
-    });
-  }
-};
-
 const Product = mongoose.model('Product', productSchema);
+Product.RATING_PRIOR = RATING_PRIOR;
+Product.SORT_OPTIONS = SORT_OPTIONS;
 module.exports = Product;
 
 
@@ -1,6 +1,36 @@
 // models/Review.js
 const mongoose = require('mongoose');
-const Product = require('./Product');
+const ReviewVote = require('./ReviewVote');
+const Asset = require('./Asset');
+const { updateProductRating } = require('../utils/ratings');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Reviews that are shown and counted in ratings. Reviews written before
+// moderation have no status and count as approved.
+const VISIBLE_REVIEWS = { status: { $nin: ['pending', 'rejected'] } };
+
+const REPORT_REASONS = ['spam', 'offensive', 'off-topic', 'fake', 'other'];
+
+// Changing any of these can move the product's rating summary
+const RATING_FIELDS = ['product', 'rating', 'status'];
+
+const touchesRating = (update = {}) =>
+  Object.entries(update).some(([key, value]) =>
+    key.startsWith('$')
+      ? RATING_FIELDS.some((field) => value && field in value)
+      : RATING_FIELDS.includes(key)
+  );
+
+// Photos a buyer can attach to one review
+const MAX_IMAGES = Number(process.env.MAX_REVIEW_IMAGES || 4);
+
+const SORT_OPTIONS = {
+  helpful: { helpfulCount: -1, unhelpfulCount: 1, createdAt: -1 },
+  newest: { createdAt: -1 },
+  rating_desc: { rating: -1, createdAt: -1 },
+  rating_asc: { rating: 1, createdAt: -1 },
+};
 
 const reviewSchema = mongoose.Schema(
   {
@@ -28,6 +58,69 @@ const reviewSchema = mongoose.Schema(
       type: String,
       required: [true, 'Please add a comment.'],
     },
+    // Uploaded photos (review-image assets), in the order the buyer added them
+    images: {
+      type: [
+        {
+          asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+          url: { type: String, required: true },
+          thumbnailUrl: { type: String },
+        },
+      ],
+      validate: [
+        (images) => images.length <= MAX_IMAGES,
+        `A review can have at most ${MAX_IMAGES} photos.`,
+      ],
+    },
+    // The reviewer has a paid, completed order with this product
+    verifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+    // No default: reviews from before moderation have no status and must
+    // keep loading that way (see VISIBLE_REVIEWS). New reviews get theirs
+    // from createReview and moderateReview.
+    status: {
+      type: String,
+      enum: REVIEW_STATUSES,
+    },
+    moderation: {
+      // Why the content filter held the review back, e.g. 'profanity'
+      flags: [{ type: String }],
+      // Shown to the reviewer when a review is rejected
+      reason: { type: String },
+      moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      moderatedAt: { type: Date },
+    },
+    // Vote totals; each user's vote is a ReviewVote
+    helpfulCount: {
+      type: Number,
+      default: 0,
+    },
+    unhelpfulCount: {
+      type: Number,
+      default: 0,
+    },
+    // Open abuse reports, cleared when an admin moderates the review
+    reports: [
+      {
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        reason: { type: String, enum: REPORT_REASONS, required: true },
+        details: { type: String },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    reportCount: {
+      type: Number,
+      default: 0,
+    },
+    // Official answer from the store, shown under the review
+    reply: {
+      comment: { type: String },
+      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      createdAt: { type: Date },
+      updatedAt: { type: Date },
+    },
   },
   {
     timestamps: true,
@@ -36,10 +129,45 @@ const reviewSchema = mongoose.Schema(
 
 // Ensure a user can only leave one review per product
 reviewSchema.index({ user: 1, product: 1 }, { unique: true });
+// Moderation queue
+reviewSchema.index({ status: 1, createdAt: -1 });
+// Most helpful reviews of a product
+reviewSchema.index({ product: 1, helpfulCount: -1 });
+
+// Recalculate the product's ratings after a save, update or delete that
+// can change them. Votes, reports and replies leave them alone.
+reviewSchema.pre('save', function (next) {
+  this.$locals.ratingChanged = this.isNew || RATING_FIELDS.some((field) => this.isModified(field));
+  next();
+});
+
+// The review itself is already written when these hooks run, so a failed
+// recalculation is logged rather than failing the request; the next change to
+// the product's reviews or `npm run backfill:ratings` puts it right.
+const refreshRating = async (productId) => {
+  try {
+    await updateProductRating(productId);
+  } catch (error) {
+    console.error(`Could not update the rating of product ${productId}:`, error);
+  }
+};
 
-// Post 'save' middleware to recalculate product ratings after a review is saved
 reviewSchema.post('save', async function () {
-  await Product.calculateRatings(this.product);
+  if (this.$locals.ratingChanged) {
+    await refreshRating(this.product);
+  }
+});
+
+reviewSchema.post('findOneAndUpdate', async function (doc) {
+  if (doc && touchesRating(this.getUpdate())) {
+    await refreshRating(doc.product);
+  }
+});
+
+reviewSchema.post('findOneAndDelete', async function (doc) {
+  if (doc) {
+    await refreshRating(doc.product);
+  }
 });
 
 // Use deleteOne middleware (for document deletion) instead of remove
@@ -47,11 +175,18 @@ reviewSchema.post(
   'deleteOne',
   { document: true, query: false },
   async function () {
-    await Product.calculateRatings(this.product);
+    await ReviewVote.deleteMany({ review: this._id });
+    await Asset.removeWithFiles(this.images.map((image) => image.asset));
+    await refreshRating(this.product);
   }
 );
 
 const Review = mongoose.model('Review', reviewSchema);
+Review.STATUSES = REVIEW_STATUSES;
+Review.VISIBLE = VISIBLE_REVIEWS;
+Review.REPORT_REASONS = REPORT_REASONS;
+Review.SORT_OPTIONS = SORT_OPTIONS;
+Review.MAX_IMAGES = MAX_IMAGES;
 module.exports = Review;
 
 
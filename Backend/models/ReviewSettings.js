@@ -0,0 +1,31 @@
+// models/ReviewSettings.js
+const mongoose = require('mongoose');
+
+const AUTO_APPROVE_MODES = ['none', 'verified', 'all'];
+
+// Store-wide review moderation rules; a single document
+const reviewSettingsSchema = mongoose.Schema(
+  {
+    // Which reviews that pass the content filter go live without an admin:
+    // none, only verified purchases, or all of them
+    autoApprove: {
+      type: String,
+      enum: AUTO_APPROVE_MODES,
+      default: 'verified',
+    },
+    // Words held back on top of the built-in profanity list
+    blockedWords: [{ type: String, lowercase: true, trim: true }],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The settings document, with defaults if none was saved yet
+reviewSettingsSchema.statics.getSettings = async function () {
+  return (await this.findOne()) || new this();
+};
+
+const ReviewSettings = mongoose.model('ReviewSettings', reviewSettingsSchema);
+ReviewSettings.AUTO_APPROVE_MODES = AUTO_APPROVE_MODES;
+module.exports = ReviewSettings;
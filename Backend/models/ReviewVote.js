@@ -0,0 +1,30 @@
+// models/ReviewVote.js
+const mongoose = require('mongoose');
+
+// One user's helpful/unhelpful vote on a review. The totals are kept on the
+// review itself so lists can sort by them.
+const reviewVoteSchema = mongoose.Schema(
+  {
+    review: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Review',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    helpful: {
+      type: Boolean,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reviewVoteSchema.index({ review: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReviewVote', reviewVoteSchema);
@@ -0,0 +1,55 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+// One signed-in device. The refresh token rotates on every use; only its
+// SHA-256 hash is stored, and the hashes it replaced are kept so a replayed
+// (stolen) token can be recognised.
+const sessionSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    previousTokenHashes: {
+      type: [String],
+      index: true,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'logout-all', 'reuse-detected', 'password-reset'],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// MongoDB drops sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+module.exports = Session;
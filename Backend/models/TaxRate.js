@@ -0,0 +1,48 @@
+// models/TaxRate.js
+const mongoose = require('mongoose');
+
+// Sales tax charged to buyers in a country, or in one region of it (e.g. a
+// US state or Canadian province). A regional rate wins over the country one.
+const taxRateSchema = mongoose.Schema(
+  {
+    // ISO 3166-1 alpha-2 code, e.g. DE
+    country: {
+      type: String,
+      required: [true, 'Please add a country code.'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{2}$/, 'Please enter a two-letter ISO country code.'],
+    },
+    // Subdivision code, e.g. CA for California; empty for the whole country
+    region: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: '',
+    },
+    // Shown on invoices, e.g. VAT or GST
+    name: {
+      type: String,
+      trim: true,
+      default: 'Tax',
+    },
+    // Percentage added on top of the (discounted) price
+    rate: {
+      type: Number,
+      required: [true, 'Please add a tax rate.'],
+      min: [0, 'Tax rate cannot be negative.'],
+      max: [100, 'Tax rate cannot be more than 100%.'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+taxRateSchema.index({ country: 1, region: 1 }, { unique: true });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
@@ -0,0 +1,29 @@
+// models/Throttle.js
+const mongoose = require('mongoose');
+
+// Failure counter for one rate-limited key, e.g. 'login:ip:203.0.113.5'.
+// Kept in MongoDB so limits hold across server instances.
+const throttleSchema = mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  blockedUntil: {
+    type: Date,
+  },
+  // Counters reset once a key has been quiet for a while
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+throttleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Throttle = mongoose.model('Throttle', throttleSchema);
+module.exports = Throttle;
@@ -3,6 +3,12 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 
+// Failed logins before the account is locked, and for how long
+const MAX_LOGIN_ATTEMPTS = Number(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOCK_TIME_MS = 15 * 60 * 1000;
+// Wrong guesses before an OTP is thrown away
+const MAX_OTP_ATTEMPTS = 5;
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -47,6 +53,19 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Billing location (ISO country code and optional region), used for tax
+    country: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: '',
+    },
+    region: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: '',
+    },
     purchasesCount: {
       type: Number,
       default: 0,
@@ -63,6 +82,51 @@ const userSchema = new mongoose.Schema(
     resetPasswordExpire: Date,
     otp: String,
     otpExpire: Date,
+    otpAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // Accounts created before verification existed, or by an admin, count as
+    // verified; self-registration sets this to false until the code is entered
+    isEmailVerified: {
+      type: Boolean,
+      default: true,
+    },
+    emailVerificationOtp: String,
+    emailVerificationExpire: Date,
+    emailVerificationAttempts: {
+      type: Number,
+      default: 0,
+    },
+    // TOTP two-factor login, mandatory for admins. The pending secret is held
+    // while the admin confirms their authenticator app during setup.
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    twoFactorBackupCodes: {
+      type: [String],
+      select: false,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: Date,
   },
   {
     timestamps: true,
@@ -107,14 +171,84 @@ userSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
+// Count a failed attempt in `counter` with a single conditional $inc, so
+// parallel guesses are all counted. Once the count would reach `max`, the
+// counter is reset and `limitUpdate` applied instead (code discarded,
+// account locked). Returns true when the limit was reached, by this attempt
+// or by a parallel one that got there first.
+const registerFailure = async (user, counter, max, limitUpdate) => {
+  const counted = await user.constructor.updateOne(
+    { _id: user._id, [counter]: { $not: { $gte: max - 1 } } },
+    { $inc: { [counter]: 1 } }
+  );
+  if (counted.matchedCount > 0) {
+    return false;
+  }
+
+  await user.constructor.updateOne(
+    { _id: user._id, [counter]: { $gte: max - 1 } },
+    { ...limitUpdate, $set: { ...limitUpdate.$set, [counter]: 0 } }
+  );
+  return true;
+};
+
 // Method to generate OTP
 userSchema.methods.generateOTP = function () {
   const otp = Math.floor(100000 + Math.random() * 900000).toString();
   this.otp = crypto.createHash('sha256').update(otp).digest('hex');
   this.otpExpire = Date.now() + 10 * 60 * 1000;
+  this.otpAttempts = 0;
   return otp;
 };
 
+// Method to count a wrong OTP guess; the OTP is discarded after too many.
+// Returns true when the OTP was invalidated.
+userSchema.methods.registerFailedOtp = function () {
+  return registerFailure(this, 'otpAttempts', MAX_OTP_ATTEMPTS, {
+    $unset: { otp: '', otpExpire: '' },
+  });
+};
+
+// Method to generate an email verification code
+userSchema.methods.generateEmailVerificationOtp = function () {
+  const otp = Math.floor(100000 + Math.random() * 900000).toString();
+  this.emailVerificationOtp = crypto.createHash('sha256').update(otp).digest('hex');
+  this.emailVerificationExpire = Date.now() + 30 * 60 * 1000;
+  this.emailVerificationAttempts = 0;
+  return otp;
+};
+
+// Method to count a wrong verification code; the code is discarded after
+// too many. Returns true when the code was invalidated.
+userSchema.methods.registerFailedEmailVerification = function () {
+  return registerFailure(this, 'emailVerificationAttempts', MAX_OTP_ATTEMPTS, {
+    $unset: { emailVerificationOtp: '', emailVerificationExpire: '' },
+  });
+};
+
+// Whether the account is temporarily locked after failed logins
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Method to count a failed login; locks the account after too many.
+// Returns true when the account is now locked.
+userSchema.methods.registerFailedLogin = function () {
+  return registerFailure(this, 'failedLoginAttempts', MAX_LOGIN_ATTEMPTS, {
+    $set: { lockUntil: new Date(Date.now() + LOCK_TIME_MS) },
+  });
+};
+
+// Method to clear failed login state after a successful login
+userSchema.methods.resetLoginAttempts = async function () {
+  if (this.failedLoginAttempts === 0 && !this.lockUntil) {
+    return;
+  }
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  await this.save({ validateBeforeSave: false });
+};
+
 // Method to increment purchasesCount
 userSchema.methods.incrementPurchases = async function () {
   this.purchasesCount += 1;
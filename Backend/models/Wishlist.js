@@ -0,0 +1,31 @@
+// models/Wishlist.js
+const mongoose = require('mongoose');
+
+// A user's favourite products, shared by all their devices. `price` is the
+// lowest price the user has been shown for the product (when they added it
+// or in a later price-drop alert), so only a new low is announced.
+const wishlistSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    items: [
+      {
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        price: { type: Number },
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Finding the wishlists to alert when a product's price drops
+wishlistSchema.index({ 'items.product': 1 });
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
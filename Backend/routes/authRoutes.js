@@ -1,31 +1,57 @@
 // routes/authRoutes.js
 
-const jwt = require('jsonwebtoken');
 const dotenv = require('dotenv');
 dotenv.config();
-const SECRET_KEY = process.env.JWT_SECRET;
 const express = require('express');
 const router = express.Router();
 const {
   registerUser,
+  verifyEmail,
+  resendVerification,
   loginUser,
   getMe,
+  refreshSession,
+  logout,
+  logoutAll,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateBackupCodes,
+  getAuthEvents,
   forgotPassword,
   verifyOTP,
-  resetPasswordLink,
-  resetPasswordOtp,
+  resetPassword,
 } = require('../controllers/authController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const schemas = require('../validators/authValidators');
+const { verifyAccessToken, isSessionActive } = require('../utils/session');
 
-router.post('/register', registerUser);
-router.post('/login', loginUser);
+router.post('/register', validate(schemas.register), registerUser);
+router.post('/verify-email', validate(schemas.verifyEmail), verifyEmail);
+router.post('/resend-verification', validate(schemas.resendVerification), resendVerification);
+router.post('/login', validate(schemas.login), loginUser);
 router.get('/me', protect, getMe);
-router.post('/forgotpassword', forgotPassword);
-router.put('/resetpassword/:resetToken', resetPasswordLink);
-router.post('/verify-otp', verifyOTP);
-router.post('/reset-password', resetPasswordOtp);
+router.post('/refresh', validate(schemas.refresh), refreshSession);
+router.post('/logout', validate(schemas.logout), logout);
+router.post('/logout-all', protect, logoutAll);
+router.post('/2fa/setup', validate(schemas.setupTwoFactor), setupTwoFactor);
+router.post('/2fa/enable', validate(schemas.enableTwoFactor), enableTwoFactor);
+router.post('/2fa/verify', validate(schemas.verifyTwoFactor), verifyTwoFactor);
+router.post(
+  '/2fa/backup-codes',
+  protect,
+  authorize('admin'),
+  validate(schemas.regenerateBackupCodes),
+  regenerateBackupCodes
+);
+router.get('/events', protect, authorize('admin'), validate(schemas.getAuthEvents), getAuthEvents);
+router.post('/forgotpassword', validate(schemas.forgotPassword), forgotPassword);
+router.put('/resetpassword/:resetToken', validate(schemas.resetPasswordLink), resetPassword);
+router.post('/verify-otp', validate(schemas.verifyOtp), verifyOTP);
+router.post('/reset-password', validate(schemas.resetPasswordOtp), resetPassword);
 // Token verification endpoint
-router.get('/verify-token', (req, res) => {
+router.get('/verify-token', async (req, res) => {
   const authHeader = req.headers.authorization;
 
   if (!authHeader) {
@@ -38,14 +64,24 @@ router.get('/verify-token', (req, res) => {
     return res.status(401).json({ success: false, message: 'No token provided' });
   }
 
-  jwt.verify(token, SECRET_KEY, (err, decoded) => {
-    if (err) {
-      console.error('JWT verification error:', err);
-      return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (err) {
+    console.error('JWT verification error:', err);
+    return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+  }
+
+  // A valid signature is not enough once the session has been revoked
+  try {
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({ success: false, message: 'Session expired, please log in again' });
     }
+  } catch (error) {
+    return res.status(500).json({ success: false, message: 'Server Error' });
+  }
 
-    // Optionally, you can attach decoded user information
-    return res.status(200).json({ success: true, user: decoded });
-  });
+  // Optionally, you can attach decoded user information
+  return res.status(200).json({ success: true, user: decoded });
 });
 module.exports = router;
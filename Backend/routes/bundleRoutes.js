@@ -0,0 +1,27 @@
+// routes/bundleRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+  getBundles,
+  getBundle,
+  createBundle,
+  updateBundle,
+  deleteBundle,
+} = require('../controllers/bundleController');
+const { protect, authorize, identify } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const schemas = require('../validators/bundleValidators');
+
+router
+  .route('/')
+  .get(identify, validate(schemas.getBundles), getBundles)
+  .post(protect, authorize('admin'), validate(schemas.createBundle), createBundle);
+
+router
+  .route('/:id')
+  .get(identify, validate(schemas.getBundle), getBundle)
+  .put(protect, authorize('admin'), validate(schemas.updateBundle), updateBundle)
+  .delete(protect, authorize('admin'), validate(schemas.deleteBundle), deleteBundle);
+
+module.exports = router;
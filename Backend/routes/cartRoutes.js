@@ -0,0 +1,16 @@
+// routes/cartRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { getCart, updateCart, clearCart } = require('../controllers/cartController');
+const { protect } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const schemas = require('../validators/cartValidators');
+
+router
+  .route('/')
+  .get(protect, getCart)
+  .put(protect, validate(schemas.updateCart), updateCart)
+  .delete(protect, clearCart);
+
+module.exports = router;
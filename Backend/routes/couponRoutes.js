@@ -0,0 +1,29 @@
+// routes/couponRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+  validateCoupon,
+  getCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} = require('../controllers/couponController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const schemas = require('../validators/couponValidators');
+
+// Preview a code against the cart before checkout
+router.post('/validate', protect, validate(schemas.validateCoupon), validateCoupon);
+
+// Coupon management (Admin)
+router
+  .route('/')
+  .get(protect, authorize('admin'), getCoupons)
+  .post(protect, authorize('admin'), validate(schemas.createCoupon), createCoupon);
+router
+  .route('/:id')
+  .put(protect, authorize('admin'), validate(schemas.updateCoupon), updateCoupon)
+  .delete(protect, authorize('admin'), validate(schemas.deleteCoupon), deleteCoupon);
+
+module.exports = router;
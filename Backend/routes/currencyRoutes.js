@@ -0,0 +1,25 @@
+// routes/currencyRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+  getCurrencies,
+  createCurrency,
+  updateCurrency,
+  deleteCurrency,
+} = require('../controllers/currencyController');
+const { protect, authorize, identify } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const schemas = require('../validators/currencyValidators');
+
+router
+  .route('/')
+  .get(identify, getCurrencies)
+  .post(protect, authorize('admin'), validate(schemas.createCurrency), createCurrency);
+
+router
+  .route('/:id')
+  .put(protect, authorize('admin'), validate(schemas.updateCurrency), updateCurrency)
+  .delete(protect, authorize('admin'), validate(schemas.deleteCurrency), deleteCurrency);
+
+module.exports = router;
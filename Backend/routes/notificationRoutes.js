@@ -0,0 +1,16 @@
+// routes/notificationRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  markNotificationsRead,
+} = require('../controllers/notificationController');
+const { protect } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const schemas = require('../validators/notificationValidators');
+
+router.get('/', protect, validate(schemas.getNotifications), getNotifications);
+router.put('/read', protect, validate(schemas.markNotificationsRead), markNotificationsRead);
+
+module.exports = router;
@@ -5,23 +5,64 @@ const router = express.Router();
 const {
   createPaymentIntent,
   addOrderItems,
+  stripeWebhook,
   getMyOrders,
   getAllOrders,
+  updateOrderStatus,
+  refundOrder,
+  getDownloadLink,
+  streamDownload,
+  getInvoice,
   deleteOrder,
 } = require('../controllers/orderController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const schemas = require('../validators/orderValidators');
+
+// Stripe webhook (authenticated by signature, not token; the raw event is
+// checked there rather than by a schema)
+router.post('/webhook', stripeWebhook);
 
 // Create Payment Intent
-router.post('/create-payment-intent', protect, createPaymentIntent);
+router.post(
+  '/create-payment-intent',
+  protect,
+  requireVerifiedEmail,
+  validate(schemas.createPaymentIntent),
+  createPaymentIntent
+);
 
 // Create a new order
-router.post('/', protect, addOrderItems);
+router.post('/', protect, validate(schemas.addOrderItems), addOrderItems);
 
 // Get logged-in user's orders
 router.get('/myorders', protect, getMyOrders);
 
+// Signed download links for purchased PDFs
+router.get(
+  '/:orderId/items/:productId/download',
+  protect,
+  validate(schemas.getDownloadLink),
+  getDownloadLink
+);
+router.get('/files/:token', validate(schemas.streamDownload), streamDownload);
+
+router.get('/:id/invoice', protect, validate(schemas.getInvoice), getInvoice);
+
 // Get all orders (Admin)
-router.get('/', protect, getAllOrders);
-router.delete('/:id', protect, deleteOrder);
+router.get('/', protect, authorize('admin'), getAllOrders);
+router.delete('/:id', protect, authorize('admin'), validate(schemas.deleteOrder), deleteOrder);
+
+// Move an order through its status workflow (Admin)
+router.put(
+  '/:id/status',
+  protect,
+  authorize('admin'),
+  validate(schemas.updateOrderStatus),
+  updateOrderStatus
+);
+
+// Refund some or all items through Stripe (Admin)
+router.post('/:id/refund', protect, authorize('admin'), validate(schemas.refundOrder), refundOrder);
 
 module.exports = router;
@@ -4,18 +4,32 @@ const express = require('express');
 const router = express.Router();
 const {
   fetchProducts,
+  getProductDetails,
+  getTopProducts,
   addProduct,
   updateProduct,
   deleteProduct,
 } = require('../controllers/productController');
 
 // Middleware for authentication and authorization
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, authorize, identify } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const schemas = require('../validators/productValidators');
 
 // Fetch all products/exams
-router.route('/').get(fetchProducts).post(protect, authorize('admin'), addProduct);
+router
+  .route('/')
+  .get(identify, validate(schemas.fetchProducts), fetchProducts)
+  .post(protect, authorize('admin'), validate(schemas.addProduct), addProduct);
 
-// Update and delete specific product/exam by ID
-router.route('/:id').put(protect, authorize('admin'), updateProduct).delete(protect, authorize('admin'), deleteProduct);
+// Top products (must be registered before '/:id')
+router.get('/top', validate(schemas.getTopProducts), getTopProducts);
+
+// Get, update and delete specific product/exam by ID
+router
+  .route('/:id')
+  .get(validate(schemas.getProductDetails), getProductDetails)
+  .put(protect, authorize('admin'), validate(schemas.updateProduct), updateProduct)
+  .delete(protect, authorize('admin'), validate(schemas.deleteProduct), deleteProduct);
 
 module.exports = router;
@@ -8,23 +8,88 @@ const {
   getProductReviews,
   updateReview,
   deleteReview,
+  moderateReviewStatus,
+  voteReview,
+  reportReview,
+  replyToReview,
+  deleteReviewReply,
+  removeReviewImage,
+  getReviewSettings,
+  updateReviewSettings,
 } = require('../controllers/reviewController');
-const { protect } = require('../middleware/authMiddleware');
+const Review = require('../models/Review');
+const {
+  protect,
+  identify,
+  authorize,
+  authorizeOwner,
+  requireVerifiedEmail,
+} = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const schemas = require('../validators/reviewValidators');
+
+// Reviews can be changed by their author or an admin
+const ownReview = authorizeOwner(async (req) => {
+  const review = await Review.findById(req.params.id).select('user');
+  return review && review.user;
+});
 
 // Create a new review
-router.post('/', protect, createReview);
+router.post('/', protect, requireVerifiedEmail, validate(schemas.createReview), createReview);
 
 // Get all reviews
-router.get('/', getAllReviews);
+router.get('/', protect, authorize('admin'), validate(schemas.getAllReviews), getAllReviews);
+
+router
+  .route('/settings')
+  .get(protect, authorize('admin'), getReviewSettings)
+  .put(protect, authorize('admin'), validate(schemas.updateReviewSettings), updateReviewSettings);
 
 // Get reviews for a specific product
-router.get('/product/:productId', getProductReviews);
+router.get(
+  '/product/:productId',
+  identify,
+  validate(schemas.getProductReviews),
+  getProductReviews
+);
 
 // Update a review
-router.put('/:id', protect, updateReview);
+router.put(
+  '/:id',
+  protect,
+  requireVerifiedEmail,
+  validate(schemas.updateReview),
+  ownReview,
+  updateReview
+);
 
 // Delete a review
-router.delete('/:id', protect, deleteReview);
+router.delete('/:id', protect, validate(schemas.deleteReview), ownReview, deleteReview);
+
+router.put('/:id/vote', protect, validate(schemas.voteReview), voteReview);
+
+router.post('/:id/report', protect, validate(schemas.reportReview), reportReview);
+
+router
+  .route('/:id/reply')
+  .put(protect, authorize('admin'), validate(schemas.replyToReview), replyToReview)
+  .delete(protect, authorize('admin'), validate(schemas.deleteReviewReply), deleteReviewReply);
+
+router.delete(
+  '/:id/images/:assetId',
+  protect,
+  authorize('admin'),
+  validate(schemas.removeReviewImage),
+  removeReviewImage
+);
+
+router.put(
+  '/:id/moderate',
+  protect,
+  authorize('admin'),
+  validate(schemas.moderateReview),
+  moderateReviewStatus
+);
 
 module.exports = router;
 
@@ -0,0 +1,25 @@
+// routes/taxRateRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+} = require('../controllers/taxRateController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const schemas = require('../validators/taxRateValidators');
+
+router
+  .route('/')
+  .get(protect, authorize('admin'), getTaxRates)
+  .post(protect, authorize('admin'), validate(schemas.createTaxRate), createTaxRate);
+
+router
+  .route('/:id')
+  .put(protect, authorize('admin'), validate(schemas.updateTaxRate), updateTaxRate)
+  .delete(protect, authorize('admin'), validate(schemas.deleteTaxRate), deleteTaxRate);
+
+module.exports = router;
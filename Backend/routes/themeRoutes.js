@@ -2,10 +2,13 @@
 const express = require('express');
 const router = express.Router();
 const { getTheme, updateTheme } = require('../controllers/themeController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const schemas = require('../validators/themeValidators');
 
-// Optionally add middleware to restrict update access to admins
+// Anyone can read the theme; only admins can change it
 router.route('/')
   .get(getTheme)
-  .put(updateTheme);
+  .put(protect, authorize('admin'), validate(schemas.updateTheme), updateTheme);
 
 module.exports = router;
@@ -0,0 +1,16 @@
+// routes/uploadRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { uploadImage, uploadReviewImage, uploadPdf } = require('../controllers/uploadController');
+const uploadMiddleware = require('../middleware/uploadMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Product images (public, with thumbnail) and PDFs (private). These are
+// multipart bodies, so uploadMiddleware checks them instead of a schema.
+router.post('/image', protect, authorize('admin'), uploadMiddleware.uploadImage, uploadImage);
+// Review photos, attached to the uploader's review afterwards
+router.post('/review-image', protect, uploadMiddleware.uploadReviewImage, uploadReviewImage);
+router.post('/pdf', protect, authorize('admin'), uploadMiddleware.uploadPdf, uploadPdf);
+
+module.exports = router;
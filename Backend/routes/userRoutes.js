@@ -11,28 +11,32 @@ const {
   updateMe,
   changePassword
 } = require('../controllers/userController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, authorize, authorizeOwner } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const schemas = require('../validators/userValidators');
 
 const router = express.Router();
 
 // Public routes
 router.route('/me')
   .get(protect, getMe)
-  .put(protect, updateMe);
+  .put(protect, validate(schemas.updateMe), updateMe);
 
 // Admin routes
 router.route('/')
   .get(protect, authorize('admin'), getUsers)
-  .post(protect, authorize('admin'), createUser);
+  .post(protect, authorize('admin'), validate(schemas.createUser), createUser);
 
 // **Place this BEFORE the wildcard `/:id` route**:
-router.post('/changepassword', protect, changePassword);
+router.post('/changepassword', protect, validate(schemas.changePassword), changePassword);
 
 
-// The wildcard route:
+// The wildcard route: users may read and edit their own account, admins any
+const ownAccount = authorizeOwner((req) => req.params.id);
+
 router.route('/:id')
-  .get(protect, getUser)
-  .put(protect, updateUser)
-  .delete(protect, deleteUser);
+  .get(protect, validate(schemas.getUser), ownAccount, getUser)
+  .put(protect, validate(schemas.updateUser), ownAccount, updateUser)
+  .delete(protect, authorize('admin'), validate(schemas.deleteUser), deleteUser);
 
 module.exports = router;
@@ -0,0 +1,20 @@
+// routes/wishlistRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const {
+  getWishlist,
+  updateWishlist,
+  clearWishlist,
+} = require('../controllers/wishlistController');
+const { protect } = require('../middleware/authMiddleware');
+const validate = require('../middleware/validateMiddleware');
+const schemas = require('../validators/wishlistValidators');
+
+router
+  .route('/')
+  .get(protect, getWishlist)
+  .put(protect, validate(schemas.updateWishlist), updateWishlist)
+  .delete(protect, clearWishlist);
+
+module.exports = router;
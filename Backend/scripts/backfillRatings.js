@@ -0,0 +1,30 @@
+// scripts/backfillRatings.js
+//
+// Recompute ratings, review counts, star histograms and weighted scores for
+// every product. Run once after deploying the rating service, and again
+// after changing RATING_PRIOR_MEAN or RATING_PRIOR_WEIGHT:
+//   npm run backfill:ratings
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const connectDB = require('../config/db');
+require('../models/Review');
+const { backfillRatings } = require('../utils/ratings');
+
+const run = async () => {
+  await connectDB();
+  const count = await backfillRatings((done) => {
+    if (done % 100 === 0) console.log(`Updated ${done} products...`);
+  });
+  console.log(`Recomputed ratings for ${count} products.`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Rating backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
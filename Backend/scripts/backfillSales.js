@@ -0,0 +1,26 @@
+// scripts/backfillSales.js
+//
+// Recount salesCount for every product from its completed orders. Run once
+// after deploying the salesCount field, while no checkouts are in flight:
+//   npm run backfill:sales
+
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+
+dotenv.config();
+
+const connectDB = require('../config/db');
+const { backfillSales } = require('../utils/sales');
+
+const run = async () => {
+  await connectDB();
+  const count = await backfillSales();
+  console.log(`Recounted sales for ${count} products with orders.`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Sales backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
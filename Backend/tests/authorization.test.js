@@ -0,0 +1,215 @@
+// tests/authorization.test.js
+//
+// Routes outside /api/users that only admins, or only an order's buyer, may
+// use. Every rejected request must leave the database untouched.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startStripe } = require('./helpers/stripeMock');
+const { query, signInAs, bearer, trackWrites } = require('./helpers/db');
+const buildApp = require('./helpers/app');
+const captureMail = require('./helpers/mail');
+
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const ReviewSettings = require('../models/ReviewSettings');
+const Theme = require('../models/Theme');
+
+const { ObjectId } = mongoose.Types;
+
+const buyer = new User({
+  _id: new ObjectId(),
+  name: 'Buyer',
+  email: 'buyer@example.com',
+  role: 'user',
+  isEmailVerified: true,
+});
+
+// Someone else's paid order
+const othersOrder = new Order({
+  _id: new ObjectId(),
+  user: new ObjectId(),
+  orderItems: [
+    {
+      product: new ObjectId(),
+      subjectName: 'Physics',
+      subjectCode: 'PHY-1',
+      price: 12,
+      image: 'https://example.com/image.png',
+      quantity: 1,
+    },
+  ],
+  subtotal: 12,
+  totalPrice: 12,
+  currency: 'usd',
+  paymentMethod: 'Card',
+  paymentIntentId: 'pi_test_other',
+  isPaid: true,
+  status: 'completed',
+  invoiceNumber: 'INV-000001',
+});
+
+describe('authorization', () => {
+  let app;
+  let stopStripe;
+
+  before(async () => {
+    stopStripe = await startStripe();
+    app = buildApp({
+      '/api/auth': require('../routes/authRoutes'),
+      '/api/theme': require('../routes/themeRoutes'),
+      '/api/orders': require('../routes/orderRoutes'),
+      '/api/products': require('../routes/productRoutes'),
+      '/api/reviews': require('../routes/reviewRoutes'),
+    });
+  });
+
+  after(() => stopStripe());
+
+  // The buyer is signed in and every model's writes are recorded
+  const setup = (t) => {
+    signInAs(t, buyer);
+    t.mock.method(console, 'error', () => {});
+    return trackWrites(t, User, Order, Product, Review, ReviewSettings, Theme);
+  };
+
+  const as = (user, method, path, body = {}) => {
+    const req = request(app)[method](path);
+    return (user ? req.set('Authorization', bearer(user)) : req).send(body);
+  };
+
+  it('only accepts access tokens, not challenge or download tokens', async (t) => {
+    setup(t);
+    const signed = (audience) =>
+      `Bearer ${jwt.sign(
+        { id: buyer._id.toString(), sid: new ObjectId().toString() },
+        process.env.JWT_SECRET,
+        { audience }
+      )}`;
+    const myOrders = (header) =>
+      request(app).get('/api/orders/myorders').set('Authorization', header);
+
+    const challenge = await myOrders(signed('2fa-challenge'));
+    const download = await myOrders(signed('download'));
+
+    assert.equal(challenge.status, 401);
+    assert.equal(download.status, 401);
+  });
+
+  it('only lets admins change the theme', async (t) => {
+    const writes = setup(t);
+    const body = { primaryColor: '#000000' };
+
+    const anonymous = await as(null, 'put', '/api/theme', body);
+    const user = await as(buyer, 'put', '/api/theme', body);
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(user.status, 403);
+    assert.equal(writes(), 0);
+  });
+
+  describe("someone else's order", () => {
+    const stubOrder = (t) => {
+      const writes = setup(t);
+      t.mock.method(Order, 'findById', () => query(othersOrder));
+      // getDownloadLink only looks among the buyer's own orders
+      t.mock.method(Order, 'findOne', (filter) =>
+        query(filter.user.equals(othersOrder.user) ? othersOrder : null)
+      );
+      return writes;
+    };
+
+    it('cannot be read', async (t) => {
+      const writes = stubOrder(t);
+      const [item] = othersOrder.orderItems;
+
+      const invoice = await as(buyer, 'get', `/api/orders/${othersOrder._id}/invoice`);
+      const download = await as(
+        buyer,
+        'get',
+        `/api/orders/${othersOrder._id}/items/${item.product}/download`
+      );
+
+      // Not found rather than forbidden, so order ids cannot be probed
+      assert.equal(invoice.status, 404);
+      assert.equal(download.status, 404);
+      assert.equal(writes(), 0);
+    });
+
+    it('cannot be deleted, changed or refunded', async (t) => {
+      const writes = stubOrder(t);
+      const base = `/api/orders/${othersOrder._id}`;
+
+      const deleted = await as(buyer, 'delete', base);
+      const status = await as(buyer, 'put', `${base}/status`, { status: 'refunded' });
+      const refund = await as(buyer, 'post', `${base}/refund`, { reason: 'Mine now' });
+
+      assert.equal(deleted.status, 403);
+      assert.equal(status.status, 403);
+      assert.equal(refund.status, 403);
+      assert.equal(writes(), 0);
+    });
+  });
+
+  it('ignores a role sent to register', async (t) => {
+    setup(t);
+    captureMail(t);
+    t.mock.method(User, 'findOne', () => query(null));
+    const create = t.mock.method(User, 'create', async (fields) => new User(fields));
+
+    const res = await as(null, 'post', '/api/auth/register', {
+      name: 'Climber',
+      email: 'climber@example.com',
+      password: 'Correct-horse-1',
+      role: 'admin',
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(create.mock.callCount(), 1);
+    assert.equal(create.mock.calls[0].arguments[0].role, 'user');
+  });
+
+  it('only lets admins add, edit and delete products', async (t) => {
+    const writes = setup(t);
+    const id = new ObjectId();
+    const body = { name: 'Free Paper', price: 0 };
+
+    const responses = [
+      await as(null, 'post', '/api/products', body),
+      await as(buyer, 'post', '/api/products', body),
+      await as(buyer, 'put', `/api/products/${id}`, body),
+      await as(buyer, 'delete', `/api/products/${id}`),
+    ];
+
+    assert.deepEqual(
+      responses.map((res) => res.status),
+      [401, 403, 403, 403]
+    );
+    assert.equal(writes(), 0);
+  });
+
+  it('only lets admins moderate, reply to and manage reviews', async (t) => {
+    const writes = setup(t);
+    const base = `/api/reviews/${new ObjectId()}`;
+
+    const responses = [
+      await as(buyer, 'put', `${base}/moderate`, { status: 'approved' }),
+      await as(buyer, 'put', `${base}/reply`, { text: 'Thanks!' }),
+      await as(buyer, 'delete', `${base}/reply`),
+      await as(buyer, 'delete', `${base}/images/${new ObjectId()}`),
+      await as(buyer, 'put', '/api/reviews/settings', { requireApproval: false }),
+      await as(null, 'put', `${base}/moderate`, { status: 'approved' }),
+    ];
+
+    assert.deepEqual(
+      responses.map((res) => res.status),
+      [403, 403, 403, 403, 403, 401]
+    );
+    assert.equal(writes(), 0);
+  });
+});
@@ -0,0 +1,29 @@
+// tests/helpers/app.js
+//
+// The API's routers behind the same body parser and error handler as
+// index.js, without connecting to MongoDB or listening on a port.
+
+const express = require('express');
+const { errorHandler } = require('../../middleware/errorMiddleware');
+
+/**
+ * @param {Record<string, import('express').Router>} routes - Mount path to router.
+ * @returns {import('express').Express}
+ */
+const buildApp = (routes) => {
+  const app = express();
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/orders/webhook')) {
+          req.rawBody = buf;
+        }
+      },
+    })
+  );
+  Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+  app.use(errorHandler);
+  return app;
+};
+
+module.exports = buildApp;
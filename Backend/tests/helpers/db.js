@@ -0,0 +1,93 @@
+// tests/helpers/db.js
+//
+// No MongoDB runs under test. Models are stubbed per test with `t.mock`, and
+// any query a test forgot to stub fails at once instead of buffering.
+
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+mongoose.set('bufferCommands', false);
+
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+
+/**
+ * A stand-in for a Mongoose query: chainable like one, resolving to `value`.
+ * @param {*} value
+ * @returns {object}
+ */
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    lean: () => chain,
+    session: () => chain,
+    exec: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return chain;
+};
+
+/**
+ * Let `users` sign in: every session is active and User.findById finds them.
+ * @param {import('node:test').TestContext} t
+ * @param {...object} users - User documents.
+ * @returns {import('node:test').Mock<Function>} The User.findById mock.
+ */
+const signInAs = (t, ...users) => {
+  t.mock.method(Session, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+  return t.mock.method(User, 'findById', (id) =>
+    query(users.find((user) => user._id.equals(id)) || null)
+  );
+};
+
+/**
+ * Authorization header carrying an access token for `user`.
+ * @param {object} user
+ * @returns {string}
+ */
+const bearer = (user) =>
+  `Bearer ${jwt.sign(
+    { id: user._id.toString(), sid: new mongoose.Types.ObjectId().toString() },
+    process.env.JWT_SECRET,
+    { audience: 'access' }
+  )}`;
+
+// Every way a controller could write to a collection
+const WRITE_STATICS = [
+  'create',
+  'insertMany',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findByIdAndUpdate',
+  'findOneAndDelete',
+  'findByIdAndDelete',
+  'deleteOne',
+  'deleteMany',
+  'bulkWrite',
+];
+const WRITE_METHODS = ['save', 'deleteOne'];
+
+/**
+ * Record every write to `models` instead of sending it.
+ * @param {import('node:test').TestContext} t
+ * @param {...import('mongoose').Model} models
+ * @returns {() => number} How many writes were attempted so far.
+ */
+const trackWrites = (t, ...models) => {
+  const mocks = models.flatMap((Model) => [
+    ...WRITE_STATICS.map((name) => t.mock.method(Model, name, () => query(null))),
+    ...WRITE_METHODS.map((name) =>
+      t.mock.method(Model.prototype, name, function write() {
+        return Promise.resolve(this);
+      })
+    ),
+  ]);
+  return () => mocks.reduce((count, mock) => count + mock.mock.callCount(), 0);
+};
+
+module.exports = { query, signInAs, bearer, trackWrites };
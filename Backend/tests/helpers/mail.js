@@ -0,0 +1,16 @@
+// tests/helpers/mail.js
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Capture outgoing mail instead of sending it.
+ * @param {import('node:test').TestContext} t
+ * @returns {import('node:test').Mock<Function>} The transport's sendMail mock.
+ */
+const captureMail = (t) => {
+  const sendMail = t.mock.fn(async () => ({}));
+  t.mock.method(nodemailer, 'createTransport', () => ({ sendMail }));
+  return sendMail;
+};
+
+module.exports = captureMail;
@@ -0,0 +1,84 @@
+// tests/helpers/stripeMock.js
+//
+// Point config/stripe.js at a local Stripe API before it is first required.
+// A running stripe-mock (https://github.com/stripe/stripe-mock) is used when
+// STRIPE_API_HOST is set, e.g.
+//   docker run -p 12111:12111 stripe/stripe-mock
+//   STRIPE_API_HOST=localhost STRIPE_API_PORT=12111 STRIPE_API_PROTOCOL=http npm test
+// Otherwise an in-process stand-in serves the endpoints the tests call, with
+// Stripe's idempotency-key replay.
+
+const http = require('http');
+const { parse } = require('querystring');
+
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_123';
+process.env.STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || 'whsec_test';
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const createServer = () => {
+  const replays = new Map();
+  let refundCount = 0;
+
+  const createRefund = (params) => {
+    refundCount += 1;
+    return {
+      id: `re_test_${refundCount}`,
+      object: 'refund',
+      amount: Number(params.amount),
+      currency: 'usd',
+      payment_intent: params.payment_intent,
+      reason: params.reason || null,
+      metadata: {},
+      status: 'succeeded',
+    };
+  };
+
+  return http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      if (req.method !== 'POST' || req.url !== '/v1/refunds') {
+        sendJson(res, 404, {
+          error: { type: 'invalid_request_error', message: `Unrecognized request URL (${req.url})` },
+        });
+        return;
+      }
+
+      const key = req.headers['idempotency-key'];
+      if (!replays.has(key)) {
+        replays.set(key, createRefund(parse(raw)));
+      }
+      sendJson(res, 200, replays.get(key));
+    });
+  });
+};
+
+/**
+ * Start the stand-in unless a stripe-mock was configured.
+ * @returns {Promise<() => Promise<void>>} Stops whatever was started.
+ */
+const startStripe = async () => {
+  if (process.env.STRIPE_API_HOST) {
+    return async () => {};
+  }
+
+  const server = createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.STRIPE_API_HOST = '127.0.0.1';
+  process.env.STRIPE_API_PORT = String(server.address().port);
+  process.env.STRIPE_API_PROTOCOL = 'http';
+  return () =>
+    new Promise((resolve) => {
+      // The Stripe client keeps its connections alive
+      server.closeAllConnections();
+      server.close(resolve);
+    });
+};
+
+module.exports = { startStripe };
@@ -0,0 +1,168 @@
+// tests/orders.test.js
+//
+// Unpaid orders and their PaymentIntents: deleting an order from the admin
+// panel and closing it when Stripe cancels the intent.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startStripe } = require('./helpers/stripeMock');
+const { query, signInAs, bearer } = require('./helpers/db');
+const buildApp = require('./helpers/app');
+
+const Order = require('../models/Order');
+const User = require('../models/User');
+
+const { ObjectId } = mongoose.Types;
+
+const admin = new User({
+  _id: new ObjectId(),
+  name: 'Admin',
+  email: 'admin@example.com',
+  role: 'admin',
+  twoFactorEnabled: true,
+});
+
+// A checkout that was started but never paid
+const pendingOrder = () =>
+  new Order({
+    _id: new ObjectId(),
+    user: new ObjectId(),
+    orderItems: [
+      {
+        product: new ObjectId(),
+        subjectName: 'Physics',
+        subjectCode: 'PHY-1',
+        price: 12,
+        image: 'https://example.com/image.png',
+        quantity: 1,
+      },
+    ],
+    subtotal: 12,
+    totalPrice: 12,
+    currency: 'usd',
+    paymentMethod: 'Card',
+    paymentIntentId: 'pi_test_pending',
+    status: 'pending',
+  });
+
+const intent = (status) => ({ id: 'pi_test_pending', object: 'payment_intent', status });
+
+describe('unpaid orders', () => {
+  let app;
+  let stripe;
+  let stopStripe;
+
+  before(async () => {
+    stopStripe = await startStripe();
+    // Required only now, so the Stripe client picks up the mock's address
+    stripe = require('../config/stripe');
+    app = buildApp({ '/api/orders': require('../routes/orderRoutes') });
+  });
+
+  after(() => stopStripe());
+
+  describe('deleting', () => {
+    const stubOrder = (t, order, status) => {
+      signInAs(t, admin);
+      t.mock.method(console, 'error', () => {});
+      t.mock.method(Order, 'findById', () => query(order));
+      return {
+        retrieve: t.mock.method(stripe.paymentIntents, 'retrieve', async () => intent(status)),
+        cancel: t.mock.method(stripe.paymentIntents, 'cancel', async () => intent('canceled')),
+        deleteOne: t.mock.method(order, 'deleteOne', async () => ({ deletedCount: 1 })),
+      };
+    };
+
+    const remove = (order) =>
+      request(app).delete(`/api/orders/${order._id}`).set('Authorization', bearer(admin));
+
+    it('cancels an open PaymentIntent before deleting the order', async (t) => {
+      const order = pendingOrder();
+      const { cancel, deleteOne } = stubOrder(t, order, 'requires_payment_method');
+
+      const res = await remove(order);
+
+      assert.equal(res.status, 200);
+      assert.equal(cancel.mock.callCount(), 1);
+      assert.equal(cancel.mock.calls[0].arguments[0], order.paymentIntentId);
+      assert.equal(deleteOne.mock.callCount(), 1);
+    });
+
+    it('keeps an order whose payment is already under way', async (t) => {
+      const order = pendingOrder();
+      const { cancel, deleteOne } = stubOrder(t, order, 'processing');
+
+      const res = await remove(order);
+
+      assert.equal(res.status, 409);
+      assert.equal(cancel.mock.callCount(), 0);
+      assert.equal(deleteOne.mock.callCount(), 0);
+    });
+
+    it('keeps the order when the buyer pays while it is being cancelled', async (t) => {
+      const order = pendingOrder();
+      const { cancel, deleteOne } = stubOrder(t, order, 'requires_action');
+      cancel.mock.mockImplementation(async () => {
+        const error = new Error('This PaymentIntent has already succeeded.');
+        error.code = 'payment_intent_unexpected_state';
+        throw error;
+      });
+
+      const res = await remove(order);
+
+      assert.equal(res.status, 409);
+      assert.equal(deleteOne.mock.callCount(), 0);
+    });
+  });
+
+  describe('PaymentIntent webhooks', () => {
+    const sendEvent = (type, paymentIntent) => {
+      const payload = JSON.stringify({
+        id: 'evt_test_intent',
+        object: 'event',
+        type,
+        data: { object: paymentIntent },
+      });
+      return request(app)
+        .post('/api/orders/webhook')
+        .set('Content-Type', 'application/json')
+        .set(
+          'Stripe-Signature',
+          stripe.webhooks.generateTestHeaderString({
+            payload,
+            secret: process.env.STRIPE_WEBHOOK_SECRET,
+          })
+        )
+        .send(payload);
+    };
+
+    it('leaves the order open after a failed attempt, which the buyer can retry', async (t) => {
+      const updates = t.mock.method(Order, 'findOneAndUpdate', () => query(null));
+
+      const res = await sendEvent(
+        'payment_intent.payment_failed',
+        intent('requires_payment_method')
+      );
+
+      assert.equal(res.status, 200);
+      assert.equal(updates.mock.callCount(), 0);
+    });
+
+    it('cancels the unpaid order once the PaymentIntent is cancelled', async (t) => {
+      const updates = t.mock.method(Order, 'findOneAndUpdate', () => query(null));
+
+      const res = await sendEvent('payment_intent.canceled', intent('canceled'));
+
+      assert.equal(res.status, 200);
+      const [filter, update] = updates.mock.calls[0].arguments;
+      assert.deepEqual(filter, {
+        paymentIntentId: 'pi_test_pending',
+        isPaid: false,
+        status: 'pending',
+      });
+      assert.equal(update.$set.status, 'cancelled');
+    });
+  });
+});
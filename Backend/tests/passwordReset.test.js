@@ -0,0 +1,184 @@
+// tests/passwordReset.test.js
+//
+// Forgot password -> verify-otp -> reset-password, which admins and app users
+// go through alike.
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { query } = require('./helpers/db');
+const buildApp = require('./helpers/app');
+const captureMail = require('./helpers/mail');
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Throttle = require('../models/Throttle');
+const AuthEvent = require('../models/AuthEvent');
+
+const { ObjectId } = mongoose.Types;
+
+// The code is the only element whose whole text is six digits
+const codeFrom = (mail) => mail.mock.calls.at(-1).arguments[0].html.match(/>\s*(\d{6})\s*</)[1];
+
+describe('password reset', () => {
+  let app;
+
+  before(() => {
+    app = buildApp({ '/api/auth': require('../routes/authRoutes') });
+  });
+
+  // One account in memory, with the throttle and audit log stubbed out
+  const setup = (t, role) => {
+    const user = new User({
+      _id: new ObjectId(),
+      name: 'Forgetful',
+      email: `${role}@example.com`,
+      password: 'old-hash',
+      role,
+      twoFactorEnabled: role === 'admin',
+    });
+
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(User, 'findOne', (filter) => query(filter.email === user.email ? user : null));
+    t.mock.method(User.prototype, 'save', function save() {
+      return Promise.resolve(this);
+    });
+    // resetPassword spends the token in a single conditional update
+    t.mock.method(User, 'findOneAndUpdate', (filter) => {
+      const live =
+        filter.resetPasswordToken === user.resetPasswordToken &&
+        user.resetPasswordExpire > filter.resetPasswordExpire.$gt;
+      if (!live) return query(null);
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      return query(user);
+    });
+    const failedGuesses = t.mock.method(User, 'updateOne', async () => ({ matchedCount: 1 }));
+
+    t.mock.method(Throttle, 'findOne', () => query(null));
+    t.mock.method(Throttle, 'findOneAndUpdate', () => query(null));
+    t.mock.method(Throttle, 'deleteMany', async () => ({}));
+    t.mock.method(Throttle, 'updateMany', async () => ({}));
+    t.mock.method(AuthEvent, 'create', async () => ({}));
+    const revoked = t.mock.method(Session, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+    return { user, mail: captureMail(t), failedGuesses, revoked };
+  };
+
+  const forgot = (body) => request(app).post('/api/auth/forgotpassword').send(body);
+  const verify = (body) => request(app).post('/api/auth/verify-otp').send(body);
+
+  ['admin', 'user'].forEach((role) => {
+    it(`emails ${role}s a code, not a link`, async (t) => {
+      const { user, mail } = setup(t, role);
+
+      const res = await forgot({ email: user.email, role });
+
+      assert.equal(res.status, 200);
+      assert.equal(mail.mock.callCount(), 1);
+      const sent = mail.mock.calls[0].arguments[0];
+      assert.equal(sent.to, user.email);
+      assert.equal(sent.subject, 'Your password reset code');
+      assert.doesNotMatch(sent.html, /reset-password\//);
+      // Only the hash is stored
+      assert.notEqual(user.otp, codeFrom(mail));
+      assert.equal(user.resetPasswordToken, undefined);
+    });
+  });
+
+  it('answers 404 for an unknown email without sending anything', async (t) => {
+    const { mail } = setup(t, 'user');
+
+    const res = await forgot({ email: 'nobody@example.com' });
+
+    assert.equal(res.status, 404);
+    assert.equal(mail.mock.callCount(), 0);
+  });
+
+  it('drops the code when the email cannot be sent', async (t) => {
+    const { user, mail } = setup(t, 'user');
+    mail.mock.mockImplementation(async () => {
+      throw new Error('SMTP down');
+    });
+
+    const res = await forgot({ email: user.email });
+
+    assert.equal(res.status, 500);
+    assert.equal(user.otp, undefined);
+  });
+
+  it('counts a wrong code and issues no reset token', async (t) => {
+    const { user, mail, failedGuesses } = setup(t, 'user');
+    await forgot({ email: user.email });
+    const wrong = codeFrom(mail) === '000000' ? '111111' : '000000';
+
+    const res = await verify({ email: user.email, otp: wrong });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.resetToken, undefined);
+    assert.equal(failedGuesses.mock.callCount(), 1);
+    assert.equal(user.resetPasswordToken, undefined);
+  });
+
+  it('rejects a reset without a token from verify-otp', async (t) => {
+    const { user } = setup(t, 'user');
+    await forgot({ email: user.email });
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ resetToken: 'abcdef0123456789', newPassword: 'New-password-1' });
+
+    assert.equal(res.status, 400);
+    assert.equal(user.password, 'old-hash');
+  });
+
+  [
+    // The admin panel puts the token in the path, the app in the body
+    [
+      'admin',
+      (token) =>
+        request(app).put(`/api/auth/resetpassword/${token}`).send({ password: 'New-password-1' }),
+    ],
+    [
+      'user',
+      (token) =>
+        request(app)
+          .post('/api/auth/reset-password')
+          .send({ resetToken: token, newPassword: 'New-password-1' }),
+    ],
+  ].forEach(([role, reset]) => {
+    it(`resets a ${role}'s password once with the token from verify-otp`, async (t) => {
+      const { user, mail, revoked } = setup(t, role);
+      await forgot({ email: user.email });
+
+      const verified = await verify({ email: user.email, otp: codeFrom(mail) });
+      assert.equal(verified.status, 200);
+      assert.match(verified.body.resetToken, /^[0-9a-f]+$/);
+      // The code is spent as soon as it is swapped for a token
+      assert.equal(user.otp, undefined);
+
+      const res = await reset(verified.body.resetToken);
+      assert.equal(res.status, 200);
+      assert.equal(user.password, 'New-password-1');
+      assert.equal(revoked.mock.calls[0].arguments[0].user, user._id);
+
+      const replay = await reset(verified.body.resetToken);
+      assert.equal(replay.status, 400);
+    });
+  });
+
+  it('rejects an expired reset token', async (t) => {
+    const { user, mail } = setup(t, 'user');
+    await forgot({ email: user.email });
+    const { body } = await verify({ email: user.email, otp: codeFrom(mail) });
+    user.resetPasswordExpire = Date.now() - 1000;
+
+    const res = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ resetToken: body.resetToken, newPassword: 'New-password-1' });
+
+    assert.equal(res.status, 400);
+    assert.equal(user.password, 'old-hash');
+  });
+});
@@ -0,0 +1,88 @@
+// tests/products.test.js
+//
+// The public catalog: search, filters, sorting and paging on GET /api/products.
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { query } = require('./helpers/db');
+const buildApp = require('./helpers/app');
+
+const Product = require('../models/Product');
+
+describe('product catalog', () => {
+  let app;
+
+  before(() => {
+    app = buildApp({ '/api/products': require('../routes/productRoutes') });
+  });
+
+  // Record the filter, sort and page the catalog asks for
+  const stubCatalog = (t) => {
+    const calls = {};
+    const chain = query([]);
+    ['sort', 'skip', 'limit', 'select'].forEach((name) => {
+      chain[name] = (value) => {
+        calls[name] = value;
+        return chain;
+      };
+    });
+    t.mock.method(console, 'error', () => {});
+    const find = t.mock.method(Product, 'find', () => chain);
+    t.mock.method(Product, 'countDocuments', async () => 45);
+    return { find, calls };
+  };
+
+  it('filters, sorts and pages with the validated query', async (t) => {
+    const { find, calls } = stubCatalog(t);
+
+    const res = await request(app).get('/api/products').query({
+      q: ' physics ',
+      type: 'NOTES',
+      minPrice: '5',
+      maxPrice: '20',
+      sort: 'price_asc',
+      page: '2',
+      limit: '10',
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(find.mock.calls[0].arguments[0], {
+      $text: { $search: 'physics' },
+      type: 'notes',
+      price: { $gte: 5, $lte: 20 },
+    });
+    assert.deepEqual(calls.sort, { price: 1, _id: 1 });
+    assert.equal(calls.skip, 10);
+    assert.equal(calls.limit, 10);
+    assert.equal(res.body.pages, 5);
+  });
+
+  it('sorts searches by relevance and everything else by newest', async (t) => {
+    const { calls } = stubCatalog(t);
+
+    await request(app).get('/api/products').query({ q: 'physics' });
+    const search = calls.sort;
+    await request(app).get('/api/products');
+
+    assert.deepEqual(search, { score: { $meta: 'textScore' }, _id: 1 });
+    assert.deepEqual(calls.sort, { createdAt: -1, _id: 1 });
+    assert.equal(calls.limit, 20);
+  });
+
+  it('rejects an unknown sort, relevance without a search and bad numbers', async (t) => {
+    const { find } = stubCatalog(t);
+
+    const responses = await Promise.all(
+      [{ sort: 'cheapest' }, { sort: 'relevance' }, { minPrice: 'free' }, { page: '0' }].map(
+        (params) => request(app).get('/api/products').query(params)
+      )
+    );
+
+    assert.deepEqual(
+      responses.map((res) => res.status),
+      [400, 400, 400, 400]
+    );
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
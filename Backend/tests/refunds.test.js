@@ -0,0 +1,282 @@
+// tests/refunds.test.js
+//
+// Refunds issued from the admin panel and refunds reported by Stripe's
+// charge.refunded webhook, against stripe-mock or its stand-in.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { startStripe } = require('./helpers/stripeMock');
+const { query, signInAs, bearer } = require('./helpers/db');
+const buildApp = require('./helpers/app');
+
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Product = require('../models/Product');
+
+const { ObjectId } = mongoose.Types;
+
+const admin = new User({
+  _id: new ObjectId(),
+  name: 'Admin',
+  email: 'admin@example.com',
+  role: 'admin',
+  twoFactorEnabled: true,
+});
+
+const productA = new ObjectId();
+const productB = new ObjectId();
+
+const orderItem = (product, price) => ({
+  product,
+  subjectName: 'Physics',
+  subjectCode: `PHY-${price}`,
+  price,
+  image: 'https://example.com/image.png',
+  quantity: 1,
+});
+
+// A paid order of two items: 12.00 and 8.00 USD
+const paidOrder = (overrides = {}) =>
+  new Order({
+    _id: new ObjectId(),
+    user: new ObjectId(),
+    orderItems: [orderItem(productA, 12), orderItem(productB, 8)],
+    subtotal: 20,
+    totalPrice: 20,
+    currency: 'usd',
+    paymentMethod: 'Card',
+    paymentIntentId: 'pi_test_refund',
+    isPaid: true,
+    paidAt: new Date(),
+    status: 'completed',
+    ...overrides,
+  });
+
+// Apply recordRefund's update to an in-memory copy of the order
+const withRefund = (order, update, arrayFilters) => {
+  const refunded = new Set(arrayFilters[0]['item.product'].$in.map(String));
+  const copy = Order.hydrate(order.toObject());
+  copy.refunds.push(update.$push.refunds);
+  copy.refundedAmount += update.$inc.refundedAmount;
+  copy.orderItems.forEach((item) => {
+    if (refunded.has(item.product.toString())) item.refunded = true;
+  });
+  return copy;
+};
+
+const withStatus = (order, status) => {
+  const copy = Order.hydrate(order.toObject());
+  copy.status = status;
+  return copy;
+};
+
+describe('refunds', () => {
+  let app;
+  let stripe;
+  let stopStripe;
+  const stripeRequests = [];
+
+  before(async () => {
+    stopStripe = await startStripe();
+    // Required only now, so the Stripe client picks up the mock's address
+    stripe = require('../config/stripe');
+    stripe.on('request', (event) => stripeRequests.push(event));
+    app = buildApp({ '/api/orders': require('../routes/orderRoutes') });
+  });
+
+  after(() => stopStripe());
+
+  // Stub the order's storage and silence the error handler's stack traces
+  const stubOrder = (t, order) => {
+    signInAs(t, admin);
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(Order, 'findById', () => query(order));
+    t.mock.method(Order.prototype, 'populate', function populate() {
+      return Promise.resolve(this);
+    });
+    return {
+      userUpdates: t.mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 })),
+      salesUpdates: t.mock.method(Product, 'bulkWrite', async () => ({})),
+    };
+  };
+
+  const refund = (order, body) =>
+    request(app)
+      .post(`/api/orders/${order._id}/refund`)
+      .set('Authorization', bearer(admin))
+      .send(body);
+
+  it('refunds every item and closes the order', async (t) => {
+    const order = paidOrder();
+    const { userUpdates, salesUpdates } = stubOrder(t, order);
+    const updates = t.mock.method(Order, 'findOneAndUpdate', (filter, update, options) =>
+      query(
+        update.$push.refunds
+          ? withRefund(order, update, options.arrayFilters)
+          : withStatus(order, 'refunded')
+      )
+    );
+    stripeRequests.length = 0;
+
+    const res = await refund(order, { reason: 'Bought by mistake' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'refunded');
+
+    const [sent] = stripeRequests;
+    assert.equal(sent.path, '/v1/refunds');
+    const ids = [productA, productB].map(String).sort();
+    assert.equal(sent.idempotency_key, `refund-${order._id}-${ids.join('-')}`);
+
+    const [recorded, closed] = updates.mock.calls.map((call) => call.arguments);
+    assert.equal(recorded[1].$push.refunds.amount, 20);
+    assert.deepEqual(recorded[1].$push.refunds.products, ids);
+    assert.deepEqual(closed[0], { _id: order._id, status: 'completed' });
+
+    // The buyer loses the purchase and both products lose the sale
+    assert.equal(userUpdates.mock.callCount(), 1);
+    const sales = salesUpdates.mock.calls[0].arguments[0];
+    assert.deepEqual(
+      sales.map(({ updateOne }) => updateOne.update.$inc.salesCount),
+      [-1, -1]
+    );
+  });
+
+  it('refunds part of an order and leaves it completed', async (t) => {
+    const order = paidOrder();
+    const { userUpdates } = stubOrder(t, order);
+    const updates = t.mock.method(Order, 'findOneAndUpdate', (filter, update, options) =>
+      query(withRefund(order, update, options.arrayFilters))
+    );
+    stripeRequests.length = 0;
+
+    const res = await refund(order, { products: [productB.toString()], reason: 'Wrong paper' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'completed');
+    assert.equal(res.body.refundedAmount, 8);
+    const item = res.body.orderItems.find((i) => i.product === productB.toString());
+    assert.equal(item.refunded, true);
+
+    assert.equal(stripeRequests[0].idempotency_key, `refund-${order._id}-${productB}`);
+    assert.equal(updates.mock.callCount(), 1);
+    assert.equal(userUpdates.mock.callCount(), 0);
+  });
+
+  it('retries a refund with the same idempotency key and records it once', async (t) => {
+    const order = paidOrder();
+    stubOrder(t, order);
+    let recorded = null;
+    const updates = t.mock.method(Order, 'findOneAndUpdate', (filter, update, options) => {
+      // The first attempt loses its database write after Stripe refunded
+      if (updates.mock.callCount() === 0) {
+        throw new Error('connection reset');
+      }
+      if (recorded && filter['refunds.stripeRefundId'].$ne === recorded.refunds[0].stripeRefundId) {
+        return query(null);
+      }
+      recorded = withRefund(order, update, options.arrayFilters);
+      return query(recorded);
+    });
+    stripeRequests.length = 0;
+
+    const body = { products: [productA.toString()], reason: 'Duplicate purchase' };
+    const failed = await refund(order, body);
+    const retried = await refund(order, body);
+
+    assert.equal(failed.status, 500);
+    assert.equal(retried.status, 200);
+    assert.equal(stripeRequests.length, 2);
+    assert.equal(stripeRequests[0].idempotency_key, stripeRequests[1].idempotency_key);
+
+    // Both attempts got the same Stripe refund back
+    const [first, second] = updates.mock.calls.map((call) => call.arguments[1].$push.refunds);
+    assert.equal(first.stripeRefundId, second.stripeRefundId);
+    assert.equal(retried.body.refunds.length, 1);
+  });
+
+  it('rejects a refund of an unpaid order without calling Stripe', async (t) => {
+    const order = paidOrder({ isPaid: false, status: 'pending' });
+    stubOrder(t, order);
+    stripeRequests.length = 0;
+
+    const res = await refund(order, { reason: 'Bought by mistake' });
+
+    assert.equal(res.status, 409);
+    assert.equal(stripeRequests.length, 0);
+  });
+
+  describe('charge.refunded webhook', () => {
+    const sendEvent = (charge, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+      const payload = JSON.stringify({
+        id: 'evt_test_refund',
+        object: 'event',
+        type: 'charge.refunded',
+        data: { object: { id: 'ch_test_refund', object: 'charge', ...charge } },
+      });
+      return request(app)
+        .post('/api/orders/webhook')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', stripe.webhooks.generateTestHeaderString({ payload, secret }))
+        .send(payload);
+    };
+
+    it('marks a fully refunded order as refunded', async (t) => {
+      const order = paidOrder();
+      const { userUpdates, salesUpdates } = stubOrder(t, order);
+      const updates = t.mock.method(Order, 'findOneAndUpdate', () =>
+        query(withStatus(order, 'refunded'))
+      );
+
+      const res = await sendEvent({ payment_intent: order.paymentIntentId, refunded: true });
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { received: true });
+      const [filter, update] = updates.mock.calls[0].arguments;
+      assert.deepEqual(filter, { paymentIntentId: order.paymentIntentId, status: 'completed' });
+      assert.equal(update.$set.status, 'refunded');
+      assert.equal(userUpdates.mock.callCount(), 1);
+      assert.equal(salesUpdates.mock.callCount(), 1);
+    });
+
+    it('acknowledges a replay without counting the refund twice', async (t) => {
+      const order = paidOrder();
+      const { userUpdates, salesUpdates } = stubOrder(t, order);
+      // Already refunded, so the status filter matches nothing
+      t.mock.method(Order, 'findOneAndUpdate', () => query(null));
+
+      const res = await sendEvent({ payment_intent: order.paymentIntentId, refunded: true });
+
+      assert.equal(res.status, 200);
+      assert.equal(userUpdates.mock.callCount(), 0);
+      assert.equal(salesUpdates.mock.callCount(), 0);
+    });
+
+    it('leaves a partially refunded charge alone', async (t) => {
+      const order = paidOrder();
+      stubOrder(t, order);
+      const updates = t.mock.method(Order, 'findOneAndUpdate', () => query(null));
+
+      const res = await sendEvent({ payment_intent: order.paymentIntentId, refunded: false });
+
+      assert.equal(res.status, 200);
+      assert.equal(updates.mock.callCount(), 0);
+    });
+
+    it('rejects an event with a bad signature', async (t) => {
+      const order = paidOrder();
+      stubOrder(t, order);
+      const updates = t.mock.method(Order, 'findOneAndUpdate', () => query(null));
+
+      const res = await sendEvent(
+        { payment_intent: order.paymentIntentId, refunded: true },
+        'whsec_wrong'
+      );
+
+      assert.equal(res.status, 400);
+      assert.equal(updates.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// tests/reviews.test.js
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { query, signInAs, bearer } = require('./helpers/db');
+const buildApp = require('./helpers/app');
+
+const Review = require('../models/Review');
+const ReviewSettings = require('../models/ReviewSettings');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { hasPurchased } = require('../utils/reviewModeration');
+
+const { ObjectId } = mongoose.Types;
+
+describe('reviews', () => {
+  it('counts order items from before refunds existed as purchased', async (t) => {
+    const exists = t.mock.method(Order, 'exists', () => query({ _id: new ObjectId() }));
+    const product = new ObjectId();
+
+    assert.equal(await hasPurchased(new ObjectId(), product), true);
+
+    const { orderItems } = exists.mock.calls[0].arguments[0];
+    assert.deepEqual(orderItems.$elemMatch, { product, refunded: { $ne: true } });
+  });
+
+  it('keeps reviews from before moderation visible when they are edited', () => {
+    // As stored before reviews had a status
+    const legacy = Review.hydrate({
+      _id: new ObjectId(),
+      user: new ObjectId(),
+      product: new ObjectId(),
+      name: 'Early reviewer',
+      rating: 4,
+      comment: 'Useful past paper',
+    });
+
+    legacy.comment = 'Useful past paper, clear answers';
+
+    assert.equal(legacy.status, undefined);
+    assert.equal((legacy.getChanges().$set || {}).status, undefined);
+  });
+
+  it('keeps a saved review when the product rating cannot be updated', async (t) => {
+    const inserts = t.mock.method(Review.collection, 'insertOne', async () => ({
+      acknowledged: true,
+    }));
+    t.mock.method(mongoose.connection, 'transaction', async () => {
+      throw new Error('WriteConflict');
+    });
+    const logged = t.mock.method(console, 'error', () => {});
+    const review = new Review({
+      user: new ObjectId(),
+      product: new ObjectId(),
+      name: 'Reviewer',
+      rating: 5,
+      comment: 'Clear and complete.',
+      status: 'approved',
+    });
+
+    await review.save();
+
+    assert.equal(inserts.mock.callCount(), 1);
+    assert.equal(logged.mock.callCount(), 1);
+  });
+
+  describe('writing a review', () => {
+    let app;
+
+    before(() => {
+      app = buildApp({ '/api/reviews': require('../routes/reviewRoutes') });
+    });
+
+    // A signed-in buyer reviewing a product they have not reviewed yet
+    const setup = (t, saveReview) => {
+      const reviewer = new User({
+        _id: new ObjectId(),
+        name: 'Reviewer',
+        email: 'reviewer@example.com',
+        role: 'user',
+        isEmailVerified: true,
+      });
+      const product = { _id: new ObjectId() };
+
+      signInAs(t, reviewer);
+      t.mock.method(console, 'error', () => {});
+      t.mock.method(Product, 'findById', () => query(product));
+      t.mock.method(Review, 'findOne', () => query(null));
+      t.mock.method(ReviewSettings, 'findOne', () => query(null));
+      t.mock.method(Order, 'exists', () => query(null));
+      t.mock.method(Review.prototype, 'save', saveReview);
+      const userSaves = t.mock.method(User.prototype, 'save', function save() {
+        return Promise.resolve(this);
+      });
+
+      const post = () =>
+        request(app)
+          .post('/api/reviews')
+          .set('Authorization', bearer(reviewer))
+          .send({ productId: product._id.toString(), rating: 5, comment: 'Clear and complete.' });
+
+      return { reviewer, userSaves, post };
+    };
+
+    it('counts the review once it is saved', async (t) => {
+      const { reviewer, userSaves, post } = setup(t, function save() {
+        return Promise.resolve(this);
+      });
+
+      const res = await post();
+
+      assert.equal(res.status, 201);
+      assert.equal(reviewer.reviewsCount, 1);
+      assert.equal(userSaves.mock.callCount(), 1);
+    });
+
+    it('does not count a review that failed to save', async (t) => {
+      const { reviewer, userSaves, post } = setup(t, async () => {
+        throw new Error('write conflict');
+      });
+
+      const res = await post();
+
+      assert.equal(res.status, 500);
+      assert.equal(reviewer.reviewsCount, 0);
+      assert.equal(userSaves.mock.callCount(), 0);
+    });
+  });
+});
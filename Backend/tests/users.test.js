@@ -0,0 +1,225 @@
+// tests/users.test.js
+//
+// Who may read and edit which account through /api/users/:id.
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { signInAs, bearer } = require('./helpers/db');
+const buildApp = require('./helpers/app');
+const captureMail = require('./helpers/mail');
+
+const User = require('../models/User');
+
+const { ObjectId } = mongoose.Types;
+
+const PASSWORD = 'Correct-horse-1';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+const account = (overrides) =>
+  new User({
+    _id: new ObjectId(),
+    name: 'Someone',
+    password: passwordHash,
+    role: 'user',
+    isEmailVerified: true,
+    ...overrides,
+  });
+
+describe('user accounts', () => {
+  let app;
+  let owner;
+  let other;
+  let admin;
+
+  before(() => {
+    app = buildApp({ '/api/users': require('../routes/userRoutes') });
+  });
+
+  // Fresh accounts per test, with saves kept in memory
+  const setup = (t) => {
+    owner = account({ name: 'Owner', email: 'owner@example.com' });
+    other = account({ name: 'Other', email: 'other@example.com' });
+    admin = account({
+      name: 'Admin',
+      email: 'admin@example.com',
+      role: 'admin',
+      twoFactorEnabled: true,
+    });
+    signInAs(t, owner, other, admin);
+    t.mock.method(console, 'error', () => {});
+    return t.mock.method(User.prototype, 'save', function save() {
+      return Promise.resolve(this);
+    });
+  };
+
+  const update = (actor, target, body) =>
+    request(app).put(`/api/users/${target._id}`).set('Authorization', bearer(actor)).send(body);
+
+  it('requires a token', async (t) => {
+    setup(t);
+    const res = await request(app).get(`/api/users/${owner._id}`);
+    assert.equal(res.status, 401);
+  });
+
+  it("lets a user read their own account but not someone else's", async (t) => {
+    setup(t);
+    const own = await request(app)
+      .get(`/api/users/${owner._id}`)
+      .set('Authorization', bearer(owner));
+    const others = await request(app)
+      .get(`/api/users/${other._id}`)
+      .set('Authorization', bearer(owner));
+
+    assert.equal(own.status, 200);
+    assert.equal(others.status, 403);
+  });
+
+  it("does not let a user edit someone else's account", async (t) => {
+    const save = setup(t);
+    const res = await update(owner, other, { name: 'Hijacked' });
+
+    assert.equal(res.status, 403);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it('lets a user rename their own account but not change their role', async (t) => {
+    setup(t);
+    const res = await update(owner, owner, { name: 'Renamed', role: 'admin' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.name, 'Renamed');
+    assert.equal(res.body.data.role, 'user');
+  });
+
+  it('requires the current password to change the password', async (t) => {
+    const save = setup(t);
+    const res = await update(owner, owner, { password: 'New-password-2' });
+
+    assert.equal(res.status, 400);
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(owner.password, passwordHash);
+  });
+
+  it('rejects a wrong current password', async (t) => {
+    const save = setup(t);
+    const res = await update(owner, owner, {
+      email: 'attacker@example.com',
+      currentPassword: 'not-my-password',
+    });
+
+    assert.equal(res.status, 401);
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(owner.email, 'owner@example.com');
+  });
+
+  it('changes the password when the current one is given', async (t) => {
+    const save = setup(t);
+    const res = await update(owner, owner, {
+      password: 'New-password-2',
+      currentPassword: PASSWORD,
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(owner.password, 'New-password-2');
+  });
+
+  it('lets an admin reset any password and role without the current password', async (t) => {
+    setup(t);
+    const res = await update(admin, other, { password: 'Reset-password-3', role: 'admin' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.role, 'admin');
+    assert.equal(other.password, 'Reset-password-3');
+  });
+
+  describe('changing the email address', () => {
+    it('needs verifying again when changed through /:id', async (t) => {
+      setup(t);
+      const mail = captureMail(t);
+      const res = await update(owner, owner, {
+        email: 'new-owner@example.com',
+        currentPassword: PASSWORD,
+      });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.email, 'new-owner@example.com');
+      assert.equal(res.body.data.isEmailVerified, false);
+      assert.equal(mail.mock.callCount(), 1);
+      assert.equal(mail.mock.calls[0].arguments[0].to, 'new-owner@example.com');
+      assert.ok(owner.emailVerificationOtp);
+    });
+
+    it('needs verifying again when changed through /me', async (t) => {
+      setup(t);
+      const mail = captureMail(t);
+      const res = await request(app)
+        .put('/api/users/me')
+        .set('Authorization', bearer(owner))
+        .send({ email: 'moved@example.com', currentPassword: PASSWORD });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.isEmailVerified, false);
+      assert.equal(mail.mock.calls[0].arguments[0].to, 'moved@example.com');
+    });
+
+    it('stays verified when the address is unchanged', async (t) => {
+      setup(t);
+      const mail = captureMail(t);
+      const res = await request(app)
+        .put('/api/users/me')
+        .set('Authorization', bearer(owner))
+        .send({ email: 'owner@example.com', name: 'Same Owner' });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.isEmailVerified, true);
+      assert.equal(mail.mock.callCount(), 0);
+    });
+
+    it('keeps the change when the code cannot be emailed', async (t) => {
+      setup(t);
+      const mail = captureMail(t);
+      mail.mock.mockImplementation(async () => {
+        throw new Error('SMTP down');
+      });
+      const res = await request(app)
+        .put('/api/users/me')
+        .set('Authorization', bearer(owner))
+        .send({ email: 'moved@example.com', currentPassword: PASSWORD });
+
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.isEmailVerified, false);
+    });
+
+    it('requires the current password to change it through /me', async (t) => {
+      const save = setup(t);
+      const mail = captureMail(t);
+      const missing = await request(app)
+        .put('/api/users/me')
+        .set('Authorization', bearer(owner))
+        .send({ email: 'attacker@example.com' });
+      const wrong = await request(app)
+        .put('/api/users/me')
+        .set('Authorization', bearer(owner))
+        .send({ email: 'attacker@example.com', currentPassword: 'not-my-password' });
+
+      assert.equal(missing.status, 400);
+      assert.equal(wrong.status, 401);
+      assert.equal(save.mock.callCount(), 0);
+      assert.equal(mail.mock.callCount(), 0);
+      assert.equal(owner.email, 'owner@example.com');
+    });
+  });
+
+  it('only lets admins delete accounts', async (t) => {
+    setup(t);
+    const res = await request(app)
+      .delete(`/api/users/${owner._id}`)
+      .set('Authorization', bearer(owner));
+
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,26 @@
+// utils/allocate.js
+
+/**
+ * Split an amount in minor units (e.g. cents) into parts proportional to
+ * the given weights. The rounding remainder goes to the last part so the
+ * parts always add up to the amount exactly. With no weight at all the split
+ * is even.
+ * @param {number} amount - Whole minor units to split.
+ * @param {number[]} weights - One weight (usually a price in minor units) per part.
+ * @returns {number[]} Minor units per part, in the order of `weights`.
+ */
+const allocate = (amount, weights) => {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  let allocated = 0;
+
+  return weights.map((weight, index) => {
+    const share =
+      index === weights.length - 1
+        ? amount - allocated
+        : Math.floor(total > 0 ? (amount * weight) / total : amount / weights.length);
+    allocated += share;
+    return share;
+  });
+};
+
+module.exports = allocate;
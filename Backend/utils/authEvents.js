@@ -0,0 +1,28 @@
+// utils/authEvents.js
+
+const AuthEvent = require('../models/AuthEvent');
+
+/**
+ * Record an auth attempt in the audit log. Logging must never break the
+ * request it describes, so failures here are only reported to the console.
+ * @param {object} req - Express request.
+ * @param {object} event - `{ type, success, reason, email, user }`.
+ * @returns {Promise<void>}
+ */
+const logAuthEvent = async (req, { type, success, reason, email, user }) => {
+  try {
+    await AuthEvent.create({
+      type,
+      success,
+      reason,
+      email: typeof email === 'string' ? email : undefined,
+      user: user ? user._id || user : undefined,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+  } catch (error) {
+    console.error('Auth event log error:', error);
+  }
+};
+
+module.exports = logAuthEvent;
@@ -0,0 +1,115 @@
+// utils/authThrottle.js
+//
+// Per-IP and per-account throttling for the auth endpoints. Every attempt is
+// counted as it starts and a success gives it back, so the count is of
+// failures. A few are free; after that each one doubles the wait before the
+// next try.
+
+const Throttle = require('../models/Throttle');
+
+// An IP may be shared by many people (office, mobile carrier), so it gets
+// more free attempts than a single account
+const ACCOUNT_FREE_ATTEMPTS = 3;
+const IP_FREE_ATTEMPTS = 10;
+const BASE_DELAY_MS = 2 * 1000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+// A key that has not failed for this long starts from zero again
+const WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Build the throttle keys for an action: one for the client IP and, when an
+ * email is given, one for the account (whether or not it exists).
+ * @param {string} action - e.g. 'login', 'verify-otp'.
+ * @param {object} req - Express request.
+ * @param {string} [email] - Account the attempt targets.
+ * @returns {string[]}
+ */
+const throttleKeys = (action, req, email) => {
+  const keys = [`${action}:ip:${req.ip}`];
+  if (typeof email === 'string' && email) {
+    keys.push(`${action}:account:${email.trim().toLowerCase()}`);
+  }
+  return keys;
+};
+
+// How often a claim is retried when parallel requests keep changing the count
+const CLAIM_TRIES = 5;
+
+// Wait imposed on the attempt after `attempts` attempts, or 0 while free
+const delayAfter = (key, attempts) => {
+  const freeAttempts = key.includes(':ip:') ? IP_FREE_ATTEMPTS : ACCOUNT_FREE_ATTEMPTS;
+  if (attempts <= freeAttempts) {
+    return 0;
+  }
+  return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - freeAttempts - 1));
+};
+
+// Count one attempt against a key, unless it is blocked. The update only
+// applies if the count is still the one that was read, so parallel requests
+// each get their own slot and the block they earn.
+// Returns seconds to wait, or 0 if the attempt was counted and may go ahead.
+const claimKey = async (key) => {
+  for (let tries = 0; tries < CLAIM_TRIES; tries += 1) {
+    const now = Date.now();
+    const entry = await Throttle.findOne({ key }).lean();
+    if (entry && entry.blockedUntil && entry.blockedUntil.getTime() > now) {
+      return Math.ceil((entry.blockedUntil.getTime() - now) / 1000);
+    }
+
+    const failures = entry ? entry.failures : 0;
+    const delay = delayAfter(key, failures + 1);
+    const update = {
+      $set: { failures: failures + 1, expiresAt: new Date(now + WINDOW_MS) },
+    };
+    if (delay > 0) {
+      update.$set.blockedUntil = new Date(now + delay);
+    }
+
+    try {
+      const claimed = await Throttle.findOneAndUpdate({ key, failures }, update, {
+        upsert: !entry,
+      });
+      if (claimed || !entry) {
+        return 0;
+      }
+    } catch (error) {
+      // Another request created the entry first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  // Still losing to parallel requests: treat the key as busy
+  return Math.ceil(BASE_DELAY_MS / 1000);
+};
+
+/**
+ * Count an attempt against the keys before it is checked, so parallel
+ * requests cannot all get in under the limit. Call clearFailures when the
+ * attempt succeeds; failed (and, for send-style actions, all) attempts
+ * simply stay counted.
+ * @param {string[]} keys
+ * @returns {Promise<number>} Seconds until the keys may be tried again, or 0
+ *   if the attempt may go ahead.
+ */
+const claimAttempt = async (keys) => {
+  const waits = await Promise.all(keys.map(claimKey));
+  return Math.max(0, ...waits);
+};
+
+/**
+ * Forget an account's past failures after a successful attempt, and give
+ * the attempt back to the IP. IP counters are otherwise left to expire, so
+ * one valid login cannot unblock a scanning client.
+ * @param {string[]} keys
+ * @returns {Promise<void>}
+ */
+const clearFailures = async (keys) => {
+  const accountKeys = keys.filter((key) => key.includes(':account:'));
+  const ipKeys = keys.filter((key) => key.includes(':ip:'));
+  await Promise.all([
+    Throttle.deleteMany({ key: { $in: accountKeys } }),
+    Throttle.updateMany({ key: { $in: ipKeys }, failures: { $gt: 0 } }, { $inc: { failures: -1 } }),
+  ]);
+};
+
+module.exports = { throttleKeys, claimAttempt, clearFailures };
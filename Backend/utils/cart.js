@@ -0,0 +1,102 @@
+// utils/cart.js
+
+const Product = require('../models/Product');
+const Bundle = require('../models/Bundle');
+
+const BUNDLE_PRODUCT_FIELDS = 'name subjectName subjectCode type price image';
+
+// Key of a cart line or an incoming `{ product }` / `{ bundle }` item
+const lineKey = (line) => (line.bundle ? `bundle:${line.bundle}` : `product:${line.product}`);
+
+/**
+ * Check a cart against the catalogue and save any corrections.
+ * - Lines whose product or bundle is gone (or whose bundle was switched off)
+ *   are dropped and reported as `unavailable`.
+ * - A bundle sharing a product with an earlier bundle is dropped and
+ *   reported as `overlap`; products already in a bundle are dropped quietly.
+ * - Lines whose price moved take the new price and are flagged with
+ *   `priceChanged` and `previousPrice`, so each change is shown once.
+ * @param {object} cart - Cart document; updated in place.
+ * @returns {Promise<{ items: object[], removed: object[] }>} Items shaped like
+ *          the catalogue (bundles with `itemType: 'bundle'` and their products).
+ */
+const checkCart = async (cart) => {
+  const productIds = cart.items.filter((line) => line.product).map((line) => line.product);
+  const bundleIds = cart.items.filter((line) => line.bundle).map((line) => line.bundle);
+
+  const [products, bundles] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).select('-__v').lean(),
+    Bundle.find({ _id: { $in: bundleIds }, isActive: true })
+      .select('-__v')
+      .populate('products', BUNDLE_PRODUCT_FIELDS)
+      .lean(),
+  ]);
+  const docs = new Map(
+    [...products, ...bundles.map((bundle) => ({ ...bundle, itemType: 'bundle' }))].map((doc) => [
+      lineKey(doc.itemType === 'bundle' ? { bundle: doc._id } : { product: doc._id }),
+      doc,
+    ])
+  );
+
+  // Products covered by the bundles that stay in the cart
+  const bundled = new Set();
+  // Catalogue item for each line that stays
+  const keep = new Map();
+  const removed = [];
+  let changed = false;
+
+  // Bundles first, so a bundle always wins over its own products
+  const lines = [
+    ...cart.items.filter((line) => line.bundle),
+    ...cart.items.filter((line) => !line.bundle),
+  ];
+
+  lines.forEach((line) => {
+    const doc = docs.get(lineKey(line));
+    const itemType = line.bundle ? 'bundle' : 'product';
+    const id = (line.bundle || line.product).toString();
+
+    if (!doc) {
+      removed.push({ _id: id, itemType, name: line.name, reason: 'unavailable' });
+      changed = true;
+      return;
+    }
+
+    if (line.bundle) {
+      const productKeys = doc.products.map((product) => product._id.toString());
+      if (productKeys.some((productId) => bundled.has(productId))) {
+        removed.push({ _id: id, itemType, name: doc.name, reason: 'overlap' });
+        changed = true;
+        return;
+      }
+      productKeys.forEach((productId) => bundled.add(productId));
+    } else if (bundled.has(id)) {
+      changed = true;
+      return;
+    }
+
+    // New lines have no price yet; only a change since the buyer saw it counts
+    const priceChanged = line.price != null && line.price !== doc.price;
+    keep.set(line, {
+      ...doc,
+      ...(priceChanged && { priceChanged: true, previousPrice: line.price }),
+    });
+
+    if (line.price !== doc.price || line.name !== doc.name) {
+      line.price = doc.price;
+      line.name = doc.name;
+      changed = true;
+    }
+  });
+
+  // Keep the order the buyer added things in
+  const kept = cart.items.filter((line) => keep.has(line));
+  if (changed) {
+    cart.items = kept;
+    await cart.save();
+  }
+
+  return { items: kept.map((line) => keep.get(line)), removed };
+};
+
+module.exports = { lineKey, checkCart };
@@ -0,0 +1,109 @@
+// utils/coupons.js
+//
+// Applies a coupon code to a priced cart. Amounts are handled in the smallest
+// currency unit, like priceOrder, so the discounted total always matches what
+// Stripe charges. Fixed amounts and minimums are set in the base currency.
+
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const allocate = require('./allocate');
+const { BASE_CURRENCY, convertToMinor, formatMoney } = require('./currency');
+
+const couponError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check a coupon code against a cart and work out the discount.
+ * @param {string} code - Code entered by the customer.
+ * @param {object[]} lines - Cart lines as `{ product, minor }`, where `minor` is
+ *   what the line costs before the coupon (bundle items cost their share), in
+ *   the smallest unit of the order currency.
+ * @param {object} options
+ * @param {string} options.userId - Buyer, for the per-user limit.
+ * @param {{ code: string, rate: number }} [options.currency] - Order currency;
+ *   the base currency when omitted.
+ * @returns {Promise<{ coupon: object, discount: number, itemDiscounts: Map<string, number> }>}
+ *   `discount` is the total and `itemDiscounts` the share per product id,
+ *   both in the smallest currency unit.
+ * @throws {Error} 404 for an unknown code, 400 when it cannot be used.
+ */
+const applyCoupon = async (
+  code,
+  lines,
+  { userId, currency = { code: BASE_CURRENCY, rate: 1 } } = {}
+) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw couponError('This coupon code is not valid', 404);
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt <= new Date()) {
+    throw couponError('This coupon has expired');
+  }
+
+  // Counted on payment, so two checkouts racing for the last use can both
+  // succeed; the limit is a promotion cap, not a hard guarantee
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw couponError('This coupon has reached its usage limit');
+  }
+
+  if (coupon.perUserLimit && userId) {
+    const used = await Order.countDocuments({
+      user: userId,
+      'coupon.coupon': coupon._id,
+      isPaid: true,
+    });
+    if (used >= coupon.perUserLimit) {
+      throw couponError('You have already used this coupon the maximum number of times');
+    }
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.minor, 0);
+  const minOrder = convertToMinor(coupon.minOrderValue, currency);
+  if (subtotal < minOrder) {
+    throw couponError(
+      `This coupon requires a minimum order of ${formatMoney(minOrder, currency.code)}`
+    );
+  }
+
+  const eligible = lines
+    .filter((line) => coupon.appliesTo(line.product))
+    .map((line) => ({ id: line.product._id.toString(), minor: line.minor }));
+
+  const eligibleTotal = eligible.reduce((sum, item) => sum + item.minor, 0);
+  if (eligibleTotal === 0) {
+    throw couponError('This coupon does not apply to any item in your cart');
+  }
+
+  const discount =
+    coupon.discountType === 'percentage'
+      ? Math.round((eligibleTotal * coupon.amount) / 100)
+      : Math.min(convertToMinor(coupon.amount, currency), eligibleTotal);
+
+  // Per-item shares let partial refunds return what was actually paid
+  const shares = allocate(discount, eligible.map((item) => item.minor));
+  const itemDiscounts = new Map(eligible.map((item, index) => [item.id, shares[index]]));
+
+  return { coupon, discount, itemDiscounts };
+};
+
+/**
+ * Copy of a coupon's terms to keep on an order.
+ * @param {object|null} coupon - Applied coupon, if any.
+ * @returns {object|undefined}
+ */
+const couponSnapshot = (coupon) =>
+  coupon
+    ? {
+        coupon: coupon._id,
+        code: coupon.code,
+        discountType: coupon.discountType,
+        amount: coupon.amount,
+      }
+    : undefined;
+
+module.exports = { applyCoupon, couponSnapshot };
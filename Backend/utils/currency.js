@@ -0,0 +1,86 @@
+// utils/currency.js
+//
+// Prices are stored in the base currency and converted per order. Amounts
+// sent to Stripe are in the currency's smallest unit, which for
+// zero-decimal currencies (JPY, KRW, ...) is the whole unit.
+
+const Currency = require('../models/Currency');
+
+const BASE_CURRENCY = 'USD';
+
+// Stripe's zero-decimal currencies
+const ZERO_DECIMAL = new Set([
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF',
+]);
+
+// Smallest card payment Stripe accepts, in the base currency
+const MIN_CHARGE = 0.5;
+
+const unitFactor = (code) => (ZERO_DECIMAL.has(String(code).toUpperCase()) ? 1 : 100);
+
+/**
+ * Convert an amount in a currency to its smallest unit (cents for USD).
+ * @param {number} amount
+ * @param {string} code - ISO currency code.
+ * @returns {number}
+ */
+const toMinorUnits = (amount, code) => Math.round(amount * unitFactor(code));
+
+/**
+ * Convert an amount in a currency's smallest unit back to the currency.
+ * @param {number} minor
+ * @param {string} code - ISO currency code.
+ * @returns {number}
+ */
+const fromMinorUnits = (minor, code) => minor / unitFactor(code);
+
+/**
+ * Convert a base-currency amount into the smallest unit of another currency.
+ * @param {number} amount - Amount in the base currency.
+ * @param {{ code: string, rate: number }} currency
+ * @returns {number}
+ */
+const convertToMinor = (amount, { code, rate }) => Math.round(amount * rate * unitFactor(code));
+
+/**
+ * Format an amount for messages, e.g. "€12.50".
+ * @param {number} minor - Amount in the currency's smallest unit.
+ * @param {string} code - ISO currency code.
+ * @returns {string}
+ */
+const formatMoney = (minor, code) =>
+  new Intl.NumberFormat('en', { style: 'currency', currency: code }).format(
+    fromMinorUnits(minor, code)
+  );
+
+/**
+ * Look up a currency buyers may pay in.
+ * @param {string} [code] - ISO currency code; the base currency when omitted.
+ * @returns {Promise<{ code: string, rate: number }>}
+ * @throws {Error} 400 when the currency is unknown or switched off.
+ */
+const getCurrency = async (code) => {
+  const upper = String(code || BASE_CURRENCY).toUpperCase();
+  if (upper === BASE_CURRENCY) {
+    return { code: BASE_CURRENCY, rate: 1 };
+  }
+
+  const currency = await Currency.findOne({ code: upper, isActive: true });
+  if (!currency) {
+    const error = new Error(`Payments in ${upper} are not supported`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return { code: currency.code, rate: currency.rate };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  MIN_CHARGE,
+  toMinorUnits,
+  fromMinorUnits,
+  convertToMinor,
+  formatMoney,
+  getCurrency,
+};
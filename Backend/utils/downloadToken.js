@@ -0,0 +1,36 @@
+// utils/downloadToken.js
+
+const jwt = require('jsonwebtoken');
+
+// Download tokens use their own audience. `protect` only accepts the
+// access-token audience and this module only this one, so neither token can
+// stand in for the other even when DOWNLOAD_SECRET is not set.
+const AUDIENCE = 'download';
+
+const getSecret = () => process.env.DOWNLOAD_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign a short-lived token granting access to one purchased file.
+ * @param {object} grant - `{ user, order, product }` ids.
+ * @returns {string} Signed token.
+ */
+const signDownloadToken = ({ user, order, product }) =>
+  jwt.sign(
+    { user: user.toString(), order: order.toString(), product: product.toString() },
+    getSecret(),
+    {
+      audience: AUDIENCE,
+      expiresIn: process.env.DOWNLOAD_LINK_EXPIRE || '5m',
+    }
+  );
+
+/**
+ * Verify a download token.
+ * @param {string} token - Token from the download URL.
+ * @returns {object} The `{ user, order, product }` grant.
+ * @throws {Error} If the token is invalid or expired.
+ */
+const verifyDownloadToken = (token) =>
+  jwt.verify(token, getSecret(), { audience: AUDIENCE });
+
+module.exports = { signDownloadToken, verifyDownloadToken };
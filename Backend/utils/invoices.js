@@ -0,0 +1,130 @@
+// utils/invoices.js
+//
+// Invoice numbers come from a single counter that is only incremented in
+// the same transaction that marks an order as paid, so the sequence has no
+// gaps: a number is either used by a paid order or never handed out.
+
+const PDFDocument = require('pdfkit');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const { formatMoney, toMinorUnits } = require('./currency');
+
+const INVOICE_PREFIX = 'INV-';
+
+/**
+ * Give a paid order the next invoice number.
+ * Must run in the transaction that marks the order as paid.
+ * @param {object} order - The order; updated in place.
+ * @param {import('mongoose').ClientSession} session
+ * @returns {Promise<object>} The order.
+ */
+const issueInvoice = async (order, session) => {
+  if (order.invoiceNumber) {
+    return order;
+  }
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: 'invoice' },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  const invoiceNumber = `${INVOICE_PREFIX}${String(counter.seq).padStart(6, '0')}`;
+  const invoicedAt = new Date();
+  await Order.updateOne({ _id: order._id }, { $set: { invoiceNumber, invoicedAt } }, { session });
+
+  order.set({ invoiceNumber, invoicedAt });
+  return order;
+};
+
+/**
+ * Render an invoice as a PDF.
+ * @param {object} order - Paid order with `user` and `orderItems.product` populated.
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (order) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const money = (amount) => formatMoney(toMinorUnits(amount, order.currency), order.currency);
+    const date = (value) => new Date(value).toISOString().slice(0, 10);
+    const user = order.user || {};
+
+    // Seller
+    doc.fontSize(20).text(process.env.INVOICE_SELLER_NAME || 'House Of Cert', { align: 'right' });
+    doc.fontSize(10);
+    if (process.env.INVOICE_SELLER_ADDRESS) {
+      doc.text(process.env.INVOICE_SELLER_ADDRESS, { align: 'right' });
+    }
+    if (process.env.INVOICE_SELLER_TAX_ID) {
+      doc.text(`Tax ID: ${process.env.INVOICE_SELLER_TAX_ID}`, { align: 'right' });
+    }
+
+    // Invoice details and buyer
+    doc.moveDown(2).fontSize(16).text(`Invoice ${order.invoiceNumber}`);
+    doc.fontSize(10);
+    doc.text(`Date: ${date(order.invoicedAt || order.paidAt)}`);
+    doc.text(`Order: ${order._id}`);
+    doc.moveDown();
+    doc.text('Billed to:');
+    [user.name, user.email, user.address, [user.region, user.country].filter(Boolean).join(', ')]
+      .filter(Boolean)
+      .forEach((line) => doc.text(line));
+
+    // Items
+    doc.moveDown(2);
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const row = (label, amount, options = {}) => {
+      const y = doc.y;
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+      doc.text(label, left, y, { width: right - left - 110 });
+      const next = doc.y;
+      doc.text(amount, right - 100, y, { width: 100, align: 'right' });
+      doc.y = Math.max(next, doc.y);
+      doc.x = left;
+    };
+
+    row('Item', 'Price', { bold: true });
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+    doc.moveDown(0.5);
+    order.orderItems.forEach((item) => {
+      const name = (item.product && item.product.name) || item.subjectName;
+      const details = [item.subjectCode, item.bundleName && `part of ${item.bundleName}`]
+        .filter(Boolean)
+        .join(', ');
+      row(`${name} (${details})${item.refunded ? ' - refunded' : ''}`, money(item.price));
+    });
+
+    // Totals
+    doc.moveDown();
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+    doc.moveDown(0.5);
+    const subtotal =
+      order.subtotal !== undefined
+        ? order.subtotal
+        : order.orderItems.reduce((sum, item) => sum + item.price, 0);
+    row('Subtotal', money(subtotal));
+    if (order.discountAmount > 0) {
+      const code = order.coupon && order.coupon.code;
+      row(code ? `Discount (${code})` : 'Discount', `-${money(order.discountAmount)}`);
+    }
+    if (order.taxRate && order.taxRate.name) {
+      row(`${order.taxRate.name} (${order.taxRate.rate}%)`, money(order.taxAmount || 0));
+    }
+    row('Total', money(order.totalPrice), { bold: true });
+    if (order.refundedAmount > 0) {
+      row('Refunded', `-${money(order.refundedAmount)}`);
+    }
+
+    doc.moveDown(2).font('Helvetica').fontSize(9);
+    doc.text(`Paid by ${order.paymentMethod} on ${date(order.paidAt || order.invoicedAt)}.`, left);
+
+    doc.end();
+  });
+
+module.exports = { issueInvoice, renderInvoicePdf };
@@ -0,0 +1,237 @@
+// utils/orderFulfilment.js
+//
+// Payment state transitions for orders, keyed on the Stripe PaymentIntent id.
+// Shared by the app's post-checkout call and the Stripe webhook, so every
+// function here must be safe to run more than once for the same event.
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Coupon = require('../models/Coupon');
+const { toMinorUnits, fromMinorUnits } = require('./currency');
+const { issueInvoice } = require('./invoices');
+const { recordSales } = require('./sales');
+
+// History entry for a status change made by Stripe rather than a person
+const stripeHistory = (from, status, note) => ({
+  $push: { statusHistory: { from, status, note } },
+});
+
+// Find the order for a PaymentIntent. Checkout writes the order before the
+// intent and names it in the intent's metadata, so an order whose intent id
+// was never saved (e.g. the API crashed mid-request) is linked up here.
+const findOrder = async (paymentIntent) => {
+  const existing = await Order.findOne({ paymentIntentId: paymentIntent.id });
+  if (existing) {
+    return existing;
+  }
+
+  const { userId, orderId } = paymentIntent.metadata || {};
+  if (!orderId) {
+    return null;
+  }
+  return Order.findOneAndUpdate(
+    { _id: orderId, user: userId, paymentIntentId: { $exists: false } },
+    { $set: { paymentIntentId: paymentIntent.id } },
+    { new: true }
+  );
+};
+
+// Leave the order unpaid and flag it for an admin. Stripe has already taken
+// the money, so failing here would only make the webhook retry forever.
+const flagPaymentIssue = async (order, paymentIntent, reason) => {
+  console.error(`Order ${order._id} needs review: ${reason}`);
+  const flagged = await Order.findOneAndUpdate(
+    { _id: order._id, isPaid: false, paymentIssue: { $exists: false } },
+    {
+      $set: {
+        paymentIssue: {
+          reason,
+          amountReceived: fromMinorUnits(paymentIntent.amount_received, order.currency),
+          detectedAt: new Date(),
+        },
+        paymentResult: {
+          id: paymentIntent.id,
+          status: paymentIntent.status,
+          update_time: new Date().toISOString(),
+          email_address: paymentIntent.receipt_email || undefined,
+        },
+      },
+      ...stripeHistory(order.status, order.status, `Needs review: ${reason}`),
+    },
+    { new: true }
+  );
+  return flagged || Order.findById(order._id);
+};
+
+/**
+ * Mark the order for a succeeded PaymentIntent as paid and completed, and
+ * issue its invoice number in the same transaction.
+ * Only the call that actually flips `isPaid` increments the buyer's
+ * purchasesCount and the products' salesCount, so replays and the
+ * webhook/app race are harmless.
+ * A payment that does not cover the order total leaves the order unpaid
+ * with a paymentIssue instead of throwing.
+ * @param {object} paymentIntent - Stripe PaymentIntent object.
+ * @returns {Promise<object|null>} The order, or null if none could be found.
+ */
+const fulfilPaymentIntent = async (paymentIntent) => {
+  const order = await findOrder(paymentIntent);
+  if (!order || order.isPaid) {
+    return order;
+  }
+
+  if (paymentIntent.amount_received !== toMinorUnits(order.totalPrice, order.currency)) {
+    return flagPaymentIssue(order, paymentIntent, 'Payment amount does not match the order total');
+  }
+
+  const paidOrder = await mongoose.connection.transaction(async (session) => {
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, isPaid: false },
+      {
+        $set: {
+          isPaid: true,
+          paidAt: new Date(),
+          status: 'completed',
+          paymentResult: {
+            id: paymentIntent.id,
+            status: paymentIntent.status,
+            update_time: new Date().toISOString(),
+            email_address: paymentIntent.receipt_email || undefined,
+          },
+        },
+        ...stripeHistory('pending', 'completed', 'Payment succeeded'),
+      },
+      { new: true, session }
+    );
+    return updated && issueInvoice(updated, session);
+  });
+
+  if (!paidOrder) {
+    // Another delivery fulfilled it first
+    return Order.findById(order._id);
+  }
+
+  await User.findByIdAndUpdate(paidOrder.user, { $inc: { purchasesCount: 1 } });
+  await recordSales(paidOrder);
+  if (paidOrder.coupon && paidOrder.coupon.coupon) {
+    await Coupon.updateOne({ _id: paidOrder.coupon.coupon }, { $inc: { usedCount: 1 } });
+  }
+  return paidOrder;
+};
+
+/**
+ * Cancel the unpaid order for a cancelled PaymentIntent.
+ * A paid order is never touched, even if a stale event arrives late.
+ * @param {object} paymentIntent - Stripe PaymentIntent object.
+ * @returns {Promise<object|null>} The updated order, if any.
+ */
+const cancelPaymentIntent = async (paymentIntent) => {
+  return Order.findOneAndUpdate(
+    { paymentIntentId: paymentIntent.id, isPaid: false, status: 'pending' },
+    {
+      $set: {
+        status: 'cancelled',
+        paymentResult: {
+          id: paymentIntent.id,
+          status: paymentIntent.status,
+          update_time: new Date().toISOString(),
+        },
+      },
+      ...stripeHistory('pending', 'cancelled', 'Payment cancelled'),
+    },
+    { new: true }
+  );
+};
+
+// Move a completed order to refunded once every item has been refunded.
+// Only the call that flips the status takes the purchase off the buyer's
+// purchasesCount and the products' salesCount, mirroring fulfilPaymentIntent.
+const closeRefundedOrder = async (filter, historyEntry) => {
+  const refundedOrder = await Order.findOneAndUpdate(
+    { ...filter, status: 'completed' },
+    {
+      $set: {
+        status: 'refunded',
+        'orderItems.$[].refunded': true,
+        'paymentResult.status': 'refunded',
+        'paymentResult.update_time': new Date().toISOString(),
+      },
+      $push: { statusHistory: { from: 'completed', status: 'refunded', ...historyEntry } },
+    },
+    { new: true }
+  );
+
+  if (refundedOrder) {
+    await User.updateOne(
+      { _id: refundedOrder.user, purchasesCount: { $gt: 0 } },
+      { $inc: { purchasesCount: -1 } }
+    );
+    await recordSales(refundedOrder, -1);
+  }
+  return refundedOrder;
+};
+
+/**
+ * Record a Stripe refund issued for some or all items of an order.
+ * Safe to call twice for the same refund; the order is closed as refunded
+ * when no downloadable items remain.
+ * @param {object} order - The order being refunded.
+ * @param {object} refund - Stripe Refund object.
+ * @param {object} details - `{ products, reason, actor }` for the refund.
+ * @returns {Promise<object>} The updated order.
+ */
+const recordRefund = async (order, refund, { products, reason, actor }) => {
+  const recorded = await Order.findOneAndUpdate(
+    { _id: order._id, 'refunds.stripeRefundId': { $ne: refund.id } },
+    {
+      $push: {
+        refunds: {
+          stripeRefundId: refund.id,
+          amount: fromMinorUnits(refund.amount, order.currency),
+          products,
+          reason,
+          actor,
+        },
+      },
+      $inc: { refundedAmount: fromMinorUnits(refund.amount, order.currency) },
+      $set: { 'orderItems.$[item].refunded': true },
+    },
+    { new: true, arrayFilters: [{ 'item.product': { $in: products } }] }
+  );
+
+  const current = recorded || (await Order.findById(order._id));
+  if (current.orderItems.every((item) => item.refunded)) {
+    const closed = await closeRefundedOrder(
+      { _id: order._id },
+      { actor, note: reason || 'Order fully refunded' }
+    );
+    return closed || Order.findById(order._id);
+  }
+  return current;
+};
+
+/**
+ * Mark the order behind a fully refunded charge as refunded.
+ * Partial refunds are recorded by recordRefund when issued from the admin
+ * panel and otherwise leave the order completed.
+ * @param {object} charge - Stripe Charge object.
+ * @returns {Promise<object|null>} The updated order, if any.
+ */
+const refundCharge = async (charge) => {
+  if (!charge.payment_intent || !charge.refunded) {
+    return null;
+  }
+
+  return closeRefundedOrder(
+    { paymentIntentId: charge.payment_intent },
+    { note: 'Charge refunded in Stripe' }
+  );
+};
+
+module.exports = {
+  fulfilPaymentIntent,
+  cancelPaymentIntent,
+  recordRefund,
+  refundCharge,
+};
@@ -0,0 +1,154 @@
+// utils/priceOrder.js
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Bundle = require('../models/Bundle');
+const { applyCoupon } = require('./coupons');
+const allocate = require('./allocate');
+const { getCurrency, convertToMinor, fromMinorUnits } = require('./currency');
+const { getTaxRate, calculateTax } = require('./tax');
+
+const pricingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Build order items and totals for a cart from the Product collection.
+ * Clients only send product and bundle ids; names, images and prices always
+ * come from the database so the amount charged cannot be tampered with.
+ * A bundle is expanded into one item per product, each priced at its share
+ * of the bundle price, so every product is unlocked and refunded on its own.
+ * Base-currency prices are converted into the order currency per line, so
+ * item prices always add up to the charged total. Tax for the buyer's
+ * location is added on top of the discounted total.
+ * @param {Array<string|object>} items - Product ids, `{ product }` or `{ bundle }` objects.
+ * @param {object} [options]
+ * @param {string} [options.couponCode] - Discount code to apply.
+ * @param {string} [options.userId] - Buyer, for per-user coupon limits.
+ * @param {string} [options.currency] - ISO code to charge in; base currency by default.
+ * @param {string} [options.country] - Buyer's country, for the tax rate.
+ * @param {string} [options.region] - Buyer's region within the country.
+ * @returns {Promise<{ orderItems: object[], subtotal: number, discount: number,
+ *          tax: number, taxRate: object|null, totalPrice: number, amount: number,
+ *          coupon: object|null, currency: string, exchangeRate: number }>}
+ *          Prices are in `currency`; `amount` is the total in its smallest unit.
+ */
+const priceOrder = async (
+  items,
+  { couponCode, userId, currency: currencyCode, country, region } = {}
+) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw pricingError('No order items', 400);
+  }
+
+  // Digital products are bought once, so duplicates collapse to one line
+  const productIds = new Set();
+  const bundleIds = new Set();
+  items.forEach((item) => {
+    if (item && item.bundle) {
+      bundleIds.add(String(item.bundle));
+    } else {
+      productIds.add(String(item && item.product ? item.product : item));
+    }
+  });
+
+  if (![...productIds, ...bundleIds].every((id) => mongoose.isValidObjectId(id))) {
+    throw pricingError('Invalid product id in order items', 400);
+  }
+
+  const bundles =
+    bundleIds.size > 0
+      ? await Bundle.find({ _id: { $in: [...bundleIds] }, isActive: true })
+      : [];
+
+  if (bundles.length !== bundleIds.size) {
+    throw pricingError('One or more bundles are no longer available', 404);
+  }
+
+  // A product that also comes in a bundle is only charged as part of it
+  const bundleOf = new Map();
+  bundles.forEach((bundle) => {
+    bundle.products.forEach((id) => {
+      if (bundleOf.has(id.toString())) {
+        throw pricingError('Two bundles in your cart contain the same product', 400);
+      }
+      bundleOf.set(id.toString(), bundle);
+    });
+  });
+
+  const currency = await getCurrency(currencyCode);
+
+  const allIds = [...new Set([...productIds, ...bundleOf.keys()])];
+  const products = await Product.find({ _id: { $in: allIds } });
+
+  if (products.length !== allIds.length) {
+    throw pricingError('One or more products are no longer available', 404);
+  }
+
+  // Price of each line in the currency's smallest unit before any coupon
+  const lines = products.map((product) => ({
+    product,
+    bundle: bundleOf.get(product._id.toString()),
+    minor: convertToMinor(product.price, currency),
+  }));
+
+  bundles.forEach((bundle) => {
+    const bundleLines = lines.filter((line) => line.bundle === bundle);
+    const shares = allocate(
+      convertToMinor(bundle.price, currency),
+      bundleLines.map((line) => line.minor)
+    );
+    bundleLines.forEach((line, index) => {
+      line.minor = shares[index];
+    });
+  });
+
+  const applied = couponCode
+    ? await applyCoupon(couponCode, lines, { userId, currency })
+    : null;
+
+  const toAmount = (minor) => fromMinorUnits(minor, currency.code);
+  const lineDiscount = (product) =>
+    applied ? applied.itemDiscounts.get(product._id.toString()) || 0 : 0;
+
+  const taxRate = await getTaxRate(country, region);
+  const { tax, lineTaxes } = calculateTax(
+    lines.map((line) => line.minor - lineDiscount(line.product)),
+    taxRate ? taxRate.rate : 0
+  );
+
+  const orderItems = lines.map(({ product, bundle, minor }, index) => ({
+    product: product._id,
+    subjectName: product.subjectName,
+    subjectCode: product.subjectCode,
+    price: toAmount(minor),
+    // Shares of the coupon discount and the tax, so refunds return what was paid
+    discount: toAmount(lineDiscount(product)),
+    tax: toAmount(lineTaxes[index]),
+    image: product.image,
+    quantity: 1,
+    ...(bundle && { bundle: bundle._id, bundleName: bundle.name }),
+  }));
+
+  // Sum in minor units to avoid floating point drift
+  const subtotal = lines.reduce((sum, line) => sum + line.minor, 0);
+  const discount = applied ? applied.discount : 0;
+  const amount = subtotal - discount + tax;
+
+  return {
+    orderItems,
+    subtotal: toAmount(subtotal),
+    discount: toAmount(discount),
+    tax: toAmount(tax),
+    taxRate: taxRate || null,
+    totalPrice: toAmount(amount),
+    amount,
+    coupon: applied ? applied.coupon : null,
+    currency: currency.code,
+    exchangeRate: currency.rate,
+  };
+};
+
+module.exports = priceOrder;
@@ -0,0 +1,94 @@
+// utils/ratings.js
+
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+const STARS = [1, 2, 3, 4, 5];
+
+/**
+ * Bayesian average: the product's reviews blended with RATING_PRIOR, so
+ * products with few reviews sit close to the prior mean.
+ * @param {number} count - Number of visible reviews.
+ * @param {number} total - Sum of their ratings.
+ * @returns {number}
+ */
+const weightedRating = (count, total) => {
+  const { mean, weight } = Product.RATING_PRIOR;
+  return (weight * mean + total) / (weight + count);
+};
+
+/**
+ * Recompute a product's rating summary from its visible reviews: average,
+ * count, per-star histogram and weighted score.
+ *
+ * Runs in a transaction that writes the product before reading the reviews.
+ * Two recalculations of the same product then conflict, and the one that
+ * loses is retried on fresh data, so a late writer can never save a count
+ * that misses a review committed in the meantime.
+ * @param {string|import('mongoose').Types.ObjectId} productId
+ * @returns {Promise<object|null>} The updated product, or null if it is gone.
+ */
+const updateProductRating = (productId) =>
+  mongoose.connection.transaction(async (session) => {
+    const Review = mongoose.model('Review');
+    const claimed = await Product.updateOne(
+      { _id: productId },
+      { $currentDate: { ratingsUpdatedAt: true } },
+      { session }
+    );
+    if (claimed.matchedCount === 0) return null;
+
+    const buckets = await Review.aggregate(
+      [
+        { $match: { product: new mongoose.Types.ObjectId(productId), ...Review.VISIBLE } },
+        {
+          $group: {
+            _id: { $round: ['$rating', 0] },
+            count: { $sum: 1 },
+            total: { $sum: '$rating' },
+          },
+        },
+      ],
+      { session }
+    );
+
+    const ratingHistogram = Object.fromEntries(STARS.map((star) => [star, 0]));
+    let count = 0;
+    let total = 0;
+    buckets.forEach((bucket) => {
+      ratingHistogram[bucket._id] = bucket.count;
+      count += bucket.count;
+      total += bucket.total;
+    });
+
+    return Product.findByIdAndUpdate(
+      productId,
+      {
+        $set: {
+          ratings: count > 0 ? total / count : 0,
+          numberOfReviews: count,
+          ratingHistogram,
+          weightedRating: weightedRating(count, total),
+        },
+      },
+      { new: true, session }
+    );
+  });
+
+/**
+ * Recompute every product, one at a time. Also picks up a changed
+ * RATING_PRIOR_MEAN or RATING_PRIOR_WEIGHT.
+ * @param {(done: number) => void} [onProgress] - Called after each product.
+ * @returns {Promise<number>} Number of products updated.
+ */
+const backfillRatings = async (onProgress) => {
+  let done = 0;
+  for await (const product of Product.find({}).select('_id').lean().cursor()) {
+    await updateProductRating(product._id);
+    done += 1;
+    if (onProgress) onProgress(done);
+  }
+  return done;
+};
+
+module.exports = { weightedRating, updateProductRating, backfillRatings };
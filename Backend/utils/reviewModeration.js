@@ -0,0 +1,123 @@
+// utils/reviewModeration.js
+//
+// A deliberately simple content filter. Reviews it flags are never
+// published automatically; they wait in the admin moderation queue.
+
+const Order = require('../models/Order');
+
+// Common English profanity; stores add their own words in the review settings
+const PROFANITY = [
+  'arse',
+  'arsehole',
+  'asshole',
+  'bastard',
+  'bitch',
+  'bollocks',
+  'bullshit',
+  'cunt',
+  'dick',
+  'fuck',
+  'fucker',
+  'fucking',
+  'motherfucker',
+  'piss',
+  'prick',
+  'shit',
+  'slut',
+  'twat',
+  'wanker',
+  'whore',
+];
+
+// Undo common letter swaps, e.g. "sh1t" or "f*ck"
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's', '*': 'u' };
+
+const normalise = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[013457@$*]/g, (char) => LEET[char])
+    .replace(/[^a-z\s]/g, ' ');
+
+const LINK = /(https?:\/\/|www\.)|\b[a-z0-9-]+\.(com|net|org|io|biz|info|ru|xyz|top)\b/i;
+const EMAIL = /[\w.+-]+@[\w-]+\.[\w.]+/;
+const PHONE = /(\+?\d[\d\s().-]{8,}\d)/;
+// The same character six or more times in a row, e.g. "!!!!!!" or "soooooo"
+const REPEATED_CHARS = /(.)\1{5,}/;
+
+/**
+ * Check review text for profanity and spam.
+ * @param {string} comment - Review text.
+ * @param {object} [options]
+ * @param {string[]} [options.blockedWords] - Extra words to hold back.
+ * @returns {string[]} Reasons to hold the review, empty when it looks fine.
+ */
+const checkReviewContent = (comment, { blockedWords = [] } = {}) => {
+  const flags = [];
+  const words = normalise(comment).split(/\s+/).filter(Boolean);
+
+  const blocked = new Set([...PROFANITY, ...blockedWords.map((word) => word.toLowerCase())]);
+  if (words.some((word) => blocked.has(word))) {
+    flags.push('profanity');
+  }
+
+  if (LINK.test(comment)) {
+    flags.push('link');
+  }
+  if (EMAIL.test(comment) || PHONE.test(comment)) {
+    flags.push('contact-details');
+  }
+
+  const letters = comment.replace(/[^a-zA-Z]/g, '');
+  const capitals = letters.replace(/[^A-Z]/g, '');
+  if (letters.length >= 20 && capitals.length / letters.length > 0.7) {
+    flags.push('shouting');
+  }
+
+  // Repeated characters, or a handful of words making up most of the text
+  const distinct = new Set(words).size;
+  if (REPEATED_CHARS.test(comment) || (words.length >= 10 && distinct / words.length < 0.3)) {
+    flags.push('repetition');
+  }
+
+  return flags;
+};
+
+/**
+ * Whether the user has a paid, completed order with the product that was
+ * not refunded.
+ * @param {string} userId
+ * @param {string} productId
+ * @returns {Promise<boolean>}
+ */
+const hasPurchased = async (userId, productId) =>
+  Boolean(
+    await Order.exists({
+      user: userId,
+      isPaid: true,
+      status: 'completed',
+      // Items from before refunds existed have no `refunded` field
+      orderItems: { $elemMatch: { product: productId, refunded: { $ne: true } } },
+    })
+  );
+
+/**
+ * Verify and screen a new or edited review, and set its status from the
+ * store's auto-approval rules. Flagged reviews always wait for an admin.
+ * @param {object} review - Review document; updated in place.
+ * @param {object} settings - ReviewSettings document.
+ * @returns {Promise<object>} The review.
+ */
+const moderateReview = async (review, settings) => {
+  review.verifiedPurchase = await hasPurchased(review.user, review.product);
+
+  const flags = checkReviewContent(review.comment, settings);
+  const autoApproved =
+    settings.autoApprove === 'all' ||
+    (settings.autoApprove === 'verified' && review.verifiedPurchase);
+
+  review.status = flags.length === 0 && autoApproved ? 'approved' : 'pending';
+  review.moderation = { flags };
+  return review;
+};
+
+module.exports = { checkReviewContent, hasPurchased, moderateReview };
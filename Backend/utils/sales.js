@@ -0,0 +1,47 @@
+// utils/sales.js
+
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+
+/**
+ * Add an order's items to each product's salesCount, or take them off again
+ * with a direction of -1. Call once when an order becomes completed and once
+ * when it leaves completed, from the call that made the change.
+ * @param {object} order - Order with its orderItems.
+ * @param {1|-1} [direction=1]
+ * @returns {Promise<object|null>}
+ */
+const recordSales = async (order, direction = 1) => {
+  const updates = order.orderItems.map((item) => ({
+    updateOne: {
+      filter: { _id: item.product },
+      update: { $inc: { salesCount: direction * item.quantity } },
+    },
+  }));
+  return updates.length > 0 ? Product.bulkWrite(updates, { ordered: false }) : null;
+};
+
+/**
+ * Recount every product's salesCount from its completed, paid orders.
+ * @returns {Promise<number>} Number of products with at least one sale.
+ */
+const backfillSales = async () => {
+  const sales = await Order.aggregate([
+    { $match: { isPaid: true, status: 'completed' } },
+    { $unwind: '$orderItems' },
+    { $group: { _id: '$orderItems.product', sales: { $sum: '$orderItems.quantity' } } },
+  ]);
+
+  await Product.updateMany({}, { $set: { salesCount: 0 } });
+  if (sales.length > 0) {
+    await Product.bulkWrite(
+      sales.map(({ _id, sales: count }) => ({
+        updateOne: { filter: { _id }, update: { $set: { salesCount: count } } },
+      })),
+      { ordered: false }
+    );
+  }
+  return sales.length;
+};
+
+module.exports = { recordSales, backfillSales };
@@ -0,0 +1,158 @@
+// utils/session.js
+//
+// Short-lived access tokens (JWT) backed by rotating refresh tokens. Every
+// access token carries its session id (`sid`), so revoking a session in the
+// database locks the device out immediately rather than when the JWT expires.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Challenge and download tokens are signed with the same secret under their
+// own audiences, so only tokens with this one are accepted for API access
+const ACCESS_AUDIENCE = 'access';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  return error;
+};
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId.toString(), sid: sessionId.toString() }, process.env.JWT_SECRET, {
+    audience: ACCESS_AUDIENCE,
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+  });
+
+/**
+ * Verify an access token's signature, expiry and audience. Whether its
+ * session is still active is up to isSessionActive.
+ * @param {string} token - Token from the Authorization header.
+ * @returns {object} The `{ id, sid }` payload.
+ * @throws {Error} If the token is invalid, expired or not an access token.
+ */
+const verifyAccessToken = (token) =>
+  jwt.verify(token, process.env.JWT_SECRET, { audience: ACCESS_AUDIENCE });
+
+/**
+ * Start a new session for a user who just proved their identity.
+ * @param {object} user - The signed-in user.
+ * @param {object} req - Express request, for device details.
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: refreshExpiry(),
+  });
+
+  return { token: signAccessToken(user._id, session._id), refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting a refresh token that was already rotated means it was copied,
+ * so every session of that user is revoked.
+ * @param {string} refreshToken - The client's current refresh token.
+ * @param {object} req - Express request, for device details.
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ * @throws {Error} 401 if the token is unknown, expired, revoked or reused.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        lastUsedAt: new Date(),
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+        expiresAt: refreshExpiry(),
+      },
+      $push: { previousTokenHashes: tokenHash },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { token: signAccessToken(session.user, session._id), refreshToken: nextToken };
+  }
+
+  const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+  if (reused) {
+    console.warn(`Refresh token reuse detected for user ${reused.user}; revoking all sessions`);
+    await revokeUserSessions(reused.user, 'reuse-detected');
+  }
+
+  throw sessionError('Session expired, please log in again');
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout on one device).
+ * @param {string} refreshToken - The client's current refresh token.
+ * @returns {Promise<boolean>} Whether a live session was revoked.
+ */
+const revokeSession = async (refreshToken) => {
+  const result = await Session.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every live session of a user.
+ * @param {string} userId - The user to sign out everywhere.
+ * @param {string} reason - Recorded on each revoked session.
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+const revokeUserSessions = async (userId, reason) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Check that an access token's session is still live.
+ * @param {object} decoded - Verified access token payload.
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (decoded) => {
+  if (!decoded.sid) {
+    return false;
+  }
+  const session = await Session.exists({
+    _id: decoded.sid,
+    user: decoded.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(session);
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  verifyAccessToken,
+  isSessionActive,
+};
@@ -0,0 +1,35 @@
+// utils/storage/index.js
+//
+// Pluggable file storage. Pick a driver with STORAGE_DRIVER ('local' or 's3').
+// Every driver exposes the same interface:
+//   save(key, buffer, contentType)  -> Promise<void>
+//   getStream(key)                  -> Promise<Readable>
+//   getPublicUrl(key, baseUrl)      -> string (only for keys under 'public/')
+//   remove(key)                     -> Promise<void>
+// Keys under 'public/' are world-readable (product images, thumbnails);
+// keys under 'private/' are only ever streamed by the API (paid PDFs).
+
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+const drivers = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+let storage;
+
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const createDriver = drivers[name];
+    if (!createDriver) {
+      throw new Error(`Unknown storage driver '${name}'`);
+    }
+    storage = createDriver();
+    storage.name = name;
+  }
+  return storage;
+};
+
+module.exports = getStorage;
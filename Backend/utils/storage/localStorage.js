@@ -0,0 +1,50 @@
+// utils/storage/localStorage.js
+
+const fs = require('fs');
+const path = require('path');
+
+// Stores files on the local disk under UPLOAD_DIR. Only the 'public/' subtree
+// is served statically (see index.js); 'private/' never leaves the API.
+const createLocalStorage = () => {
+  const root = path.resolve(
+    process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads')
+  );
+
+  // Reject keys that would escape the upload root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key '${key}'`);
+    }
+    return filePath;
+  };
+
+  return {
+    root,
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async getStream(key) {
+      const filePath = resolveKey(key);
+      await fs.promises.access(filePath, fs.constants.R_OK);
+      return fs.createReadStream(filePath);
+    },
+
+    getPublicUrl(key, baseUrl) {
+      if (!key.startsWith('public/')) {
+        throw new Error(`'${key}' is not a public file`);
+      }
+      return `${baseUrl}/uploads/${key.slice('public/'.length)}`;
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,68 @@
+// utils/storage/s3Storage.js
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+
+// Stores files in an S3-compatible bucket (AWS S3, Cloudflare R2, MinIO...).
+// The bucket policy should allow anonymous reads on 'public/*' only, and
+// S3_PUBLIC_URL should point at that bucket or a CDN in front of it.
+const createS3Storage = () => {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // Custom endpoints (MinIO, R2) generally need path-style addressing
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+  });
+
+  const publicBaseUrl = (
+    process.env.S3_PUBLIC_URL || `https://${bucket}.s3.amazonaws.com`
+  ).replace(/\/$/, '');
+
+  return {
+    async save(key, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+    },
+
+    async getStream(key) {
+      const { Body } = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return Body;
+    },
+
+    getPublicUrl(key) {
+      if (!key.startsWith('public/')) {
+        throw new Error(`'${key}' is not a public file`);
+      }
+      return `${publicBaseUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+module.exports = createS3Storage;
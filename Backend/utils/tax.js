@@ -0,0 +1,51 @@
+// utils/tax.js
+//
+// Tax is worked out on what the buyer pays after discounts and added on
+// top. Amounts are in the order currency's smallest unit.
+
+const TaxRate = require('../models/TaxRate');
+const allocate = require('./allocate');
+
+/**
+ * Find the tax rate for a buyer's location.
+ * @param {string} [country] - ISO 3166-1 alpha-2 code.
+ * @param {string} [region] - Subdivision code within the country.
+ * @returns {Promise<{ name: string, rate: number, country: string, region: string }|null>}
+ *          The regional rate if there is one, else the country rate, else null.
+ */
+const getTaxRate = async (country, region) => {
+  if (!country) {
+    return null;
+  }
+
+  const upperCountry = String(country).toUpperCase();
+  const upperRegion = region ? String(region).toUpperCase() : '';
+  const rates = await TaxRate.find({
+    country: upperCountry,
+    region: { $in: [...new Set([upperRegion, ''])] },
+    isActive: true,
+  });
+
+  const match =
+    rates.find((rate) => rate.region === upperRegion) || rates.find((rate) => rate.region === '');
+  if (!match) {
+    return null;
+  }
+  return { name: match.name, rate: match.rate, country: match.country, region: match.region };
+};
+
+/**
+ * Work out the tax on a set of lines.
+ * The total is rounded once and then split over the lines, so the line
+ * taxes always add up to the order's tax.
+ * @param {number[]} amounts - What is paid per line, in minor units.
+ * @param {number} rate - Percentage, e.g. 19 for 19%.
+ * @returns {{ tax: number, lineTaxes: number[] }}
+ */
+const calculateTax = (amounts, rate) => {
+  const net = amounts.reduce((sum, amount) => sum + amount, 0);
+  const tax = rate > 0 ? Math.round((net * rate) / 100) : 0;
+  return { tax, lineTaxes: allocate(tax, amounts) };
+};
+
+module.exports = { getTaxRate, calculateTax };
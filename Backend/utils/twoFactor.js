@@ -0,0 +1,73 @@
+// utils/twoFactor.js
+//
+// Second login step for admins. A correct password only earns a short-lived
+// challenge token; the session is created once a TOTP or backup code is
+// checked against it.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Own audience; `protect` only accepts the access-token audience (see
+// utils/session.js), so a challenge can never be used as a login
+const AUDIENCE = '2fa-challenge';
+const BACKUP_CODE_COUNT = 10;
+
+const challengeError = () => {
+  const error = new Error('Login step expired, please log in again');
+  error.statusCode = 401;
+  return error;
+};
+
+/**
+ * Sign a challenge token for a user who passed the password step.
+ * @param {object} user - The user logging in.
+ * @param {string} purpose - 'verify' when 2FA is enabled, 'setup' when the
+ *   admin still has to enrol an authenticator.
+ * @returns {string} Signed token.
+ */
+const signChallenge = (user, purpose) =>
+  jwt.sign({ id: user._id.toString(), purpose }, process.env.JWT_SECRET, {
+    audience: AUDIENCE,
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+  });
+
+/**
+ * Verify a challenge token issued for the given purpose.
+ * @param {string} token - Token from the login response.
+ * @param {string} purpose - Expected purpose.
+ * @returns {string} The user id.
+ * @throws {Error} 401 if the token is invalid, expired or for another step.
+ */
+const verifyChallenge = (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: AUDIENCE });
+  } catch (error) {
+    throw challengeError();
+  }
+  if (decoded.purpose !== purpose) {
+    throw challengeError();
+  }
+  return decoded.id;
+};
+
+const hashBackupCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+    .digest('hex');
+
+/**
+ * Generate a fresh set of single-use recovery codes.
+ * @returns {{ codes: string[], hashes: string[] }} Plain codes to show once,
+ *   and the hashes to store.
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+module.exports = { signChallenge, verifyChallenge, hashBackupCode, generateBackupCodes };
@@ -0,0 +1,31 @@
+// utils/verificationEmail.js
+
+const path = require('path');
+const fs = require('fs');
+const sendEmail = require('./sendEmail');
+
+/**
+ * Give the user a fresh email verification code, save it and email it to
+ * their current address.
+ * @param {object} user - User document; saved here.
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const otp = user.generateEmailVerificationOtp();
+  await user.save({ validateBeforeSave: false });
+
+  const templatePath = path.join(__dirname, '..', 'emails', 'verifyEmail.html');
+  let htmlMessage = fs.readFileSync(templatePath, 'utf8');
+
+  htmlMessage = htmlMessage.replace('{{otp}}', otp);
+  htmlMessage = htmlMessage.replace('{{userName}}', user.name);
+  htmlMessage = htmlMessage.replace('{{currentYear}}', new Date().getFullYear());
+
+  await sendEmail({
+    email: user.email,
+    subject: 'Verify your email address',
+    html: htmlMessage,
+  });
+};
+
+module.exports = sendVerificationEmail;
@@ -0,0 +1,121 @@
+// utils/wishlist.js
+//
+// Wishlist alerts. They are saved as in-app notifications that the app
+// shows on the favourites screen.
+
+const Product = require('../models/Product');
+const Wishlist = require('../models/Wishlist');
+const Notification = require('../models/Notification');
+const { BASE_CURRENCY, formatMoney, toMinorUnits } = require('./currency');
+
+const money = (amount) => formatMoney(toMinorUnits(amount, BASE_CURRENCY), BASE_CURRENCY);
+
+/**
+ * Alert users whose wishlist has the product at a higher price than it now
+ * costs, and make the new price the one a later drop has to beat.
+ * @param {object} product - The product after its price was lowered.
+ * @returns {Promise<number>} Number of users notified.
+ */
+const notifyPriceDrop = async (product) => {
+  const wishlists = await Wishlist.find({
+    items: { $elemMatch: { product: product._id, price: { $gt: product.price } } },
+  })
+    .select('user items.$')
+    .lean();
+  if (wishlists.length === 0) {
+    return 0;
+  }
+
+  await Notification.insertMany(
+    wishlists.map((wishlist) => {
+      const was = money(wishlist.items[0].price);
+      return {
+        user: wishlist.user,
+        type: 'price-drop',
+        title: 'Price drop',
+        message: `${product.name} is now ${money(product.price)} (was ${was}).`,
+        product: product._id,
+      };
+    })
+  );
+  await Wishlist.updateMany(
+    { _id: { $in: wishlists.map((wishlist) => wishlist._id) } },
+    { $set: { 'items.$[item].price': product.price } },
+    { arrayFilters: [{ 'item.product': product._id, 'item.price': { $gt: product.price } }] }
+  );
+
+  return wishlists.length;
+};
+
+/**
+ * Tell users with wishlisted products the coupon applies to that they can
+ * use it. Each user hears about a coupon once, however often it is edited.
+ * @param {object} coupon - Coupon document, after it was saved.
+ * @returns {Promise<number>} Number of users notified.
+ */
+const notifyCoupon = async (coupon) => {
+  const usedUp = coupon.usageLimit && coupon.usedCount >= coupon.usageLimit;
+  const expired = coupon.expiresAt && coupon.expiresAt <= new Date();
+  if (!coupon.isActive || usedUp || expired) {
+    return 0;
+  }
+
+  // Wishlisted products the coupon covers
+  const productIds = await Wishlist.distinct('items.product');
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('name type subjectCode')
+    .lean();
+  const covered = new Map(
+    products
+      .filter((product) => coupon.appliesTo(product))
+      .map((product) => [product._id.toString(), product])
+  );
+  if (covered.size === 0) {
+    return 0;
+  }
+
+  const [wishlists, alreadyNotified] = await Promise.all([
+    Wishlist.find({ 'items.product': { $in: [...covered.keys()] } })
+      .select('user items.product')
+      .lean(),
+    Notification.distinct('user', { coupon: coupon._id }),
+  ]);
+  const skip = new Set(alreadyNotified.map(String));
+
+  const discount =
+    coupon.discountType === 'percentage' ? `${coupon.amount}% off` : `${money(coupon.amount)} off`;
+  const minimum = coupon.minOrderValue > 0 ? ` on orders over ${money(coupon.minOrderValue)}` : '';
+
+  const notifications = wishlists
+    .filter((wishlist) => !skip.has(wishlist.user.toString()))
+    .map((wishlist) => {
+      const matches = wishlist.items
+        .map((item) => covered.get(item.product.toString()))
+        .filter(Boolean);
+      const others = matches.length - 1;
+      const items = others > 0 ? `${matches[0].name} and ${others} more` : matches[0].name;
+      return {
+        user: wishlist.user,
+        type: 'coupon',
+        title: 'Coupon for your wishlist',
+        message: `Use code ${coupon.code} for ${discount} ${items}${minimum}.`,
+        product: matches[0]._id,
+        coupon: coupon._id,
+      };
+    });
+  if (notifications.length === 0) {
+    return 0;
+  }
+
+  try {
+    await Notification.insertMany(notifications, { ordered: false });
+  } catch (error) {
+    // Another save of the same coupon got to some users first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+  return notifications.length;
+};
+
+module.exports = { notifyPriceDrop, notifyCoupon };
@@ -0,0 +1,83 @@
+// validators/authValidators.js
+
+const { Joi, email, password, page, limit } = require('./common');
+const AuthEvent = require('../models/AuthEvent');
+
+const otp = () => Joi.string().trim().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': '{#label} must be a 6-digit code',
+});
+const refreshToken = Joi.object({ refreshToken: Joi.string().required() });
+const challengeToken = () => Joi.string().required();
+// A 6-digit TOTP code or a backup code like 'a1b2c-3d4e5'
+const twoFactorCode = () => Joi.string().trim().max(20).required();
+
+module.exports = {
+  register: {
+    body: Joi.object({
+      name: Joi.string().trim().max(50).required(),
+      email: email().required(),
+      password: password().required(),
+    }),
+  },
+  verifyEmail: {
+    body: Joi.object({
+      email: email().required(),
+      otp: otp().required(),
+    }),
+  },
+  resendVerification: {
+    body: Joi.object({ email: email().required() }),
+  },
+  login: {
+    body: Joi.object({
+      email: email().required(),
+      password: Joi.string().required(),
+    }),
+  },
+  refresh: { body: refreshToken },
+  logout: { body: refreshToken },
+  setupTwoFactor: {
+    body: Joi.object({ challengeToken: challengeToken() }),
+  },
+  enableTwoFactor: {
+    body: Joi.object({ challengeToken: challengeToken(), code: twoFactorCode() }),
+  },
+  verifyTwoFactor: {
+    body: Joi.object({ challengeToken: challengeToken(), code: twoFactorCode() }),
+  },
+  regenerateBackupCodes: {
+    body: Joi.object({ code: twoFactorCode() }),
+  },
+  getAuthEvents: {
+    query: Joi.object({
+      page: page(),
+      limit: limit(),
+      type: Joi.string().valid(...AuthEvent.schema.path('type').enumValues),
+      email: Joi.string().trim().max(254),
+      success: Joi.boolean(),
+    }),
+  },
+  // Older clients also send a `role`; it is stripped, as every account
+  // resets the same way
+  forgotPassword: {
+    body: Joi.object({
+      email: email().required(),
+    }),
+  },
+  resetPasswordLink: {
+    params: Joi.object({ resetToken: Joi.string().hex().required() }),
+    body: Joi.object({ password: password().required() }),
+  },
+  verifyOtp: {
+    body: Joi.object({
+      email: email().required(),
+      otp: otp().required(),
+    }),
+  },
+  resetPasswordOtp: {
+    body: Joi.object({
+      resetToken: Joi.string().hex().required(),
+      newPassword: password().required(),
+    }),
+  },
+};
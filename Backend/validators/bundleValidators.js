@@ -0,0 +1,36 @@
+// validators/bundleValidators.js
+
+const { Joi, objectId, idParams } = require('./common');
+
+const bundleFields = {
+  name: Joi.string().trim().max(200),
+  description: Joi.string().trim().max(5000).allow(''),
+  subjectCode: Joi.string().trim().uppercase().max(50).allow(''),
+  image: Joi.string().trim().uri().allow(''),
+  products: Joi.array().items(objectId()).min(2).max(100).unique(),
+  price: Joi.number().min(0).precision(2),
+  isActive: Joi.boolean(),
+};
+
+module.exports = {
+  getBundles: {
+    query: Joi.object({
+      subjectCode: Joi.string().trim().uppercase().max(50),
+    }),
+  },
+  getBundle: {
+    params: idParams,
+  },
+  createBundle: {
+    body: Joi.object(bundleFields).fork(['name', 'products', 'price'], (schema) =>
+      schema.required()
+    ),
+  },
+  updateBundle: {
+    params: idParams,
+    body: Joi.object(bundleFields),
+  },
+  deleteBundle: {
+    params: idParams,
+  },
+};
@@ -0,0 +1,21 @@
+// validators/cartValidators.js
+
+const { Joi, objectId } = require('./common');
+
+module.exports = {
+  updateCart: {
+    // Same item forms as checkout: product ids, `{ product }` or `{ bundle }`
+    body: Joi.object({
+      items: Joi.array()
+        .items(
+          objectId(),
+          Joi.object({ product: objectId().required() }),
+          Joi.object({ bundle: objectId().required() })
+        )
+        .max(100)
+        .required(),
+      // Add to the saved cart instead of replacing it
+      merge: Joi.boolean().default(false),
+    }),
+  },
+};
@@ -0,0 +1,49 @@
+// validators/common.js
+//
+// Building blocks shared by the route schemas.
+
+const Joi = require('joi');
+
+const objectId = () =>
+  Joi.string().hex().length(24).messages({ 'string.length': '{#label} must be a valid id' });
+
+// No TLD allow-list; the User model's own pattern still applies on save
+const email = () => Joi.string().trim().email({ tlds: { allow: false } });
+
+// Matches the User model's minimum length
+const password = () => Joi.string().min(6).max(128);
+
+const page = () => Joi.number().integer().min(1);
+
+const limit = (max = 100) => Joi.number().integer().min(1).max(max);
+
+// ISO 4217 code, e.g. EUR
+const currencyCode = () =>
+  Joi.string().trim().uppercase().pattern(/^[A-Z]{3}$/).messages({
+    'string.pattern.base': '{#label} must be a three-letter currency code',
+  });
+
+// ISO 3166-1 alpha-2 code, e.g. DE
+const countryCode = () =>
+  Joi.string().trim().uppercase().pattern(/^[A-Z]{2}$/).messages({
+    'string.pattern.base': '{#label} must be a two-letter country code',
+  });
+
+// Subdivision of a country, e.g. a US state
+const regionCode = () => Joi.string().trim().uppercase().max(10);
+
+// `{ id }` route parameter
+const idParams = Joi.object({ id: objectId().required() });
+
+module.exports = {
+  Joi,
+  objectId,
+  email,
+  password,
+  page,
+  limit,
+  currencyCode,
+  countryCode,
+  regionCode,
+  idParams,
+};
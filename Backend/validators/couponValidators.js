@@ -0,0 +1,52 @@
+// validators/couponValidators.js
+
+const { Joi, objectId, currencyCode, idParams } = require('./common');
+const Coupon = require('../models/Coupon');
+const Product = require('../models/Product');
+const { createPaymentIntent } = require('./orderValidators');
+
+// Fixed amounts and minimums are in the base currency. Optional limits accept
+// null so an admin can remove them again
+const couponFields = {
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9_-]{3,30}$/)
+    .messages({ 'string.pattern.base': 'code must be 3-30 letters, digits, - or _' }),
+  description: Joi.string().trim().max(200).allow(''),
+  discountType: Joi.string().valid(...Coupon.DISCOUNT_TYPES),
+  amount: Joi.number().min(0).precision(2).when('discountType', {
+    is: 'percentage',
+    then: Joi.number().max(100),
+  }),
+  expiresAt: Joi.date().iso().allow(null),
+  minOrderValue: Joi.number().min(0).precision(2),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1).allow(null),
+  products: Joi.array().items(objectId()),
+  types: Joi.array().items(Joi.string().valid(...Product.schema.path('type').enumValues)),
+  subjectCodes: Joi.array().items(Joi.string().trim().uppercase().max(50)),
+  isActive: Joi.boolean(),
+};
+
+module.exports = {
+  validateCoupon: {
+    body: Joi.object({
+      code: Joi.string().trim().max(30).required(),
+      orderItems: createPaymentIntent.body.extract('orderItems'),
+      currency: currencyCode(),
+    }),
+  },
+  createCoupon: {
+    body: Joi.object(couponFields).fork(['code', 'discountType', 'amount'], (schema) =>
+      schema.required()
+    ),
+  },
+  updateCoupon: {
+    params: idParams,
+    body: Joi.object(couponFields),
+  },
+  deleteCoupon: {
+    params: idParams,
+  },
+};
@@ -0,0 +1,24 @@
+// validators/currencyValidators.js
+
+const { Joi, currencyCode, idParams } = require('./common');
+
+const currencyFields = {
+  code: currencyCode(),
+  name: Joi.string().trim().max(100).allow(''),
+  rate: Joi.number().positive(),
+  isActive: Joi.boolean(),
+};
+
+module.exports = {
+  createCurrency: {
+    body: Joi.object(currencyFields).fork(['code', 'rate'], (schema) => schema.required()),
+  },
+  updateCurrency: {
+    params: idParams,
+    // The code is fixed once created; orders refer to it
+    body: Joi.object(currencyFields).fork(['code'], (schema) => schema.forbidden()),
+  },
+  deleteCurrency: {
+    params: idParams,
+  },
+};
@@ -0,0 +1,14 @@
+// validators/notificationValidators.js
+
+const { Joi, objectId, limit } = require('./common');
+
+module.exports = {
+  getNotifications: {
+    query: Joi.object({ limit: limit() }),
+  },
+  markNotificationsRead: {
+    body: Joi.object({
+      ids: Joi.array().items(objectId()).max(100),
+    }),
+  },
+};
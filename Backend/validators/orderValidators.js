@@ -0,0 +1,61 @@
+// validators/orderValidators.js
+
+const { Joi, objectId, currencyCode, idParams } = require('./common');
+const Order = require('../models/Order');
+
+module.exports = {
+  createPaymentIntent: {
+    // Product ids, `{ product }` or `{ bundle }` objects; priceOrder looks up the rest
+    body: Joi.object({
+      orderItems: Joi.array()
+        .items(
+          objectId(),
+          Joi.object({ product: objectId().required() }),
+          Joi.object({ bundle: objectId().required() })
+        )
+        .min(1)
+        .max(100)
+        .required(),
+      couponCode: Joi.string().trim().max(30).allow(''),
+      currency: currencyCode(),
+    }),
+  },
+  addOrderItems: {
+    body: Joi.object({
+      paymentIntentId: Joi.string().trim().pattern(/^pi_\w+$/).required().messages({
+        'string.pattern.base': 'paymentIntentId must be a Stripe PaymentIntent id',
+      }),
+    }),
+  },
+  getDownloadLink: {
+    params: Joi.object({
+      orderId: objectId().required(),
+      productId: objectId().required(),
+    }),
+  },
+  streamDownload: {
+    params: Joi.object({ token: Joi.string().required() }),
+    query: Joi.object({ inline: Joi.boolean().truthy('1').falsy('0') }),
+  },
+  getInvoice: {
+    params: idParams,
+  },
+  deleteOrder: {
+    params: idParams,
+  },
+  updateOrderStatus: {
+    params: idParams,
+    body: Joi.object({
+      status: Joi.string().valid(...Order.STATUSES).required(),
+      note: Joi.string().trim().max(500).allow(''),
+    }),
+  },
+  refundOrder: {
+    params: idParams,
+    body: Joi.object({
+      // Omitted means every item that has not been refunded yet
+      products: Joi.array().items(objectId()).min(1),
+      reason: Joi.string().trim().max(500).required(),
+    }),
+  },
+};
@@ -0,0 +1,65 @@
+// validators/productValidators.js
+
+const { Joi, objectId, page, limit, idParams } = require('./common');
+const Product = require('../models/Product');
+
+const productType = () =>
+  Joi.string().trim().lowercase().valid(...Product.schema.path('type').enumValues);
+
+const productFields = {
+  name: Joi.string().trim().max(200),
+  subjectName: Joi.string().trim().max(200),
+  subjectCode: Joi.string().trim().max(50),
+  price: Joi.number().min(0).precision(2),
+  description: Joi.string().trim().max(5000),
+  type: productType(),
+  // Uploaded through /api/uploads; image and pdfLink are derived from these
+  imageAsset: objectId(),
+  pdfAsset: objectId(),
+};
+
+module.exports = {
+  fetchProducts: {
+    query: Joi.object({
+      q: Joi.string().trim().max(200).allow(''),
+      type: productType().allow(''),
+      subjectCode: Joi.string().trim().max(50).allow(''),
+      minPrice: Joi.number().min(0),
+      maxPrice: Joi.number().min(0),
+      minRating: Joi.number().min(0).max(5),
+      // Relevance ranks search matches, so it is only offered with a query
+      sort: Joi.string()
+        .trim()
+        .when('q', {
+          is: Joi.string().min(1).required(),
+          then: Joi.valid('relevance', ...Object.keys(Product.SORT_OPTIONS)),
+          otherwise: Joi.valid(...Object.keys(Product.SORT_OPTIONS)),
+        }),
+      page: page(),
+      limit: limit(),
+    }),
+  },
+  getTopProducts: {
+    query: Joi.object({ limit: limit(50) }),
+  },
+  getProductDetails: {
+    params: idParams,
+  },
+  addProduct: {
+    body: Joi.object(productFields).fork(
+      ['name', 'subjectName', 'subjectCode', 'price', 'description', 'type', 'imageAsset', 'pdfAsset'],
+      (schema) => schema.required()
+    ),
+  },
+  updateProduct: {
+    params: idParams,
+    // The edit form sends '' for a file that was not replaced
+    body: Joi.object(productFields).keys({
+      imageAsset: objectId().allow(''),
+      pdfAsset: objectId().allow(''),
+    }),
+  },
+  deleteProduct: {
+    params: idParams,
+  },
+};
@@ -0,0 +1,86 @@
+// validators/reviewValidators.js
+
+const { Joi, objectId, page, limit, idParams } = require('./common');
+const Review = require('../models/Review');
+const ReviewSettings = require('../models/ReviewSettings');
+
+const rating = () => Joi.number().integer().min(1).max(5);
+const comment = () => Joi.string().trim().max(1000);
+// Review-image asset ids from POST /api/uploads/review-image
+const images = () => Joi.array().items(objectId()).max(Review.MAX_IMAGES).unique();
+
+module.exports = {
+  createReview: {
+    body: Joi.object({
+      productId: objectId().required(),
+      rating: rating().required(),
+      comment: comment().required(),
+      images: images(),
+    }),
+  },
+  getProductReviews: {
+    params: Joi.object({ productId: objectId().required() }),
+    query: Joi.object({
+      sort: Joi.string().valid(...Object.keys(Review.SORT_OPTIONS)),
+      page: page(),
+      limit: limit(50),
+    }),
+  },
+  updateReview: {
+    params: idParams,
+    body: Joi.object({
+      rating: rating(),
+      comment: comment(),
+      // The full list to keep; photos left out are deleted
+      images: images(),
+    }).or('rating', 'comment', 'images'),
+  },
+  deleteReview: {
+    params: idParams,
+  },
+  getAllReviews: {
+    query: Joi.object({ status: Joi.string().valid(...Review.STATUSES) }),
+  },
+  moderateReview: {
+    params: idParams,
+    body: Joi.object({
+      status: Joi.string().valid('approved', 'rejected').required(),
+      // Rejections tell the reviewer why
+      reason: Joi.string()
+        .trim()
+        .max(500)
+        .when('status', { is: 'rejected', then: Joi.required(), otherwise: Joi.allow('') }),
+    }),
+  },
+  voteReview: {
+    params: idParams,
+    // null takes the vote back
+    body: Joi.object({ helpful: Joi.boolean().allow(null).required() }),
+  },
+  reportReview: {
+    params: idParams,
+    body: Joi.object({
+      reason: Joi.string().valid(...Review.REPORT_REASONS).required(),
+      details: Joi.string().trim().max(500).allow(''),
+    }),
+  },
+  replyToReview: {
+    params: idParams,
+    body: Joi.object({ comment: comment().required() }),
+  },
+  deleteReviewReply: {
+    params: idParams,
+  },
+  removeReviewImage: {
+    params: Joi.object({
+      id: objectId().required(),
+      assetId: objectId().required(),
+    }),
+  },
+  updateReviewSettings: {
+    body: Joi.object({
+      autoApprove: Joi.string().valid(...ReviewSettings.AUTO_APPROVE_MODES),
+      blockedWords: Joi.array().items(Joi.string().trim().lowercase().max(50)).max(500),
+    }).min(1),
+  },
+};
@@ -0,0 +1,24 @@
+// validators/taxRateValidators.js
+
+const { Joi, countryCode, regionCode, idParams } = require('./common');
+
+const taxRateFields = {
+  country: countryCode(),
+  region: regionCode().allow(''),
+  name: Joi.string().trim().max(30).allow(''),
+  rate: Joi.number().min(0).max(100),
+  isActive: Joi.boolean(),
+};
+
+module.exports = {
+  createTaxRate: {
+    body: Joi.object(taxRateFields).fork(['country', 'rate'], (schema) => schema.required()),
+  },
+  updateTaxRate: {
+    params: idParams,
+    body: Joi.object(taxRateFields),
+  },
+  deleteTaxRate: {
+    params: idParams,
+  },
+};
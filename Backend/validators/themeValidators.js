@@ -0,0 +1,36 @@
+// validators/themeValidators.js
+
+const { Joi } = require('./common');
+
+const color = () => Joi.string().trim().max(50).required();
+
+// One colour palette; every key is required by the Theme model
+const palette = Joi.object({
+  backgroundHeaderColor: color(),
+  backgroundColor: color(),
+  primaryColor: color(),
+  secondaryColor: color(),
+  textColor: color(),
+  headerBackground: Joi.array().items(Joi.string().trim().max(50)).min(1).required(),
+  placeholderTextColor: color(),
+  cardBackground: color(),
+  cardTextColor: color(),
+  overlayColor: color(),
+  tabBarActiveTintColor: color(),
+  tabBarInactiveTintColor: color(),
+  statusBarStyle: color(),
+  switchTrackColorFalse: color(),
+  switchTrackColorTrue: color(),
+  switchThumbColor: color(),
+  switchIosBackgroundColor: color(),
+  borderColor: color(),
+  priceColor: color(),
+  headerTextColor: color(),
+  arrowColor: color(),
+});
+
+module.exports = {
+  updateTheme: {
+    body: Joi.object({ light: palette, dark: palette }).or('light', 'dark'),
+  },
+};
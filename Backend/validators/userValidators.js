@@ -0,0 +1,59 @@
+// validators/userValidators.js
+
+const { Joi, email, password, countryCode, regionCode, idParams } = require('./common');
+
+// Profile fields a user may edit on their own account. Counters, role and
+// verification state are deliberately absent and get stripped.
+const profileFields = {
+  name: Joi.string().trim().max(50),
+  email: email(),
+  profileImage: Joi.string().trim().uri().allow(''),
+  coverImage: Joi.string().trim().uri().allow(''),
+  phone: Joi.string().trim().max(30).allow(''),
+  address: Joi.string().trim().max(200).allow(''),
+  // Billing location; decides the tax charged at checkout
+  country: countryCode().allow(''),
+  region: regionCode().allow(''),
+};
+
+module.exports = {
+  updateMe: {
+    body: Joi.object({
+      ...profileFields,
+      // Required when the email changes
+      currentPassword: Joi.string(),
+    }),
+  },
+  createUser: {
+    body: Joi.object({
+      name: Joi.string().trim().max(50).required(),
+      email: email().required(),
+      password: password().required(),
+      role: Joi.string().valid('user', 'admin').default('user'),
+    }),
+  },
+  changePassword: {
+    body: Joi.object({
+      oldPassword: Joi.string().required(),
+      newPassword: password().required(),
+    }),
+  },
+  getUser: {
+    params: idParams,
+  },
+  updateUser: {
+    params: idParams,
+    body: Joi.object({
+      name: Joi.string().trim().max(50),
+      email: email(),
+      // Only honoured for admins (see updateUser)
+      role: Joi.string().valid('user', 'admin'),
+      password: password(),
+      // Required when a non-admin changes their own email or password
+      currentPassword: Joi.string(),
+    }),
+  },
+  deleteUser: {
+    params: idParams,
+  },
+};
@@ -0,0 +1,13 @@
+// validators/wishlistValidators.js
+
+const { Joi, objectId } = require('./common');
+
+module.exports = {
+  updateWishlist: {
+    body: Joi.object({
+      products: Joi.array().items(objectId()).max(200).required(),
+      // Add to the saved wishlist instead of replacing it
+      merge: Joi.boolean().default(false),
+    }),
+  },
+};
@@ -62,6 +62,11 @@ import Orders from './pages/Orders';
 import Reviews from './pages/Reviews';
 import LandingPage from './pages/LandingPage';
 import ThemeSettings from './pages/ThemeSettings';
+import AuthEvents from './pages/AuthEvents';
+import Coupons from './pages/Coupons';
+import Bundles from './pages/Bundles';
+import Currencies from './pages/Currencies';
+import TaxRates from './pages/TaxRates';
 import { useSelector } from 'react-redux';
 
 const App = () => {
@@ -97,9 +102,14 @@ const App = () => {
           <Route index element={<Dashboard />} />
           <Route path="users" element={<Users />} />
           <Route path="products" element={<Products />} />
+          <Route path="bundles" element={<Bundles />} />
           <Route path="orders" element={<Orders />} />
           <Route path="reviews" element={<Reviews />} />
+          <Route path="coupons" element={<Coupons />} />
+          <Route path="currencies" element={<Currencies />} />
+          <Route path="tax-rates" element={<TaxRates />} />
           <Route path="/theme" element={<ThemeSettings />} />
+          <Route path="security" element={<AuthEvents />} />
         </Route>
 
         {/* Fallback Route */}
@@ -0,0 +1,62 @@
+// src/components/BackupCodes.jsx
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { FaCopy, FaCheck } from 'react-icons/fa';
+
+// One-time display of two-factor recovery codes. The server only stores
+// hashes, so the admin has to save them before `onDone` hides them.
+const BackupCodes = ({ codes, onDone }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+    } catch (error) {
+      console.error('Copy failed:', error);
+    }
+  };
+
+  return (
+    <div>
+      <p className="text-gray-700 dark:text-gray-200 mb-4">
+        Save these backup codes somewhere safe. Each one can be used once to log in if you
+        lose access to your authenticator app. They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 mb-4 font-mono text-center">
+        {codes.map((code) => (
+          <li
+            key={code}
+            className="bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-100 rounded py-1"
+          >
+            {code}
+          </li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={copyCodes}
+          className="flex-1 flex items-center justify-center border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 py-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700 transition duration-200"
+        >
+          {copied ? <FaCheck className="mr-2" /> : <FaCopy className="mr-2" />}
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition duration-200"
+        >
+          I have saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+BackupCodes.propTypes = {
+  codes: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onDone: PropTypes.func.isRequired,
+};
+
+export default BackupCodes;
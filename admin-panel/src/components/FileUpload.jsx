@@ -0,0 +1,116 @@
+// src/components/FileUpload.jsx
+import { useRef, useState } from 'react';
+import PropTypes from 'prop-types';
+import { FaCloudUploadAlt, FaCheckCircle } from 'react-icons/fa';
+import axiosInstance from '../utils/axiosInstance';
+
+// Drag-and-drop uploader for product files. `kind` selects the backend
+// endpoint (/api/uploads/image or /api/uploads/pdf); the stored asset is
+// handed back through `onUploaded`.
+const FileUpload = ({ label, kind, accept, hint, preview, fileName, error, onUploaded }) => {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
+
+  const upload = async (file) => {
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    setUploadError(null);
+    setProgress(0);
+    try {
+      const response = await axiosInstance.post(`/api/uploads/${kind}`, formData, {
+        onUploadProgress: (event) => {
+          if (event.total) {
+            setProgress(Math.round((event.loaded * 100) / event.total));
+          }
+        },
+      });
+      onUploaded(response.data.data);
+    } catch (err) {
+      setUploadError(err.response?.data?.message || 'Upload failed.');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    upload(e.dataTransfer.files[0]);
+  };
+
+  const uploading = progress !== null;
+
+  return (
+    <div className="mb-4">
+      <label className="block text-gray-700 dark:text-gray-200">{label}</label>
+      <div
+        onClick={() => !uploading && inputRef.current.click()}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={handleDrop}
+        className={`w-full px-3 py-4 border-2 border-dashed rounded cursor-pointer flex items-center transition ${
+          dragging
+            ? 'border-blue-500 bg-blue-50 dark:bg-gray-700'
+            : error || uploadError
+            ? 'border-red-500'
+            : 'border-gray-300 dark:border-gray-700'
+        }`}
+      >
+        {preview ? (
+          <img src={preview} alt={label} className="w-12 h-12 object-cover rounded mr-3" />
+        ) : fileName ? (
+          <FaCheckCircle className="text-green-500 mr-3" size={24} />
+        ) : (
+          <FaCloudUploadAlt className="text-gray-400 mr-3" size={24} />
+        )}
+        <div className="text-sm text-gray-600 dark:text-gray-300">
+          <div>{fileName || 'Drag & drop a file here, or click to browse'}</div>
+          {hint && <div className="text-xs text-gray-400">{hint}</div>}
+        </div>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={accept}
+          className="hidden"
+          onChange={(e) => {
+            upload(e.target.files[0]);
+            e.target.value = '';
+          }}
+        />
+      </div>
+      {uploading && (
+        <div className="w-full bg-gray-200 dark:bg-gray-700 rounded h-2 mt-2">
+          <div
+            className="bg-blue-500 h-2 rounded transition-all"
+            style={{ width: `${progress}%` }}
+          />
+        </div>
+      )}
+      {(uploadError || error) && (
+        <div className="text-red-500 text-sm mt-1">{uploadError || error}</div>
+      )}
+    </div>
+  );
+};
+
+FileUpload.propTypes = {
+  label: PropTypes.string.isRequired,
+  kind: PropTypes.oneOf(['image', 'pdf']).isRequired,
+  accept: PropTypes.string,
+  hint: PropTypes.string,
+  preview: PropTypes.string,
+  fileName: PropTypes.string,
+  // Formik passes `false` while the field is untouched
+  error: PropTypes.oneOfType([PropTypes.string, PropTypes.bool]),
+  onUploaded: PropTypes.func.isRequired,
+};
+
+export default FileUpload;
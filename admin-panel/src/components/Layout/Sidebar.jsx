@@ -10,7 +10,12 @@ import {
   FaBars,
   FaTimes,
   FaHome,
-  FaEdit  // Reuse this for theme settings
+  FaEdit,  // Reuse this for theme settings
+  FaShieldAlt,
+  FaTags,
+  FaLayerGroup,
+  FaMoneyBillWave,
+  FaPercent
 } from 'react-icons/fa';
 
 const Sidebar = () => {
@@ -22,9 +27,14 @@ const Sidebar = () => {
     { name: 'Dashboard', icon: <FaHome className="h-6 w-6" />, path: '/' },
     { name: 'Users', icon: <FaUsers className="h-6 w-6" />, path: '/users' },
     { name: 'Products', icon: <FaBoxOpen className="h-6 w-6" />, path: '/products' },
+    { name: 'Bundles', icon: <FaLayerGroup className="h-6 w-6" />, path: '/bundles' },
     { name: 'Orders', icon: <FaClipboardList className="h-6 w-6" />, path: '/orders' },
     { name: 'Reviews', icon: <FaStar className="h-6 w-6" />, path: '/reviews' },
+    { name: 'Coupons', icon: <FaTags className="h-6 w-6" />, path: '/coupons' },
+    { name: 'Currencies', icon: <FaMoneyBillWave className="h-6 w-6" />, path: '/currencies' },
+    { name: 'Tax Rates', icon: <FaPercent className="h-6 w-6" />, path: '/tax-rates' },
     { name: 'Theme Settings', icon: <FaEdit className="h-6 w-6" />, path: '/theme' },
+    { name: 'Security Log', icon: <FaShieldAlt className="h-6 w-6" />, path: '/security' },
   ];
 
   const toggleSidebar = () => {
@@ -1,8 +1,8 @@
 // src/pages/Auth/ForgotPassword.jsx
 
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { forgotPassword, clearAuthMessages } from '../../redux/slices/authSlice';
+import { forgotPassword, verifyResetCode, clearAuthMessages } from '../../redux/slices/authSlice';
 import { useFormik } from 'formik';
 import * as Yup from 'yup';
 import { Link, useNavigate } from 'react-router-dom';
@@ -12,6 +12,8 @@ const ForgotPassword = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
   const { loading, error, message } = useSelector((state) => state.auth);
+  // Address the reset code went to; the code form is shown once it is set
+  const [sentTo, setSentTo] = useState(null);
 
   // Initialize formik for form handling and validation
   const formik = useFormik({
@@ -26,9 +28,8 @@ const ForgotPassword = () => {
     onSubmit: (values) => {
       dispatch(forgotPassword(values.email))
         .unwrap()
-        .then((data) => {
-          // Navigate to login page after success
-          navigate('/login');
+        .then(() => {
+          setSentTo(values.email);
         })
         .catch((err) => {
           // Error is already handled in Redux state
@@ -36,6 +37,28 @@ const ForgotPassword = () => {
     },
   });
 
+  // Second step: the emailed code buys a reset token for the reset page
+  const codeFormik = useFormik({
+    initialValues: {
+      otp: '',
+    },
+    validationSchema: Yup.object({
+      otp: Yup.string()
+        .matches(/^\d{6}$/, 'Enter the 6-digit code from the email.')
+        .required('Please enter the code from the email.'),
+    }),
+    onSubmit: (values) => {
+      dispatch(verifyResetCode({ email: sentTo, otp: values.otp }))
+        .unwrap()
+        .then((data) => {
+          navigate(`/reset-password/${data.resetToken}`);
+        })
+        .catch(() => {
+          // Error is already handled in Redux state
+        });
+    },
+  });
+
   // Clear messages when component unmounts
   useEffect(() => {
     return () => {
@@ -70,7 +93,58 @@ const ForgotPassword = () => {
           </div>
         )}
 
-        {/* Forgot Password Form */}
+        {sentTo ? (
+          /* Reset Code Form */
+          <form onSubmit={codeFormik.handleSubmit}>
+            <div className="mb-4">
+              <label htmlFor="otp" className="block text-gray-700 dark:text-gray-200 mb-2">
+                Code sent to {sentTo}
+              </label>
+              <input
+                type="text"
+                id="otp"
+                name="otp"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                className={`w-full px-4 py-2 border rounded-lg tracking-widest focus:outline-none focus:ring-2 ${
+                  codeFormik.touched.otp && codeFormik.errors.otp
+                    ? 'border-red-500 focus:ring-red-200'
+                    : 'border-gray-300 focus:ring-blue-200 dark:border-gray-700 dark:focus:ring-blue-500'
+                }`}
+                placeholder="123456"
+                value={codeFormik.values.otp}
+                onChange={codeFormik.handleChange}
+                onBlur={codeFormik.handleBlur}
+                aria-describedby="otp-error"
+              />
+              {codeFormik.touched.otp && codeFormik.errors.otp && (
+                <p id="otp-error" className="text-red-500 text-sm mt-1">
+                  {codeFormik.errors.otp}
+                </p>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition duration-200 disabled:bg-blue-400"
+              disabled={loading}
+            >
+              {loading ? 'Checking...' : 'Continue'}
+            </button>
+
+            <button
+              type="button"
+              className="w-full mt-3 text-sm text-blue-500 hover:underline"
+              onClick={() => {
+                codeFormik.resetForm();
+                setSentTo(null);
+              }}
+            >
+              Send a new code
+            </button>
+          </form>
+        ) : (
+        /* Forgot Password Form */
         <form onSubmit={formik.handleSubmit}>
           {/* Email Field */}
           <div className="mb-4">
@@ -105,9 +179,10 @@ const ForgotPassword = () => {
             className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition duration-200 disabled:bg-blue-400"
             disabled={loading}
           >
-            {loading ? 'Sending...' : 'Send Reset Link'}
+            {loading ? 'Sending...' : 'Send Reset Code'}
           </button>
         </form>
+        )}
 
         {/* Back to Login Link */}
         <p className="mt-6 text-center text-gray-600 dark:text-gray-400">
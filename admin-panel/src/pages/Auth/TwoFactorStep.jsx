@@ -0,0 +1,96 @@
+// src/pages/Auth/TwoFactorStep.jsx
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  cancelTwoFactor,
+} from '../../redux/slices/authSlice';
+
+// Second step of the admin login. Admins without 2FA first scan a QR code
+// and confirm it with a code; everyone else enters a code from their
+// authenticator app (or a backup code).
+const TwoFactorStep = () => {
+  const dispatch = useDispatch();
+  const { twoFactor, loading } = useSelector((state) => state.auth);
+  const [code, setCode] = useState('');
+
+  const { setupRequired, setup } = twoFactor;
+
+  useEffect(() => {
+    if (setupRequired && !setup) {
+      dispatch(setupTwoFactor());
+    }
+  }, [dispatch, setupRequired, setup]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = code.trim();
+    if (!value) return;
+    dispatch(setupRequired ? enableTwoFactor(value) : verifyTwoFactor(value));
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {setupRequired ? (
+        <div className="mb-4 text-gray-700 dark:text-gray-200">
+          <p className="mb-4">
+            Two-factor authentication is required for admin accounts. Scan this QR code with
+            an authenticator app, then enter the 6-digit code it shows.
+          </p>
+          {setup ? (
+            <div className="flex flex-col items-center">
+              <img src={setup.qrCode} alt="Authenticator QR code" className="h-48 w-48 mb-2" />
+              <p className="text-xs text-gray-500 dark:text-gray-400 text-center">
+                Can&apos;t scan it? Enter this key manually:
+              </p>
+              <code className="text-sm break-all text-center">{setup.secret}</code>
+            </div>
+          ) : (
+            loading && <p className="text-center">Loading...</p>
+          )}
+        </div>
+      ) : (
+        <p className="mb-4 text-gray-700 dark:text-gray-200">
+          Enter the 6-digit code from your authenticator app, or one of your backup codes.
+        </p>
+      )}
+
+      <div className="mb-4">
+        <label htmlFor="code" className="block text-gray-700 dark:text-gray-200 mb-2">
+          Authentication Code
+        </label>
+        <input
+          type="text"
+          id="code"
+          name="code"
+          autoComplete="one-time-code"
+          autoFocus
+          className="w-full px-4 py-2 border rounded-lg focus:outline-none focus:ring-2 border-gray-300 focus:ring-blue-200 dark:border-gray-700 dark:focus:ring-blue-500 tracking-widest text-center"
+          placeholder="123456"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+        />
+      </div>
+
+      <button
+        type="submit"
+        className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition duration-200 disabled:bg-blue-400"
+        disabled={loading || !code.trim() || (setupRequired && !setup)}
+      >
+        {loading ? 'Verifying...' : 'Verify'}
+      </button>
+
+      <button
+        type="button"
+        onClick={() => dispatch(cancelTwoFactor())}
+        className="w-full mt-4 text-blue-500 hover:underline text-sm"
+      >
+        Back to login
+      </button>
+    </form>
+  );
+};
+
+export default TwoFactorStep;
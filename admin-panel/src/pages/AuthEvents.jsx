@@ -0,0 +1,220 @@
+// src/pages/AuthEvents.jsx
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { FaChevronLeft, FaChevronRight } from 'react-icons/fa';
+import { fetchAuthEvents } from '../redux/slices/authEventsSlice';
+import { regenerateBackupCodes, acknowledgeBackupCodes } from '../redux/slices/authSlice';
+import BackupCodes from '../components/BackupCodes';
+
+const EVENTS_PER_PAGE = 25;
+
+const EVENT_TYPES = [
+  { value: '', label: 'All events' },
+  { value: 'login', label: 'Login' },
+  { value: 'forgot-password', label: 'Forgot password' },
+  { value: 'verify-otp', label: 'OTP check' },
+  { value: 'reset-password', label: 'Password reset' },
+  { value: 'verify-email', label: 'Email verification' },
+  { value: 'resend-verification', label: 'Verification resend' },
+  { value: 'two-factor', label: 'Two-factor' },
+];
+
+const AuthEvents = () => {
+  const dispatch = useDispatch();
+  const { events, page, pages, total, loading, error } = useSelector(
+    (state) => state.authEvents
+  );
+
+  const {
+    backupCodes,
+    loading: codesLoading,
+    error: codesError,
+  } = useSelector((state) => state.auth);
+  const [totpCode, setTotpCode] = useState('');
+
+  // Filters
+  const [type, setType] = useState('');
+  const [outcome, setOutcome] = useState('');
+  const [email, setEmail] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+
+  useEffect(() => {
+    dispatch(
+      fetchAuthEvents({
+        page: currentPage,
+        limit: EVENTS_PER_PAGE,
+        type: type || undefined,
+        success: outcome || undefined,
+        email: email.trim() || undefined,
+      })
+    );
+  }, [dispatch, currentPage, type, outcome, email]);
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    if (!totpCode.trim()) return;
+    dispatch(regenerateBackupCodes(totpCode.trim()));
+    setTotpCode('');
+  };
+
+  // Any filter change starts again from the first page
+  const handleFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setCurrentPage(1);
+  };
+
+  const inputClass =
+    'bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200 border border-gray-300 dark:border-gray-700 px-3 py-2 rounded focus:outline-none focus:ring';
+  const headerClass =
+    'py-3 px-6 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider';
+  const cellClass = 'py-4 px-6 text-sm text-gray-800 dark:text-gray-200';
+
+  return (
+    <div className="p-6 bg-gray-100 dark:bg-gray-900 min-h-screen">
+      <h2 className="text-3xl font-bold mb-6 text-gray-800 dark:text-white">
+        Security Log
+      </h2>
+
+      {error && (
+        <div className="bg-red-100 text-red-700 p-3 rounded mb-4">{error}</div>
+      )}
+
+      {/* Two-factor recovery codes for the signed-in admin */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 mb-6 max-w-xl">
+        <h3 className="text-lg font-semibold mb-2 text-gray-800 dark:text-white">
+          Two-Factor Backup Codes
+        </h3>
+        {backupCodes ? (
+          <BackupCodes codes={backupCodes} onDone={() => dispatch(acknowledgeBackupCodes())} />
+        ) : (
+          <form onSubmit={handleRegenerate} className="flex flex-wrap gap-2 items-center">
+            <input
+              type="text"
+              value={totpCode}
+              onChange={(e) => setTotpCode(e.target.value)}
+              placeholder="Authenticator code"
+              autoComplete="one-time-code"
+              className={inputClass}
+            />
+            <button
+              type="submit"
+              disabled={codesLoading || !totpCode.trim()}
+              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:bg-blue-400"
+            >
+              Generate new codes
+            </button>
+            <p className="w-full text-sm text-gray-500 dark:text-gray-400">
+              Replaces all existing backup codes.
+            </p>
+          </form>
+        )}
+        {codesError && <div className="text-red-500 text-sm mt-2">{codesError}</div>}
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap gap-4 mb-6">
+        <select value={type} onChange={handleFilter(setType)} className={inputClass}>
+          {EVENT_TYPES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <select value={outcome} onChange={handleFilter(setOutcome)} className={inputClass}>
+          <option value="">Any outcome</option>
+          <option value="true">Succeeded</option>
+          <option value="false">Failed</option>
+        </select>
+        <input
+          type="email"
+          value={email}
+          onChange={handleFilter(setEmail)}
+          placeholder="Filter by email"
+          className={inputClass}
+        />
+      </div>
+
+      {loading ? (
+        <div className="text-gray-800 dark:text-gray-200">Loading...</div>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="min-w-full bg-white dark:bg-gray-800 rounded-lg shadow-md">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  <th className={headerClass}>Time</th>
+                  <th className={headerClass}>Event</th>
+                  <th className={headerClass}>Outcome</th>
+                  <th className={headerClass}>Email</th>
+                  <th className={headerClass}>IP Address</th>
+                  <th className={headerClass}>Device</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {events.map((event) => (
+                  <tr
+                    key={event._id}
+                    className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                  >
+                    <td className={cellClass}>{new Date(event.createdAt).toLocaleString()}</td>
+                    <td className={`${cellClass} capitalize`}>{event.type.replace('-', ' ')}</td>
+                    <td className={cellClass}>
+                      {event.success ? (
+                        <span className="text-green-600">Success</span>
+                      ) : (
+                        <span className="text-red-500">Failed ({event.reason})</span>
+                      )}
+                    </td>
+                    <td className={cellClass}>{event.email || '-'}</td>
+                    <td className={cellClass}>{event.ip || '-'}</td>
+                    <td className={`${cellClass} max-w-xs truncate`} title={event.userAgent}>
+                      {event.userAgent || '-'}
+                    </td>
+                  </tr>
+                ))}
+                {events.length === 0 && (
+                  <tr>
+                    <td
+                      colSpan="6"
+                      className="py-4 px-6 text-center text-gray-600 dark:text-gray-400"
+                    >
+                      No auth events found.
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination Controls */}
+          {pages > 1 && (
+            <div className="flex justify-center items-center mt-6 text-gray-700 dark:text-gray-300">
+              <button
+                onClick={() => setCurrentPage(page - 1)}
+                disabled={page === 1}
+                className="px-3 py-2 border border-gray-300 dark:border-gray-700 rounded-l-lg bg-white dark:bg-gray-800 disabled:opacity-50"
+                aria-label="Previous Page"
+              >
+                <FaChevronLeft />
+              </button>
+              <span className="px-4 text-sm">
+                Page {page} of {pages} ({total} events)
+              </span>
+              <button
+                onClick={() => setCurrentPage(page + 1)}
+                disabled={page === pages}
+                className="px-3 py-2 border border-gray-300 dark:border-gray-700 rounded-r-lg bg-white dark:bg-gray-800 disabled:opacity-50"
+                aria-label="Next Page"
+              >
+                <FaChevronRight />
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AuthEvents;
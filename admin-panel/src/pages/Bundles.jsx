@@ -0,0 +1,392 @@
+// src/pages/Bundles.jsx
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  fetchBundles,
+  addBundle,
+  updateBundle,
+  deleteBundle,
+} from '../redux/slices/bundlesSlice';
+import { fetchProducts } from '../redux/slices/productsSlice';
+import { useFormik } from 'formik';
+import * as Yup from 'yup';
+import { FaPlus, FaEdit, FaTrash } from 'react-icons/fa';
+import { Transition } from '@headlessui/react';
+
+const inputClass = (hasError) =>
+  `w-full px-3 py-2 border rounded focus:outline-none focus:ring ${
+    hasError
+      ? 'border-red-500 focus:ring-red-200'
+      : 'border-gray-300 focus:ring-blue-200 dark:border-gray-700 dark:focus:ring-blue-500'
+  } dark:bg-gray-700 dark:text-white`;
+
+// Sum of the products' own prices, to show what the bundle saves
+const listPrice = (productIds, products) =>
+  productIds.reduce((sum, id) => {
+    const product = products.find((p) => p._id === id);
+    return sum + (product ? Number(product.price) : 0);
+  }, 0);
+
+const Bundles = () => {
+  const dispatch = useDispatch();
+  const { bundles, loading, error } = useSelector((state) => state.bundles);
+  const { products } = useSelector((state) => state.products);
+
+  const [showForm, setShowForm] = useState(false);
+  const [currentBundle, setCurrentBundle] = useState(null); // Holds bundle data for editing
+
+  useEffect(() => {
+    dispatch(fetchBundles());
+    dispatch(fetchProducts());
+  }, [dispatch]);
+
+  const formik = useFormik({
+    initialValues: {
+      name: currentBundle?.name || '',
+      description: currentBundle?.description || '',
+      subjectCode: currentBundle?.subjectCode || '',
+      image: currentBundle?.image || '',
+      price: currentBundle?.price ?? '',
+      products: currentBundle?.products.map((product) => product._id) || [],
+      isActive: currentBundle ? currentBundle.isActive : true,
+    },
+    enableReinitialize: true,
+    validationSchema: Yup.object({
+      name: Yup.string().required('Name is required'),
+      price: Yup.number()
+        .typeError('Price must be a number')
+        .min(0, 'Price must be positive')
+        .required('Price is required'),
+      image: Yup.string().url('Invalid URL'),
+      products: Yup.array().min(2, 'Pick at least two products'),
+    }),
+    onSubmit: (values) => {
+      const bundleData = { ...values, price: Number(values.price) };
+      const action = currentBundle
+        ? updateBundle({ id: currentBundle._id, bundleData })
+        : addBundle(bundleData);
+
+      dispatch(action)
+        .unwrap()
+        .then(() => {
+          setShowForm(false);
+          setCurrentBundle(null);
+          formik.resetForm();
+        })
+        .catch((err) => {
+          console.error('Save Bundle Failed:', err);
+        });
+    },
+  });
+
+  const handleEdit = (bundle) => {
+    setCurrentBundle(bundle);
+    setShowForm(true);
+  };
+
+  const handleDelete = (id) => {
+    if (window.confirm('Are you sure you want to delete this bundle?')) {
+      dispatch(deleteBundle(id))
+        .unwrap()
+        .catch((err) => {
+          console.error('Delete Bundle Failed:', err);
+        });
+    }
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setCurrentBundle(null);
+    formik.resetForm();
+  };
+
+  // Subject packs: pick every product with the bundle's subject code
+  const selectSubjectProducts = () => {
+    const code = formik.values.subjectCode.trim().toUpperCase();
+    const ids = products
+      .filter((product) => product.subjectCode.toUpperCase() === code)
+      .map((product) => product._id);
+    formik.setFieldValue('products', [...new Set([...formik.values.products, ...ids])]);
+  };
+
+  const selectedListPrice = listPrice(formik.values.products, products);
+
+  return (
+    <div className="p-6 bg-gray-100 dark:bg-gray-900 min-h-screen">
+      <h2 className="text-3xl font-bold mb-6 text-gray-800 dark:text-white">
+        Bundles Management
+      </h2>
+
+      {error && (
+        <div className="bg-red-100 text-red-700 p-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <button
+        onClick={() => setShowForm(true)}
+        className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition mb-6 flex items-center"
+        aria-label="Add Bundle"
+      >
+        <FaPlus className="mr-2" />
+        Add Bundle
+      </button>
+
+      {loading && bundles.length === 0 ? (
+        <div className="text-gray-800 dark:text-gray-200">Loading...</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white dark:bg-gray-800 rounded-lg shadow-md">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {['Name', 'Subject', 'Products', 'Price', 'Status', 'Actions'].map((heading) => (
+                  <th
+                    key={heading}
+                    className="py-3 px-6 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {bundles.map((bundle) => {
+                const fullPrice = bundle.products.reduce(
+                  (sum, product) => sum + Number(product.price),
+                  0
+                );
+                return (
+                  <tr
+                    key={bundle._id}
+                    className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                  >
+                    <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                      {bundle.name}
+                    </td>
+                    <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                      {bundle.subjectCode || '-'}
+                    </td>
+                    <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                      {bundle.products.map((product) => product.name).join(', ')}
+                    </td>
+                    <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                      ${Number(bundle.price).toFixed(2)}
+                      {fullPrice > bundle.price && (
+                        <div className="text-xs text-gray-500 dark:text-gray-400 line-through">
+                          ${fullPrice.toFixed(2)}
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-4 px-6 text-sm">
+                      <span
+                        className={`px-2 py-1 rounded text-xs ${
+                          bundle.isActive
+                            ? 'bg-green-100 text-green-800'
+                            : 'bg-gray-200 text-gray-700'
+                        }`}
+                      >
+                        {bundle.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                    </td>
+                    <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200 flex items-center">
+                      <button
+                        onClick={() => handleEdit(bundle)}
+                        className="text-blue-500 hover:text-blue-700 mr-4 flex items-center"
+                        aria-label={`Edit ${bundle.name}`}
+                      >
+                        <FaEdit className="mr-1" />
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(bundle._id)}
+                        className="text-red-500 hover:text-red-700 flex items-center"
+                        aria-label={`Delete ${bundle.name}`}
+                      >
+                        <FaTrash className="mr-1" />
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+              {bundles.length === 0 && (
+                <tr>
+                  <td
+                    colSpan="6"
+                    className="py-4 px-6 text-center text-gray-600 dark:text-gray-400"
+                  >
+                    No bundles found.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Add/Edit Bundle Modal */}
+      <Transition
+        show={showForm}
+        enter="transition ease-out duration-300 transform"
+        enterFrom="opacity-0 scale-95"
+        enterTo="opacity-100 scale-100"
+        leave="transition ease-in duration-200 transform"
+        leaveFrom="opacity-100 scale-100"
+        leaveTo="opacity-0 scale-95"
+      >
+        <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50">
+          <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-lg mx-4 max-h-screen overflow-y-auto">
+            <h3 className="text-xl font-semibold mb-4 text-gray-800 dark:text-gray-200">
+              {currentBundle ? 'Edit Bundle' : 'Add New Bundle'}
+            </h3>
+            <form onSubmit={formik.handleSubmit}>
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">Name</label>
+                <input
+                  type="text"
+                  name="name"
+                  className={inputClass(formik.touched.name && formik.errors.name)}
+                  value={formik.values.name}
+                  onChange={formik.handleChange}
+                  onBlur={formik.handleBlur}
+                  placeholder="Physics 0625 Complete Pack"
+                />
+                {formik.touched.name && formik.errors.name && (
+                  <div className="text-red-500 text-sm mt-1">{formik.errors.name}</div>
+                )}
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">Description</label>
+                <textarea
+                  name="description"
+                  rows="2"
+                  className={inputClass(false)}
+                  value={formik.values.description}
+                  onChange={formik.handleChange}
+                />
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">Image URL</label>
+                <input
+                  type="text"
+                  name="image"
+                  className={inputClass(formik.touched.image && formik.errors.image)}
+                  value={formik.values.image}
+                  onChange={formik.handleChange}
+                  onBlur={formik.handleBlur}
+                  placeholder="Leave empty to use the first product's image"
+                />
+                {formik.touched.image && formik.errors.image && (
+                  <div className="text-red-500 text-sm mt-1">{formik.errors.image}</div>
+                )}
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">Subject Code</label>
+                <div className="flex">
+                  <input
+                    type="text"
+                    name="subjectCode"
+                    className={`${inputClass(false)} uppercase`}
+                    value={formik.values.subjectCode}
+                    onChange={formik.handleChange}
+                    placeholder="0625"
+                  />
+                  <button
+                    type="button"
+                    onClick={selectSubjectProducts}
+                    disabled={!formik.values.subjectCode.trim()}
+                    className="ml-2 whitespace-nowrap bg-gray-200 dark:bg-gray-600 text-gray-800 dark:text-gray-100 px-3 rounded hover:bg-gray-300 dark:hover:bg-gray-500 transition disabled:opacity-50"
+                  >
+                    Add all
+                  </button>
+                </div>
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">Products</label>
+                <select
+                  multiple
+                  name="products"
+                  className={`${inputClass(formik.touched.products && formik.errors.products)} h-40`}
+                  value={formik.values.products}
+                  onChange={(e) =>
+                    formik.setFieldValue(
+                      'products',
+                      Array.from(e.target.selectedOptions, (option) => option.value)
+                    )
+                  }
+                  onBlur={() => formik.setFieldTouched('products')}
+                >
+                  {products.map((product) => (
+                    <option key={product._id} value={product._id}>
+                      {product.name} ({product.subjectCode}) - ${Number(product.price).toFixed(2)}
+                    </option>
+                  ))}
+                </select>
+                {formik.touched.products && formik.errors.products && (
+                  <div className="text-red-500 text-sm mt-1">{formik.errors.products}</div>
+                )}
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">Bundle Price ($)</label>
+                <input
+                  type="number"
+                  name="price"
+                  step="0.01"
+                  className={inputClass(formik.touched.price && formik.errors.price)}
+                  value={formik.values.price}
+                  onChange={formik.handleChange}
+                  onBlur={formik.handleBlur}
+                />
+                {formik.touched.price && formik.errors.price && (
+                  <div className="text-red-500 text-sm mt-1">{formik.errors.price}</div>
+                )}
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  {formik.values.products.length} product(s) selected, $
+                  {selectedListPrice.toFixed(2)} when bought separately.
+                </p>
+              </div>
+
+              <div className="mb-4">
+                <label className="flex items-center text-gray-700 dark:text-gray-200">
+                  <input
+                    type="checkbox"
+                    name="isActive"
+                    className="mr-2"
+                    checked={formik.values.isActive}
+                    onChange={formik.handleChange}
+                  />
+                  Active
+                </label>
+              </div>
+
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={closeForm}
+                  className="bg-gray-500 text-white px-4 py-2 rounded mr-2 hover:bg-gray-600 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition"
+                  disabled={loading}
+                >
+                  {currentBundle ? 'Update' : 'Add'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </Transition>
+    </div>
+  );
+};
+
+export default Bundles;
@@ -0,0 +1,500 @@
+// src/pages/Coupons.jsx
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  fetchCoupons,
+  addCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from '../redux/slices/couponsSlice';
+import { fetchProducts } from '../redux/slices/productsSlice';
+import { useFormik } from 'formik';
+import * as Yup from 'yup';
+import { FaPlus, FaEdit, FaTrash } from 'react-icons/fa';
+import { Transition } from '@headlessui/react';
+
+const PRODUCT_TYPES = ['certificate', 'notes', 'exam'];
+
+const inputClass = (hasError) =>
+  `w-full px-3 py-2 border rounded focus:outline-none focus:ring ${
+    hasError
+      ? 'border-red-500 focus:ring-red-200'
+      : 'border-gray-300 focus:ring-blue-200 dark:border-gray-700 dark:focus:ring-blue-500'
+  } dark:bg-gray-700 dark:text-white`;
+
+// Form values are strings; empty limits are sent as null so they can be cleared
+const toPayload = (values) => ({
+  code: values.code.trim(),
+  description: values.description,
+  discountType: values.discountType,
+  amount: Number(values.amount),
+  expiresAt: values.expiresAt ? new Date(values.expiresAt).toISOString() : null,
+  minOrderValue: values.minOrderValue === '' ? 0 : Number(values.minOrderValue),
+  usageLimit: values.usageLimit === '' ? null : Number(values.usageLimit),
+  perUserLimit: values.perUserLimit === '' ? null : Number(values.perUserLimit),
+  products: values.products,
+  types: values.types,
+  subjectCodes: values.subjectCodes
+    .split(',')
+    .map((code) => code.trim())
+    .filter(Boolean),
+  isActive: values.isActive,
+});
+
+const formatDiscount = (coupon) =>
+  coupon.discountType === 'percentage'
+    ? `${coupon.amount}%`
+    : `$${Number(coupon.amount).toFixed(2)}`;
+
+const Coupons = () => {
+  const dispatch = useDispatch();
+  const { coupons, loading, error } = useSelector((state) => state.coupons);
+  const { products } = useSelector((state) => state.products);
+
+  const [showForm, setShowForm] = useState(false);
+  const [currentCoupon, setCurrentCoupon] = useState(null); // Holds coupon data for editing
+
+  useEffect(() => {
+    dispatch(fetchCoupons());
+    dispatch(fetchProducts());
+  }, [dispatch]);
+
+  const formik = useFormik({
+    initialValues: {
+      code: currentCoupon?.code || '',
+      description: currentCoupon?.description || '',
+      discountType: currentCoupon?.discountType || 'percentage',
+      amount: currentCoupon?.amount ?? '',
+      expiresAt: currentCoupon?.expiresAt ? currentCoupon.expiresAt.slice(0, 10) : '',
+      minOrderValue: currentCoupon?.minOrderValue || '',
+      usageLimit: currentCoupon?.usageLimit ?? '',
+      perUserLimit: currentCoupon?.perUserLimit ?? '',
+      products: currentCoupon?.products || [],
+      types: currentCoupon?.types || [],
+      subjectCodes: currentCoupon?.subjectCodes?.join(', ') || '',
+      isActive: currentCoupon ? currentCoupon.isActive : true,
+    },
+    enableReinitialize: true,
+    validationSchema: Yup.object({
+      code: Yup.string()
+        .matches(/^[A-Za-z0-9_-]{3,30}$/, 'Code must be 3-30 letters, digits, - or _')
+        .required('Code is required'),
+      discountType: Yup.string().oneOf(['percentage', 'fixed']).required(),
+      amount: Yup.number()
+        .typeError('Amount must be a number')
+        .min(0, 'Amount must be positive')
+        .when('discountType', {
+          is: 'percentage',
+          then: (schema) => schema.max(100, 'A percentage cannot exceed 100'),
+        })
+        .required('Amount is required'),
+      minOrderValue: Yup.number().typeError('Must be a number').min(0),
+      usageLimit: Yup.number().typeError('Must be a number').integer().min(1),
+      perUserLimit: Yup.number().typeError('Must be a number').integer().min(1),
+    }),
+    onSubmit: (values) => {
+      const couponData = toPayload(values);
+      const action = currentCoupon
+        ? updateCoupon({ id: currentCoupon._id, couponData })
+        : addCoupon(couponData);
+
+      dispatch(action)
+        .unwrap()
+        .then(() => {
+          setShowForm(false);
+          setCurrentCoupon(null);
+          formik.resetForm();
+        })
+        .catch((err) => {
+          console.error('Save Coupon Failed:', err);
+        });
+    },
+  });
+
+  const handleEdit = (coupon) => {
+    setCurrentCoupon(coupon);
+    setShowForm(true);
+  };
+
+  const handleDelete = (id) => {
+    if (window.confirm('Are you sure you want to delete this coupon?')) {
+      dispatch(deleteCoupon(id))
+        .unwrap()
+        .catch((err) => {
+          console.error('Delete Coupon Failed:', err);
+        });
+    }
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setCurrentCoupon(null);
+    formik.resetForm();
+  };
+
+  const toggleType = (type) => {
+    const { types } = formik.values;
+    formik.setFieldValue(
+      'types',
+      types.includes(type) ? types.filter((t) => t !== type) : [...types, type]
+    );
+  };
+
+  const fieldError = (name) =>
+    formik.touched[name] && formik.errors[name] ? (
+      <div className="text-red-500 text-sm mt-1">{formik.errors[name]}</div>
+    ) : null;
+
+  return (
+    <div className="p-6 bg-gray-100 dark:bg-gray-900 min-h-screen">
+      <h2 className="text-3xl font-bold mb-6 text-gray-800 dark:text-white">
+        Coupons Management
+      </h2>
+
+      {error && (
+        <div className="bg-red-100 text-red-700 p-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <button
+        onClick={() => setShowForm(true)}
+        className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition mb-6 flex items-center"
+        aria-label="Add Coupon"
+      >
+        <FaPlus className="mr-2" />
+        Add Coupon
+      </button>
+
+      {loading && coupons.length === 0 ? (
+        <div className="text-gray-800 dark:text-gray-200">Loading...</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white dark:bg-gray-800 rounded-lg shadow-md">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {['Code', 'Discount', 'Restrictions', 'Expires', 'Used', 'Status', 'Actions'].map(
+                  (heading) => (
+                    <th
+                      key={heading}
+                      className="py-3 px-6 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider"
+                    >
+                      {heading}
+                    </th>
+                  )
+                )}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {coupons.map((coupon) => (
+                <tr
+                  key={coupon._id}
+                  className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                >
+                  <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                    <div className="font-mono font-semibold">{coupon.code}</div>
+                    {coupon.description && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {coupon.description}
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                    {formatDiscount(coupon)}
+                    {coupon.minOrderValue > 0 && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        Min. ${coupon.minOrderValue.toFixed(2)}
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                    {[
+                      coupon.products.length > 0 && `${coupon.products.length} product(s)`,
+                      ...coupon.types,
+                      ...coupon.subjectCodes,
+                    ]
+                      .filter(Boolean)
+                      .join(', ') || 'Whole cart'}
+                  </td>
+                  <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                    {coupon.expiresAt ? new Date(coupon.expiresAt).toLocaleDateString() : 'Never'}
+                  </td>
+                  <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                    {coupon.usedCount}
+                    {coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''}
+                  </td>
+                  <td className="py-4 px-6 text-sm">
+                    <span
+                      className={`px-2 py-1 rounded text-xs ${
+                        coupon.isActive
+                          ? 'bg-green-100 text-green-800'
+                          : 'bg-gray-200 text-gray-700'
+                      }`}
+                    >
+                      {coupon.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200 flex items-center">
+                    <button
+                      onClick={() => handleEdit(coupon)}
+                      className="text-blue-500 hover:text-blue-700 mr-4 flex items-center"
+                      aria-label={`Edit ${coupon.code}`}
+                    >
+                      <FaEdit className="mr-1" />
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(coupon._id)}
+                      className="text-red-500 hover:text-red-700 flex items-center"
+                      aria-label={`Delete ${coupon.code}`}
+                    >
+                      <FaTrash className="mr-1" />
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {coupons.length === 0 && (
+                <tr>
+                  <td
+                    colSpan="7"
+                    className="py-4 px-6 text-center text-gray-600 dark:text-gray-400"
+                  >
+                    No coupons found.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Add/Edit Coupon Modal */}
+      <Transition
+        show={showForm}
+        enter="transition ease-out duration-300 transform"
+        enterFrom="opacity-0 scale-95"
+        enterTo="opacity-100 scale-100"
+        leave="transition ease-in duration-200 transform"
+        leaveFrom="opacity-100 scale-100"
+        leaveTo="opacity-0 scale-95"
+      >
+        <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50">
+          <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-lg mx-4 max-h-screen overflow-y-auto">
+            <h3 className="text-xl font-semibold mb-4 text-gray-800 dark:text-gray-200">
+              {currentCoupon ? 'Edit Coupon' : 'Add New Coupon'}
+            </h3>
+            <form onSubmit={formik.handleSubmit}>
+              <div className="grid grid-cols-2 gap-4 mb-4">
+                <div>
+                  <label className="block text-gray-700 dark:text-gray-200">Code</label>
+                  <input
+                    type="text"
+                    name="code"
+                    className={`${inputClass(formik.touched.code && formik.errors.code)} uppercase`}
+                    value={formik.values.code}
+                    onChange={formik.handleChange}
+                    onBlur={formik.handleBlur}
+                    placeholder="SUMMER10"
+                  />
+                  {fieldError('code')}
+                </div>
+                <div>
+                  <label className="block text-gray-700 dark:text-gray-200">Expires On</label>
+                  <input
+                    type="date"
+                    name="expiresAt"
+                    className={inputClass(false)}
+                    value={formik.values.expiresAt}
+                    onChange={formik.handleChange}
+                  />
+                </div>
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">Description</label>
+                <input
+                  type="text"
+                  name="description"
+                  className={inputClass(false)}
+                  value={formik.values.description}
+                  onChange={formik.handleChange}
+                  placeholder="10% off all exams"
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-4 mb-4">
+                <div>
+                  <label className="block text-gray-700 dark:text-gray-200">Discount Type</label>
+                  <select
+                    name="discountType"
+                    className={inputClass(false)}
+                    value={formik.values.discountType}
+                    onChange={formik.handleChange}
+                  >
+                    <option value="percentage">Percentage</option>
+                    <option value="fixed">Fixed amount ($)</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-gray-700 dark:text-gray-200">Amount</label>
+                  <input
+                    type="number"
+                    name="amount"
+                    step="0.01"
+                    className={inputClass(formik.touched.amount && formik.errors.amount)}
+                    value={formik.values.amount}
+                    onChange={formik.handleChange}
+                    onBlur={formik.handleBlur}
+                  />
+                  {fieldError('amount')}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-3 gap-4 mb-4">
+                <div>
+                  <label className="block text-gray-700 dark:text-gray-200">Min. Order ($)</label>
+                  <input
+                    type="number"
+                    name="minOrderValue"
+                    step="0.01"
+                    className={inputClass(
+                      formik.touched.minOrderValue && formik.errors.minOrderValue
+                    )}
+                    value={formik.values.minOrderValue}
+                    onChange={formik.handleChange}
+                    onBlur={formik.handleBlur}
+                  />
+                  {fieldError('minOrderValue')}
+                </div>
+                <div>
+                  <label className="block text-gray-700 dark:text-gray-200">Total Uses</label>
+                  <input
+                    type="number"
+                    name="usageLimit"
+                    className={inputClass(formik.touched.usageLimit && formik.errors.usageLimit)}
+                    value={formik.values.usageLimit}
+                    onChange={formik.handleChange}
+                    onBlur={formik.handleBlur}
+                    placeholder="Unlimited"
+                  />
+                  {fieldError('usageLimit')}
+                </div>
+                <div>
+                  <label className="block text-gray-700 dark:text-gray-200">Uses / User</label>
+                  <input
+                    type="number"
+                    name="perUserLimit"
+                    className={inputClass(
+                      formik.touched.perUserLimit && formik.errors.perUserLimit
+                    )}
+                    value={formik.values.perUserLimit}
+                    onChange={formik.handleChange}
+                    onBlur={formik.handleBlur}
+                    placeholder="Unlimited"
+                  />
+                  {fieldError('perUserLimit')}
+                </div>
+              </div>
+
+              {/* Restrictions: leave all empty to discount the whole cart */}
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">
+                  Product Types
+                </label>
+                <div className="flex gap-4">
+                  {PRODUCT_TYPES.map((type) => (
+                    <label
+                      key={type}
+                      className="flex items-center capitalize text-gray-700 dark:text-gray-200"
+                    >
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={formik.values.types.includes(type)}
+                        onChange={() => toggleType(type)}
+                      />
+                      {type}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">
+                  Subject Codes (comma separated)
+                </label>
+                <input
+                  type="text"
+                  name="subjectCodes"
+                  className={inputClass(false)}
+                  value={formik.values.subjectCodes}
+                  onChange={formik.handleChange}
+                  placeholder="0625, 9709"
+                />
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">Products</label>
+                <select
+                  multiple
+                  name="products"
+                  className={`${inputClass(false)} h-32`}
+                  value={formik.values.products}
+                  onChange={(e) =>
+                    formik.setFieldValue(
+                      'products',
+                      Array.from(e.target.selectedOptions, (option) => option.value)
+                    )
+                  }
+                >
+                  {products.map((product) => (
+                    <option key={product._id} value={product._id}>
+                      {product.name} ({product.subjectCode})
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  Leave types, subjects and products empty to discount the whole cart.
+                </p>
+              </div>
+
+              <div className="mb-4">
+                <label className="flex items-center text-gray-700 dark:text-gray-200">
+                  <input
+                    type="checkbox"
+                    name="isActive"
+                    className="mr-2"
+                    checked={formik.values.isActive}
+                    onChange={formik.handleChange}
+                  />
+                  Active
+                </label>
+              </div>
+
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={closeForm}
+                  className="bg-gray-500 text-white px-4 py-2 rounded mr-2 hover:bg-gray-600 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition"
+                  disabled={loading}
+                >
+                  {currentCoupon ? 'Update' : 'Add'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </Transition>
+    </div>
+  );
+};
+
+export default Coupons;
@@ -0,0 +1,303 @@
+// src/pages/Currencies.jsx
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  fetchCurrencies,
+  addCurrency,
+  updateCurrency,
+  deleteCurrency,
+} from '../redux/slices/currenciesSlice';
+import { useFormik } from 'formik';
+import * as Yup from 'yup';
+import { FaPlus, FaEdit, FaTrash } from 'react-icons/fa';
+import { Transition } from '@headlessui/react';
+import formatMoney from '../utils/formatMoney';
+
+const inputClass = (hasError) =>
+  `w-full px-3 py-2 border rounded focus:outline-none focus:ring ${
+    hasError
+      ? 'border-red-500 focus:ring-red-200'
+      : 'border-gray-300 focus:ring-blue-200 dark:border-gray-700 dark:focus:ring-blue-500'
+  } dark:bg-gray-700 dark:text-white`;
+
+// Product prices are set in the base currency; buyers paying in another
+// currency are charged the price converted at the rate set here.
+const Currencies = () => {
+  const dispatch = useDispatch();
+  const { base, currencies, loading, error } = useSelector((state) => state.currencies);
+
+  const [showForm, setShowForm] = useState(false);
+  const [currentCurrency, setCurrentCurrency] = useState(null); // Holds currency data for editing
+
+  useEffect(() => {
+    dispatch(fetchCurrencies());
+  }, [dispatch]);
+
+  const formik = useFormik({
+    initialValues: {
+      code: currentCurrency?.code || '',
+      name: currentCurrency?.name || '',
+      rate: currentCurrency?.rate ?? '',
+      isActive: currentCurrency ? currentCurrency.isActive : true,
+    },
+    enableReinitialize: true,
+    validationSchema: Yup.object({
+      code: Yup.string()
+        .matches(/^[A-Za-z]{3}$/, 'Use a three-letter ISO code, e.g. EUR')
+        .required('Code is required'),
+      rate: Yup.number()
+        .typeError('Rate must be a number')
+        .positive('Rate must be positive')
+        .required('Rate is required'),
+    }),
+    onSubmit: (values) => {
+      const currencyData = { ...values, rate: Number(values.rate) };
+      let action;
+      if (currentCurrency) {
+        delete currencyData.code; // The code cannot change once created
+        action = updateCurrency({ id: currentCurrency._id, currencyData });
+      } else {
+        action = addCurrency({ ...currencyData, code: values.code.toUpperCase() });
+      }
+
+      dispatch(action)
+        .unwrap()
+        .then(() => {
+          setShowForm(false);
+          setCurrentCurrency(null);
+          formik.resetForm();
+        })
+        .catch((err) => {
+          console.error('Save Currency Failed:', err);
+        });
+    },
+  });
+
+  const handleEdit = (currency) => {
+    setCurrentCurrency(currency);
+    setShowForm(true);
+  };
+
+  const handleDelete = (id) => {
+    if (window.confirm('Are you sure you want to delete this currency?')) {
+      dispatch(deleteCurrency(id))
+        .unwrap()
+        .catch((err) => {
+          console.error('Delete Currency Failed:', err);
+        });
+    }
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setCurrentCurrency(null);
+    formik.resetForm();
+  };
+
+  return (
+    <div className="p-6 bg-gray-100 dark:bg-gray-900 min-h-screen">
+      <h2 className="text-3xl font-bold mb-2 text-gray-800 dark:text-white">
+        Currencies
+      </h2>
+      <p className="mb-6 text-gray-600 dark:text-gray-400">
+        Prices are set in {base}. Other currencies are charged at the rates below.
+      </p>
+
+      {error && (
+        <div className="bg-red-100 text-red-700 p-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <button
+        onClick={() => setShowForm(true)}
+        className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition mb-6 flex items-center"
+        aria-label="Add Currency"
+      >
+        <FaPlus className="mr-2" />
+        Add Currency
+      </button>
+
+      {loading && currencies.length === 0 ? (
+        <div className="text-gray-800 dark:text-gray-200">Loading...</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white dark:bg-gray-800 rounded-lg shadow-md">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {['Code', 'Name', 'Rate', 'Status', 'Actions'].map((heading) => (
+                  <th
+                    key={heading}
+                    className="py-3 px-6 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {currencies.map((currency) => (
+                <tr
+                  key={currency._id}
+                  className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                >
+                  <td className="py-4 px-6 text-sm font-mono font-semibold text-gray-800 dark:text-gray-200">
+                    {currency.code}
+                  </td>
+                  <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                    {currency.name || '-'}
+                  </td>
+                  <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                    {formatMoney(1, base)} = {formatMoney(currency.rate, currency.code)}
+                  </td>
+                  <td className="py-4 px-6 text-sm">
+                    <span
+                      className={`px-2 py-1 rounded text-xs ${
+                        currency.isActive
+                          ? 'bg-green-100 text-green-800'
+                          : 'bg-gray-200 text-gray-700'
+                      }`}
+                    >
+                      {currency.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200 flex items-center">
+                    <button
+                      onClick={() => handleEdit(currency)}
+                      className="text-blue-500 hover:text-blue-700 mr-4 flex items-center"
+                      aria-label={`Edit ${currency.code}`}
+                    >
+                      <FaEdit className="mr-1" />
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(currency._id)}
+                      className="text-red-500 hover:text-red-700 flex items-center"
+                      aria-label={`Delete ${currency.code}`}
+                    >
+                      <FaTrash className="mr-1" />
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {currencies.length === 0 && (
+                <tr>
+                  <td
+                    colSpan="5"
+                    className="py-4 px-6 text-center text-gray-600 dark:text-gray-400"
+                  >
+                    Only {base} is available.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Add/Edit Currency Modal */}
+      <Transition
+        show={showForm}
+        enter="transition ease-out duration-300 transform"
+        enterFrom="opacity-0 scale-95"
+        enterTo="opacity-100 scale-100"
+        leave="transition ease-in duration-200 transform"
+        leaveFrom="opacity-100 scale-100"
+        leaveTo="opacity-0 scale-95"
+      >
+        <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50">
+          <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md mx-4 overflow-y-auto">
+            <h3 className="text-xl font-semibold mb-4 text-gray-800 dark:text-gray-200">
+              {currentCurrency ? `Edit ${currentCurrency.code}` : 'Add New Currency'}
+            </h3>
+            <form onSubmit={formik.handleSubmit}>
+              {!currentCurrency && (
+                <div className="mb-4">
+                  <label className="block text-gray-700 dark:text-gray-200">Code</label>
+                  <input
+                    type="text"
+                    name="code"
+                    maxLength={3}
+                    className={`${inputClass(formik.touched.code && formik.errors.code)} uppercase`}
+                    value={formik.values.code}
+                    onChange={formik.handleChange}
+                    onBlur={formik.handleBlur}
+                    placeholder="EUR"
+                  />
+                  {formik.touched.code && formik.errors.code && (
+                    <div className="text-red-500 text-sm mt-1">{formik.errors.code}</div>
+                  )}
+                </div>
+              )}
+
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">Name</label>
+                <input
+                  type="text"
+                  name="name"
+                  className={inputClass(false)}
+                  value={formik.values.name}
+                  onChange={formik.handleChange}
+                  placeholder="Euro"
+                />
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">
+                  Rate (units per 1 {base})
+                </label>
+                <input
+                  type="number"
+                  name="rate"
+                  step="any"
+                  className={inputClass(formik.touched.rate && formik.errors.rate)}
+                  value={formik.values.rate}
+                  onChange={formik.handleChange}
+                  onBlur={formik.handleBlur}
+                  placeholder="0.92"
+                />
+                {formik.touched.rate && formik.errors.rate && (
+                  <div className="text-red-500 text-sm mt-1">{formik.errors.rate}</div>
+                )}
+              </div>
+
+              <div className="mb-4">
+                <label className="flex items-center text-gray-700 dark:text-gray-200">
+                  <input
+                    type="checkbox"
+                    name="isActive"
+                    className="mr-2"
+                    checked={formik.values.isActive}
+                    onChange={formik.handleChange}
+                  />
+                  Active
+                </label>
+              </div>
+
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={closeForm}
+                  className="bg-gray-500 text-white px-4 py-2 rounded mr-2 hover:bg-gray-600 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition"
+                  disabled={loading}
+                >
+                  {currentCurrency ? 'Update' : 'Add'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </Transition>
+    </div>
+  );
+};
+
+export default Currencies;
@@ -29,6 +29,7 @@ import {
   Line,
 } from 'recharts';
 import { FaUsers, FaBoxOpen, FaClipboardList, FaStar, FaDollarSign } from 'react-icons/fa';
+import formatMoney from '../utils/formatMoney';
 
 const Dashboard = () => {
   const dispatch = useDispatch();
@@ -107,7 +108,8 @@ const Dashboard = () => {
     orders.forEach((order) => {
       const date = new Date(order.createdAt);
       const month = months[date.getMonth()];
-      revenue[month] += order.totalPrice;
+      // Orders in other currencies are converted back to the base currency
+      revenue[month] += order.totalPrice / (order.exchangeRate || 1);
     });
     
     return months.map((month) => ({
@@ -308,7 +310,7 @@ const Dashboard = () => {
                   <tr key={order._id}>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{order._id}</td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{order.user.name}</td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">${order.totalPrice.toFixed(2)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-white">{formatMoney(order.totalPrice, order.currency)}</td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <span
                         className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
@@ -10,6 +10,9 @@ import {
   FaTrash,
   FaChevronLeft,
   FaChevronRight,
+  FaHistory,
+  FaUndo,
+  FaFileInvoice,
 } from 'react-icons/fa';
 import { Transition } from '@headlessui/react'; // For smooth modal transitions
 
@@ -17,8 +20,20 @@ import {
   fetchOrders,
   // addOrder,
   updateOrderStatus,
+  refundOrder,
   deleteOrder,
 } from '../redux/slices/ordersSlice'; // Import Redux actions
+import formatMoney from '../utils/formatMoney';
+import axiosInstance from '../utils/axiosInstance';
+
+// Order states and the changes the backend allows between them
+const ORDER_STATUSES = ['pending', 'completed', 'cancelled', 'refunded'];
+const STATUS_TRANSITIONS = {
+  pending: ['completed', 'cancelled'],
+  completed: ['refunded'],
+  cancelled: [],
+  refunded: [],
+};
 
 const Orders = () => {
   const dispatch = useDispatch();
@@ -30,6 +45,16 @@ const Orders = () => {
   const [showForm, setShowForm] = useState(false);
   const [currentOrder, setCurrentOrder] = useState(null);
 
+  // Order whose status timeline is shown
+  const [historyOrder, setHistoryOrder] = useState(null);
+
+  // Refund modal state
+  const [refundingOrder, setRefundingOrder] = useState(null);
+  const [refundItems, setRefundItems] = useState([]);
+  const [refundReason, setRefundReason] = useState('');
+  const [refundError, setRefundError] = useState(null);
+  const [refundSubmitting, setRefundSubmitting] = useState(false);
+
   // Pagination states
   const [currentPage, setCurrentPage] = useState(1);
   const ordersPerPage = 10; // Adjust as needed
@@ -46,7 +71,7 @@ const Orders = () => {
       userName: currentOrder ? currentOrder.user.name : '',
       userEmail: currentOrder ? currentOrder.user.email : '',
       totalPrice: currentOrder ? currentOrder.totalPrice : '',
-      status: currentOrder ? currentOrder.status : 'Pending',
+      status: currentOrder ? currentOrder.status : 'pending',
       createdAt: currentOrder
         ? new Date(currentOrder.createdAt).toISOString().substr(0, 10)
         : '', // Format to YYYY-MM-DD
@@ -62,10 +87,7 @@ const Orders = () => {
         .positive('Total Price must be a positive number')
         .required('Total Price is required'),
       status: Yup.string()
-        .oneOf(
-          ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled'],
-          'Invalid Status'
-        )
+        .oneOf(ORDER_STATUSES, 'Invalid Status')
         .required('Status is required'),
       createdAt: Yup.date().required('Creation Date is required'),
     }),
@@ -134,14 +156,80 @@ const Orders = () => {
 
   // Handle status change directly from the table
   const handleStatusChange = async (id, newStatus) => {
+    const note = window.prompt(`Add a note for changing this order to "${newStatus}" (optional):`, '');
+    if (note === null) return; // Admin cancelled the change
+
     try {
-      await dispatch(updateOrderStatus({ id, status: newStatus })).unwrap();
+      await dispatch(updateOrderStatus({ id, status: newStatus, note })).unwrap();
     } catch (err) {
       console.error('Update Status Error:', err);
       // Optionally, set local error state or display a notification
     }
   };
 
+  // Open the refund modal with every refundable item selected
+  const openRefund = (order) => {
+    setRefundingOrder(order);
+    setRefundItems(
+      order.orderItems
+        .filter((item) => !item.refunded)
+        .map((item) => item.product?._id || item.product)
+    );
+    setRefundReason('');
+    setRefundError(null);
+  };
+
+  const toggleRefundItem = (productId) => {
+    setRefundItems((items) =>
+      items.includes(productId)
+        ? items.filter((id) => id !== productId)
+        : [...items, productId]
+    );
+  };
+
+  // Issue the refund through the backend
+  const handleRefund = async (e) => {
+    e.preventDefault();
+    if (refundItems.length === 0) {
+      setRefundError('Select at least one item to refund.');
+      return;
+    }
+    if (!refundReason.trim()) {
+      setRefundError('A reason is required.');
+      return;
+    }
+
+    setRefundSubmitting(true);
+    try {
+      await dispatch(
+        refundOrder({ id: refundingOrder._id, products: refundItems, reason: refundReason })
+      ).unwrap();
+      setRefundingOrder(null);
+    } catch (err) {
+      setRefundError(err);
+    } finally {
+      setRefundSubmitting(false);
+    }
+  };
+
+  // Download the invoice PDF the backend renders for a paid order
+  const handleDownloadInvoice = async (order) => {
+    try {
+      const response = await axiosInstance.get(`/api/orders/${order._id}/invoice`, {
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${order.invoiceNumber}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Download Invoice Failed:', err);
+      window.alert('Failed to download the invoice.');
+    }
+  };
+
   // Calculate pagination details
   const indexOfLastOrder = currentPage * ordersPerPage;
   const indexOfFirstOrder = indexOfLastOrder - ordersPerPage;
@@ -212,29 +300,46 @@ const Orders = () => {
                   >
                     <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
                       {order._id}
+                      {order.invoiceNumber && (
+                        <div className="text-xs text-gray-500 dark:text-gray-400">
+                          {order.invoiceNumber}
+                        </div>
+                      )}
                     </td>
                     <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
                       {order.user.name} ({order.user.email})
                     </td>
                     <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
-                      ${order.totalPrice.toFixed(2)}
+                      {formatMoney(order.totalPrice, order.currency)}
+                      {order.taxAmount > 0 && (
+                        <div className="text-xs text-gray-500 dark:text-gray-400">
+                          incl. {order.taxRate?.name || 'tax'}{' '}
+                          {formatMoney(order.taxAmount, order.currency)}
+                        </div>
+                      )}
+                      {order.paymentIssue && (
+                        <div className="text-xs text-red-600 dark:text-red-400">
+                          Needs review: {order.paymentIssue.reason} (received{' '}
+                          {formatMoney(order.paymentIssue.amountReceived, order.currency)})
+                        </div>
+                      )}
                     </td>
                     <td className="py-4 px-6 text-sm capitalize text-gray-800 dark:text-gray-200">
-                    {order.status}
-                      {/* <select
+                      <select
                         value={order.status}
                         onChange={(e) =>
                           handleStatusChange(order._id, e.target.value)
                         }
-                        className="bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 px-2 py-1 rounded focus:outline-none focus:ring"
-                        aria-label={`Change status for order ${order.orderId}`}
+                        disabled={STATUS_TRANSITIONS[order.status].length === 0}
+                        className="bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 px-2 py-1 rounded capitalize focus:outline-none focus:ring disabled:opacity-60"
+                        aria-label={`Change status for order ${order._id}`}
                       >
-                        <option value="Pending">Pending</option>
-                        <option value="Processing">Processing</option>
-                        <option value="Shipped">Shipped</option>
-                        <option value="Delivered">Delivered</option>
-                        <option value="Cancelled">Cancelled</option>
-                      </select> */}
+                        {[order.status, ...STATUS_TRANSITIONS[order.status]].map((status) => (
+                          <option key={status} value={status}>
+                            {status}
+                          </option>
+                        ))}
+                      </select>
                     </td>
                     <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
                       {new Date(order.createdAt).toLocaleDateString()}
@@ -249,13 +354,43 @@ const Orders = () => {
                         Edit
                       </button> */}
                       <button
-                        onClick={() => handleDelete(order._id)}
-                        className="text-red-500 hover:text-red-700 flex items-center"
-                        aria-label={`Delete order ${order.orderId}`}
+                        onClick={() => setHistoryOrder(order)}
+                        className="text-blue-500 hover:text-blue-700 mr-4 flex items-center"
+                        aria-label={`Show status history for order ${order._id}`}
                       >
-                        <FaTrash className="mr-1" />
-                        Delete
+                        <FaHistory className="mr-1" />
+                        History
                       </button>
+                      {order.invoiceNumber && (
+                        <button
+                          onClick={() => handleDownloadInvoice(order)}
+                          className="text-green-600 hover:text-green-800 mr-4 flex items-center"
+                          aria-label={`Download invoice for order ${order._id}`}
+                        >
+                          <FaFileInvoice className="mr-1" />
+                          Invoice
+                        </button>
+                      )}
+                      {order.isPaid && order.status === 'completed' && (
+                        <button
+                          onClick={() => openRefund(order)}
+                          className="text-yellow-600 hover:text-yellow-800 mr-4 flex items-center"
+                          aria-label={`Refund order ${order._id}`}
+                        >
+                          <FaUndo className="mr-1" />
+                          Refund
+                        </button>
+                      )}
+                      {!order.isPaid && (
+                        <button
+                          onClick={() => handleDelete(order._id)}
+                          className="text-red-500 hover:text-red-700 flex items-center"
+                          aria-label={`Delete order ${order._id}`}
+                        >
+                          <FaTrash className="mr-1" />
+                          Delete
+                        </button>
+                      )}
                     </td>
                   </tr>
                 ))}
@@ -466,11 +601,11 @@ const Orders = () => {
                   onChange={formik.handleChange}
                   onBlur={formik.handleBlur}
                 >
-                  <option value="Completed">Completed</option>
-                  {/* <option value="Processing">Processing</option>
-                  <option value="Shipped">Shipped</option>
-                  <option value="Delivered">Delivered</option>
-                  <option value="Cancelled">Cancelled</option> */}
+                  {ORDER_STATUSES.map((status) => (
+                    <option key={status} value={status} className="capitalize">
+                      {status}
+                    </option>
+                  ))}
                 </select>
                 {formik.touched.status && formik.errors.status && (
                   <div className="text-red-500 text-sm mt-1">
@@ -527,6 +662,161 @@ const Orders = () => {
           </div>
         </div>
       </Transition>
+
+      {/* Refund Modal */}
+      <Transition
+        show={refundingOrder !== null}
+        enter="transition ease-out duration-300 transform"
+        enterFrom="opacity-0 scale-95"
+        enterTo="opacity-100 scale-100"
+        leave="transition ease-in duration-200 transform"
+        leaveFrom="opacity-100 scale-100"
+        leaveTo="opacity-0 scale-95"
+      >
+        <div
+          className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50"
+          aria-modal="true"
+          role="dialog"
+        >
+          <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md mx-4 max-h-[80vh] overflow-y-auto">
+            <h3 className="text-xl font-semibold mb-4 text-gray-800 dark:text-gray-200">
+              Refund Order
+            </h3>
+            {refundingOrder && (
+              <form onSubmit={handleRefund}>
+                <div className="mb-4">
+                  <label className="block text-gray-700 dark:text-gray-200 mb-2">
+                    Items to refund
+                  </label>
+                  {refundingOrder.orderItems.map((item) => {
+                    const productId = item.product?._id || item.product;
+                    return (
+                      <label
+                        key={item._id}
+                        className={`flex items-center text-sm mb-1 ${
+                          item.refunded
+                            ? 'text-gray-400 line-through'
+                            : 'text-gray-800 dark:text-gray-200'
+                        }`}
+                      >
+                        <input
+                          type="checkbox"
+                          className="mr-2"
+                          disabled={item.refunded}
+                          checked={!item.refunded && refundItems.includes(productId)}
+                          onChange={() => toggleRefundItem(productId)}
+                        />
+                        {item.subjectName} ({item.subjectCode}) -{' '}
+                        {/* What the backend refunds: price less discount, plus tax */}
+                        {formatMoney(
+                          item.price - (item.discount || 0) + (item.tax || 0),
+                          refundingOrder.currency
+                        )}
+                        {item.bundleName && ` [${item.bundleName}]`}
+                        {item.refunded && ' (refunded)'}
+                      </label>
+                    );
+                  })}
+                </div>
+
+                <div className="mb-4">
+                  <label className="block text-gray-700 dark:text-gray-200">
+                    Reason
+                  </label>
+                  <textarea
+                    value={refundReason}
+                    onChange={(e) => setRefundReason(e.target.value)}
+                    maxLength={500}
+                    rows={3}
+                    className="w-full px-3 py-2 border rounded focus:outline-none focus:ring border-gray-300 focus:ring-blue-200 dark:bg-gray-700 dark:text-gray-200 dark:border-gray-700 dark:focus:ring-blue-500"
+                    placeholder="Customer requested a refund"
+                  />
+                </div>
+
+                {refundError && (
+                  <div className="text-red-500 text-sm mb-4">{refundError}</div>
+                )}
+
+                <div className="flex justify-end">
+                  <button
+                    type="button"
+                    onClick={() => setRefundingOrder(null)}
+                    className="bg-gray-500 text-white px-4 py-2 rounded mr-2 hover:bg-gray-600 transition"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={refundSubmitting}
+                    className="bg-yellow-600 text-white px-4 py-2 rounded hover:bg-yellow-700 transition disabled:opacity-60"
+                  >
+                    {refundSubmitting ? 'Refunding...' : 'Refund'}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      </Transition>
+
+      {/* Status History Modal */}
+      <Transition
+        show={historyOrder !== null}
+        enter="transition ease-out duration-300 transform"
+        enterFrom="opacity-0 scale-95"
+        enterTo="opacity-100 scale-100"
+        leave="transition ease-in duration-200 transform"
+        leaveFrom="opacity-100 scale-100"
+        leaveTo="opacity-0 scale-95"
+      >
+        <div
+          className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50"
+          aria-modal="true"
+          role="dialog"
+        >
+          <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md mx-4 max-h-[80vh] overflow-y-auto">
+            <h3 className="text-xl font-semibold mb-4 text-gray-800 dark:text-gray-200">
+              Status History
+            </h3>
+            {historyOrder && historyOrder.statusHistory?.length > 0 ? (
+              <ol className="relative border-l border-gray-300 dark:border-gray-600 ml-2">
+                {historyOrder.statusHistory.map((entry) => (
+                  <li key={entry._id} className="mb-6 ml-4">
+                    <div className="absolute w-3 h-3 bg-blue-500 rounded-full -left-1.5 mt-1.5" />
+                    <time className="text-xs text-gray-500 dark:text-gray-400">
+                      {new Date(entry.changedAt).toLocaleString()}
+                    </time>
+                    <p className="text-sm font-semibold capitalize text-gray-800 dark:text-gray-200">
+                      {entry.from ? `${entry.from} → ${entry.status}` : entry.status}
+                    </p>
+                    <p className="text-xs text-gray-600 dark:text-gray-400">
+                      By {entry.actor ? entry.actor.name : 'System'}
+                    </p>
+                    {entry.note && (
+                      <p className="text-sm text-gray-700 dark:text-gray-300 mt-1">
+                        {entry.note}
+                      </p>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            ) : (
+              <p className="text-gray-600 dark:text-gray-400">
+                No status changes recorded for this order.
+              </p>
+            )}
+            <div className="flex justify-end mt-4">
+              <button
+                type="button"
+                onClick={() => setHistoryOrder(null)}
+                className="bg-gray-500 text-white px-4 py-2 rounded hover:bg-gray-600 transition"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      </Transition>
     </div>
   );
 };
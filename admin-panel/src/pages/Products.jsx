@@ -12,6 +12,7 @@ import { useFormik } from 'formik';
 import * as Yup from 'yup';
 import { FaPlus, FaEdit, FaTrash, FaChevronLeft, FaChevronRight } from 'react-icons/fa';
 import { Transition } from '@headlessui/react'; // For smooth modal transitions
+import FileUpload from '../components/FileUpload';
 
 const Products = () => {
   const dispatch = useDispatch();
@@ -51,9 +52,13 @@ const Products = () => {
       subjectCode: currentProduct ? currentProduct.subjectCode : '',
       price: currentProduct ? currentProduct.price : '',
       image: currentProduct ? currentProduct.image : '',
+      imageAsset: '',
       description: currentProduct ? currentProduct.description : '',
       type: currentProduct ? currentProduct.type : 'exam', // Default type
-      pdfLink: currentProduct ? currentProduct.pdfLink : '',
+      pdfAsset: '',
+      pdfName: currentProduct
+        ? currentProduct.pdfAsset?.originalName || currentProduct.pdfLink || ''
+        : '',
     },
     enableReinitialize: true,
     validationSchema: Yup.object({
@@ -61,12 +66,12 @@ const Products = () => {
       subjectName: Yup.string().required('Required'),
       subjectCode: Yup.string().required('Required'),
       price: Yup.number().positive('Must be positive').required('Required'),
-      image: Yup.string().url('Invalid URL').required('Required'),
+      image: Yup.string().required('Please upload an image'),
       description: Yup.string().required('Required'),
       type: Yup.string()
         .oneOf(['certificate', 'notes', 'exam'], 'Invalid Type')
         .required('Required'),
-      pdfLink: Yup.string().url('Invalid URL').required('Required'),
+      pdfName: Yup.string().required('Please upload a PDF'),
     }),
     onSubmit: (values) => {
       if (currentProduct) {
@@ -195,9 +200,15 @@ const Products = () => {
                     <td className="py-2 px-4 text-sm text-gray-800 dark:text-gray-200">{product.description}</td>
                     <td className="py-2 px-4 text-sm capitalize text-gray-800 dark:text-gray-200">{product.type}</td>
                     <td className="py-2 px-4 text-sm">
-                      <a href={product.pdfLink} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">
-                        View PDF
-                      </a>
+                      {product.pdfAsset ? (
+                        <span className="text-gray-800 dark:text-gray-200">
+                          {product.pdfAsset.originalName || 'Uploaded PDF'}
+                        </span>
+                      ) : (
+                        <a href={product.pdfLink} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline">
+                          View PDF
+                        </a>
+                      )}
                     </td>
                     <td className="py-5 px-4 text-sm flex items-center">
                       <button
@@ -387,26 +398,19 @@ const Products = () => {
                 )}
               </div>
 
-              {/* Image URL Field */}
-              <div className="mb-4">
-                <label className="block text-gray-700 dark:text-gray-200">Image URL</label>
-                <input
-                  type="url"
-                  name="image"
-                  className={`w-full px-3 py-2 border rounded focus:outline-none focus:ring ${
-                    formik.touched.image && formik.errors.image
-                      ? 'border-red-500 focus:ring-red-200'
-                      : 'border-gray-300 focus:ring-blue-200 dark:border-gray-700 dark:focus:ring-blue-500'
-                  }`}
-                  value={formik.values.image}
-                  onChange={formik.handleChange}
-                  onBlur={formik.handleBlur}
-                  placeholder="https://example.com/image.jpg"
-                />
-                {formik.touched.image && formik.errors.image && (
-                  <div className="text-red-500 text-sm mt-1">{formik.errors.image}</div>
-                )}
-              </div>
+              {/* Image Upload Field */}
+              <FileUpload
+                label="Image"
+                kind="image"
+                accept="image/jpeg,image/png,image/webp,image/gif"
+                hint="JPG, PNG, WebP or GIF up to 5 MB"
+                preview={formik.values.image}
+                error={formik.touched.image && formik.errors.image}
+                onUploaded={(asset) => {
+                  formik.setFieldValue('imageAsset', asset._id);
+                  formik.setFieldValue('image', asset.thumbnailUrl || asset.url);
+                }}
+              />
 
               {/* Description Field */}
               <div className="mb-4">
@@ -452,26 +456,19 @@ const Products = () => {
                 )}
               </div>
 
-              {/* PDF Link Field */}
-              <div className="mb-4">
-                <label className="block text-gray-700 dark:text-gray-200">PDF Link</label>
-                <input
-                  type="url"
-                  name="pdfLink"
-                  className={`w-full px-3 py-2 border rounded focus:outline-none focus:ring ${
-                    formik.touched.pdfLink && formik.errors.pdfLink
-                      ? 'border-red-500 focus:ring-red-200'
-                      : 'border-gray-300 focus:ring-blue-200 dark:border-gray-700 dark:focus:ring-blue-500'
-                  }`}
-                  value={formik.values.pdfLink}
-                  onChange={formik.handleChange}
-                  onBlur={formik.handleBlur}
-                  placeholder="https://example.com/document.pdf"
-                />
-                {formik.touched.pdfLink && formik.errors.pdfLink && (
-                  <div className="text-red-500 text-sm mt-1">{formik.errors.pdfLink}</div>
-                )}
-              </div>
+              {/* PDF Upload Field */}
+              <FileUpload
+                label="PDF"
+                kind="pdf"
+                accept="application/pdf"
+                hint="PDF up to 50 MB"
+                fileName={formik.values.pdfName}
+                error={formik.touched.pdfName && formik.errors.pdfName}
+                onUploaded={(asset) => {
+                  formik.setFieldValue('pdfAsset', asset._id);
+                  formik.setFieldValue('pdfName', asset.originalName);
+                }}
+              />
 
               {/* Form Buttons */}
               <div className="flex justify-end">
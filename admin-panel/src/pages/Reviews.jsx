@@ -7,6 +7,12 @@ import {
   deleteReview,
   updateReview,
   createReview,
+  moderateReview,
+  replyToReview,
+  deleteReviewReply,
+  removeReviewImage,
+  fetchReviewSettings,
+  updateReviewSettings,
 } from '../redux/slices/reviewsSlice';
 import { useFormik } from 'formik';
 import * as Yup from 'yup';
@@ -16,12 +22,60 @@ import {
   FaTrash,
   FaChevronLeft,
   FaChevronRight,
+  FaCheck,
+  FaTimes,
+  FaCheckCircle,
+  FaReply,
+  FaFlag,
 } from 'react-icons/fa';
 import { Transition } from '@headlessui/react';
 
+const STATUS_FILTERS = ['pending', 'reported', 'approved', 'rejected', 'all'];
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+};
+
+const REJECT_REASONS = [
+  'Offensive language',
+  'Spam or advertising',
+  'Not about this product',
+  'Contains personal information',
+];
+
+const AUTO_APPROVE_OPTIONS = [
+  { value: 'verified', label: 'Verified purchases only' },
+  { value: 'all', label: 'All reviews' },
+  { value: 'none', label: 'None (review everything)' },
+];
+
+// Reviews from before moderation have no status and count as approved
+const reviewStatus = (review) => review.status || 'approved';
+
+const matchesFilter = (review, filter) => {
+  if (filter === 'all') return true;
+  if (filter === 'reported') return review.reportCount > 0;
+  return reviewStatus(review) === filter;
+};
+
 const Reviews = () => {
   const dispatch = useDispatch();
-  const { reviews, loading, error } = useSelector((state) => state.reviews);
+  const { reviews, settings, loading, error } = useSelector((state) => state.reviews);
+
+  // Moderation queue
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [rejectingReview, setRejectingReview] = useState(null);
+  const [rejectReason, setRejectReason] = useState('');
+
+  // Store replies
+  const [replyingReview, setReplyingReview] = useState(null);
+  const [replyText, setReplyText] = useState('');
+
+  // Moderation rules
+  const [autoApprove, setAutoApprove] = useState('verified');
+  const [blockedWords, setBlockedWords] = useState('');
 
   const [showForm, setShowForm] = useState(false);
   const [currentReview, setCurrentReview] = useState(null);
@@ -33,8 +87,16 @@ const Reviews = () => {
   // Fetch reviews on component mount
   useEffect(() => {
     dispatch(fetchAllReviews());
+    dispatch(fetchReviewSettings());
   }, [dispatch]);
 
+  useEffect(() => {
+    if (settings) {
+      setAutoApprove(settings.autoApprove);
+      setBlockedWords(settings.blockedWords.join(', '));
+    }
+  }, [settings]);
+
   // Formik setup for edit/add review
   const formik = useFormik({
     initialValues: {
@@ -90,7 +152,7 @@ const Reviews = () => {
       // Adjust current page if necessary
       const indexOfLastReview = currentPage * reviewsPerPage;
       const indexOfFirstReview = indexOfLastReview - reviewsPerPage;
-      const currentReviews = reviews.slice(indexOfFirstReview, indexOfLastReview);
+      const currentReviews = filteredReviews.slice(indexOfFirstReview, indexOfLastReview);
       if (currentReviews.length === 1 && currentPage > 1) {
         setCurrentPage(currentPage - 1);
       }
@@ -98,14 +160,95 @@ const Reviews = () => {
   };
 
   // Calculate pagination details
+  const filteredReviews = reviews.filter((review) => matchesFilter(review, statusFilter));
+  const filterCounts = {
+    pending: reviews.filter((review) => matchesFilter(review, 'pending')).length,
+    reported: reviews.filter((review) => matchesFilter(review, 'reported')).length,
+  };
   const indexOfLastReview = currentPage * reviewsPerPage;
   const indexOfFirstReview = indexOfLastReview - reviewsPerPage;
-  const currentReviews = reviews.slice(indexOfFirstReview, indexOfLastReview);
-  const totalPages = Math.ceil(reviews.length / reviewsPerPage);
+  const currentReviews = filteredReviews.slice(indexOfFirstReview, indexOfLastReview);
+  const totalPages = Math.ceil(filteredReviews.length / reviewsPerPage);
 
   // Handle page change
   const paginate = (pageNumber) => setCurrentPage(pageNumber);
 
+  const handleFilterChange = (status) => {
+    setStatusFilter(status);
+    setCurrentPage(1);
+  };
+
+  const handleApprove = (review) => {
+    dispatch(moderateReview({ id: review._id, status: 'approved' }));
+  };
+
+  const closeRejectForm = () => {
+    setRejectingReview(null);
+    setRejectReason('');
+  };
+
+  const handleReject = (e) => {
+    e.preventDefault();
+    dispatch(
+      moderateReview({ id: rejectingReview._id, status: 'rejected', reason: rejectReason.trim() })
+    )
+      .unwrap()
+      .then(closeRejectForm)
+      .catch((err) => {
+        console.error('Reject Review Failed:', err);
+      });
+  };
+
+  const openReplyForm = (review) => {
+    setReplyingReview(review);
+    setReplyText(review.reply?.comment || '');
+  };
+
+  const closeReplyForm = () => {
+    setReplyingReview(null);
+    setReplyText('');
+  };
+
+  const handleReply = (e) => {
+    e.preventDefault();
+    dispatch(replyToReview({ id: replyingReview._id, comment: replyText.trim() }))
+      .unwrap()
+      .then(closeReplyForm)
+      .catch((err) => {
+        console.error('Reply Failed:', err);
+      });
+  };
+
+  const handleDeleteReply = () => {
+    if (window.confirm('Remove the reply from this review?')) {
+      dispatch(deleteReviewReply(replyingReview._id))
+        .unwrap()
+        .then(closeReplyForm)
+        .catch((err) => {
+          console.error('Delete Reply Failed:', err);
+        });
+    }
+  };
+
+  const handleRemoveImage = (review, image) => {
+    if (window.confirm('Remove this photo from the review? It will be deleted.')) {
+      dispatch(removeReviewImage({ id: review._id, assetId: image.asset }))
+        .unwrap()
+        .catch((err) => {
+          console.error('Remove Photo Failed:', err);
+        });
+    }
+  };
+
+  const handleSaveSettings = (e) => {
+    e.preventDefault();
+    const words = blockedWords
+      .split(/[,\n]/)
+      .map((word) => word.trim())
+      .filter(Boolean);
+    dispatch(updateReviewSettings({ autoApprove, blockedWords: words }));
+  };
+
   return (
     <div className="p-6 bg-gray-100 dark:bg-gray-900 min-h-screen">
       {/* Reviews Management Title */}
@@ -118,6 +261,68 @@ const Reviews = () => {
         <div className="bg-red-100 text-red-700 p-3 rounded mb-4">{error}</div>
       )}
 
+      {/* Moderation Rules */}
+      <form
+        onSubmit={handleSaveSettings}
+        className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-4 mb-6 flex flex-wrap items-end gap-4"
+      >
+        <div>
+          <label className="block text-sm text-gray-700 dark:text-gray-200 mb-1">
+            Publish without review
+          </label>
+          <select
+            value={autoApprove}
+            onChange={(e) => setAutoApprove(e.target.value)}
+            className="px-3 py-2 border rounded border-gray-300 dark:border-gray-700 dark:bg-gray-700 dark:text-white"
+          >
+            {AUTO_APPROVE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="flex-1 min-w-[16rem]">
+          <label className="block text-sm text-gray-700 dark:text-gray-200 mb-1">
+            Extra blocked words (comma separated)
+          </label>
+          <input
+            type="text"
+            value={blockedWords}
+            onChange={(e) => setBlockedWords(e.target.value)}
+            className="w-full px-3 py-2 border rounded border-gray-300 dark:border-gray-700 dark:bg-gray-700 dark:text-white"
+            placeholder="e.g. competitor names"
+          />
+        </div>
+        <button
+          type="submit"
+          className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition"
+        >
+          Save Rules
+        </button>
+        <p className="w-full text-xs text-gray-500 dark:text-gray-400">
+          Reviews caught by the profanity and spam filter always wait here for approval.
+        </p>
+      </form>
+
+      {/* Status Filter */}
+      <div className="flex mb-4 space-x-2">
+        {STATUS_FILTERS.map((status) => (
+          <button
+            key={status}
+            onClick={() => handleFilterChange(status)}
+            className={`px-4 py-2 rounded capitalize ${
+              statusFilter === status
+                ? 'bg-blue-500 text-white'
+                : 'bg-white text-gray-700 dark:bg-gray-800 dark:text-gray-200'
+            }`}
+          >
+            {status}
+            {filterCounts[status] > 0 && ` (${filterCounts[status]})`}
+          </button>
+        ))}
+      </div>
+
       {/* Add Review Button */}
       <button
         onClick={() => {
@@ -155,6 +360,9 @@ const Reviews = () => {
                   <th className="py-3 px-6 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
                     Comment
                   </th>
+                  <th className="py-3 px-6 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
+                    Status
+                  </th>
                   <th className="py-3 px-6 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider">
                     Date
                   </th>
@@ -189,11 +397,103 @@ const Reviews = () => {
                     </td>
                     <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
                       {review.comment}
+                      {review.images?.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mt-2">
+                          {review.images.map((image) => (
+                            <div key={image.asset} className="relative">
+                              <a href={image.url} target="_blank" rel="noreferrer">
+                                <img
+                                  src={image.thumbnailUrl || image.url}
+                                  alt="Review attachment"
+                                  className="h-16 w-16 object-cover rounded"
+                                />
+                              </a>
+                              <button
+                                onClick={() => handleRemoveImage(review, image)}
+                                className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full p-1 hover:bg-red-600"
+                                aria-label="Remove photo"
+                              >
+                                <FaTimes size={10} />
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                      {review.reply?.comment && (
+                        <div className="mt-2 pl-2 border-l-2 border-blue-400 text-xs text-gray-600 dark:text-gray-400">
+                          <span className="font-semibold">Store reply:</span> {review.reply.comment}
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                      <span
+                        className={`px-2 py-1 rounded text-xs capitalize ${
+                          STATUS_STYLES[reviewStatus(review)]
+                        }`}
+                      >
+                        {reviewStatus(review)}
+                      </span>
+                      {review.verifiedPurchase && (
+                        <div className="flex items-center text-xs text-green-600 mt-1">
+                          <FaCheckCircle className="mr-1" />
+                          Verified purchase
+                        </div>
+                      )}
+                      {review.moderation?.flags?.length > 0 && (
+                        <div className="text-xs text-red-600 mt-1">
+                          Flagged: {review.moderation.flags.join(', ')}
+                        </div>
+                      )}
+                      {review.reportCount > 0 && (
+                        <div className="text-xs text-red-600 mt-1">
+                          <FaFlag className="inline mr-1" />
+                          Reported {review.reportCount}x:{' '}
+                          {review.reports
+                            .map((report) =>
+                              report.details ? `${report.reason} (${report.details})` : report.reason
+                            )
+                            .join('; ')}
+                        </div>
+                      )}
+                      {review.moderation?.reason && (
+                        <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                          Reason: {review.moderation.reason}
+                        </div>
+                      )}
                     </td>
                     <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
                       {new Date(review.createdAt).toLocaleDateString()}
                     </td>
                     <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200 flex items-center">
+                      {(reviewStatus(review) !== 'approved' || review.reportCount > 0) && (
+                        <button
+                          onClick={() => handleApprove(review)}
+                          className="text-green-600 hover:underline flex items-center mr-2"
+                          aria-label={`Approve review ${review._id}`}
+                        >
+                          <FaCheck className="mr-1" />
+                          {/* Keeping a reported review dismisses its reports */}
+                          {reviewStatus(review) === 'approved' ? 'Keep' : 'Approve'}
+                        </button>
+                      )}
+                      {reviewStatus(review) !== 'rejected' && (
+                        <button
+                          onClick={() => setRejectingReview(review)}
+                          className="text-orange-500 hover:underline flex items-center mr-2"
+                          aria-label={`Reject review ${review._id}`}
+                        >
+                          <FaTimes className="mr-1" />
+                          Reject
+                        </button>
+                      )}
+                      <button
+                        onClick={() => openReplyForm(review)}
+                        className="text-indigo-500 hover:underline flex items-center mr-2"
+                        aria-label={`Reply to review ${review._id}`}
+                      >
+                        <FaReply className="mr-1" />
+                        Reply
+                      </button>
                       <button
                         onClick={() => handleEdit(review)}
                         className="text-blue-500 hover:underline flex items-center mr-2"
@@ -216,7 +516,7 @@ const Reviews = () => {
                 {currentReviews.length === 0 && (
                   <tr>
                     <td
-                      colSpan="7"
+                      colSpan="8"
                       className="py-4 px-6 text-center text-gray-600 dark:text-gray-400"
                     >
                       No reviews found.
@@ -228,7 +528,7 @@ const Reviews = () => {
           </div>
 
           {/* Pagination Controls */}
-          {reviews.length > reviewsPerPage && (
+          {filteredReviews.length > reviewsPerPage && (
             <div className="flex justify-center mt-6">
               <nav aria-label="Page navigation">
                 <ul className="inline-flex -space-x-px">
@@ -404,6 +704,130 @@ const Reviews = () => {
               </div>
             </div>
           </Transition>
+
+          {/* Reply Modal */}
+          <Transition
+            show={Boolean(replyingReview)}
+            enter="transition ease-out duration-300 transform"
+            enterFrom="opacity-0 scale-95"
+            enterTo="opacity-100 scale-100"
+            leave="transition ease-in duration-200 transform"
+            leaveFrom="opacity-100 scale-100"
+            leaveTo="opacity-0 scale-95"
+          >
+            <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50">
+              <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md mx-4 overflow-y-auto">
+                <h3 className="text-xl font-semibold mb-2 text-gray-800 dark:text-gray-200">
+                  {replyingReview?.reply?.comment ? 'Edit Reply' : 'Reply to Review'}
+                </h3>
+                <p className="mb-4 text-sm text-gray-600 dark:text-gray-400">
+                  {replyingReview?.comment}
+                </p>
+                <form onSubmit={handleReply}>
+                  <label className="block text-gray-700 dark:text-gray-200">
+                    Official reply (shown under the review)
+                  </label>
+                  <textarea
+                    rows="4"
+                    maxLength={1000}
+                    className="w-full px-3 py-2 border rounded focus:outline-none focus:ring border-gray-300 focus:ring-blue-200 dark:border-gray-700 dark:focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
+                    value={replyText}
+                    onChange={(e) => setReplyText(e.target.value)}
+                  ></textarea>
+                  <div className="flex justify-between mt-4">
+                    <div>
+                      {replyingReview?.reply?.comment && (
+                        <button
+                          type="button"
+                          onClick={handleDeleteReply}
+                          className="text-red-500 hover:underline px-2 py-2"
+                        >
+                          Remove Reply
+                        </button>
+                      )}
+                    </div>
+                    <div className="flex">
+                      <button
+                        type="button"
+                        onClick={closeReplyForm}
+                        className="bg-gray-500 text-white px-4 py-2 rounded mr-2 hover:bg-gray-600 transition"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="submit"
+                        disabled={!replyText.trim()}
+                        className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition disabled:opacity-50"
+                      >
+                        Save Reply
+                      </button>
+                    </div>
+                  </div>
+                </form>
+              </div>
+            </div>
+          </Transition>
+
+          {/* Reject Review Modal */}
+          <Transition
+            show={Boolean(rejectingReview)}
+            enter="transition ease-out duration-300 transform"
+            enterFrom="opacity-0 scale-95"
+            enterTo="opacity-100 scale-100"
+            leave="transition ease-in duration-200 transform"
+            leaveFrom="opacity-100 scale-100"
+            leaveTo="opacity-0 scale-95"
+          >
+            <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50">
+              <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md mx-4 overflow-y-auto">
+                <h3 className="text-xl font-semibold mb-2 text-gray-800 dark:text-gray-200">
+                  Reject Review
+                </h3>
+                <p className="mb-4 text-sm text-gray-600 dark:text-gray-400">
+                  {rejectingReview?.comment}
+                </p>
+                <form onSubmit={handleReject}>
+                  <div className="mb-2 flex flex-wrap gap-2">
+                    {REJECT_REASONS.map((reason) => (
+                      <button
+                        key={reason}
+                        type="button"
+                        onClick={() => setRejectReason(reason)}
+                        className="px-2 py-1 text-xs rounded bg-gray-200 text-gray-700 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200"
+                      >
+                        {reason}
+                      </button>
+                    ))}
+                  </div>
+                  <label className="block text-gray-700 dark:text-gray-200">Reason</label>
+                  <textarea
+                    rows="3"
+                    maxLength={500}
+                    className="w-full px-3 py-2 border rounded focus:outline-none focus:ring border-gray-300 focus:ring-blue-200 dark:border-gray-700 dark:focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
+                    value={rejectReason}
+                    onChange={(e) => setRejectReason(e.target.value)}
+                    placeholder="Shown to the reviewer"
+                  ></textarea>
+                  <div className="flex justify-end mt-4">
+                    <button
+                      type="button"
+                      onClick={closeRejectForm}
+                      className="bg-gray-500 text-white px-4 py-2 rounded mr-2 hover:bg-gray-600 transition"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={!rejectReason.trim()}
+                      className="bg-red-500 text-white px-4 py-2 rounded hover:bg-red-600 transition disabled:opacity-50"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                </form>
+              </div>
+            </div>
+          </Transition>
         </>
       )}
     </div>
@@ -0,0 +1,324 @@
+// src/pages/TaxRates.jsx
+
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  fetchTaxRates,
+  addTaxRate,
+  updateTaxRate,
+  deleteTaxRate,
+} from '../redux/slices/taxRatesSlice';
+import { useFormik } from 'formik';
+import * as Yup from 'yup';
+import { FaPlus, FaEdit, FaTrash } from 'react-icons/fa';
+import { Transition } from '@headlessui/react';
+
+const inputClass = (hasError) =>
+  `w-full px-3 py-2 border rounded focus:outline-none focus:ring ${
+    hasError
+      ? 'border-red-500 focus:ring-red-200'
+      : 'border-gray-300 focus:ring-blue-200 dark:border-gray-700 dark:focus:ring-blue-500'
+  } dark:bg-gray-700 dark:text-white`;
+
+// Tax is added at checkout for the billing country (and region) on the
+// buyer's profile. A regional rate replaces the country-wide one.
+const TaxRates = () => {
+  const dispatch = useDispatch();
+  const { taxRates, loading, error } = useSelector((state) => state.taxRates);
+
+  const [showForm, setShowForm] = useState(false);
+  const [currentTaxRate, setCurrentTaxRate] = useState(null); // Holds tax rate data for editing
+
+  useEffect(() => {
+    dispatch(fetchTaxRates());
+  }, [dispatch]);
+
+  const formik = useFormik({
+    initialValues: {
+      country: currentTaxRate?.country || '',
+      region: currentTaxRate?.region || '',
+      name: currentTaxRate?.name || 'VAT',
+      rate: currentTaxRate?.rate ?? '',
+      isActive: currentTaxRate ? currentTaxRate.isActive : true,
+    },
+    enableReinitialize: true,
+    validationSchema: Yup.object({
+      country: Yup.string()
+        .matches(/^[A-Za-z]{2}$/, 'Use a two-letter ISO country code, e.g. DE')
+        .required('Country is required'),
+      region: Yup.string().max(10, 'Region codes are at most 10 characters'),
+      rate: Yup.number()
+        .typeError('Rate must be a number')
+        .min(0, 'Rate cannot be negative')
+        .max(100, 'Rate cannot be more than 100%')
+        .required('Rate is required'),
+    }),
+    onSubmit: (values) => {
+      const taxRateData = {
+        ...values,
+        country: values.country.toUpperCase(),
+        region: values.region.trim().toUpperCase(),
+        rate: Number(values.rate),
+      };
+      const action = currentTaxRate
+        ? updateTaxRate({ id: currentTaxRate._id, taxRateData })
+        : addTaxRate(taxRateData);
+
+      dispatch(action)
+        .unwrap()
+        .then(() => {
+          setShowForm(false);
+          setCurrentTaxRate(null);
+          formik.resetForm();
+        })
+        .catch((err) => {
+          console.error('Save Tax Rate Failed:', err);
+        });
+    },
+  });
+
+  const handleEdit = (taxRate) => {
+    setCurrentTaxRate(taxRate);
+    setShowForm(true);
+  };
+
+  const handleDelete = (id) => {
+    if (window.confirm('Are you sure you want to delete this tax rate?')) {
+      dispatch(deleteTaxRate(id))
+        .unwrap()
+        .catch((err) => {
+          console.error('Delete Tax Rate Failed:', err);
+        });
+    }
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setCurrentTaxRate(null);
+    formik.resetForm();
+  };
+
+  return (
+    <div className="p-6 bg-gray-100 dark:bg-gray-900 min-h-screen">
+      <h2 className="text-3xl font-bold mb-2 text-gray-800 dark:text-white">
+        Tax Rates
+      </h2>
+      <p className="mb-6 text-gray-600 dark:text-gray-400">
+        Added on top of the discounted price for buyers billed in each country or region.
+        Paid orders keep the rate they were charged.
+      </p>
+
+      {error && (
+        <div className="bg-red-100 text-red-700 p-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <button
+        onClick={() => setShowForm(true)}
+        className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition mb-6 flex items-center"
+        aria-label="Add Tax Rate"
+      >
+        <FaPlus className="mr-2" />
+        Add Tax Rate
+      </button>
+
+      {loading && taxRates.length === 0 ? (
+        <div className="text-gray-800 dark:text-gray-200">Loading...</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full bg-white dark:bg-gray-800 rounded-lg shadow-md">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {['Country', 'Region', 'Name', 'Rate', 'Status', 'Actions'].map((heading) => (
+                  <th
+                    key={heading}
+                    className="py-3 px-6 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase tracking-wider"
+                  >
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {taxRates.map((taxRate) => (
+                <tr
+                  key={taxRate._id}
+                  className="hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                >
+                  <td className="py-4 px-6 text-sm font-mono font-semibold text-gray-800 dark:text-gray-200">
+                    {taxRate.country}
+                  </td>
+                  <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                    {taxRate.region || 'All'}
+                  </td>
+                  <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                    {taxRate.name}
+                  </td>
+                  <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200">
+                    {taxRate.rate}%
+                  </td>
+                  <td className="py-4 px-6 text-sm">
+                    <span
+                      className={`px-2 py-1 rounded text-xs ${
+                        taxRate.isActive
+                          ? 'bg-green-100 text-green-800'
+                          : 'bg-gray-200 text-gray-700'
+                      }`}
+                    >
+                      {taxRate.isActive ? 'Active' : 'Inactive'}
+                    </span>
+                  </td>
+                  <td className="py-4 px-6 text-sm text-gray-800 dark:text-gray-200 flex items-center">
+                    <button
+                      onClick={() => handleEdit(taxRate)}
+                      className="text-blue-500 hover:text-blue-700 mr-4 flex items-center"
+                      aria-label={`Edit tax rate for ${taxRate.country}`}
+                    >
+                      <FaEdit className="mr-1" />
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(taxRate._id)}
+                      className="text-red-500 hover:text-red-700 flex items-center"
+                      aria-label={`Delete tax rate for ${taxRate.country}`}
+                    >
+                      <FaTrash className="mr-1" />
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {taxRates.length === 0 && (
+                <tr>
+                  <td
+                    colSpan="6"
+                    className="py-4 px-6 text-center text-gray-600 dark:text-gray-400"
+                  >
+                    No tax rates yet. Orders are not taxed.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Add/Edit Tax Rate Modal */}
+      <Transition
+        show={showForm}
+        enter="transition ease-out duration-300 transform"
+        enterFrom="opacity-0 scale-95"
+        enterTo="opacity-100 scale-100"
+        leave="transition ease-in duration-200 transform"
+        leaveFrom="opacity-100 scale-100"
+        leaveTo="opacity-0 scale-95"
+      >
+        <div className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 z-50">
+          <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-lg w-full max-w-md mx-4 overflow-y-auto">
+            <h3 className="text-xl font-semibold mb-4 text-gray-800 dark:text-gray-200">
+              {currentTaxRate ? 'Edit Tax Rate' : 'Add New Tax Rate'}
+            </h3>
+            <form onSubmit={formik.handleSubmit}>
+              <div className="mb-4 flex gap-4">
+                <div className="flex-1">
+                  <label className="block text-gray-700 dark:text-gray-200">Country</label>
+                  <input
+                    type="text"
+                    name="country"
+                    maxLength={2}
+                    className={`${inputClass(formik.touched.country && formik.errors.country)} uppercase`}
+                    value={formik.values.country}
+                    onChange={formik.handleChange}
+                    onBlur={formik.handleBlur}
+                    placeholder="DE"
+                  />
+                  {formik.touched.country && formik.errors.country && (
+                    <div className="text-red-500 text-sm mt-1">{formik.errors.country}</div>
+                  )}
+                </div>
+                <div className="flex-1">
+                  <label className="block text-gray-700 dark:text-gray-200">Region</label>
+                  <input
+                    type="text"
+                    name="region"
+                    maxLength={10}
+                    className={`${inputClass(formik.touched.region && formik.errors.region)} uppercase`}
+                    value={formik.values.region}
+                    onChange={formik.handleChange}
+                    onBlur={formik.handleBlur}
+                    placeholder="Whole country"
+                  />
+                  {formik.touched.region && formik.errors.region && (
+                    <div className="text-red-500 text-sm mt-1">{formik.errors.region}</div>
+                  )}
+                </div>
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">Name on invoices</label>
+                <input
+                  type="text"
+                  name="name"
+                  className={inputClass(false)}
+                  value={formik.values.name}
+                  onChange={formik.handleChange}
+                  placeholder="VAT"
+                />
+              </div>
+
+              <div className="mb-4">
+                <label className="block text-gray-700 dark:text-gray-200">Rate (%)</label>
+                <input
+                  type="number"
+                  name="rate"
+                  step="any"
+                  className={inputClass(formik.touched.rate && formik.errors.rate)}
+                  value={formik.values.rate}
+                  onChange={formik.handleChange}
+                  onBlur={formik.handleBlur}
+                  placeholder="19"
+                />
+                {formik.touched.rate && formik.errors.rate && (
+                  <div className="text-red-500 text-sm mt-1">{formik.errors.rate}</div>
+                )}
+              </div>
+
+              <div className="mb-4">
+                <label className="flex items-center text-gray-700 dark:text-gray-200">
+                  <input
+                    type="checkbox"
+                    name="isActive"
+                    className="mr-2"
+                    checked={formik.values.isActive}
+                    onChange={formik.handleChange}
+                  />
+                  Active
+                </label>
+              </div>
+
+              <div className="flex justify-end">
+                <button
+                  type="button"
+                  onClick={closeForm}
+                  className="bg-gray-500 text-white px-4 py-2 rounded mr-2 hover:bg-gray-600 transition"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  className="bg-blue-500 text-white px-4 py-2 rounded hover:bg-blue-600 transition"
+                  disabled={loading}
+                >
+                  {currentTaxRate ? 'Update' : 'Add'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </Transition>
+    </div>
+  );
+};
+
+export default TaxRates;
@@ -0,0 +1,55 @@
+// src/redux/slices/authEventsSlice.js
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/axiosInstance';
+
+/**
+ * Fetch one page of the auth event log
+ * @param {object} params - { page, limit, type, email, success }
+ */
+export const fetchAuthEvents = createAsyncThunk(
+  'authEvents/fetchAuthEvents',
+  async (params = {}, thunkAPI) => {
+    try {
+      const response = await axiosInstance.get('/api/auth/events', { params });
+      return response.data;
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to fetch auth events.'
+      );
+    }
+  }
+);
+
+const authEventsSlice = createSlice({
+  name: 'authEvents',
+  initialState: {
+    events: [],
+    total: 0,
+    page: 1,
+    pages: 0,
+    loading: false,
+    error: null,
+  },
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchAuthEvents.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchAuthEvents.fulfilled, (state, action) => {
+        state.loading = false;
+        state.events = action.payload.data;
+        state.total = action.payload.total;
+        state.page = action.payload.page;
+        state.pages = action.payload.pages;
+      })
+      .addCase(fetchAuthEvents.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export default authEventsSlice.reducer;
@@ -9,8 +9,11 @@ export const loginAdmin = createAsyncThunk(
     try {
       const response = await axiosInstance.post('api/auth/login', { email, password });
       const data = response.data;
-      // Store token in localStorage
-      localStorage.setItem('adminToken', data.token);
+      // Admins get a two-factor challenge first; tokens come from that step
+      if (data.token) {
+        localStorage.setItem('adminToken', data.token);
+        localStorage.setItem('adminRefreshToken', data.refreshToken);
+      }
       return data;
     } catch (error) {
       return thunkAPI.rejectWithValue(
@@ -20,6 +23,77 @@ export const loginAdmin = createAsyncThunk(
   }
 );
 
+// Store the tokens issued once the two-factor step succeeds
+const storeTokens = (data) => {
+  localStorage.setItem('adminToken', data.token);
+  localStorage.setItem('adminRefreshToken', data.refreshToken);
+};
+
+// Async thunk to start authenticator setup (returns the QR code and secret)
+export const setupTwoFactor = createAsyncThunk(
+  'auth/setupTwoFactor',
+  async (_, thunkAPI) => {
+    try {
+      const { challengeToken } = thunkAPI.getState().auth.twoFactor;
+      const response = await axiosInstance.post('api/auth/2fa/setup', { challengeToken });
+      return response.data.data;
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Could not start two-factor setup.'
+      );
+    }
+  }
+);
+
+// Async thunk to confirm the authenticator app and finish the first login
+export const enableTwoFactor = createAsyncThunk(
+  'auth/enableTwoFactor',
+  async (code, thunkAPI) => {
+    try {
+      const { challengeToken } = thunkAPI.getState().auth.twoFactor;
+      const response = await axiosInstance.post('api/auth/2fa/enable', { challengeToken, code });
+      storeTokens(response.data);
+      return response.data;
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Verification failed. Please try again.'
+      );
+    }
+  }
+);
+
+// Async thunk to finish login with an authenticator or backup code
+export const verifyTwoFactor = createAsyncThunk(
+  'auth/verifyTwoFactor',
+  async (code, thunkAPI) => {
+    try {
+      const { challengeToken } = thunkAPI.getState().auth.twoFactor;
+      const response = await axiosInstance.post('api/auth/2fa/verify', { challengeToken, code });
+      storeTokens(response.data);
+      return response.data;
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Verification failed. Please try again.'
+      );
+    }
+  }
+);
+
+// Async thunk to replace the signed-in admin's recovery codes
+export const regenerateBackupCodes = createAsyncThunk(
+  'auth/regenerateBackupCodes',
+  async (code, thunkAPI) => {
+    try {
+      const response = await axiosInstance.post('api/auth/2fa/backup-codes', { code });
+      return response.data.data.backupCodes;
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Could not regenerate backup codes.'
+      );
+    }
+  }
+);
+
 // Async thunk for admin registration
 export const registerAdmin = createAsyncThunk(
   'auth/registerAdmin',
@@ -39,8 +113,19 @@ export const registerAdmin = createAsyncThunk(
 
 // Async thunk for admin logout
 export const logoutAdmin = createAsyncThunk('auth/logoutAdmin', async () => {
-  // Remove token from localStorage
+  // End the session on the server; local logout still happens if this fails
+  const refreshToken = localStorage.getItem('adminRefreshToken');
+  if (refreshToken) {
+    try {
+      await axiosInstance.post('api/auth/logout', { refreshToken });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+  }
+
+  // Remove tokens from localStorage
   localStorage.removeItem('adminToken');
+  localStorage.removeItem('adminRefreshToken');
 });
 
 // *** New Async Thunk for Forgot Password ***
@@ -48,11 +133,26 @@ export const forgotPassword = createAsyncThunk(
   'auth/forgotPassword',
   async (email, thunkAPI) => {
     try {
-      const response = await axiosInstance.post('api/auth/forgotpassword', { email, role: 'admin' });
+      const response = await axiosInstance.post('api/auth/forgotpassword', { email });
+      return response.data;
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to send reset code. Please try again.'
+      );
+    }
+  }
+);
+
+// Swap the emailed code for the single-use token resetPassword needs
+export const verifyResetCode = createAsyncThunk(
+  'auth/verifyResetCode',
+  async ({ email, otp }, thunkAPI) => {
+    try {
+      const response = await axiosInstance.post('api/auth/verify-otp', { email, otp });
       return response.data;
     } catch (error) {
       return thunkAPI.rejectWithValue(
-        error.response?.data?.message || 'Failed to send reset email. Please try again.'
+        error.response?.data?.message || 'Failed to verify the code. Please try again.'
       );
     }
   }
@@ -82,6 +182,10 @@ const authSlice = createSlice({
     loading: false,
     error: null,
     message: null, // For success messages (e.g., password reset email sent)
+    // Pending second login step: { challengeToken, setupRequired, setup }
+    twoFactor: null,
+    // Recovery codes to show once, after setup or regeneration
+    backupCodes: null,
   },
   reducers: {
     // Optionally, you can add a reducer to clear messages
@@ -89,6 +193,18 @@ const authSlice = createSlice({
       state.message = null;
       state.error = null;
     },
+    // Go back from the code step to the password form
+    cancelTwoFactor: (state) => {
+      state.twoFactor = null;
+      state.error = null;
+    },
+    // The admin has saved their recovery codes
+    acknowledgeBackupCodes: (state) => {
+      state.backupCodes = null;
+      if (state.token) {
+        state.isAuthenticated = true;
+      }
+    },
   },
   extraReducers: (builder) => {
     builder
@@ -99,16 +215,83 @@ const authSlice = createSlice({
       })
       .addCase(loginAdmin.fulfilled, (state, action) => {
         state.loading = false;
+        state.error = null;
+        if (action.payload.challengeToken) {
+          state.twoFactor = {
+            challengeToken: action.payload.challengeToken,
+            setupRequired: Boolean(action.payload.twoFactorSetupRequired),
+            setup: null,
+          };
+          return;
+        }
         state.admin = action.payload.admin;
         state.token = action.payload.token;
         state.isAuthenticated = true;
-        state.error = null;
       })
       .addCase(loginAdmin.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
         state.isAuthenticated = false;
       })
+      // Two-factor setup
+      .addCase(setupTwoFactor.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(setupTwoFactor.fulfilled, (state, action) => {
+        state.loading = false;
+        state.twoFactor.setup = action.payload;
+      })
+      .addCase(setupTwoFactor.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Two-factor enable: show the recovery codes before entering the panel
+      .addCase(enableTwoFactor.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(enableTwoFactor.fulfilled, (state, action) => {
+        state.loading = false;
+        state.twoFactor = null;
+        state.token = action.payload.token;
+        state.backupCodes = action.payload.backupCodes;
+      })
+      .addCase(enableTwoFactor.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Two-factor verify
+      .addCase(verifyTwoFactor.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(verifyTwoFactor.fulfilled, (state, action) => {
+        state.loading = false;
+        state.twoFactor = null;
+        state.token = action.payload.token;
+        state.isAuthenticated = true;
+        if (action.payload.backupCodesRemaining !== undefined) {
+          state.message = `Backup code used. ${action.payload.backupCodesRemaining} backup code(s) left.`;
+        }
+      })
+      .addCase(verifyTwoFactor.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Regenerate backup codes
+      .addCase(regenerateBackupCodes.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(regenerateBackupCodes.fulfilled, (state, action) => {
+        state.loading = false;
+        state.backupCodes = action.payload;
+      })
+      .addCase(regenerateBackupCodes.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
       // Register
       .addCase(registerAdmin.pending, (state) => {
         state.loading = true;
@@ -138,13 +321,27 @@ const authSlice = createSlice({
       })
       .addCase(forgotPassword.fulfilled, (state, action) => {
         state.loading = false;
-        state.message = action.payload.message || 'Reset email sent successfully.';
+        state.message = action.payload.message || 'Reset code sent successfully.';
         state.error = null;
       })
       .addCase(forgotPassword.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
       })
+      // Verify Reset Code
+      .addCase(verifyResetCode.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+        state.message = null;
+      })
+      .addCase(verifyResetCode.fulfilled, (state) => {
+        state.loading = false;
+        state.error = null;
+      })
+      .addCase(verifyResetCode.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
       // Reset Password
       .addCase(resetPassword.pending, (state) => {
         state.loading = true;
@@ -163,6 +360,6 @@ const authSlice = createSlice({
   },
 });
 
-export const { clearAuthMessages } = authSlice.actions;
+export const { clearAuthMessages, cancelTwoFactor, acknowledgeBackupCodes } = authSlice.actions;
 
 export default authSlice.reducer;
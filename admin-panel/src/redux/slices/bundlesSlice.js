@@ -0,0 +1,126 @@
+// src/redux/slices/bundlesSlice.js
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/axiosInstance';
+
+// Fetch all bundles
+export const fetchBundles = createAsyncThunk('bundles/fetchBundles', async (_, thunkAPI) => {
+  try {
+    const response = await axiosInstance.get('api/bundles');
+    return response.data; // { success: true, count: X, data: [/* bundles array */] }
+  } catch (error) {
+    return thunkAPI.rejectWithValue(
+      error.response?.data?.message || 'Failed to fetch bundles.'
+    );
+  }
+});
+
+// Add a new bundle
+export const addBundle = createAsyncThunk('bundles/addBundle', async (bundleData, thunkAPI) => {
+  try {
+    const response = await axiosInstance.post('api/bundles', bundleData);
+    return response.data; // { success: true, data: {/* new bundle */} }
+  } catch (error) {
+    return thunkAPI.rejectWithValue(
+      error.response?.data?.message || 'Failed to add bundle.'
+    );
+  }
+});
+
+// Update a bundle
+export const updateBundle = createAsyncThunk(
+  'bundles/updateBundle',
+  async ({ id, bundleData }, thunkAPI) => {
+    try {
+      const response = await axiosInstance.put(`api/bundles/${id}`, bundleData);
+      return response.data; // { success: true, data: {/* updated bundle */} }
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to update bundle.'
+      );
+    }
+  }
+);
+
+// Delete a bundle
+export const deleteBundle = createAsyncThunk('bundles/deleteBundle', async (id, thunkAPI) => {
+  try {
+    const response = await axiosInstance.delete(`api/bundles/${id}`);
+    return response.data; // { success: true, data: { _id } }
+  } catch (error) {
+    return thunkAPI.rejectWithValue(
+      error.response?.data?.message || 'Failed to delete bundle.'
+    );
+  }
+});
+
+const bundlesSlice = createSlice({
+  name: 'bundles',
+  initialState: {
+    bundles: [],
+    loading: false,
+    error: null,
+  },
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      // Fetch Bundles
+      .addCase(fetchBundles.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchBundles.fulfilled, (state, action) => {
+        state.loading = false;
+        state.bundles = action.payload.data;
+      })
+      .addCase(fetchBundles.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Add Bundle
+      .addCase(addBundle.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(addBundle.fulfilled, (state, action) => {
+        state.loading = false;
+        state.bundles.unshift(action.payload.data); // Newest first, like the API
+      })
+      .addCase(addBundle.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Update Bundle
+      .addCase(updateBundle.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateBundle.fulfilled, (state, action) => {
+        state.loading = false;
+        const updatedBundle = action.payload.data;
+        const index = state.bundles.findIndex((bundle) => bundle._id === updatedBundle._id);
+        if (index !== -1) {
+          state.bundles[index] = updatedBundle;
+        }
+      })
+      .addCase(updateBundle.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Delete Bundle
+      .addCase(deleteBundle.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteBundle.fulfilled, (state, action) => {
+        state.loading = false;
+        const deletedBundleId = action.payload.data._id;
+        state.bundles = state.bundles.filter((bundle) => bundle._id !== deletedBundleId);
+      })
+      .addCase(deleteBundle.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export default bundlesSlice.reducer;
@@ -0,0 +1,126 @@
+// src/redux/slices/couponsSlice.js
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/axiosInstance';
+
+// Fetch all coupons
+export const fetchCoupons = createAsyncThunk('coupons/fetchCoupons', async (_, thunkAPI) => {
+  try {
+    const response = await axiosInstance.get('api/coupons');
+    return response.data; // { success: true, count: X, data: [/* coupons array */] }
+  } catch (error) {
+    return thunkAPI.rejectWithValue(
+      error.response?.data?.message || 'Failed to fetch coupons.'
+    );
+  }
+});
+
+// Add a new coupon
+export const addCoupon = createAsyncThunk('coupons/addCoupon', async (couponData, thunkAPI) => {
+  try {
+    const response = await axiosInstance.post('api/coupons', couponData);
+    return response.data; // { success: true, data: {/* new coupon */} }
+  } catch (error) {
+    return thunkAPI.rejectWithValue(
+      error.response?.data?.message || 'Failed to add coupon.'
+    );
+  }
+});
+
+// Update a coupon
+export const updateCoupon = createAsyncThunk(
+  'coupons/updateCoupon',
+  async ({ id, couponData }, thunkAPI) => {
+    try {
+      const response = await axiosInstance.put(`api/coupons/${id}`, couponData);
+      return response.data; // { success: true, data: {/* updated coupon */} }
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to update coupon.'
+      );
+    }
+  }
+);
+
+// Delete a coupon
+export const deleteCoupon = createAsyncThunk('coupons/deleteCoupon', async (id, thunkAPI) => {
+  try {
+    const response = await axiosInstance.delete(`api/coupons/${id}`);
+    return response.data; // { success: true, data: { _id } }
+  } catch (error) {
+    return thunkAPI.rejectWithValue(
+      error.response?.data?.message || 'Failed to delete coupon.'
+    );
+  }
+});
+
+const couponsSlice = createSlice({
+  name: 'coupons',
+  initialState: {
+    coupons: [],
+    loading: false,
+    error: null,
+  },
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      // Fetch Coupons
+      .addCase(fetchCoupons.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchCoupons.fulfilled, (state, action) => {
+        state.loading = false;
+        state.coupons = action.payload.data;
+      })
+      .addCase(fetchCoupons.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Add Coupon
+      .addCase(addCoupon.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(addCoupon.fulfilled, (state, action) => {
+        state.loading = false;
+        state.coupons.unshift(action.payload.data); // Newest first, like the API
+      })
+      .addCase(addCoupon.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Update Coupon
+      .addCase(updateCoupon.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateCoupon.fulfilled, (state, action) => {
+        state.loading = false;
+        const updatedCoupon = action.payload.data;
+        const index = state.coupons.findIndex((coupon) => coupon._id === updatedCoupon._id);
+        if (index !== -1) {
+          state.coupons[index] = updatedCoupon;
+        }
+      })
+      .addCase(updateCoupon.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Delete Coupon
+      .addCase(deleteCoupon.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteCoupon.fulfilled, (state, action) => {
+        state.loading = false;
+        const deletedCouponId = action.payload.data._id;
+        state.coupons = state.coupons.filter((coupon) => coupon._id !== deletedCouponId);
+      })
+      .addCase(deleteCoupon.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export default couponsSlice.reducer;
@@ -0,0 +1,137 @@
+// src/redux/slices/currenciesSlice.js
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/axiosInstance';
+
+// Fetch all currencies
+export const fetchCurrencies = createAsyncThunk(
+  'currencies/fetchCurrencies',
+  async (_, thunkAPI) => {
+    try {
+      const response = await axiosInstance.get('api/currencies');
+      return response.data; // { success: true, base, count: X, data: [/* currencies array */] }
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to fetch currencies.'
+      );
+    }
+  }
+);
+
+// Add a new currency
+export const addCurrency = createAsyncThunk(
+  'currencies/addCurrency',
+  async (currencyData, thunkAPI) => {
+    try {
+      const response = await axiosInstance.post('api/currencies', currencyData);
+      return response.data; // { success: true, data: {/* new currency */} }
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to add currency.'
+      );
+    }
+  }
+);
+
+// Update a currency
+export const updateCurrency = createAsyncThunk(
+  'currencies/updateCurrency',
+  async ({ id, currencyData }, thunkAPI) => {
+    try {
+      const response = await axiosInstance.put(`api/currencies/${id}`, currencyData);
+      return response.data; // { success: true, data: {/* updated currency */} }
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to update currency.'
+      );
+    }
+  }
+);
+
+// Delete a currency
+export const deleteCurrency = createAsyncThunk(
+  'currencies/deleteCurrency',
+  async (id, thunkAPI) => {
+    try {
+      const response = await axiosInstance.delete(`api/currencies/${id}`);
+      return response.data; // { success: true, data: { _id } }
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to delete currency.'
+      );
+    }
+  }
+);
+
+const currenciesSlice = createSlice({
+  name: 'currencies',
+  initialState: {
+    base: 'USD', // Currency product prices are set in
+    currencies: [],
+    loading: false,
+    error: null,
+  },
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      // Fetch Currencies
+      .addCase(fetchCurrencies.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchCurrencies.fulfilled, (state, action) => {
+        state.loading = false;
+        state.base = action.payload.base;
+        state.currencies = action.payload.data;
+      })
+      .addCase(fetchCurrencies.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Add Currency
+      .addCase(addCurrency.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(addCurrency.fulfilled, (state, action) => {
+        state.loading = false;
+        state.currencies.push(action.payload.data);
+      })
+      .addCase(addCurrency.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Update Currency
+      .addCase(updateCurrency.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateCurrency.fulfilled, (state, action) => {
+        state.loading = false;
+        const updatedCurrency = action.payload.data;
+        const index = state.currencies.findIndex((currency) => currency._id === updatedCurrency._id);
+        if (index !== -1) {
+          state.currencies[index] = updatedCurrency;
+        }
+      })
+      .addCase(updateCurrency.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Delete Currency
+      .addCase(deleteCurrency.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteCurrency.fulfilled, (state, action) => {
+        state.loading = false;
+        const deletedCurrencyId = action.payload.data._id;
+        state.currencies = state.currencies.filter((currency) => currency._id !== deletedCurrencyId);
+      })
+      .addCase(deleteCurrency.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export default currenciesSlice.reducer;
@@ -19,9 +19,9 @@ export const fetchOrders = createAsyncThunk('orders/fetchOrders', async (_, thun
 // Update order status
 export const updateOrderStatus = createAsyncThunk(
   'orders/updateOrderStatus',
-  async ({ id, status }, thunkAPI) => {
+  async ({ id, status, note }, thunkAPI) => {
     try {
-      const response = await axiosInstance.put(`/orders/${id}`, { status });
+      const response = await axiosInstance.put(`/api/orders/${id}/status`, { status, note });
       return response.data;
     } catch (error) {
       return thunkAPI.rejectWithValue(
@@ -31,6 +31,21 @@ export const updateOrderStatus = createAsyncThunk(
   }
 );
 
+// Refund some or all items of an order through Stripe
+export const refundOrder = createAsyncThunk(
+  'orders/refundOrder',
+  async ({ id, products, reason }, thunkAPI) => {
+    try {
+      const response = await axiosInstance.post(`/api/orders/${id}/refund`, { products, reason });
+      return response.data;
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to refund order.'
+      );
+    }
+  }
+);
+
 // Delete an order/cart
 export const deleteOrder = createAsyncThunk('/api/orders/deleteOrder', async (id, thunkAPI) => {
   try {
@@ -82,6 +97,19 @@ const ordersSlice = createSlice({
         state.loading = false;
         state.error = action.payload;
       })
+      // Refund Order
+      .addCase(refundOrder.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(refundOrder.fulfilled, (state, action) => {
+        const index = state.orders.findIndex((order) => order._id === action.payload._id);
+        if (index !== -1) {
+          state.orders[index] = action.payload;
+        }
+      })
+      .addCase(refundOrder.rejected, (state, action) => {
+        state.error = action.payload;
+      })
       // Delete Order
       .addCase(deleteOrder.pending, (state) => {
         state.loading = true;
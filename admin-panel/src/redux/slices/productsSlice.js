@@ -8,8 +8,20 @@ export const fetchProducts = createAsyncThunk(
   'products/fetchProducts',
   async (_, thunkAPI) => {
     try {
-      const response = await axiosInstance.get('/api/products'); // Ensure the correct endpoint
-      return response.data; // { success: true, count: X, data: [/* products array */] }
+      // The catalog API is paginated; the admin table needs every product
+      const products = [];
+      let page = 1;
+      let pages = 1;
+      do {
+        const response = await axiosInstance.get('/api/products', {
+          params: { page, limit: 100, sort: 'newest' },
+        });
+        products.push(...response.data.data);
+        pages = response.data.pages;
+        page += 1;
+      } while (page <= pages);
+
+      return { success: true, count: products.length, data: products };
     } catch (error) {
       return thunkAPI.rejectWithValue(
         error.response?.data?.message || 'Failed to fetch products/exams.'
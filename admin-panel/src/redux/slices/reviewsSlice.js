@@ -32,7 +32,7 @@ export const fetchProductReviews = createAsyncThunk(
   async (productId, thunkAPI) => {
     try {
       const response = await axiosInstance.get(`/api/reviews/product/${productId}`);
-      return response.data; // API returns an array of reviews for the product
+      return response.data.data; // First page of the product's visible reviews
     } catch (error) {
       // Return a rejected action containing the error message
       return thunkAPI.rejectWithValue(
@@ -97,12 +97,120 @@ export const deleteReview = createAsyncThunk(
   }
 );
 
+/**
+ * Approve or reject a review
+ * @param {object} payload - { id: string, status: 'approved' | 'rejected', reason?: string }
+ */
+export const moderateReview = createAsyncThunk(
+  'reviews/moderateReview',
+  async ({ id, status, reason }, thunkAPI) => {
+    try {
+      const response = await axiosInstance.put(`/api/reviews/${id}/moderate`, { status, reason });
+      return response.data; // API returns the moderated review
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to moderate review.'
+      );
+    }
+  }
+);
+
+/**
+ * Post or edit the store's reply to a review
+ * @param {object} payload - { id: string, comment: string }
+ */
+export const replyToReview = createAsyncThunk(
+  'reviews/replyToReview',
+  async ({ id, comment }, thunkAPI) => {
+    try {
+      const response = await axiosInstance.put(`/api/reviews/${id}/reply`, { comment });
+      return response.data; // API returns the review with its reply
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to save reply.'
+      );
+    }
+  }
+);
+
+/**
+ * Remove the store's reply from a review
+ * @param {string} id - Review ID
+ */
+export const deleteReviewReply = createAsyncThunk(
+  'reviews/deleteReviewReply',
+  async (id, thunkAPI) => {
+    try {
+      const response = await axiosInstance.delete(`/api/reviews/${id}/reply`);
+      return response.data; // API returns the review without a reply
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to delete reply.'
+      );
+    }
+  }
+);
+
+/**
+ * Remove one photo from a review
+ * @param {object} params - { id, assetId }
+ */
+export const removeReviewImage = createAsyncThunk(
+  'reviews/removeReviewImage',
+  async ({ id, assetId }, thunkAPI) => {
+    try {
+      const response = await axiosInstance.delete(`/api/reviews/${id}/images/${assetId}`);
+      return response.data; // API returns the review without the photo
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to remove photo.'
+      );
+    }
+  }
+);
+
+/**
+ * Fetch the review moderation rules
+ */
+export const fetchReviewSettings = createAsyncThunk(
+  'reviews/fetchReviewSettings',
+  async (_, thunkAPI) => {
+    try {
+      const response = await axiosInstance.get('/api/reviews/settings');
+      return response.data; // { success: true, data: { autoApprove, blockedWords } }
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to fetch review settings.'
+      );
+    }
+  }
+);
+
+/**
+ * Update the review moderation rules
+ * @param {object} settingsData - { autoApprove, blockedWords }
+ */
+export const updateReviewSettings = createAsyncThunk(
+  'reviews/updateReviewSettings',
+  async (settingsData, thunkAPI) => {
+    try {
+      const response = await axiosInstance.put('/api/reviews/settings', settingsData);
+      return response.data; // { success: true, data: { autoApprove, blockedWords } }
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to update review settings.'
+      );
+    }
+  }
+);
+
 // ----------------------- Slice Definition ----------------------- //
 
 const reviewsSlice = createSlice({
   name: 'reviews',
   initialState: {
     reviews: [], // List of reviews
+    settings: null, // Moderation rules
     loading: false,
     error: null,
   },
@@ -189,6 +297,79 @@ const reviewsSlice = createSlice({
       .addCase(deleteReview.rejected, (state, action) => {
         state.loading = false;
         state.error = action.payload;
+      })
+
+      // ----------------- Moderate Review ----------------- //
+      // The table stays on screen while a review is approved or rejected
+      .addCase(moderateReview.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(moderateReview.fulfilled, (state, action) => {
+        const moderatedReview = action.payload;
+        const index = state.reviews.findIndex(
+          (review) => review._id === moderatedReview._id
+        );
+        if (index !== -1) {
+          state.reviews[index] = moderatedReview;
+        }
+      })
+      .addCase(moderateReview.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // ----------------- Review Replies ----------------- //
+      .addCase(replyToReview.fulfilled, (state, action) => {
+        const updatedReview = action.payload;
+        const index = state.reviews.findIndex(
+          (review) => review._id === updatedReview._id
+        );
+        if (index !== -1) {
+          state.reviews[index] = updatedReview;
+        }
+      })
+      .addCase(replyToReview.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(deleteReviewReply.fulfilled, (state, action) => {
+        const updatedReview = action.payload;
+        const index = state.reviews.findIndex(
+          (review) => review._id === updatedReview._id
+        );
+        if (index !== -1) {
+          state.reviews[index] = updatedReview;
+        }
+      })
+      .addCase(deleteReviewReply.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(removeReviewImage.fulfilled, (state, action) => {
+        const updatedReview = action.payload;
+        const index = state.reviews.findIndex(
+          (review) => review._id === updatedReview._id
+        );
+        if (index !== -1) {
+          state.reviews[index] = updatedReview;
+        }
+      })
+      .addCase(removeReviewImage.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
+      // ----------------- Review Settings ----------------- //
+      .addCase(fetchReviewSettings.fulfilled, (state, action) => {
+        state.settings = action.payload.data;
+      })
+      .addCase(fetchReviewSettings.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(updateReviewSettings.pending, (state) => {
+        state.error = null;
+      })
+      .addCase(updateReviewSettings.fulfilled, (state, action) => {
+        state.settings = action.payload.data;
+      })
+      .addCase(updateReviewSettings.rejected, (state, action) => {
+        state.error = action.payload;
       });
   },
 });
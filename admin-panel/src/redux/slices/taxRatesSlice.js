@@ -0,0 +1,135 @@
+// src/redux/slices/taxRatesSlice.js
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axiosInstance from '../../utils/axiosInstance';
+
+// Fetch all tax rates
+export const fetchTaxRates = createAsyncThunk(
+  'taxRates/fetchTaxRates',
+  async (_, thunkAPI) => {
+    try {
+      const response = await axiosInstance.get('api/tax-rates');
+      return response.data; // { success: true, count: X, data: [/* tax rates array */] }
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to fetch tax rates.'
+      );
+    }
+  }
+);
+
+// Add a new tax rate
+export const addTaxRate = createAsyncThunk(
+  'taxRates/addTaxRate',
+  async (taxRateData, thunkAPI) => {
+    try {
+      const response = await axiosInstance.post('api/tax-rates', taxRateData);
+      return response.data; // { success: true, data: {/* new tax rate */} }
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to add tax rate.'
+      );
+    }
+  }
+);
+
+// Update a tax rate
+export const updateTaxRate = createAsyncThunk(
+  'taxRates/updateTaxRate',
+  async ({ id, taxRateData }, thunkAPI) => {
+    try {
+      const response = await axiosInstance.put(`api/tax-rates/${id}`, taxRateData);
+      return response.data; // { success: true, data: {/* updated tax rate */} }
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to update tax rate.'
+      );
+    }
+  }
+);
+
+// Delete a tax rate
+export const deleteTaxRate = createAsyncThunk(
+  'taxRates/deleteTaxRate',
+  async (id, thunkAPI) => {
+    try {
+      const response = await axiosInstance.delete(`api/tax-rates/${id}`);
+      return response.data; // { success: true, data: { _id } }
+    } catch (error) {
+      return thunkAPI.rejectWithValue(
+        error.response?.data?.message || 'Failed to delete tax rate.'
+      );
+    }
+  }
+);
+
+const taxRatesSlice = createSlice({
+  name: 'taxRates',
+  initialState: {
+    taxRates: [],
+    loading: false,
+    error: null,
+  },
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      // Fetch Tax Rates
+      .addCase(fetchTaxRates.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchTaxRates.fulfilled, (state, action) => {
+        state.loading = false;
+        state.taxRates = action.payload.data;
+      })
+      .addCase(fetchTaxRates.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Add Tax Rate
+      .addCase(addTaxRate.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(addTaxRate.fulfilled, (state, action) => {
+        state.loading = false;
+        state.taxRates.push(action.payload.data);
+      })
+      .addCase(addTaxRate.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Update Tax Rate
+      .addCase(updateTaxRate.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(updateTaxRate.fulfilled, (state, action) => {
+        state.loading = false;
+        const updatedTaxRate = action.payload.data;
+        const index = state.taxRates.findIndex((taxRate) => taxRate._id === updatedTaxRate._id);
+        if (index !== -1) {
+          state.taxRates[index] = updatedTaxRate;
+        }
+      })
+      .addCase(updateTaxRate.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Delete Tax Rate
+      .addCase(deleteTaxRate.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(deleteTaxRate.fulfilled, (state, action) => {
+        state.loading = false;
+        const deletedTaxRateId = action.payload.data._id;
+        state.taxRates = state.taxRates.filter((taxRate) => taxRate._id !== deletedTaxRateId);
+      })
+      .addCase(deleteTaxRate.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export default taxRatesSlice.reducer;
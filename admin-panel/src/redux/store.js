@@ -5,6 +5,11 @@ import productsReducer from './slices/productsSlice';
 import ordersReducer from './slices/ordersSlice';
 import reviewsReducer from './slices/reviewsSlice';
 import themeReducer from './slices/themeSlice';
+import authEventsReducer from './slices/authEventsSlice';
+import couponsReducer from './slices/couponsSlice';
+import bundlesReducer from './slices/bundlesSlice';
+import currenciesReducer from './slices/currenciesSlice';
+import taxRatesReducer from './slices/taxRatesSlice';
 
 const store = configureStore({
   reducer: {
@@ -14,6 +19,11 @@ const store = configureStore({
     orders: ordersReducer,
     reviews: reviewsReducer,
     theme: themeReducer,
+    authEvents: authEventsReducer,
+    coupons: couponsReducer,
+    bundles: bundlesReducer,
+    currencies: currenciesReducer,
+    taxRates: taxRatesReducer,
   },
   devTools: process.env.NODE_ENV !== 'production',
 });
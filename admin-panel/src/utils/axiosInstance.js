@@ -1,11 +1,34 @@
 // src/utils/axiosInstance.js
 import axios from 'axios';
 
+const baseURL = import.meta.env.VITE_API_URL || 'https://ecom-app-orpin-ten.vercel.app'; // Replace with your backend API
+
 // Create an Axios instance
 const axiosInstance = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || 'https://ecom-app-orpin-ten.vercel.app', // Replace with your backend API
+  baseURL,
 });
 
+// Shared while a refresh is in flight, so parallel 401s trigger a single
+// refresh; sending the same refresh token twice would look like token theft.
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('adminRefreshToken');
+    refreshPromise = axios
+      .post(`${baseURL}/api/auth/refresh`, { refreshToken })
+      .then((response) => {
+        localStorage.setItem('adminToken', response.data.token);
+        localStorage.setItem('adminRefreshToken', response.data.refreshToken);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Request interceptor to add the token to headers
 axiosInstance.interceptors.request.use(
   (config) => {
@@ -20,15 +43,32 @@ axiosInstance.interceptors.request.use(
   }
 );
 
-// Response interceptor for global error handling (optional)
+// Response interceptor: refresh an expired access token once and retry,
+// otherwise send the admin back to the login page
 axiosInstance.interceptors.response.use(
   (response) => response,
-  (error) => {
-    // Handle unauthorized access (401) globally
-    if (error.response && error.response.status === 401) {
-      // Optionally dispatch a logout action or redirect to login
-      localStorage.removeItem('adminToken');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+
+    if (response && response.status === 401) {
+      const isAuthCall = /api\/auth\/(login|refresh|2fa\/(setup|enable|verify))/.test(config.url);
+
+      if (!isAuthCall && !config._retried && localStorage.getItem('adminRefreshToken')) {
+        config._retried = true;
+        try {
+          const token = await refreshAccessToken();
+          config.headers['Authorization'] = `Bearer ${token}`;
+          return axiosInstance(config);
+        } catch {
+          // Fall through to logging out
+        }
+      }
+
+      if (!isAuthCall) {
+        localStorage.removeItem('adminToken');
+        localStorage.removeItem('adminRefreshToken');
+        window.location.href = '/login';
+      }
     }
     return Promise.reject(error);
   }
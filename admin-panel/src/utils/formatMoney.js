@@ -0,0 +1,12 @@
+// src/utils/formatMoney.js
+
+/**
+ * Format an amount in the given currency, e.g. "$12.50" or "¥1,500".
+ * @param {number} amount
+ * @param {string} [currency='USD'] - ISO currency code.
+ * @returns {string}
+ */
+const formatMoney = (amount, currency = 'USD') =>
+  new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+
+export default formatMoney;